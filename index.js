@@ -46,6 +46,24 @@ const evalRouterService = require('./src/services/evalRouterService');
 const aiAgentService = require('./src/services/aiAgentService');
 const aiLogService = require('./src/services/aiLogService');
 const autopilotService = require('./src/services/autopilotService');
+const importJobService = require('./src/services/importJobService');
+const importProfileService = require('./src/services/importProfileService');
+const feedService = require('./src/services/feedService');
+const inventorySimilarityService = require('./src/services/inventorySimilarityService');
+const inventoryCompareService = require('./src/services/inventoryCompareService');
+const inventoryTransferService = require('./src/services/inventoryTransferService');
+const inventoryAgingService = require('./src/services/inventoryAgingService');
+const leadRoutingService = require('./src/services/leadRoutingService');
+const leadResponseService = require('./src/services/leadResponseService');
+const activityService = require('./src/services/activityService');
+const leadPipelineService = require('./src/services/leadPipelineService');
+const repricingService = require('./src/services/repricingService');
+const inventoryMediaService = require('./src/services/inventoryMediaService');
+const inventoryDocumentService = require('./src/services/inventoryDocumentService');
+const inventoryBulkService = require('./src/services/inventoryBulkService');
+const vinDecoderService = require('./src/services/vinDecoderService');
+const tradeInService = require('./src/services/tradeInService');
+const dealService = require('./src/services/dealService');
 const inventoryDisplayConfigService = require('./src/services/inventoryDisplayConfigService');
 const { validateBody, validateParams, validateQuery } = require('./src/middleware/validation');
 const { schemas } = require('./src/validation/schemas');
@@ -56,6 +74,14 @@ const { maskSensitiveFields } = require('./src/services/security');
 
 tenantService.initializeTenants();
 autopilotService.start(config.tenancy.defaultTenantId);
+importJobService.start();
+setInterval(() => inventoryService.releaseExpiredHolds(), config.inventory.holdReleaseIntervalMs).unref();
+setInterval(() => inventoryAgingService.flagAllTenants(), config.inventory.agingCheckIntervalMs).unref();
+setInterval(() => repricingService.runAllTenants(), config.inventory.repricingIntervalMs).unref();
+setInterval(() => {
+  leadRoutingService.reassignAllTenants();
+  leadResponseService.escalateAllTenants();
+}, config.leads.slaCheckIntervalMs).unref();
 
 const app = express();
 app.disable('x-powered-by');
@@ -201,14 +227,20 @@ app.use(express.urlencoded({ extended: true, limit: `${config.server.jsonLimitMb
 app.use(parseCookies);
 app.use(cors({ origin: true, credentials: true }));
 app.use(express.static(path.join(__dirname, 'public')));
+const mediaFiles = express.Router();
+mediaFiles.use(express.static(inventoryMediaService.uploadRoot()));
+app.use('/media', mediaFiles);
 
-// Input sanitization
+// Input sanitization (raw CSV payloads keep their line breaks so records survive)
+const MULTILINE_FIELDS = ['csv'];
 app.use((req, res, next) => {
-  const clean = value => {
-    if (typeof value === 'string') return sanitizeString(value);
-    if (Array.isArray(value)) return value.map(clean);
+  const clean = (value, key) => {
+    if (typeof value === 'string') {
+      return sanitizeString(value, { preserveLineBreaks: MULTILINE_FIELDS.includes(key) });
+    }
+    if (Array.isArray(value)) return value.map(item => clean(item));
     if (value && typeof value === 'object') {
-      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clean(v)]));
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clean(v, k)]));
     }
     return value;
   };
@@ -322,6 +354,13 @@ function authorize(allowedRoles = []) {
   };
 }
 
+// Sold and archived units are off the public lot, so asking for them takes a signed-in caller.
+function requireAuthForHiddenStatuses(req, res, next) {
+  const statuses = req.validated.query.status || [];
+  if (!statuses.some(status => inventoryService.PUBLIC_HIDDEN_STATUSES.includes(status))) return next();
+  return requireAuth(req, res, next);
+}
+
 function auditChange(req, action, entity, payload) {
   const auditRecord = {
     timestamp: new Date().toISOString(),
@@ -437,7 +476,7 @@ api.get('/capabilities/status', (req, res) => {
   res.json(capabilityService.status());
 });
 
-api.get('/inventory', validateQuery(schemas.inventoryListQuery), (req, res) => {
+api.get('/inventory', validateQuery(schemas.inventoryListQuery), requireAuthForHiddenStatuses, (req, res) => {
   res.json(inventoryService.list(req.validated.query, req.tenant.id));
 });
 
@@ -445,6 +484,80 @@ api.get('/inventory/stats', (req, res) => {
   res.json(inventoryService.stats(req.tenant.id));
 });
 
+api.get('/inventory/compare', validateQuery(schemas.inventoryCompareQuery), (req, res, next) => {
+  const result = inventoryCompareService.compare(req.validated.query.ids, req.tenant.id);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  if (result.notFound) {
+    return next(new AppError('NOT_FOUND', `Inventory not found: ${result.missing.join(', ')}`, 404));
+  }
+  res.json(result.comparison);
+});
+
+api.get('/inventory/imports', requireAuth, authorize(['admin', 'sales']), validateQuery(schemas.importRunListQuery), (req, res) => {
+  res.json(importJobService.list(req.validated.query, req.tenant.id));
+});
+
+api.post('/inventory/imports/run', requireAuth, authorize(['admin']), (req, res, next) => {
+  let result;
+  try {
+    result = importJobService.processTenant(req.tenant.id);
+  } catch (err) {
+    return next(new AppError('IMPORT_FAILED', `Drop folder could not be processed: ${err.message}`, 500));
+  }
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  auditChange(req, 'run', 'inventory_import', { runs: result.runs.map(run => run.id) });
+  res.json(result);
+});
+
+api.get('/inventory/imports/:id', requireAuth, authorize(['admin', 'sales']), validateParams(schemas.idParam), (req, res, next) => {
+  const run = importJobService.findById(req.validated.params.id, req.tenant.id);
+  if (!run) return next(new AppError('NOT_FOUND', 'Import run not found', 404));
+  res.json(run);
+});
+
+api.get('/inventory/import-profiles', requireAuth, authorize(['admin', 'sales']), (req, res) => {
+  res.json(importProfileService.list(req.tenant.id));
+});
+
+api.post('/inventory/import-profiles', requireAuth, authorize(['admin']), validateBody(schemas.importProfileCreate), (req, res, next) => {
+  const result = importProfileService.create(req.validated.body, req.tenant.id);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  auditChange(req, 'create', 'import_profile', result.profile);
+  res.status(201).json(result.profile);
+});
+
+api.put(
+  '/inventory/import-profiles/:id',
+  requireAuth,
+  authorize(['admin']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.importProfileUpdate),
+  (req, res, next) => {
+    const result = importProfileService.update(req.validated.params.id, req.validated.body, req.tenant.id);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Import profile not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'update', 'import_profile', result.profile);
+    res.json(result.profile);
+  }
+);
+
+api.delete('/inventory/import-profiles/:id', requireAuth, authorize(['admin']), validateParams(schemas.idParam), (req, res, next) => {
+  const result = importProfileService.remove(req.validated.params.id, req.tenant.id);
+  if (result.notFound) return next(new AppError('NOT_FOUND', 'Import profile not found', 404));
+  auditChange(req, 'delete', 'import_profile', { id: req.validated.params.id });
+  res.status(204).send();
+});
+
+api.get(
+  '/inventory/vin-decode/:vin',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.vinParam),
+  (req, res) => {
+    res.json(vinDecoderService.decode(req.validated.params.vin));
+  }
+);
+
 api.get('/inventory/slug/:slug', (req, res, next) => {
   const unit = inventoryService.findBySlug(req.params.slug, req.tenant.id);
   if (!unit) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
@@ -457,13 +570,46 @@ api.get('/inventory/:id', validateParams(schemas.idParam), (req, res, next) => {
   res.json(unit);
 });
 
+api.get(
+  '/inventory/:id/payment-estimate',
+  validateParams(schemas.idParam),
+  validateQuery(schemas.paymentEstimateQuery),
+  (req, res, next) => {
+    const unit = inventoryService.findById(req.validated.params.id, req.tenant.id);
+    if (!unit) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
+    res.json(financeOfferService.quotePayments(unit, req.validated.query, req.tenant.id));
+  }
+);
+
 api.get(
   '/inventory/:id/revisions',
   requireAuth,
   authorize(['admin', 'sales', 'marketing']),
   validateParams(schemas.idParam),
+  validateQuery(schemas.inventoryRevisionQuery),
   (req, res) => {
-    res.json({ revisions: inventoryRevisionService.listRevisions(req.validated.params.id, req.tenant.id) });
+    const { id } = req.validated.params;
+    res.json({
+      revisions: inventoryRevisionService.listRevisions(id, req.tenant.id, req.validated.query),
+      changesets: inventoryRevisionService.listChangesets(id, req.tenant.id, req.validated.query)
+    });
+  }
+);
+
+api.get(
+  '/inventory/:id/price-history',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.idParam),
+  (req, res, next) => {
+    const unit = inventoryService.findById(req.validated.params.id, req.tenant.id);
+    if (!unit) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
+    res.json({
+      inventoryId: unit.id,
+      totalPrice: unit.totalPrice,
+      priceDroppedAt: unit.priceDroppedAt,
+      history: inventoryRevisionService.listPriceHistory(unit.id, req.tenant.id)
+    });
   }
 );
 
@@ -485,12 +631,74 @@ api.post(
   }
 );
 
+api.post(
+  '/inventory/:id/restore',
+  requireAuth,
+  authorize(['admin']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.inventoryPointInTimeRestore),
+  (req, res, next) => {
+    const result = inventoryService.restoreToPointInTime(
+      req.validated.params.id,
+      req.validated.body.at,
+      req.tenant.id,
+      req.user?.email || req.user?.id
+    );
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
+    if (result.changeset) {
+      auditChange(req, 'restore', 'inventory', {
+        id: result.unit.id,
+        restoredTo: result.changeset.restoredTo,
+        changesetId: result.changeset.changesetId
+      });
+      webhookService.trigger('inventory.updated', result.unit, req.tenant.id);
+    }
+    res.json({ unit: result.unit, changeset: result.changeset });
+  }
+);
+
 api.get('/inventory/:id/schema', validateParams(schemas.idParam), (req, res, next) => {
   const result = inventorySchemaService.getSchemaForInventory(req.validated.params.id, req.tenant.id);
   if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
   res.json(result.schema);
 });
 
+const sendInventoryDocument = type => (req, res, next) => {
+  const result = inventoryDocumentService.render(req.validated.params.id, type, req.tenant.id);
+  if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
+  res.set({ 'Content-Disposition': `inline; filename="${result.fileName}"`, 'Cache-Control': 'no-store' });
+  res.type('application/pdf').send(result.buffer);
+};
+
+api.get(
+  '/inventory/:id/sticker.pdf',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.idParam),
+  sendInventoryDocument('sticker')
+);
+
+api.get(
+  '/inventory/:id/spec-sheet.pdf',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.idParam),
+  sendInventoryDocument('specSheet')
+);
+
+api.get(
+  '/inventory/:id/similar',
+  validateParams(schemas.idParam),
+  validateQuery(schemas.inventorySimilarQuery),
+  (req, res, next) => {
+    const result = inventorySimilarityService.similar(req.validated.params.id, req.tenant.id, req.validated.query);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
+    res.json(result);
+  }
+);
+
 api.post('/inventory', requireAuth, authorize(['admin', 'sales']), validateBody(schemas.inventoryCreate), (req, res, next) => {
   const result = inventoryService.create(req.validated.body, req.tenant.id);
   if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
@@ -513,6 +721,9 @@ api.put('/inventory/:id', requireAuth, authorize(['admin', 'sales']), validateBo
     auditChange(req, 'price_change', 'inventory', { id: result.unit.id, changes: result.pricingChanges });
   }
   webhookService.trigger('inventory.updated', result.unit, req.tenant.id);
+  if (result.priceDrop) {
+    webhookService.trigger('inventory.price_dropped', { unit: result.unit, ...result.priceDrop }, req.tenant.id);
+  }
   res.json(result.unit);
 });
 
@@ -576,13 +787,94 @@ api.patch(
   authorize(['admin', 'sales', 'marketing']),
   validateBody(schemas.inventoryMediaUpdate),
   (req, res, next) => {
-    const result = inventoryService.updateMedia(req.params.id, req.validated.body.media, req.tenant.id);
+    const result = inventoryService.updateMedia(
+      req.params.id,
+      req.validated.body.media,
+      req.tenant.id,
+      req.user?.email || req.user?.id
+    );
     if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
     auditChange(req, 'update', 'inventory_media', result.unit);
     res.json(result.unit);
   }
 );
 
+api.post(
+  '/inventory/:id/media',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.idParam),
+  express.multipart({ limit: `${config.media.maxUploadMb}mb` }),
+  validateBody(schemas.inventoryMediaUpload),
+  (req, res, next) => {
+    const result = inventoryMediaService.upload(
+      req.validated.params.id,
+      req.files,
+      { ...req.validated.body, changedBy: req.user?.email || req.user?.id },
+      req.tenant.id
+    );
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'upload', 'inventory_media', { id: result.unit.id, photoIds: result.photos.map(photo => photo.id) });
+    res.status(201).json({ unit: result.unit, photos: result.photos, issues: result.issues });
+  }
+);
+
+api.patch(
+  '/inventory/:id/media/order',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.inventoryPhotoOrder),
+  (req, res, next) => {
+    const result = inventoryMediaService.reorder(
+      req.validated.params.id,
+      req.validated.body.photoIds,
+      req.tenant.id,
+      req.user?.email || req.user?.id
+    );
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'reorder', 'inventory_media', { id: result.unit.id, photoIds: req.validated.body.photoIds });
+    res.json({ unit: result.unit, issues: result.issues });
+  }
+);
+
+api.patch(
+  '/inventory/:id/media/:photoId',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.inventoryPhotoParams),
+  validateBody(schemas.inventoryPhotoUpdate),
+  (req, res, next) => {
+    const { id, photoId } = req.validated.params;
+    const result = inventoryMediaService.updatePhoto(
+      id,
+      photoId,
+      req.validated.body,
+      req.tenant.id,
+      req.user?.email || req.user?.id
+    );
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory or photo not found', 404));
+    auditChange(req, 'update', 'inventory_media', { id, photoId, ...req.validated.body });
+    res.json({ unit: result.unit, issues: result.issues });
+  }
+);
+
+api.delete(
+  '/inventory/:id/media/:photoId',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.inventoryPhotoParams),
+  (req, res, next) => {
+    const { id, photoId } = req.validated.params;
+    const result = inventoryMediaService.removePhoto(id, photoId, req.tenant.id, req.user?.email || req.user?.id);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory or photo not found', 404));
+    auditChange(req, 'delete', 'inventory_media', { id, photoId });
+    res.json({ unit: result.unit, issues: result.issues });
+  }
+);
+
 api.post(
   '/inventory/badges/preview',
   requireAuth,
@@ -665,112 +957,371 @@ api.post(
   authorize(['admin', 'sales']),
   validateBody(schemas.inventoryBulkImport),
   (req, res) => {
-    const result = inventoryService.importCsv(req.validated.body.csv, req.validated.body.tenantId || req.tenant.id);
-    res.status(result.errors.length ? 207 : 201).json(result);
+    const { csv, tenantId, mode, matchBy, dryRun } = req.validated.body;
+    const result = inventoryService.importCsv(csv, tenantId || req.tenant.id, {
+      mode,
+      matchBy,
+      dryRun,
+      changedBy: req.user?.email || req.user?.id
+    });
+    if (!result.dryRun) {
+      const run = importJobService.recordRun(result, tenantId || req.tenant.id, {
+        source: 'api',
+        changedBy: req.user?.email || req.user?.id
+      });
+      result.importRunId = run.id;
+      auditChange(req, 'import', 'inventory', { mode: result.mode, matchBy: result.matchBy, summary: result.summary });
+    }
+    const successStatus = result.dryRun ? 200 : 201;
+    res.status(result.errors.length ? 207 : successStatus).json(result);
   }
 );
 
-api.get('/content', (req, res) => {
-  res.json(contentPageService.list(req.query, req.tenant.id));
-});
-
-api.get('/content/slug/:slug', (req, res, next) => {
-  const page = contentPageService.findBySlug(req.params.slug, req.tenant.id);
-  if (!page) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
-  res.json(page);
-});
-
-api.get('/pages/:slug', (req, res, next) => {
-  const isPreview = req.query.mode === 'preview';
-  const handleLookup = () => {
-    const page = contentPageService.findBySlug(req.params.slug, req.tenant.id, { preview: isPreview });
-    if (!page) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
-    res.json(page);
-  };
-
-  if (!isPreview) {
-    return handleLookup();
+api.post(
+  '/inventory/bulk',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateBody(schemas.inventoryBulkUpdate),
+  (req, res, next) => {
+    const { updates, ...result } = inventoryBulkService.run(req.validated.body, req.tenant.id, {
+      changedBy: req.user?.email || req.user?.id
+    });
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Spotlight template not found', 404));
+    if (result.error) {
+      const details = result.results && { summary: result.summary, results: result.results };
+      if (result.rolledBack) return next(new AppError('CONFLICT', result.error, 409, { rolledBack: true, ...details }));
+      return next(new AppError('VALIDATION_ERROR', result.error, 400, details));
+    }
+    if (!result.dryRun && updates.length) {
+      auditChange(req, 'bulk_update', 'inventory', {
+        operation: req.validated.body.operation,
+        ids: updates.map(update => update.unit.id),
+        summary: result.summary
+      });
+      updates.forEach(update => {
+        webhookService.trigger('inventory.updated', update.unit, req.tenant.id);
+        if (update.priceDrop) {
+          webhookService.trigger('inventory.price_dropped', { unit: update.unit, ...update.priceDrop }, req.tenant.id);
+        }
+      });
+    }
+    res.json(result);
   }
+);
 
-  return requireAuth(req, res, err => {
-    if (err) return next(err);
-    if (!['admin', 'marketing'].includes(req.user?.role)) {
-      return next(new AppError('FORBIDDEN', 'Insufficient role for preview', 403));
-    }
-    return handleLookup();
-  });
+api.get('/feeds/:channel', (req, res, next) => {
+  const feed = feedService.generate(req.params.channel, req.tenant.id);
+  if (feed.notFound) return next(new AppError('NOT_FOUND', 'Feed channel not found', 404));
+  res.set({ ETag: feed.etag, 'Cache-Control': 'no-cache', 'X-Feed-Count': String(feed.count) });
+  const ifNoneMatch = (req.headers['if-none-match'] || '').split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (ifNoneMatch.includes(feed.etag) || ifNoneMatch.includes('*')) {
+    res.status(304).end();
+    return;
+  }
+  res.type(feed.contentType).send(feed.body);
 });
 
-api.get('/content/:id', validateParams(schemas.idParam), (req, res, next) => {
-  const page = contentPageService.findById(req.validated.params.id, req.tenant.id);
-  if (!page) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
-  res.json(page);
+api.get('/feed-channels', requireAuth, authorize(['admin', 'marketing']), (req, res) => {
+  res.json(feedService.list(req.tenant.id));
 });
 
-api.post('/content', requireAuth, authorize(['admin', 'marketing']), validateBody(schemas.contentPageCreate), (req, res, next) => {
-  const result = contentPageService.create(req.validated.body, req.tenant.id, req.user?.email || req.user?.id);
+api.post('/feed-channels', requireAuth, authorize(['admin', 'marketing']), validateBody(schemas.feedChannelCreate), (req, res, next) => {
+  const result = feedService.create(req.validated.body, req.tenant.id);
   if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
-  if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
-  res.status(201).json(result.page);
+  auditChange(req, 'create', 'feed_channel', result.channel);
+  res.status(201).json(result.channel);
 });
 
-api.put('/content/:id', requireAuth, authorize(['admin', 'marketing']), validateBody(schemas.contentPageUpdate), (req, res, next) => {
-  const result = contentPageService.update(
-    req.params.id,
-    req.validated.body,
-    req.tenant.id,
-    req.user?.email || req.user?.id
-  );
-  if (result.notFound) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
-  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
-  if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
-  res.json(result.page);
-});
+api.put(
+  '/feed-channels/:id',
+  requireAuth,
+  authorize(['admin', 'marketing']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.feedChannelUpdate),
+  (req, res, next) => {
+    const result = feedService.update(req.validated.params.id, req.validated.body, req.tenant.id);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Feed channel not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'update', 'feed_channel', result.channel);
+    res.json(result.channel);
+  }
+);
 
-api.delete('/content/:id', requireAuth, authorize(['admin', 'marketing']), (req, res, next) => {
-  const result = contentPageService.remove(req.params.id, req.tenant.id);
-  if (result.notFound) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
+api.delete('/feed-channels/:id', requireAuth, authorize(['admin', 'marketing']), validateParams(schemas.idParam), (req, res, next) => {
+  const result = feedService.remove(req.validated.params.id, req.tenant.id);
+  if (result.notFound) return next(new AppError('NOT_FOUND', 'Feed channel not found', 404));
+  auditChange(req, 'delete', 'feed_channel', { id: req.validated.params.id });
   res.status(204).send();
 });
 
-api.post(
-  '/pages/:id/publish',
+api.get(
+  '/inventory-transfers',
   requireAuth,
-  authorize(['admin', 'marketing']),
-  validateParams(schemas.idParam),
-  validateBody(schemas.pagePublish),
-  (req, res, next) => {
-    const result = contentPageService.publish(
-      req.params.id,
-      req.tenant.id,
-      req.validated.body.publishAt,
-      req.user?.email || req.user?.id
-    );
-    if (result.notFound) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
-    res.json(result.page);
+  authorize(['admin', 'sales']),
+  validateQuery(schemas.inventoryTransferListQuery),
+  (req, res) => {
+    res.json({ transfers: inventoryTransferService.list(req.validated.query, req.tenant.id) });
   }
 );
 
-api.get('/content/:id/layout', requireAuth, authorize(['admin', 'marketing']), validateParams(schemas.idParam), (req, res, next) => {
-  const layout = pageLayoutService.getByPage(req.params.id, req.tenant.id);
-  if (!layout) return next(new AppError('NOT_FOUND', 'Layout not found for content page', 404));
-  res.json(layout);
+api.get(
+  '/inventory-transfers/incoming',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateQuery(schemas.inventoryTransferIncomingQuery),
+  (req, res) => {
+    const { location } = req.validated.query;
+    res.json({ location, transfers: inventoryTransferService.incoming(location, req.tenant.id) });
+  }
+);
+
+api.get('/inventory-transfers/:id', requireAuth, authorize(['admin', 'sales']), validateParams(schemas.idParam), (req, res, next) => {
+  const transfer = inventoryTransferService.findById(req.validated.params.id, req.tenant.id);
+  if (!transfer) return next(new AppError('NOT_FOUND', 'Transfer not found', 404));
+  res.json(transfer);
 });
 
 api.post(
-  '/content/:id/layout',
+  '/inventory-transfers',
   requireAuth,
-  authorize(['admin', 'marketing']),
-  validateParams(schemas.idParam),
-  validateBody(schemas.pageLayoutUpsert),
+  authorize(['admin', 'sales']),
+  validateBody(schemas.inventoryTransferCreate),
   (req, res, next) => {
-    const result = pageLayoutService.saveDraft(req.params.id, req.validated.body, req.tenant.id);
+    const result = inventoryTransferService.create(req.validated.body, req.tenant.id, req.user);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
     if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
-    res.status(201).json(result.layout);
+    if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
+    auditChange(req, 'create', 'inventory_transfer', result.transfer);
+    webhookService.trigger('inventory.transfer_requested', result.transfer, req.tenant.id);
+    res.status(201).json(result.transfer);
   }
 );
 
-api.post('/content/:id/layout/publish', requireAuth, authorize(['admin', 'marketing']), validateParams(schemas.idParam), (req, res, next) => {
+api.patch(
+  '/inventory-transfers/:id',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.inventoryTransferUpdate),
+  (req, res, next) => {
+    const result = inventoryTransferService.update(req.validated.params.id, req.validated.body, req.tenant.id);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Transfer not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'update', 'inventory_transfer', result.transfer);
+    res.json(result.transfer);
+  }
+);
+
+api.patch(
+  '/inventory-transfers/:id/status',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.inventoryTransferStatusUpdate),
+  (req, res, next) => {
+    const { status, ...options } = req.validated.body;
+    const result = inventoryTransferService.setStatus(req.validated.params.id, status, req.tenant.id, {
+      ...options,
+      actor: req.user
+    });
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Transfer not found', 404));
+    if (result.forbidden) return next(new AppError('FORBIDDEN', result.forbidden, 403));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'status', 'inventory_transfer', { id: result.transfer.id, from: result.previousStatus, to: status });
+    webhookService.trigger(
+      'inventory.transfer_status_changed',
+      { transfer: result.transfer, previousStatus: result.previousStatus },
+      req.tenant.id
+    );
+    if (status === 'completed') {
+      auditChange(req, 'transfer', 'inventory', {
+        id: result.transfer.inventoryId,
+        from: result.transfer.fromLocation,
+        to: result.transfer.toLocation
+      });
+      webhookService.trigger('inventory.transfer_completed', result.transfer, req.tenant.id);
+    }
+    res.json(result.transfer);
+  }
+);
+
+api.get('/repricing/rules', requireAuth, authorize(['admin', 'sales']), (req, res) => {
+  res.json({ rules: repricingService.listRules(req.tenant.id) });
+});
+
+api.post('/repricing/rules', requireAuth, authorize(['admin']), validateBody(schemas.repricingRuleCreate), (req, res, next) => {
+  const result = repricingService.createRule(req.validated.body, req.tenant.id);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  auditChange(req, 'create', 'repricing_rule', result.rule);
+  res.status(201).json(result.rule);
+});
+
+api.put(
+  '/repricing/rules/:id',
+  requireAuth,
+  authorize(['admin']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.repricingRuleUpdate),
+  (req, res, next) => {
+    const result = repricingService.updateRule(req.validated.params.id, req.validated.body, req.tenant.id);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Repricing rule not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'update', 'repricing_rule', result.rule);
+    res.json(result.rule);
+  }
+);
+
+api.delete('/repricing/rules/:id', requireAuth, authorize(['admin']), validateParams(schemas.idParam), (req, res, next) => {
+  const result = repricingService.removeRule(req.validated.params.id, req.tenant.id);
+  if (result.notFound) return next(new AppError('NOT_FOUND', 'Repricing rule not found', 404));
+  auditChange(req, 'delete', 'repricing_rule', { id: req.validated.params.id });
+  res.status(204).send();
+});
+
+api.get('/repricing/preview', requireAuth, authorize(['admin', 'sales']), (req, res) => {
+  res.json({ proposals: repricingService.preview(req.tenant.id) });
+});
+
+api.post('/repricing/run', requireAuth, authorize(['admin']), (req, res) => {
+  const proposals = repricingService.run(req.tenant.id);
+  auditChange(req, 'run', 'repricing', { proposalIds: proposals.map(proposal => proposal.id) });
+  res.json({ created: proposals.length, proposals });
+});
+
+api.get(
+  '/repricing/proposals',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateQuery(schemas.priceProposalListQuery),
+  (req, res) => {
+    res.json({ proposals: repricingService.listProposals(req.validated.query, req.tenant.id) });
+  }
+);
+
+api.patch(
+  '/repricing/proposals/:id/status',
+  requireAuth,
+  authorize(['admin']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.priceProposalStatusUpdate),
+  (req, res, next) => {
+    const { status, note } = req.validated.body;
+    const result = repricingService.decide(req.validated.params.id, status, req.tenant.id, { actor: req.user, note });
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Price proposal not found', 404));
+    if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, status === 'approved' ? 'approve' : 'reject', 'price_proposal', result.proposal);
+    if (result.update) {
+      const { unit, pricingChanges, priceDrop } = result.update;
+      auditChange(req, 'price_change', 'inventory', { id: unit.id, changes: pricingChanges });
+      webhookService.trigger('inventory.updated', unit, req.tenant.id);
+      if (priceDrop) webhookService.trigger('inventory.price_dropped', { unit, ...priceDrop }, req.tenant.id);
+    }
+    res.json(result.proposal);
+  }
+);
+
+api.get('/content', (req, res) => {
+  res.json(contentPageService.list(req.query, req.tenant.id));
+});
+
+api.get('/content/slug/:slug', (req, res, next) => {
+  const page = contentPageService.findBySlug(req.params.slug, req.tenant.id);
+  if (!page) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
+  res.json(page);
+});
+
+api.get('/pages/:slug', (req, res, next) => {
+  const isPreview = req.query.mode === 'preview';
+  const handleLookup = () => {
+    const page = contentPageService.findBySlug(req.params.slug, req.tenant.id, { preview: isPreview });
+    if (!page) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
+    res.json(page);
+  };
+
+  if (!isPreview) {
+    return handleLookup();
+  }
+
+  return requireAuth(req, res, err => {
+    if (err) return next(err);
+    if (!['admin', 'marketing'].includes(req.user?.role)) {
+      return next(new AppError('FORBIDDEN', 'Insufficient role for preview', 403));
+    }
+    return handleLookup();
+  });
+});
+
+api.get('/content/:id', validateParams(schemas.idParam), (req, res, next) => {
+  const page = contentPageService.findById(req.validated.params.id, req.tenant.id);
+  if (!page) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
+  res.json(page);
+});
+
+api.post('/content', requireAuth, authorize(['admin', 'marketing']), validateBody(schemas.contentPageCreate), (req, res, next) => {
+  const result = contentPageService.create(req.validated.body, req.tenant.id, req.user?.email || req.user?.id);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
+  res.status(201).json(result.page);
+});
+
+api.put('/content/:id', requireAuth, authorize(['admin', 'marketing']), validateBody(schemas.contentPageUpdate), (req, res, next) => {
+  const result = contentPageService.update(
+    req.params.id,
+    req.validated.body,
+    req.tenant.id,
+    req.user?.email || req.user?.id
+  );
+  if (result.notFound) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
+  res.json(result.page);
+});
+
+api.delete('/content/:id', requireAuth, authorize(['admin', 'marketing']), (req, res, next) => {
+  const result = contentPageService.remove(req.params.id, req.tenant.id);
+  if (result.notFound) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
+  res.status(204).send();
+});
+
+api.post(
+  '/pages/:id/publish',
+  requireAuth,
+  authorize(['admin', 'marketing']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.pagePublish),
+  (req, res, next) => {
+    const result = contentPageService.publish(
+      req.params.id,
+      req.tenant.id,
+      req.validated.body.publishAt,
+      req.user?.email || req.user?.id
+    );
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Content page not found', 404));
+    res.json(result.page);
+  }
+);
+
+api.get('/content/:id/layout', requireAuth, authorize(['admin', 'marketing']), validateParams(schemas.idParam), (req, res, next) => {
+  const layout = pageLayoutService.getByPage(req.params.id, req.tenant.id);
+  if (!layout) return next(new AppError('NOT_FOUND', 'Layout not found for content page', 404));
+  res.json(layout);
+});
+
+api.post(
+  '/content/:id/layout',
+  requireAuth,
+  authorize(['admin', 'marketing']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.pageLayoutUpsert),
+  (req, res, next) => {
+    const result = pageLayoutService.saveDraft(req.params.id, req.validated.body, req.tenant.id);
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    res.status(201).json(result.layout);
+  }
+);
+
+api.post('/content/:id/layout/publish', requireAuth, authorize(['admin', 'marketing']), validateParams(schemas.idParam), (req, res, next) => {
   const result = pageLayoutService.publish(req.params.id, req.tenant.id);
   if (result.notFound) return next(new AppError('NOT_FOUND', 'Layout not found for content page', 404));
   res.json(result.layout);
@@ -817,16 +1368,41 @@ api.delete('/block-presets/:id', requireAuth, authorize(['admin', 'marketing']),
 });
 
 api.patch('/inventory/:id/feature', requireAuth, authorize(['admin', 'sales']), (req, res, next) => {
-  const result = inventoryService.setFeatured(req.params.id, req.body.featured, req.tenant.id);
+  const result = inventoryService.setFeatured(req.params.id, req.body.featured, req.tenant.id, req.user?.email || req.user?.id);
   if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
   auditChange(req, 'feature', 'inventory', result.unit);
   res.json(result.unit);
 });
 
-api.delete('/inventory/:id', requireAuth, authorize(['admin']), (req, res, next) => {
-  const result = inventoryService.remove(req.params.id, req.tenant.id);
+api.patch(
+  '/inventory/:id/status',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.inventoryStatusUpdate),
+  (req, res, next) => {
+    const { status, holdUntil, note } = req.validated.body;
+    const result = inventoryService.setStatus(req.validated.params.id, status, req.tenant.id, {
+      holdUntil,
+      note,
+      changedBy: req.user?.email || req.user?.id
+    });
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'status', 'inventory', { id: result.unit.id, from: result.previousStatus, to: status });
+    webhookService.trigger('inventory.status_changed', { unit: result.unit, previousStatus: result.previousStatus }, req.tenant.id);
+    res.json(result.unit);
+  }
+);
+
+api.delete('/inventory/:id', requireAuth, authorize(['admin']), validateQuery(schemas.inventoryRemoveQuery), (req, res, next) => {
+  const result = inventoryService.remove(req.params.id, req.tenant.id, {
+    permanent: req.validated.query.permanent,
+    changedBy: req.user?.email || req.user?.id
+  });
   if (result.notFound) return next(new AppError('NOT_FOUND', 'Inventory not found', 404));
-  auditChange(req, 'delete', 'inventory', result.unit);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  auditChange(req, result.permanent ? 'delete' : 'archive', 'inventory', result.unit);
   res.status(204).send();
 });
 
@@ -854,6 +1430,61 @@ api.get('/seo/topics', requireAuth, authorize(['admin', 'marketing']), (req, res
   res.json(seoService.topics(req.tenant.id));
 });
 
+api.get('/lead-pipelines', requireAuth, authorize(['admin', 'sales', 'marketing']), (req, res) => {
+  res.json({ pipelines: leadPipelineService.list(req.tenant.id) });
+});
+
+api.get('/lead-pipelines/:id', requireAuth, authorize(['admin', 'sales', 'marketing']), validateParams(schemas.idParam), (req, res, next) => {
+  const pipeline = leadPipelineService.findById(req.validated.params.id, req.tenant.id);
+  if (!pipeline) return next(new AppError('NOT_FOUND', 'Pipeline not found', 404));
+  res.json(pipeline);
+});
+
+api.get(
+  '/lead-pipelines/:id/board',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.idParam),
+  validateQuery(schemas.leadPipelineBoardQuery),
+  (req, res, next) => {
+    const result = leadPipelineService.board(req.validated.params.id, req.tenant.id, req.validated.query);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Pipeline not found', 404));
+    res.json(result);
+  }
+);
+
+api.post('/lead-pipelines', requireAuth, authorize(['admin']), validateBody(schemas.leadPipelineCreate), (req, res, next) => {
+  const result = leadPipelineService.create(req.validated.body, req.tenant.id);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  auditChange(req, 'create', 'lead_pipeline', result.pipeline);
+  res.status(201).json(result.pipeline);
+});
+
+api.put(
+  '/lead-pipelines/:id',
+  requireAuth,
+  authorize(['admin']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.leadPipelineUpdate),
+  (req, res, next) => {
+    const result = leadPipelineService.update(req.validated.params.id, req.validated.body, req.tenant.id);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Pipeline not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
+    auditChange(req, 'update', 'lead_pipeline', result.pipeline);
+    res.json(result.pipeline);
+  }
+);
+
+api.delete('/lead-pipelines/:id', requireAuth, authorize(['admin']), validateParams(schemas.idParam), (req, res, next) => {
+  const result = leadPipelineService.remove(req.validated.params.id, req.tenant.id);
+  if (result.notFound) return next(new AppError('NOT_FOUND', 'Pipeline not found', 404));
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  if (result.conflict) return next(new AppError('CONFLICT', result.conflict, 409));
+  auditChange(req, 'delete', 'lead_pipeline', { id: req.validated.params.id });
+  res.status(204).send();
+});
+
 api.get('/leads', requireAuth, authorize(['admin', 'sales', 'marketing']), validateQuery(schemas.leadListQuery), (req, res) => {
   res.json(leadService.list(req.validated.query, req.tenant.id));
 });
@@ -890,10 +1521,62 @@ api.get('/leads/:id/timeline', requireAuth, authorize(['admin', 'sales', 'market
 api.post('/leads', validateBody(schemas.leadCreate), (req, res, next) => {
   const result = leadService.create(req.validated.body, req.tenant.id);
   if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  if (result.duplicate) {
+    webhookService.trigger('lead.updated', result.lead, req.tenant.id);
+    return res.status(201).json(leadService.intakeReceipt(result));
+  }
   webhookService.trigger('lead.created', result.lead, req.tenant.id);
   res.status(201).json(result.lead);
 });
 
+api.post(
+  '/leads/:id/assign',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateBody(schemas.leadAssign),
+  (req, res, next) => {
+    const result = leadRoutingService.assign(req.params.id, req.tenant.id, {
+      memberId: req.validated.body.memberId,
+      actor: req.user,
+      force: true
+    });
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Lead not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    if (result.skipped) return next(new AppError('VALIDATION_ERROR', result.skipped, 400));
+    auditChange(req, 'assign', 'lead', { id: req.params.id, assigneeId: result.lead.assigneeId });
+    webhookService.trigger('lead.updated', result.lead, req.tenant.id);
+    res.json(result.lead);
+  }
+);
+
+api.post('/leads/routing/sla-check', requireAuth, authorize(['admin']), (req, res) => {
+  const result = leadRoutingService.reassignOverdue(req.tenant.id);
+  const escalated = leadResponseService.escalateBreaches(req.tenant.id);
+  result.reassigned.forEach(lead => webhookService.trigger('lead.updated', lead, req.tenant.id));
+  auditChange(req, 'sla_check', 'lead', {
+    reassigned: result.reassigned.map(lead => lead.id),
+    breached: result.breached.map(lead => lead.id),
+    escalated: escalated.map(entry => entry.leadId)
+  });
+  res.json({ ...result, escalated });
+});
+
+api.post(
+  '/leads/:id/merge',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateBody(schemas.leadMerge),
+  (req, res, next) => {
+    const { sourceLeadId } = req.validated.body;
+    const result = leadService.merge(req.params.id, sourceLeadId, req.tenant.id, req.user);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Lead not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'merge', 'lead', { id: req.params.id, sourceLeadId, moved: result.moved, actor: req.user?.email || req.user?.id });
+    webhookService.trigger('lead.merged', { lead: result.lead, mergedLeadId: sourceLeadId }, req.tenant.id);
+    res.json({ lead: result.lead, mergedLead: result.mergedLead, moved: result.moved });
+  }
+);
+
 api.put('/leads/:id', requireAuth, authorize(['admin', 'sales', 'marketing']), validateBody(schemas.leadUpdate), (req, res, next) => {
   const result = leadService.update(req.params.id, req.validated.body, req.tenant.id);
   if (result.notFound) return next(new AppError('NOT_FOUND', 'Lead not found', 404));
@@ -902,13 +1585,20 @@ api.put('/leads/:id', requireAuth, authorize(['admin', 'sales', 'marketing']), v
   res.json(result.lead);
 });
 
-api.patch('/leads/:id/status', requireAuth, authorize(['admin', 'sales', 'marketing']), (req, res, next) => {
-  const result = leadService.setStatus(req.params.id, req.body.status, req.tenant.id);
-  if (result.notFound) return next(new AppError('NOT_FOUND', 'Lead not found', 404));
-  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
-  webhookService.trigger('lead.updated', result.lead, req.tenant.id);
-  res.json(result.lead);
-});
+api.patch(
+  '/leads/:id/status',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateBody(schemas.leadStatusUpdate),
+  (req, res, next) => {
+    const { status, fields } = req.validated.body;
+    const result = leadService.setStatus(req.params.id, status, req.tenant.id, fields);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Lead not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    webhookService.trigger('lead.updated', result.lead, req.tenant.id);
+    res.json(result.lead);
+  }
+);
 
 api.delete('/leads/:id', requireAuth, authorize(['admin', 'marketing']), (req, res, next) => {
   const result = leadService.remove(req.params.id, req.tenant.id);
@@ -933,6 +1623,45 @@ api.patch('/tasks/:id', requireAuth, authorize(['admin', 'sales', 'marketing']),
   res.json(result.task);
 });
 
+api.get('/activities', requireAuth, authorize(['admin', 'sales', 'marketing']), validateQuery(schemas.activityListQuery), (req, res) => {
+  res.json({ activities: activityService.list(req.validated.query, req.tenant.id) });
+});
+
+api.get('/activities/:id', requireAuth, authorize(['admin', 'sales', 'marketing']), validateParams(schemas.idParam), (req, res, next) => {
+  const activity = activityService.findById(req.validated.params.id, req.tenant.id);
+  if (!activity) return next(new AppError('NOT_FOUND', 'Activity not found', 404));
+  res.json(activity);
+});
+
+api.post('/activities', requireAuth, authorize(['admin', 'sales', 'marketing']), validateBody(schemas.activityCreate), (req, res, next) => {
+  const result = activityService.create(req.validated.body, req.tenant.id, req.user);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  auditChange(req, 'create', 'activity', result.activity);
+  webhookService.trigger('activity.logged', result.activity, req.tenant.id);
+  res.status(201).json(result.activity);
+});
+
+api.patch(
+  '/activities/:id',
+  requireAuth,
+  authorize(['admin', 'sales', 'marketing']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.activityUpdate),
+  (req, res, next) => {
+    const result = activityService.update(req.validated.params.id, req.validated.body, req.tenant.id);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Activity not found', 404));
+    auditChange(req, 'update', 'activity', result.activity);
+    res.json(result.activity);
+  }
+);
+
+api.delete('/activities/:id', requireAuth, authorize(['admin']), validateParams(schemas.idParam), (req, res, next) => {
+  const result = activityService.remove(req.validated.params.id, req.tenant.id);
+  if (result.notFound) return next(new AppError('NOT_FOUND', 'Activity not found', 404));
+  auditChange(req, 'delete', 'activity', { id: req.validated.params.id });
+  res.status(204).send();
+});
+
 api.get(
   '/notifications',
   requireAuth,
@@ -1016,6 +1745,212 @@ api.delete('/service-tickets/:id', requireAuth, authorize(['admin']), (req, res,
   res.status(204).send();
 });
 
+api.get('/trade-ins', requireAuth, authorize(['admin', 'sales']), validateQuery(schemas.tradeInListQuery), (req, res) => {
+  res.json({ tradeIns: tradeInService.list(req.validated.query, req.tenant.id) });
+});
+
+api.get('/trade-ins/:id', requireAuth, authorize(['admin', 'sales']), validateParams(schemas.idParam), (req, res, next) => {
+  const tradeIn = tradeInService.findById(req.validated.params.id, req.tenant.id);
+  if (!tradeIn) return next(new AppError('NOT_FOUND', 'Trade-in not found', 404));
+  res.json(tradeIn);
+});
+
+api.post('/trade-ins', requireAuth, authorize(['admin', 'sales']), validateBody(schemas.tradeInCreate), (req, res, next) => {
+  const result = tradeInService.create(req.validated.body, req.tenant.id, req.user);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  auditChange(req, 'create', 'trade_in', result.tradeIn);
+  webhookService.trigger('trade-in.created', result.tradeIn, req.tenant.id);
+  res.status(201).json(result.tradeIn);
+});
+
+api.patch(
+  '/trade-ins/:id',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.tradeInUpdate),
+  (req, res, next) => {
+    const result = tradeInService.update(req.validated.params.id, req.validated.body, req.tenant.id);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Trade-in not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'update', 'trade_in', result.tradeIn);
+    res.json(result.tradeIn);
+  }
+);
+
+api.post(
+  '/trade-ins/:id/appraisal',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.tradeInAppraisal),
+  (req, res, next) => {
+    const result = tradeInService.appraise(req.validated.params.id, req.validated.body, req.tenant.id, req.user);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Trade-in not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'appraise', 'trade_in', {
+      id: result.tradeIn.id,
+      appraisedValue: result.tradeIn.appraisedValue,
+      from: result.previousStatus
+    });
+    webhookService.trigger(
+      'trade-in.status_changed',
+      { tradeIn: result.tradeIn, previousStatus: result.previousStatus },
+      req.tenant.id
+    );
+    res.json(result.tradeIn);
+  }
+);
+
+api.patch(
+  '/trade-ins/:id/status',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.tradeInStatusUpdate),
+  (req, res, next) => {
+    const { status, ...options } = req.validated.body;
+    const result = tradeInService.setStatus(req.validated.params.id, status, req.tenant.id, { ...options, actor: req.user });
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Trade-in not found', 404));
+    if (result.forbidden) return next(new AppError('FORBIDDEN', result.forbidden, 403));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'status', 'trade_in', {
+      id: result.tradeIn.id,
+      from: result.previousStatus,
+      to: status,
+      approvedValue: result.tradeIn.approvedValue
+    });
+    webhookService.trigger(
+      'trade-in.status_changed',
+      { tradeIn: result.tradeIn, previousStatus: result.previousStatus },
+      req.tenant.id
+    );
+    res.json(result.tradeIn);
+  }
+);
+
+api.post(
+  '/trade-ins/:id/convert',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.tradeInConvert),
+  (req, res, next) => {
+    const result = tradeInService.convert(req.validated.params.id, req.validated.body, req.tenant.id, req.user);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Trade-in not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'convert', 'trade_in', { id: result.tradeIn.id, inventoryId: result.unit.id, dealId: result.tradeIn.dealId });
+    auditChange(req, 'create', 'inventory', result.unit);
+    webhookService.trigger(
+      'trade-in.status_changed',
+      { tradeIn: result.tradeIn, previousStatus: result.previousStatus },
+      req.tenant.id
+    );
+    webhookService.trigger('inventory.created', result.unit, req.tenant.id);
+    res.status(201).json({ tradeIn: result.tradeIn, unit: result.unit });
+  }
+);
+
+api.get('/deals', requireAuth, authorize(['admin', 'sales']), validateQuery(schemas.dealListQuery), (req, res) => {
+  res.json({ deals: dealService.list(req.validated.query, req.tenant.id) });
+});
+
+api.get('/deals/:id', requireAuth, authorize(['admin', 'sales']), validateParams(schemas.idParam), (req, res, next) => {
+  const deal = dealService.findById(req.validated.params.id, req.tenant.id);
+  if (!deal) return next(new AppError('NOT_FOUND', 'Deal not found', 404));
+  res.json(deal);
+});
+
+api.post('/deals', requireAuth, authorize(['admin', 'sales']), validateBody(schemas.dealCreate), (req, res, next) => {
+  const result = dealService.create(req.validated.body, req.tenant.id, req.user);
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+  auditChange(req, 'create', 'deal', { id: result.deal.id, leadId: result.deal.leadId, inventoryId: result.deal.inventoryId });
+  webhookService.trigger('deal.created', result.deal, req.tenant.id);
+  res.status(201).json(result.deal);
+});
+
+api.post(
+  '/deals/:id/versions',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.dealTerms),
+  (req, res, next) => {
+    const result = dealService.addVersion(req.validated.params.id, req.validated.body, req.tenant.id, req.user);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Deal not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'version', 'deal', {
+      id: result.deal.id,
+      version: result.version.version,
+      discount: result.version.pricing.discount,
+      approval: result.version.approval.status
+    });
+    res.status(201).json(result.deal);
+  }
+);
+
+api.patch(
+  '/deals/:id/versions/:version/approval',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.dealVersionParams),
+  validateBody(schemas.dealApproval),
+  (req, res, next) => {
+    const { id, version } = req.validated.params;
+    const { status, note } = req.validated.body;
+    const result = dealService.decide(id, version, status, req.tenant.id, { note, actor: req.user });
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Deal version not found', 404));
+    if (result.forbidden) return next(new AppError('FORBIDDEN', result.forbidden, 403));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'approval', 'deal', { id, version, status, discount: result.version.pricing.discount });
+    res.json(result.deal);
+  }
+);
+
+api.post(
+  '/deals/:id/finalize',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.dealFinalize),
+  (req, res, next) => {
+    const result = dealService.finalize(req.validated.params.id, req.validated.body, req.tenant.id, req.user);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Deal not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    const { deal, unit, lead, tradeInConversion } = result;
+    auditChange(req, 'finalize', 'deal', { id: deal.id, version: deal.finalizedVersion });
+    auditChange(req, 'status', 'inventory', { id: unit.id, from: result.previousUnitStatus, to: 'sold' });
+    webhookService.trigger('deal.finalized', deal, req.tenant.id);
+    webhookService.trigger('inventory.status_changed', { unit, previousStatus: result.previousUnitStatus }, req.tenant.id);
+    webhookService.trigger('lead.updated', lead, req.tenant.id);
+    if (tradeInConversion?.unit) {
+      auditChange(req, 'convert', 'trade_in', {
+        id: tradeInConversion.tradeIn.id,
+        inventoryId: tradeInConversion.unit.id,
+        dealId: deal.id
+      });
+      auditChange(req, 'create', 'inventory', tradeInConversion.unit);
+      webhookService.trigger('inventory.created', tradeInConversion.unit, req.tenant.id);
+    }
+    res.json({ deal, unit, lead, tradeInConversion });
+  }
+);
+
+api.post(
+  '/deals/:id/cancel',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateParams(schemas.idParam),
+  validateBody(schemas.dealCancel),
+  (req, res, next) => {
+    const result = dealService.cancel(req.validated.params.id, req.validated.body, req.tenant.id, req.user);
+    if (result.notFound) return next(new AppError('NOT_FOUND', 'Deal not found', 404));
+    if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
+    auditChange(req, 'cancel', 'deal', { id: result.deal.id, reason: result.deal.cancelReason });
+    res.json(result.deal);
+  }
+);
+
 api.get('/finance-offers', validateQuery(schemas.financeOfferListQuery), (req, res) => {
   res.json(financeOfferService.list(req.validated.query, req.tenant.id));
 });
@@ -1036,6 +1971,7 @@ api.post('/finance-offers', requireAuth, authorize(['admin', 'marketing']), vali
 api.put('/finance-offers/:id', requireAuth, authorize(['admin', 'marketing']), validateBody(schemas.financeOfferUpdate), (req, res, next) => {
   const result = financeOfferService.update(req.params.id, req.validated.body, req.tenant.id);
   if (result.notFound) return next(new AppError('NOT_FOUND', 'Finance offer not found', 404));
+  if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
   webhookService.trigger('finance-offer.updated', result.offer, req.tenant.id);
   res.json(result.offer);
 });
@@ -1079,10 +2015,50 @@ api.get('/reports/campaigns/performance', requireAuth, authorize(['admin', 'mark
   res.json(campaignService.performance(req.tenant.id));
 });
 
+api.get(
+  '/reports/inventory-aging',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateQuery(schemas.inventoryAgingQuery),
+  (req, res) => {
+    res.json(inventoryAgingService.agingReport(req.tenant.id, req.validated.query));
+  }
+);
+
+api.get(
+  '/reports/lead-response',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateQuery(schemas.leadResponseReportQuery),
+  (req, res) => {
+    res.json(analyticsService.leadResponseReport(req.tenant.id, req.validated.query));
+  }
+);
+
+api.get(
+  '/reports/activities',
+  requireAuth,
+  authorize(['admin', 'sales']),
+  validateQuery(schemas.activityReportQuery),
+  (req, res) => {
+    res.json(analyticsService.activityReport(req.tenant.id, req.validated.query));
+  }
+);
+
+api.post('/reports/inventory-aging/flag', requireAuth, authorize(['admin']), (req, res) => {
+  const tasks = inventoryAgingService.flagAgedUnits(req.tenant.id);
+  auditChange(req, 'flag', 'inventory_aging', { taskIds: tasks.map(task => task.id) });
+  res.json({ created: tasks.length, tasks });
+});
+
 api.get('/teams', (req, res) => {
   res.json(teamService.list(req.query, req.tenant.id));
 });
 
+api.get('/teams/members', requireAuth, authorize(['admin', 'sales', 'marketing']), (req, res) => {
+  res.json({ members: teamService.listMembers({ role: req.query.role }, req.tenant.id) });
+});
+
 api.post('/teams', requireAuth, authorize(['admin']), (req, res, next) => {
   const result = teamService.create(req.body, req.tenant.id);
   if (result.error) return next(new AppError('VALIDATION_ERROR', result.error, 400));
@@ -1147,6 +2123,95 @@ api.patch(
   }
 );
 
+api.get('/settings/similarity-weights', requireAuth, authorize(['admin', 'marketing']), (req, res) => {
+  res.json({
+    similarityWeights: {
+      ...inventorySimilarityService.DEFAULT_SIMILARITY_WEIGHTS,
+      ...settingsService.getSimilarityWeights(req.tenant.id)
+    }
+  });
+});
+
+api.patch(
+  '/settings/similarity-weights',
+  requireAuth,
+  authorize(['admin', 'marketing']),
+  validateBody(schemas.similarityWeightsUpdate),
+  (req, res) => {
+    const result = settingsService.updateSimilarityWeights(req.validated.body, req.tenant.id);
+    res.json({ ...inventorySimilarityService.DEFAULT_SIMILARITY_WEIGHTS, ...result.similarityWeights });
+  }
+);
+
+api.get('/settings/document-templates', requireAuth, authorize(['admin', 'marketing']), (req, res) => {
+  res.json({ documentTemplates: inventoryDocumentService.getTemplates(req.tenant.id) });
+});
+
+api.patch(
+  '/settings/document-templates',
+  requireAuth,
+  authorize(['admin', 'marketing']),
+  validateBody(schemas.documentTemplatesUpdate),
+  (req, res) => {
+    settingsService.updateDocumentTemplates(req.validated.body, req.tenant.id);
+    res.json({ documentTemplates: inventoryDocumentService.getTemplates(req.tenant.id) });
+  }
+);
+
+api.get('/settings/inventory-aging', requireAuth, authorize(['admin']), (req, res) => {
+  res.json({ inventoryAging: inventoryAgingService.getSettings(req.tenant.id) });
+});
+
+api.patch(
+  '/settings/inventory-aging',
+  requireAuth,
+  authorize(['admin']),
+  validateBody(schemas.inventoryAgingSettingsUpdate),
+  (req, res) => {
+    settingsService.updateInventoryAging(req.validated.body, req.tenant.id);
+    res.json(inventoryAgingService.getSettings(req.tenant.id));
+  }
+);
+
+api.get('/settings/deal-desk', requireAuth, authorize(['admin']), (req, res) => {
+  res.json({ dealDesk: dealService.getSettings(req.tenant.id) });
+});
+
+api.patch('/settings/deal-desk', requireAuth, authorize(['admin']), validateBody(schemas.dealDeskSettingsUpdate), (req, res) => {
+  settingsService.updateDealDesk(req.validated.body, req.tenant.id);
+  res.json(dealService.getSettings(req.tenant.id));
+});
+
+api.get('/settings/lead-routing', requireAuth, authorize(['admin']), (req, res) => {
+  res.json({ leadRouting: leadRoutingService.getSettings(req.tenant.id) });
+});
+
+api.patch(
+  '/settings/lead-routing',
+  requireAuth,
+  authorize(['admin']),
+  validateBody(schemas.leadRoutingSettingsUpdate),
+  (req, res) => {
+    settingsService.updateLeadRouting(req.validated.body, req.tenant.id);
+    res.json(leadRoutingService.getSettings(req.tenant.id));
+  }
+);
+
+api.get('/settings/lead-response', requireAuth, authorize(['admin']), (req, res) => {
+  res.json({ leadResponse: leadResponseService.getSettings(req.tenant.id) });
+});
+
+api.patch(
+  '/settings/lead-response',
+  requireAuth,
+  authorize(['admin']),
+  validateBody(schemas.leadResponseSettingsUpdate),
+  (req, res) => {
+    settingsService.updateLeadResponse(req.validated.body, req.tenant.id);
+    res.json(leadResponseService.getSettings(req.tenant.id));
+  }
+);
+
 api.get('/settings/lead-scoring', requireAuth, authorize(['admin', 'marketing']), (req, res) => {
   res.json({ leadScoringRules: settingsService.getLeadScoringRules(req.tenant.id) });
 });
@@ -1567,8 +2632,7 @@ api.post('/webhooks', requireAuth, authorize(['admin', 'marketing']), validateBo
   res.status(201).json(result.webhook);
 });
 
-api.put('/webhooks/:id', requireAuth, authorize(['admin', 'marketing']), validateBody(schemas.webhookUpdate), (req, res, next)
- => {
+api.put('/webhooks/:id', requireAuth, authorize(['admin', 'marketing']), validateBody(schemas.webhookUpdate), (req, res, next) => {
   const result = webhookService.update(req.params.id, req.validated.body, req.tenant.id);
   if (result.notFound) return next(new AppError('NOT_FOUND', 'Webhook not found', 404));
   res.json(result.webhook);
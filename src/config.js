@@ -40,6 +40,29 @@ module.exports = {
   tenancy: {
     defaultTenantId: process.env.DEFAULT_TENANT_ID || 'main'
   },
+  inventory: {
+    holdReleaseIntervalMs: Number(process.env.HOLD_RELEASE_INTERVAL_MS || 60 * 1000),
+    agingCheckIntervalMs: Number(process.env.AGING_CHECK_INTERVAL_MS || 6 * 60 * 60 * 1000),
+    repricingIntervalMs: Number(process.env.REPRICING_INTERVAL_MS || 24 * 60 * 60 * 1000)
+  },
+  leads: {
+    slaCheckIntervalMs: Number(process.env.LEAD_SLA_CHECK_INTERVAL_MS || 5 * 60 * 1000)
+  },
+  media: {
+    uploadDir: process.env.MEDIA_UPLOAD_DIR || null,
+    publicBaseUrl: (process.env.MEDIA_PUBLIC_BASE_URL || '/media').replace(/\/$/, ''),
+    maxUploadMb: Number(process.env.MEDIA_MAX_UPLOAD_MB || 20),
+    minWidth: Number(process.env.MEDIA_MIN_WIDTH || 1200),
+    minHeight: Number(process.env.MEDIA_MIN_HEIGHT || 800)
+  },
+  vin: {
+    referenceFile: process.env.VIN_REFERENCE_FILE || 'vinReference.json'
+  },
+  imports: {
+    watchEnabled: process.env.IMPORT_WATCH_ENABLED !== 'false',
+    dropDir: process.env.IMPORT_DROP_DIR || null,
+    pollIntervalMs: Number(process.env.IMPORT_POLL_INTERVAL_MS || 5 * 60 * 1000)
+  },
   security: {
     piiMaskFields: (process.env.PII_MASK_FIELDS || 'email,phone,ssn').split(',').map(f => f.trim()).filter(Boolean)
   }
@@ -0,0 +1,110 @@
+// Weekly opening hours as [open, close) minute ranges per local weekday, Sunday first. A day without a
+// range is closed; a schedule with no open day at all is treated as always open.
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTE_MS = 60 * 1000;
+const RANGE_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*[-–]\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i;
+
+function toMinutes(hours, minutes, meridiem) {
+  let hour = Number(hours) % (meridiem ? 12 : 24);
+  if (meridiem && meridiem.toLowerCase() === 'pm') hour += 12;
+  return hour * 60 + Number(minutes || 0);
+}
+
+/** Parses "9:00 AM - 6:00 PM" or "09:00-18:00"; "Closed", blanks and unreadable values give null. */
+function parseRange(value) {
+  const match = RANGE_PATTERN.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const open = toMinutes(match[1], match[2], match[3]);
+  const close = toMinutes(match[4], match[5], match[6]);
+  return close > open ? { open, close } : null;
+}
+
+/**
+ * Builds a schedule from `{ mon: '9:00 AM - 6:00 PM', ..., sun: 'Closed' }`, or from the
+ * `{ weekday, saturday, sunday }` shape of the tenant's published hours.
+ */
+function buildSchedule(hours = {}) {
+  const byDay = DAY_KEYS.map((key, day) => {
+    if (hours[key] !== undefined) return hours[key];
+    if (day === 0) return hours.sunday;
+    if (day === 6) return hours.saturday;
+    return hours.weekday;
+  });
+  return byDay.map(parseRange);
+}
+
+const isAlwaysOpen = schedule => !schedule || schedule.every(range => !range);
+
+function localTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(entry => entry.type === type).value;
+  return {
+    day: DAY_KEYS.indexOf(part('weekday').slice(0, 3).toLowerCase()),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+/**
+ * Moves `minutes` of open time forward from `start`, so a 30-minute SLA on a lead that arrives after
+ * closing runs out 30 minutes after the next opening.
+ */
+function addBusinessMinutes(start, minutes, schedule, timeZone) {
+  let cursor = new Date(start).getTime();
+  if (isAlwaysOpen(schedule)) return new Date(cursor + minutes * MINUTE_MS);
+  let remaining = minutes;
+  // Two weeks of day boundaries is plenty for any SLA measured in hours.
+  for (let step = 0; step < 28; step += 1) {
+    const { day, minutes: now } = localTime(new Date(cursor), timeZone);
+    const range = schedule[day];
+    if (range && now >= range.open && now < range.close) {
+      const available = range.close - now;
+      if (remaining <= available) return new Date(cursor + remaining * MINUTE_MS);
+      remaining -= available;
+      cursor += available * MINUTE_MS;
+    } else if (range && now < range.open) {
+      cursor += (range.open - now) * MINUTE_MS;
+    } else {
+      cursor += (MINUTES_PER_DAY - now) * MINUTE_MS;
+    }
+  }
+  return new Date(cursor + remaining * MINUTE_MS);
+}
+
+/** Open minutes between two instants; a lead answered over the weekend only counts Saturday's hours. */
+function businessMinutesBetween(start, end, schedule, timeZone) {
+  let cursor = new Date(start).getTime();
+  const stop = new Date(end).getTime();
+  if (stop <= cursor) return 0;
+  if (isAlwaysOpen(schedule)) return (stop - cursor) / MINUTE_MS;
+  let total = 0;
+  while (cursor < stop) {
+    const { day, minutes: now } = localTime(new Date(cursor), timeZone);
+    const range = schedule[day];
+    let step;
+    if (range && now >= range.open && now < range.close) {
+      step = Math.min((range.close - now) * MINUTE_MS, stop - cursor);
+      total += step / MINUTE_MS;
+    } else if (range && now < range.open) {
+      step = (range.open - now) * MINUTE_MS;
+    } else {
+      step = (MINUTES_PER_DAY - now) * MINUTE_MS;
+    }
+    cursor += step;
+  }
+  return total;
+}
+
+module.exports = {
+  DAY_KEYS,
+  parseRange,
+  buildSchedule,
+  addBusinessMinutes,
+  businessMinutesBetween
+};
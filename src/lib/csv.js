@@ -0,0 +1,77 @@
+// RFC 4180 CSV parsing: quoted fields, doubled quotes, embedded delimiters and
+// line breaks, CRLF or LF record endings and a leading UTF-8 BOM.
+function parseCsv(text, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const records = [];
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    values.push(field);
+    const blank = values.length === 1 && values[0].trim() === '';
+    if (!blank) records.push({ line: recordLine, values });
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field.trim() === '') {
+      field = '';
+      inQuotes = true;
+    } else if (char === delimiter) {
+      values.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return {
+      records,
+      error: { line: recordLine, code: 'UNTERMINATED_QUOTE', message: `Quoted field starting on line ${recordLine} is never closed` }
+    };
+  }
+  if (field !== '' || values.length) endRecord();
+  return { records };
+}
+
+function formatCsvValue(value, delimiter) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? value.join('|') : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serializes rows (arrays of cells) with CRLF record endings; array cells are pipe-joined.
+function toCsv(rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  return rows.map(row => row.map(value => formatCsvValue(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -2,6 +2,20 @@ const http = require('http');
 const { parse: parseUrl } = require('url');
 const fs = require('fs');
 const path = require('path');
+const { parseMultipart } = require('./multipart');
+
+const STATIC_CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
 
 function compilePath(pattern) {
   const keys = [];
@@ -95,6 +109,8 @@ function buildStaticMiddleware(root) {
     if (!targetPath.startsWith(path.resolve(root))) return next();
     fs.stat(targetPath, (err, stats) => {
       if (err || !stats.isFile()) return next();
+      const contentType = STATIC_CONTENT_TYPES[path.extname(targetPath).toLowerCase()];
+      if (contentType && !res.getHeader('Content-Type')) res.setHeader('Content-Type', contentType);
       fs.createReadStream(targetPath).pipe(res);
     });
   };
@@ -117,9 +133,10 @@ function parseBody(limitBytes, parser) {
     });
     req.on('end', () => {
       req._bodyParsed = true;
-      const raw = Buffer.concat(chunks).toString(parser.encoding);
+      const buffer = Buffer.concat(chunks);
+      const raw = parser.encoding ? buffer.toString(parser.encoding) : buffer;
       try {
-        req.body = parser.parse(raw);
+        req.body = parser.parse(raw, req);
         next();
       } catch (err) {
         next(err);
@@ -157,6 +174,20 @@ function urlencodedParser({ limit }) {
   });
 }
 
+// Buffers the whole body, so mount it on upload routes only with a limit that suits them.
+function multipartParser({ limit }) {
+  const limitBytes = parseLimit(limit);
+  return parseBody(limitBytes, {
+    encoding: null,
+    matches: type => type.includes('multipart/form-data'),
+    parse: (raw, req) => {
+      const { fields, files } = parseMultipart(raw, req.headers['content-type']);
+      req.files = files;
+      return fields;
+    }
+  });
+}
+
 function parseLimit(limit) {
   if (typeof limit === 'number') return limit;
   if (typeof limit === 'string' && limit.toLowerCase().endsWith('mb')) {
@@ -193,7 +224,7 @@ function createApp() {
           res.statusCode = res.statusCode || 500;
           res.end(err.message || 'Server error');
         } else if (!res.writableEnded) {
-          res.statusCode = res.statusCode || 404;
+          res.statusCode = 404;
           res.end('Not Found');
         }
         return;
@@ -317,5 +348,6 @@ module.exports = Object.assign(createApp, {
   Router,
   json: jsonParser,
   urlencoded: urlencodedParser,
+  multipart: multipartParser,
   static: buildStaticMiddleware
 });
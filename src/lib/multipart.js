@@ -0,0 +1,58 @@
+// multipart/form-data parsing (RFC 7578) over a fully buffered body. Text parts become fields;
+// parts with a filename become files with their raw bytes.
+function boundaryFrom(contentType = '') {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+function parseHeaders(block) {
+  return block.split('\r\n').reduce((headers, line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    return headers;
+  }, {});
+}
+
+function dispositionParam(disposition, name) {
+  const match = new RegExp(`(?:^|;)\\s*${name}=(?:"([^"]*)"|([^;]*))`, 'i').exec(disposition);
+  return match ? (match[1] ?? match[2]).trim() : undefined;
+}
+
+function parseMultipart(buffer, contentType) {
+  const boundary = boundaryFrom(contentType);
+  if (!boundary) throw Object.assign(new Error('Missing multipart boundary'), { statusCode: 400, code: 'INVALID_MULTIPART' });
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    if (buffer.slice(partStart, partStart + 2).toString() === '--') break;
+    const next = buffer.indexOf(delimiter, partStart);
+    if (next === -1) break;
+    // Each part sits between the CRLF after the delimiter and the CRLF before the next one.
+    const part = buffer.slice(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = parseHeaders(part.slice(0, headerEnd).toString('utf8'));
+      const body = part.slice(headerEnd + 4);
+      const disposition = headers['content-disposition'] || '';
+      const name = dispositionParam(disposition, 'name');
+      const fileName = dispositionParam(disposition, 'filename');
+      if (name && fileName !== undefined) {
+        files.push({ fieldName: name, fileName, contentType: headers['content-type'] || 'application/octet-stream', data: body });
+      } else if (name) {
+        const value = body.toString('utf8');
+        fields[name] = fields[name] === undefined ? value : [].concat(fields[name], value);
+      }
+    }
+    start = next;
+  }
+  return { fields, files };
+}
+
+module.exports = {
+  boundaryFrom,
+  parseMultipart
+};
@@ -0,0 +1,237 @@
+// Minimal PDF 1.4 writer: pages of text, filled rectangles and lines using the standard Helvetica fonts,
+// so documents render anywhere without embedding font files. Coordinates are in points from the top-left.
+const zlib = require('zlib');
+
+const PAGE_SIZES = {
+  letter: [612, 792],
+  a4: [595.28, 841.89]
+};
+const FONTS = { regular: 'F1', bold: 'F2' };
+const BASE_FONTS = { F1: 'Helvetica', F2: 'Helvetica-Bold' };
+
+// Advance widths (1/1000 em) for printable ASCII 32-126, from the Adobe core font metrics.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+    556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+    260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611,
+    556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389,
+    280, 389, 584
+  ]
+};
+const DEFAULT_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsiEncoding still covers.
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '™': 0x99
+};
+
+function toWinAnsi(text) {
+  return Array.from(String(text ?? '')).map(char => {
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+    const code = char.codePointAt(0);
+    if (code === 0x09 || code === 0x0a || code === 0x0d) return 0x20;
+    return code < 0x20 || code > 0xff ? 0x3f : code;
+  });
+}
+
+function escapeText(codes) {
+  return codes
+    .map(code => {
+      if (code === 0x28 || code === 0x29 || code === 0x5c) return `\\${String.fromCharCode(code)}`;
+      if (code > 0x7e) return `\\${code.toString(8).padStart(3, '0')}`;
+      return String.fromCharCode(code);
+    })
+    .join('');
+}
+
+function measure(text, size, font = 'regular') {
+  const table = WIDTHS[font] || WIDTHS.regular;
+  const units = toWinAnsi(text).reduce((sum, code) => sum + (table[code - 32] ?? DEFAULT_WIDTH), 0);
+  return (units * size) / 1000;
+}
+
+// Greedy word wrap; words longer than the line are broken by character.
+function wrap(text, width, size, font = 'regular') {
+  const lines = [];
+  String(text ?? '')
+    .split(/\r?\n/)
+    .forEach(paragraph => {
+      let line = '';
+      paragraph
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach(word => {
+          const candidate = line ? `${line} ${word}` : word;
+          if (measure(candidate, size, font) <= width) {
+            line = candidate;
+            return;
+          }
+          if (line) lines.push(line);
+          line = '';
+          let rest = word;
+          while (measure(rest, size, font) > width && rest.length > 1) {
+            let cut = rest.length - 1;
+            while (cut > 1 && measure(rest.slice(0, cut), size, font) > width) cut -= 1;
+            lines.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+          }
+          line = rest;
+        });
+      lines.push(line);
+    });
+  return lines;
+}
+
+function parseColor(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(hex || ''));
+  const value = match ? parseInt(match[1], 16) : 0;
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff].map(channel => (channel / 255).toFixed(3)).join(' ');
+}
+
+const num = value => Number(value.toFixed(2)).toString();
+
+/**
+ * Creates a document. Drawing calls target the current page; call addPage() first and again for each new page.
+ * toBuffer() serializes everything with Flate-compressed content streams.
+ */
+function createPdfDocument(options = {}) {
+  const [width, height] = PAGE_SIZES[options.size] || PAGE_SIZES.letter;
+  const pages = [];
+  const info = { Title: options.title, Author: options.author, Creator: options.creator };
+  let current = null;
+
+  const y = top => height - top;
+  const push = command => {
+    if (!current) throw new Error('addPage() must be called before drawing');
+    current.push(command);
+  };
+
+  const doc = {
+    width,
+    height,
+    measure,
+    wrap,
+    addPage() {
+      current = [];
+      pages.push(current);
+      return doc;
+    },
+    get pageCount() {
+      return pages.length;
+    },
+    // `top` is the text baseline measured from the top edge.
+    text(value, x, top, { size = 10, font = 'regular', color = '#111111', align = 'left', width: boxWidth } = {}) {
+      const textWidth = measure(value, size, font);
+      let left = x;
+      if (align === 'right') left = x + (boxWidth ?? 0) - textWidth;
+      if (align === 'center') left = x + ((boxWidth ?? 0) - textWidth) / 2;
+      push(
+        `BT ${parseColor(color)} rg /${FONTS[font] || FONTS.regular} ${num(size)} Tf ${num(left)} ${num(y(top))} Td (${escapeText(toWinAnsi(value))}) Tj ET`
+      );
+      return doc;
+    },
+    rect(x, top, w, h, { fill, stroke, lineWidth = 1 } = {}) {
+      const path = `${num(x)} ${num(y(top + h))} ${num(w)} ${num(h)} re`;
+      if (fill && stroke) push(`${parseColor(fill)} rg ${parseColor(stroke)} RG ${num(lineWidth)} w ${path} B`);
+      else if (stroke) push(`${parseColor(stroke)} RG ${num(lineWidth)} w ${path} S`);
+      else push(`${parseColor(fill || '#000000')} rg ${path} f`);
+      return doc;
+    },
+    line(x1, top1, x2, top2, { color = '#000000', lineWidth = 1 } = {}) {
+      push(`${parseColor(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(y(top1))} m ${num(x2)} ${num(y(top2))} l S`);
+      return doc;
+    },
+    toBuffer() {
+      if (!pages.length) doc.addPage();
+      const objects = [];
+      const reserve = () => objects.push(null);
+      const set = (id, body) => {
+        objects[id - 1] = body;
+      };
+
+      reserve();
+      reserve();
+      const catalogId = 1;
+      const pagesId = 2;
+      const fontIds = Object.keys(BASE_FONTS).map(key => {
+        objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${BASE_FONTS[key]} /Encoding /WinAnsiEncoding >>`);
+        return [key, objects.length];
+      });
+      const fontResources = fontIds.map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+      const pageIds = pages.map(commands => {
+        const content = zlib.deflateSync(Buffer.from(commands.join('\n'), 'latin1'));
+        objects.push({ dict: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+        const contentId = objects.length;
+        objects.push(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+        );
+        return objects.length;
+      });
+      set(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+      set(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+      const infoEntries = Object.entries(info)
+        .filter(([, value]) => value)
+        .map(([key, value]) => `/${key} (${escapeText(toWinAnsi(value))})`);
+      objects.push(`<< ${infoEntries.join(' ')} /Producer (rv-dealer-backend) >>`);
+      const infoId = objects.length;
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = objects.map((object, index) => {
+        const start = offset;
+        const parts =
+          typeof object === 'string'
+            ? [Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, 'latin1')]
+            : [
+                Buffer.from(`${index + 1} 0 obj\n${object.dict}\nstream\n`, 'latin1'),
+                object.stream,
+                Buffer.from('\nendstream\nendobj\n', 'latin1')
+              ];
+        parts.forEach(part => {
+          chunks.push(part);
+          offset += part.length;
+        });
+        return start;
+      });
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+        ''
+      ].join('\n');
+      chunks.push(Buffer.from(xref, 'latin1'));
+      return Buffer.concat(chunks);
+    }
+  };
+  return doc;
+}
+
+module.exports = {
+  PAGE_SIZES,
+  createPdfDocument,
+  measure,
+  wrap
+};
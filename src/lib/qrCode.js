@@ -0,0 +1,316 @@
+// QR Code Model 2 encoder (ISO/IEC 18004) for short payloads such as URLs: byte mode, error correction
+// level M, versions 1-10 (up to 213 bytes). Returns the module matrix; rendering is left to the caller.
+const MAX_VERSION = 10;
+// Per version, index 0 unused. Level M only.
+const RAW_CODEWORDS = [0, 26, 44, 70, 100, 134, 172, 196, 242, 292, 346];
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ERROR_CORRECTION_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const ALIGNMENT_POSITIONS = [
+  [],
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50]
+];
+const ECC_LEVEL_M_FORMAT_BITS = 0;
+const PAD_BYTES = [0xec, 0x11];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+function dataCodewordCount(version) {
+  return RAW_CODEWORDS[version] - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+}
+
+function encodeData(bytes, version) {
+  const capacityBits = dataCodewordCount(version) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) bits.push(getBit(value, i) ? 1 : 0);
+  };
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  for (let pad = 0; codewords.length < capacityBits / 8; pad += 1) codewords.push(PAD_BYTES[pad % 2]);
+  return codewords;
+}
+
+// Splits data into blocks, appends each block's ECC and interleaves the result.
+function addErrorCorrection(data, version) {
+  const numBlocks = ERROR_CORRECTION_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = RAW_CODEWORDS[version];
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i += 1) {
+    const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+    offset += blockData.length;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    if (i < numShortBlocks) blockData.push(0);
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - eccLength || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  return { version, size, modules, reserved, setFunction };
+}
+
+function drawFinder(matrix, cx, cy) {
+  for (let dy = -4; dy <= 4; dy += 1) {
+    for (let dx = -4; dx <= 4; dx += 1) {
+      const x = cx + dx;
+      const y = cy + dy;
+      if (x < 0 || y < 0 || x >= matrix.size || y >= matrix.size) continue;
+      const distance = Math.max(Math.abs(dx), Math.abs(dy));
+      matrix.setFunction(x, y, distance !== 2 && distance !== 4);
+    }
+  }
+}
+
+function drawAlignment(matrix, cx, cy) {
+  for (let dy = -2; dy <= 2; dy += 1) {
+    for (let dx = -2; dx <= 2; dx += 1) {
+      matrix.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }
+}
+
+function drawFormatBits(matrix, mask) {
+  const data = (ECC_LEVEL_M_FORMAT_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const { size, setFunction } = matrix;
+
+  for (let i = 0; i <= 5; i += 1) setFunction(8, i, getBit(bits, i));
+  setFunction(8, 7, getBit(bits, 6));
+  setFunction(8, 8, getBit(bits, 7));
+  setFunction(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i += 1) setFunction(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i += 1) setFunction(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i += 1) setFunction(8, size - 15 + i, getBit(bits, i));
+  setFunction(8, size - 8, true);
+  return bits;
+}
+
+function drawVersionBits(matrix) {
+  if (matrix.version < 7) return;
+  let remainder = matrix.version;
+  for (let i = 0; i < 12; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  const bits = (matrix.version << 12) | remainder;
+  for (let i = 0; i < 18; i += 1) {
+    const a = matrix.size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    matrix.setFunction(a, b, getBit(bits, i));
+    matrix.setFunction(b, a, getBit(bits, i));
+  }
+}
+
+function drawFunctionPatterns(matrix) {
+  const { size, version } = matrix;
+  for (let i = 0; i < size; i += 1) {
+    matrix.setFunction(6, i, i % 2 === 0);
+    matrix.setFunction(i, 6, i % 2 === 0);
+  }
+  drawFinder(matrix, 3, 3);
+  drawFinder(matrix, size - 4, 3);
+  drawFinder(matrix, 3, size - 4);
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  positions.forEach((x, i) => {
+    positions.forEach((y, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      drawAlignment(matrix, x, y);
+    });
+  });
+  drawFormatBits(matrix, 0);
+  drawVersionBits(matrix);
+}
+
+// Zigzag placement: two-column strips from the right edge, alternating upward and downward, skipping column 6.
+function drawCodewords(matrix, codewords) {
+  const { size, modules, reserved } = matrix;
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+        modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+        bitIndex += 1;
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  x => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function applyMask(matrix, mask) {
+  const { size, modules, reserved } = matrix;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+const FINDER_LIKE = [
+  [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]
+];
+
+function lineScore(line) {
+  let score = 0;
+  let run = 1;
+  for (let i = 1; i <= line.length; i += 1) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      run += 1;
+    } else {
+      if (run >= 5) score += 3 + (run - 5);
+      run = 1;
+    }
+  }
+  for (let i = 0; i + 11 <= line.length; i += 1) {
+    FINDER_LIKE.forEach(pattern => {
+      if (pattern.every((bit, k) => line[i + k] === Boolean(bit))) score += 40;
+    });
+  }
+  return score;
+}
+
+// Standard penalty rules: long runs, 2x2 blocks, finder-like patterns and dark/light imbalance.
+function penalty(matrix) {
+  const { size, modules } = matrix;
+  let score = 0;
+  let dark = 0;
+  for (let i = 0; i < size; i += 1) {
+    score += lineScore(modules[i]);
+    score += lineScore(modules.map(row => row[i]));
+  }
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) dark += 1;
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/**
+ * Encodes text (UTF-8) into a QR code. Picks the smallest version that fits and the mask with the lowest penalty.
+ * Returns { version, size, mask, modules } where modules[y][x] is true for dark.
+ */
+function encode(text) {
+  const bytes = Array.from(Buffer.from(String(text), 'utf8'));
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewordCount(version) * 8) {
+    version += 1;
+  }
+  if (version > MAX_VERSION) throw new Error(`QR payload too long (${bytes.length} bytes)`);
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask += 1) {
+    const matrix = createMatrix(version);
+    drawFunctionPatterns(matrix);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, mask);
+    const score = penalty(matrix);
+    if (!best || score < best.score) best = { score, mask, matrix };
+  }
+  return { version, size: best.matrix.size, mask: best.mask, modules: best.matrix.modules };
+}
+
+module.exports = {
+  encode,
+  reedSolomonDivisor,
+  reedSolomonRemainder
+};
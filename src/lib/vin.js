@@ -0,0 +1,98 @@
+// 17-character VIN structure (49 CFR Part 565 / ISO 3779): WMI in positions 1-3, descriptor section 4-8,
+// check digit 9, model year 10, plant 11 and serial 12-17.
+const VIN_LENGTH = 17;
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+// Position 10 cycles every 30 years starting at 1980; I, O, Q, U, Z and 0 are never used.
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const YEAR_CYCLE_START = 1980;
+
+const normalizeVin = value => String(value ?? '').trim().toUpperCase();
+
+function valueOf(char) {
+  if (/[0-9]/.test(char)) return Number(char);
+  return TRANSLITERATION[char];
+}
+
+function computeCheckDigit(vin) {
+  const normalized = normalizeVin(vin);
+  if (normalized.length !== VIN_LENGTH) return null;
+  let sum = 0;
+  for (let i = 0; i < VIN_LENGTH; i += 1) {
+    const value = valueOf(normalized[i]);
+    if (value === undefined) return null;
+    sum += value * WEIGHTS[i];
+  }
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+}
+
+/**
+ * Candidate model years for the position-10 code. The code repeats every 30 years, so the latest
+ * year no later than next calendar year is picked; trailers and motorhomes do not follow the
+ * light-vehicle position-7 rule that would otherwise disambiguate.
+ */
+function decodeModelYear(vin, now = new Date()) {
+  const index = YEAR_CODES.indexOf(normalizeVin(vin)[9]);
+  if (index === -1) return null;
+  const latest = now.getUTCFullYear() + 1;
+  const candidates = [];
+  for (let year = YEAR_CYCLE_START + index; year <= latest; year += YEAR_CODES.length) candidates.push(year);
+  return candidates.length ? { year: candidates[candidates.length - 1], candidates } : null;
+}
+
+// Small manufacturers (under 1,000 vehicles a year) share a WMI ending in 9 and are told apart by positions 12-14.
+function manufacturerCode(vin) {
+  const normalized = normalizeVin(vin);
+  const wmi = normalized.slice(0, 3);
+  return wmi[2] === '9' && normalized.length === VIN_LENGTH ? `${wmi}${normalized.slice(11, 14)}` : wmi;
+}
+
+/**
+ * Structural checks for a VIN. Problems come back as { code, message } warnings instead of throwing
+ * so callers can still store older or non-conforming serial numbers.
+ */
+function validateVin(value, now = new Date()) {
+  const vin = normalizeVin(value);
+  const warnings = [];
+  if (!vin) return { vin, valid: false, warnings: [{ code: 'VIN_MISSING', message: 'VIN is empty' }] };
+  if (!/^[A-Z0-9]+$/.test(vin) || /[IOQ]/.test(vin)) {
+    warnings.push({ code: 'VIN_INVALID_CHARACTERS', message: 'VINs use digits and letters other than I, O and Q' });
+  }
+  if (vin.length !== VIN_LENGTH) {
+    warnings.push({ code: 'VIN_LENGTH', message: `VIN has ${vin.length} characters; modern VINs have ${VIN_LENGTH}` });
+    return { vin, valid: false, warnings };
+  }
+  const checkDigit = computeCheckDigit(vin);
+  if (checkDigit && checkDigit !== vin[8]) {
+    warnings.push({ code: 'VIN_CHECK_DIGIT', message: `Check digit is ${vin[8]} but should be ${checkDigit}` });
+  }
+  const modelYear = decodeModelYear(vin, now);
+  if (!modelYear) warnings.push({ code: 'VIN_MODEL_YEAR', message: `Position 10 (${vin[9]}) is not a model year code` });
+  return {
+    vin,
+    valid: warnings.length === 0,
+    warnings,
+    wmi: vin.slice(0, 3),
+    manufacturerCode: manufacturerCode(vin),
+    descriptor: vin.slice(3, 8),
+    checkDigit,
+    modelYear: modelYear?.year,
+    modelYearCandidates: modelYear?.candidates,
+    plantCode: vin[10],
+    serial: vin.slice(11)
+  };
+}
+
+module.exports = {
+  VIN_LENGTH,
+  normalizeVin,
+  computeCheckDigit,
+  decodeModelYear,
+  manufacturerCode,
+  validateVin
+};
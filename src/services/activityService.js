@@ -0,0 +1,171 @@
+const { randomUUID } = require('node:crypto');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload, sanitizeString } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+const teamService = require('./teamService');
+const leadScoringService = require('./leadScoringService');
+const leadResponseService = require('./leadResponseService');
+
+const ACTIVITY_TYPES = ['call', 'email', 'text', 'visit'];
+const ACTIVITY_DIRECTIONS = ['inbound', 'outbound'];
+const ACTIVITY_OUTCOMES = ['connected', 'voicemail', 'no_answer', 'sent', 'replied', 'appointment_set', 'not_interested'];
+
+const actorName = actor => actor?.email || actor?.id;
+const optionalString = value => (value ? sanitizeString(value) : undefined);
+
+/** Outbound touches, showroom visits and answered calls count as contact with the shopper. */
+const countsAsContact = activity =>
+  activity.direction === 'outbound' || activity.type === 'visit' || activity.outcome === 'connected';
+
+function findIndex(id, tenantId) {
+  return datasets.activities.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+}
+
+function linkError({ leadId, customerId }, tenant) {
+  if (leadId && !datasets.leads.some(lead => lead.id === leadId && matchesTenant(lead.tenantId, tenant))) {
+    return 'Lead not found';
+  }
+  if (customerId && !datasets.customers.some(customer => customer.id === customerId && matchesTenant(customer.tenantId, tenant))) {
+    return 'Customer not found';
+  }
+  return undefined;
+}
+
+// The rep is the team member named in `performedBy`, else the member whose email matches the user logging it.
+function resolvePerformer(performedBy, actor, tenant) {
+  if (performedBy) {
+    const member = teamService.findMember(performedBy, tenant);
+    return member ? { member } : { error: 'Team member not found' };
+  }
+  const email = actor?.email?.toLowerCase();
+  const member = email && teamService.listMembers({}, tenant).find(entry => entry.email?.toLowerCase() === email);
+  return { member, fallback: actorName(actor) };
+}
+
+function touch(collection, id, activity, tenant, extra = () => ({})) {
+  const index = datasets[collection].findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenant));
+  if (index === -1) return;
+  const current = datasets[collection][index];
+  const later = !current.lastContactedAt || new Date(activity.occurredAt) > new Date(current.lastContactedAt);
+  datasets[collection][index] = {
+    ...current,
+    ...extra(current),
+    lastContactedAt: later ? activity.occurredAt : current.lastContactedAt
+  };
+  persist[collection](datasets[collection]);
+}
+
+/**
+ * Moves `lastContactedAt` forward on the linked lead and customer, records the lead's first response
+ * when this is its first touch, and rescores the lead with the new activity.
+ */
+function applyToLinks(activity, tenant) {
+  if (countsAsContact(activity)) {
+    if (activity.leadId) {
+      touch('leads', activity.leadId, activity, tenant, lead =>
+        leadResponseService.firstResponseFields(lead, activity.occurredAt, tenant, {
+          id: activity.performedBy,
+          name: activity.performedByName
+        })
+      );
+    }
+    if (activity.customerId) touch('customers', activity.customerId, activity, tenant);
+  }
+  if (activity.leadId) leadScoringService.recomputeLead(activity.leadId, tenant);
+}
+
+function list(query = {}, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const { leadId, customerId, type, direction, outcome, performedBy, from, to } = query;
+  return datasets.activities
+    .filter(activity => matchesTenant(activity.tenantId, tenant))
+    .filter(activity => (leadId ? activity.leadId === leadId : true))
+    .filter(activity => (customerId ? activity.customerId === customerId : true))
+    .filter(activity => (type ? activity.type === type : true))
+    .filter(activity => (direction ? activity.direction === direction : true))
+    .filter(activity => (outcome ? activity.outcome === outcome : true))
+    .filter(activity => (performedBy ? activity.performedBy === performedBy : true))
+    .filter(activity => (from ? new Date(activity.occurredAt) >= new Date(from) : true))
+    .filter(activity => (to ? new Date(activity.occurredAt) <= new Date(to) : true))
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt))
+    .map(escapeOutputPayload);
+}
+
+function findById(id, tenantId) {
+  const activity = datasets.activities.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  return activity ? escapeOutputPayload(activity) : undefined;
+}
+
+function create(payload, tenantId, actor) {
+  if (!ACTIVITY_TYPES.includes(payload.type)) return { error: `type must be one of: ${ACTIVITY_TYPES.join(', ')}` };
+  if (!payload.leadId && !payload.customerId) return { error: 'leadId or customerId is required' };
+  const tenant = normalizeTenantId(tenantId);
+  const missingLink = linkError(payload, tenant);
+  if (missingLink) return { error: missingLink };
+  const performer = resolvePerformer(payload.performedBy, actor, tenant);
+  if (performer.error) return { error: performer.error };
+
+  const now = new Date().toISOString();
+  const activity = attachTenant(
+    {
+      id: randomUUID(),
+      leadId: payload.leadId,
+      customerId: payload.customerId,
+      type: payload.type,
+      direction: ACTIVITY_DIRECTIONS.includes(payload.direction) ? payload.direction : payload.type === 'visit' ? 'inbound' : 'outbound',
+      outcome: ACTIVITY_OUTCOMES.includes(payload.outcome) ? payload.outcome : undefined,
+      durationMinutes: payload.durationMinutes,
+      notes: optionalString(payload.notes),
+      performedBy: performer.member?.id || performer.fallback,
+      performedByName: performer.member?.name,
+      occurredAt: payload.occurredAt ? new Date(payload.occurredAt).toISOString() : now,
+      createdBy: actorName(actor),
+      createdAt: now,
+      updatedAt: now
+    },
+    tenant
+  );
+  datasets.activities.push(activity);
+  persist.activities(datasets.activities);
+  applyToLinks(activity, tenant);
+  return { activity: escapeOutputPayload(activity) };
+}
+
+// Corrections to the outcome, duration or notes; the type, links and time of an activity are fixed once logged.
+function update(id, payload, tenantId) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const current = datasets.activities[index];
+  const updated = {
+    ...current,
+    outcome: ACTIVITY_OUTCOMES.includes(payload.outcome) ? payload.outcome : current.outcome,
+    durationMinutes: payload.durationMinutes !== undefined ? payload.durationMinutes : current.durationMinutes,
+    notes: payload.notes !== undefined ? optionalString(payload.notes) : current.notes,
+    updatedAt: new Date().toISOString()
+  };
+  datasets.activities[index] = updated;
+  persist.activities(datasets.activities);
+  if (updated.leadId) leadScoringService.recomputeLead(updated.leadId, current.tenantId);
+  return { activity: escapeOutputPayload(updated) };
+}
+
+function remove(id, tenantId) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const [removed] = datasets.activities.splice(index, 1);
+  persist.activities(datasets.activities);
+  if (removed.leadId) leadScoringService.recomputeLead(removed.leadId, removed.tenantId);
+  return { activity: escapeOutputPayload(removed) };
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  ACTIVITY_DIRECTIONS,
+  ACTIVITY_OUTCOMES,
+  countsAsContact,
+  list,
+  findById,
+  create,
+  update,
+  remove
+};
@@ -65,6 +65,36 @@ const DEFAULT_TOOL_REGISTRY = [
     route: { method: 'GET', path: '/v1/inventory', auth: 'user', tenantScoped: true },
     category: 'inventory'
   },
+  {
+    name: 'find_similar_inventory',
+    description:
+      'Suggest available units similar to a given unit, or to the unit a lead asked about, ranked by category, price, size, year and badges.',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Inventory unit ID to compare against' },
+        leadId: { type: 'string', description: 'Lead ID; uses the unit in the lead\'s interestedStockNumber' },
+        limit: { type: 'number' },
+        minScore: { type: 'number', description: 'Minimum similarity score (0-100)' }
+      }
+    },
+    route: { method: 'GET', path: '/v1/inventory/:id/similar', auth: 'public', tenantScoped: true },
+    category: 'inventory'
+  },
+  {
+    name: 'compare_inventory',
+    description:
+      'Compare two or three inventory units side by side: spec rows flagged where they differ, total price, estimated monthly payment, badges and spotlights.',
+    parameters: {
+      type: 'object',
+      properties: {
+        ids: { type: 'array', items: { type: 'string' }, description: 'Two or three inventory unit IDs' }
+      },
+      required: ['ids']
+    },
+    route: { method: 'GET', path: '/v1/inventory/compare', auth: 'public', tenantScoped: true },
+    category: 'inventory'
+  },
   {
     name: 'update_inventory_story',
     description: 'Update the sales story/description for an inventory unit.',
@@ -396,7 +426,7 @@ const DEFAULT_TOOL_REGISTRY = [
     parameters: { type: 'object', properties: {} },
     route: { method: 'GET', path: '/v1/audit/logs', auth: 'admin', tenantScoped: true },
     category: 'system'
-  }
+  },
   {
     name: 'list_content_pages',
     description: 'List content pages by ID or slug.',
@@ -705,6 +735,8 @@ const DEFAULT_TOOL_PROFILES = [
     tools: [
       'get_inventory_unit',
       'search_inventory',
+      'find_similar_inventory',
+      'compare_inventory',
       'update_inventory_story',
       'update_inventory_specs',
       'recompute_inventory_badges',
@@ -726,7 +758,8 @@ const DEFAULT_TOOL_PROFILES = [
       'list_notifications',
       'mark_notification_read',
       'list_customers',
-      'get_customer_detail'
+      'get_customer_detail',
+      'find_similar_inventory'
     ]
   },
   {
@@ -3,6 +3,9 @@ const { datasets, persist } = require('./state');
 const { escapeOutputPayload, sanitizePayloadStrings } = require('./shared');
 const { matchesTenant, normalizeTenantId } = require('./tenantService');
 const leadService = require('./leadService');
+const leadResponseService = require('./leadResponseService');
+const activityService = require('./activityService');
+const leadPipelineService = require('./leadPipelineService');
 const inventoryService = require('./inventoryService');
 const reviewService = require('./reviewService');
 
@@ -95,14 +98,14 @@ function rollupEvents(tenantId) {
   return { counts, recent };
 }
 
-function bestLeadSources(tenantId) {
+function bestLeadSources(tenantId, scopedLeads) {
   const tenant = normalizeTenantId(tenantId);
-  const leads = leadService.list({}, tenant).items || leadService.list({}, tenant) || [];
+  const leads = scopedLeads || leadService.list({}, tenant).items || leadService.list({}, tenant) || [];
   const sources = leads.reduce((acc, lead) => {
-    const key = lead.utmSource || lead.referrer || 'direct';
+    const key = leadResponseService.leadSource(lead);
     acc[key] = acc[key] || { total: 0, won: 0 };
     acc[key].total += 1;
-    if (lead.status === 'won') acc[key].won += 1;
+    if (leadPipelineService.stageFor(lead, tenant)?.outcome === 'won') acc[key].won += 1;
     return acc;
   }, {});
   return Object.entries(sources)
@@ -115,14 +118,127 @@ function bestLeadSources(tenantId) {
     .sort((a, b) => b.total - a.total);
 }
 
+// Linear interpolation between closest ranks, so the median of an even count is the midpoint.
+function percentile(sorted, fraction) {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  return Math.round(value * 10) / 10;
+}
+
+function responseStats(leads, now) {
+  const minutes = leads
+    .filter(lead => lead.firstResponseAt)
+    .map(lead => lead.responseMinutes)
+    .sort((a, b) => a - b);
+  const withinSla = leads.filter(lead => lead.responseSlaMet === true).length;
+  const pending = leads.filter(lead => !lead.firstResponseAt);
+  const overdue = pending.filter(lead => lead.responseDueAt && new Date(lead.responseDueAt) <= now).length;
+  const breached = leads.filter(lead => lead.responseSlaMet === false).length + overdue;
+  return {
+    leads: leads.length,
+    responded: minutes.length,
+    pending: pending.length,
+    medianMinutes: percentile(minutes, 0.5),
+    p90Minutes: percentile(minutes, 0.9),
+    withinSla,
+    breached,
+    slaMetRate: withinSla + breached ? Math.round((withinSla / (withinSla + breached)) * 100) : null
+  };
+}
+
+function groupBy(items, keyOf) {
+  return items.reduce((acc, item) => {
+    const key = keyOf(item);
+    acc.set(key, [...(acc.get(key) || []), item]);
+    return acc;
+  }, new Map());
+}
+
+/**
+ * First-response times in working minutes for leads created between `from` and `to`, overall, per rep
+ * (the owner when the lead was first touched, else the current owner) and per source alongside the
+ * `bestLeadSources` conversion rollup.
+ */
+function leadResponseReport(tenantId, query = {}, now = new Date()) {
+  const tenant = normalizeTenantId(tenantId);
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  const leads = leadService
+    .list({}, tenant)
+    .filter(lead => (from ? new Date(lead.createdAt) >= from : true))
+    .filter(lead => (to ? new Date(lead.createdAt) <= to : true));
+
+  const reps = Array.from(groupBy(leads, lead => lead.firstResponseBy || lead.assigneeId || null))
+    .map(([assigneeId, group]) => ({
+      assigneeId,
+      name: assigneeId ? group.map(lead => lead.firstResponseByName || lead.assigneeName).find(Boolean) || assigneeId : 'Unassigned',
+      ...responseStats(group, now)
+    }))
+    .sort((a, b) => (a.medianMinutes ?? Infinity) - (b.medianMinutes ?? Infinity));
+
+  const settings = leadResponseService.getSettings(tenant);
+  const bySource = groupBy(leads, leadResponseService.leadSource);
+  const sources = bestLeadSources(tenant, leads).map(entry => ({
+    ...entry,
+    slaMinutes: leadResponseService.slaMinutesFor({ utmSource: entry.source }, settings),
+    ...responseStats(bySource.get(entry.source), now)
+  }));
+
+  return {
+    tenantId: tenant,
+    range: { from: from ? from.toISOString() : null, to: to ? to.toISOString() : null },
+    overall: responseStats(leads, now),
+    reps,
+    sources
+  };
+}
+
+const countBy = (items, field) =>
+  items.reduce((acc, item) => (item[field] ? { ...acc, [item[field]]: (acc[item[field]] || 0) + 1 } : acc), {});
+
+function activityStats(activities) {
+  return {
+    total: activities.length,
+    byType: countBy(activities, 'type'),
+    byOutcome: countBy(activities, 'outcome'),
+    talkMinutes: activities.reduce((sum, activity) => sum + (activity.durationMinutes || 0), 0),
+    leadsTouched: new Set(activities.map(activity => activity.leadId).filter(Boolean)).size,
+    appointmentsSet: activities.filter(activity => activity.outcome === 'appointment_set').length
+  };
+}
+
+/** Logged calls, emails, texts and visits between `from` and `to`, overall and per rep, busiest rep first. */
+function activityReport(tenantId, query = {}) {
+  const tenant = normalizeTenantId(tenantId);
+  const activities = activityService.list(query, tenant);
+  const reps = Array.from(groupBy(activities, activity => activity.performedBy || null))
+    .map(([performedBy, group]) => ({
+      performedBy,
+      name: group.map(activity => activity.performedByName).find(Boolean) || performedBy || 'Unknown',
+      ...activityStats(group)
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    tenantId: tenant,
+    range: { from: query.from ? new Date(query.from).toISOString() : null, to: query.to ? new Date(query.to).toISOString() : null },
+    overall: activityStats(activities),
+    reps
+  };
+}
+
 function dashboard(tenantId) {
   const tenant = normalizeTenantId(tenantId);
   const events = rollupEvents(tenant);
   const inventoryPerformance = calculateInventoryPerformance(tenant);
   const leadBreakdown = bestLeadSources(tenant);
   const leads = leadService.list({}, tenant).items || [];
-  const won = leads.filter(lead => lead.status === 'won').length;
-  const lost = leads.filter(lead => lead.status === 'lost').length;
+  const outcomeOf = lead => leadPipelineService.stageFor(lead, tenant)?.outcome;
+  const won = leads.filter(lead => outcomeOf(lead) === 'won').length;
+  const lost = leads.filter(lead => outcomeOf(lead) === 'lost').length;
   const open = leads.length - won - lost;
   const conversionRate = leads.length ? Math.round((won / leads.length) * 100) : 0;
 
@@ -146,5 +262,7 @@ module.exports = {
   dashboard,
   calculateInventoryPerformance,
   rollupEvents,
-  bestLeadSources
+  bestLeadSources,
+  leadResponseReport,
+  activityReport
 };
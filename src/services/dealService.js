@@ -0,0 +1,404 @@
+const { randomUUID } = require('node:crypto');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload, sanitizeString, validateFields } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+const leadService = require('./leadService');
+const leadPipelineService = require('./leadPipelineService');
+const financeOfferService = require('./financeOfferService');
+const settingsService = require('./settingsService');
+const tradeInService = require('./tradeInService');
+
+const DEFAULT_DEAL_DESK_SETTINGS = {
+  discountApprovalPercent: 5,
+  stateRates: [],
+  addOns: [
+    { code: 'extended_warranty', name: 'Extended service contract', price: 2995, taxable: false },
+    { code: 'paint_protection', name: 'Paint and fabric protection', price: 899, taxable: true }
+  ]
+};
+const DEAL_APPROVER_ROLES = ['admin'];
+const CLOSABLE_UNIT_STATUSES = ['available', 'on_hold', 'pending_sale'];
+// Quote inputs a new version inherits from the one before it unless the request changes them.
+const TERM_FIELDS = ['tradeInId', 'financeOfferId', 'discount', 'downPayment', 'addOns', 'notes'];
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+const actorName = actor => actor?.email || actor?.id;
+
+function getSettings(tenantId) {
+  const configured = settingsService.getDealDesk(tenantId);
+  const percent = Number(configured.discountApprovalPercent);
+  return {
+    discountApprovalPercent:
+      configured.discountApprovalPercent !== undefined && Number.isFinite(percent)
+        ? percent
+        : DEFAULT_DEAL_DESK_SETTINGS.discountApprovalPercent,
+    stateRates: Array.isArray(configured.stateRates) ? configured.stateRates : DEFAULT_DEAL_DESK_SETTINGS.stateRates,
+    addOns: Array.isArray(configured.addOns) ? configured.addOns : DEFAULT_DEAL_DESK_SETTINGS.addOns
+  };
+}
+
+function findIndex(id, tenantId) {
+  return datasets.deals.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+}
+
+function mergeTerms(payload, previous = {}) {
+  return Object.fromEntries(
+    TERM_FIELDS.map(field => {
+      const value = payload[field];
+      if (value === undefined) return [field, previous[field]];
+      if (value === null || value === '') return [field, undefined];
+      return [field, typeof value === 'string' ? sanitizeString(value) : value];
+    })
+  );
+}
+
+function resolveTradeIn(tradeInId, leadId, tenantId) {
+  if (!tradeInId) return {};
+  const tradeIn = datasets.tradeIns.find(entry => entry.id === tradeInId && matchesTenant(entry.tenantId, tenantId));
+  if (!tradeIn) return { error: 'Trade-in not found' };
+  if (tradeIn.leadId && tradeIn.leadId !== leadId) return { error: 'Trade-in belongs to another lead' };
+  if (tradeIn.status !== 'approved') return { error: `Trade-in must be approved before it is quoted; it is ${tradeIn.status}` };
+  return { tradeIn };
+}
+
+function resolveAddOns(requested = [], catalog) {
+  const unknown = requested.find(entry => !catalog.some(addOn => addOn.code === entry.code));
+  if (unknown) return { error: `Unknown add-on ${unknown.code}` };
+  return {
+    addOns: requested.map(entry => {
+      const addOn = catalog.find(item => item.code === entry.code);
+      return {
+        code: addOn.code,
+        name: addOn.name,
+        catalogPrice: Number(addOn.price),
+        price: Number(entry.price ?? addOn.price),
+        taxable: Boolean(addOn.taxable)
+      };
+    })
+  };
+}
+
+/**
+ * Prices one version of a deal. The cash price is the unit's sale (else list) price less the discount;
+ * add-ons, the unit's dealer fees and the tenant state's document, title and registration fees are
+ * added, rebates come off, and sales tax uses the state rate (with a trade-in credit where the state
+ * allows it). Without a rate for the tenant's state the unit's own `taxes` are used, so a deal with no
+ * discount, add-ons or trade totals the same as calculateTotalPrice. Trade equity (allowance less
+ * payoff) and the down payment are applied before financing.
+ */
+function priceDeal(unit, terms, context) {
+  const { tenantId, leadId, now = new Date() } = context;
+  const settings = getSettings(tenantId);
+  const taxState = String(settingsService.getForTenant(tenantId)?.state || '').toUpperCase();
+  const stateRate = settings.stateRates.find(rate => rate.state === taxState);
+
+  const price = Number(unit.salePrice ?? unit.price ?? 0);
+  const discount = roundCurrency(Number(terms.discount) || 0);
+  if (discount > price) return { error: 'discount cannot exceed the selling price' };
+  const { tradeIn, error: tradeError } = resolveTradeIn(terms.tradeInId, leadId, tenantId);
+  if (tradeError) return { error: tradeError };
+  const { addOns, error: addOnError } = resolveAddOns(terms.addOns, settings.addOns);
+  if (addOnError) return { error: addOnError };
+
+  const cashPrice = roundCurrency(price - discount);
+  const addOnsTotal = roundCurrency(addOns.reduce((sum, addOn) => sum + addOn.price, 0));
+  const taxableAddOns = addOns.filter(addOn => addOn.taxable).reduce((sum, addOn) => sum + addOn.price, 0);
+  const dealerFees = Number(unit.fees ?? 0);
+  const stateFees = stateRate
+    ? { docFee: stateRate.docFee, titleFee: stateRate.titleFee, registrationFee: stateRate.registrationFee }
+    : { docFee: 0, titleFee: 0, registrationFee: 0 };
+  const governmentFees = stateFees.docFee + stateFees.titleFee + stateFees.registrationFee;
+  const tradeAllowance = Number(tradeIn?.approvedValue ?? 0);
+  const tradePayoff = Number(tradeIn?.payoff ?? 0);
+  const taxableAmount = stateRate
+    ? roundCurrency(Math.max(0, cashPrice + taxableAddOns - (stateRate.tradeInTaxCredit ? tradeAllowance : 0)))
+    : undefined;
+  const salesTax = stateRate ? roundCurrency((taxableAmount * stateRate.taxRate) / 100) : Number(unit.taxes ?? 0);
+  const rebates = Number(unit.rebates ?? 0);
+  const outTheDoorPrice = roundCurrency(Math.max(0, cashPrice + addOnsTotal + dealerFees + governmentFees + salesTax - rebates));
+  const tradeEquity = roundCurrency(tradeAllowance - tradePayoff);
+  const downPayment = roundCurrency(Number(terms.downPayment) || 0);
+  const amountFinanced = roundCurrency(Math.max(0, outTheDoorPrice - tradeEquity - downPayment));
+
+  let payment = null;
+  if (terms.financeOfferId) {
+    const offer = financeOfferService
+      .categoryOffers(unit.category, tenantId)
+      .find(entry => entry.id === terms.financeOfferId);
+    if (!offer) return { error: 'Finance offer not found for this unit category' };
+    const restriction = financeOfferService.offerRestriction(offer, amountFinanced, now);
+    if (restriction) return { error: `Finance offer cannot be quoted (${restriction})` };
+    if (downPayment < (Number(offer.downPayment) || 0)) {
+      return { error: `Finance offer needs at least ${offer.downPayment} down` };
+    }
+    payment = {
+      financeOfferId: offer.id,
+      lender: offer.lender,
+      apr: Number(offer.apr),
+      termMonths: Number(offer.termMonths),
+      ...financeOfferService.amortize(amountFinanced, Number(offer.apr), Number(offer.termMonths))
+    };
+  }
+
+  // Add-ons quoted below their catalog price are a discount too, so they count toward the approval threshold.
+  const addOnDiscount = roundCurrency(addOns.reduce((sum, addOn) => sum + Math.max(0, addOn.catalogPrice - addOn.price), 0));
+  const discountPercent = price > 0 ? roundCurrency(((discount + addOnDiscount) / price) * 100) : 0;
+  return {
+    pricing: {
+      price,
+      discount,
+      addOnDiscount,
+      discountPercent,
+      cashPrice,
+      addOns,
+      addOnsTotal,
+      dealerFees,
+      ...stateFees,
+      taxState: taxState || undefined,
+      taxRate: stateRate ? stateRate.taxRate : null,
+      taxableAmount,
+      salesTax,
+      rebates,
+      outTheDoorPrice,
+      tradeAllowance,
+      tradePayoff,
+      tradeEquity,
+      downPayment,
+      amountFinanced
+    },
+    payment,
+    approvalRequired: discountPercent > settings.discountApprovalPercent,
+    approvalThresholdPercent: settings.discountApprovalPercent
+  };
+}
+
+function buildVersion(deal, unit, terms, actor) {
+  const priced = priceDeal(unit, terms, { tenantId: deal.tenantId, leadId: deal.leadId });
+  if (priced.error) return priced;
+  const now = new Date().toISOString();
+  return {
+    version: {
+      version: (deal.versions?.length || 0) + 1,
+      ...terms,
+      pricing: priced.pricing,
+      payment: priced.payment,
+      approval: {
+        status: priced.approvalRequired ? 'pending' : 'not_required',
+        thresholdPercent: priced.approvalThresholdPercent
+      },
+      createdBy: actorName(actor),
+      createdAt: now
+    }
+  };
+}
+
+function list(query = {}, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const { status, leadId, inventoryId } = query;
+  return datasets.deals
+    .filter(deal => matchesTenant(deal.tenantId, tenant))
+    .filter(deal => (status ? deal.status === status : true))
+    .filter(deal => (leadId ? deal.leadId === leadId : true))
+    .filter(deal => (inventoryId ? deal.inventoryId === inventoryId : true))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    .map(escapeOutputPayload);
+}
+
+function findById(id, tenantId) {
+  const deal = datasets.deals.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  return deal ? escapeOutputPayload(deal) : undefined;
+}
+
+function create(payload, tenantId, actor) {
+  const requiredError = validateFields(payload, ['leadId', 'inventoryId']);
+  if (requiredError) return { error: requiredError };
+  const tenant = normalizeTenantId(tenantId);
+  const lead = datasets.leads.find(entry => entry.id === payload.leadId && matchesTenant(entry.tenantId, tenant));
+  if (!lead) return { error: 'Lead not found' };
+  if (leadPipelineService.isClosed(lead, tenant)) return { error: `Lead is already ${lead.status}` };
+  const unit = datasets.inventory.find(entry => entry.id === payload.inventoryId && matchesTenant(entry.tenantId, tenant));
+  if (!unit) return { error: 'Inventory not found' };
+  if (!CLOSABLE_UNIT_STATUSES.includes(unit.status || 'available')) {
+    return { error: `Unit is ${unit.status} and cannot be quoted` };
+  }
+
+  const now = new Date().toISOString();
+  const deal = attachTenant(
+    {
+      id: randomUUID(),
+      leadId: lead.id,
+      inventoryId: unit.id,
+      stockNumber: unit.stockNumber,
+      status: 'open',
+      versions: [],
+      createdBy: actorName(actor),
+      createdAt: now,
+      updatedAt: now
+    },
+    tenant
+  );
+  const built = buildVersion(deal, unit, mergeTerms(payload), actor);
+  if (built.error) return { error: built.error };
+  deal.versions = [built.version];
+  deal.currentVersion = built.version.version;
+  datasets.deals.push(deal);
+  persist.deals(datasets.deals);
+  return { deal: escapeOutputPayload(deal) };
+}
+
+/**
+ * Adds a revised quote. Terms not sent carry over from the current version and everything is repriced
+ * against the unit as it is now; a discount beyond the tenant threshold waits for manager approval.
+ */
+function addVersion(id, payload, tenantId, actor) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const deal = datasets.deals[index];
+  if (deal.status !== 'open') return { error: `Deal is ${deal.status}` };
+  const unit = datasets.inventory.find(entry => entry.id === deal.inventoryId && matchesTenant(entry.tenantId, deal.tenantId));
+  if (!unit) return { error: 'Inventory not found' };
+  const current = deal.versions.find(entry => entry.version === deal.currentVersion);
+  const built = buildVersion(deal, unit, mergeTerms(payload, current), actor);
+  if (built.error) return { error: built.error };
+
+  const updated = {
+    ...deal,
+    versions: [...deal.versions, built.version],
+    currentVersion: built.version.version,
+    updatedAt: built.version.createdAt
+  };
+  datasets.deals[index] = updated;
+  persist.deals(datasets.deals);
+  return { deal: escapeOutputPayload(updated), version: escapeOutputPayload(built.version) };
+}
+
+function decide(id, versionNumber, status, tenantId, options = {}) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const deal = datasets.deals[index];
+  const version = deal.versions.find(entry => entry.version === versionNumber);
+  if (!version) return { notFound: true };
+  if (!DEAL_APPROVER_ROLES.includes(options.actor?.role)) {
+    return { forbidden: `Only ${DEAL_APPROVER_ROLES.join(', ')} can approve or reject discounts` };
+  }
+  if (deal.status !== 'open') return { error: `Deal is ${deal.status}` };
+  if (version.approval.status !== 'pending') return { error: `Version ${versionNumber} is not awaiting approval` };
+
+  const now = new Date().toISOString();
+  const decided = {
+    ...version,
+    approval: {
+      ...version.approval,
+      status,
+      decidedBy: actorName(options.actor),
+      decidedAt: now,
+      note: options.note ? sanitizeString(options.note) : undefined
+    }
+  };
+  const updated = {
+    ...deal,
+    versions: deal.versions.map(entry => (entry.version === versionNumber ? decided : entry)),
+    updatedAt: now
+  };
+  datasets.deals[index] = updated;
+  persist.deals(datasets.deals);
+  return { deal: escapeOutputPayload(updated), version: escapeOutputPayload(decided) };
+}
+
+/**
+ * Closes the deal on one version (the current one by default): the unit is marked sold and the lead
+ * moves to its pipeline's won stage through their services. Both moves are checked before either is made. An approved trade on the
+ * version is converted into inventory when `tradeInUnit` details are sent; a failed conversion is
+ * reported in `tradeInConversion` and can be retried on the trade-in.
+ */
+function finalize(id, payload, tenantId, actor) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const deal = datasets.deals[index];
+  if (deal.status !== 'open') return { error: `Deal is ${deal.status}` };
+  const versionNumber = payload.version ?? deal.currentVersion;
+  const version = deal.versions.find(entry => entry.version === versionNumber);
+  if (!version) return { error: `Deal has no version ${versionNumber}` };
+  if (version.approval.status === 'pending') return { error: `Version ${versionNumber} discount is awaiting manager approval` };
+  if (version.approval.status === 'rejected') return { error: `Version ${versionNumber} discount was rejected` };
+
+  const lead = datasets.leads.find(entry => entry.id === deal.leadId && matchesTenant(entry.tenantId, deal.tenantId));
+  if (!lead) return { error: 'Lead not found' };
+  const wonStage = leadPipelineService.outcomeStage(lead, 'won', deal.tenantId);
+  if (!wonStage) return { error: 'The lead pipeline has no won stage' };
+  const blocked = leadPipelineService.checkTransition(lead, wonStage.key, deal.tenantId);
+  if (blocked.error) return { error: blocked.missing ? blocked.error : `Lead cannot be won from ${lead.status}` };
+  const unit = datasets.inventory.find(entry => entry.id === deal.inventoryId && matchesTenant(entry.tenantId, deal.tenantId));
+  if (!unit) return { error: 'Inventory not found' };
+  if (!CLOSABLE_UNIT_STATUSES.includes(unit.status || 'available')) return { error: `Unit is ${unit.status} and cannot be sold` };
+  if (version.tradeInId) {
+    const { error } = resolveTradeIn(version.tradeInId, deal.leadId, deal.tenantId);
+    if (error) return { error };
+  }
+
+  const by = actorName(actor);
+  const sold = inventoryService.setStatus(unit.id, 'sold', deal.tenantId, { changedBy: by, note: `Deal ${deal.id} finalized` });
+  if (sold.error) return { error: sold.error };
+  const won = leadService.setStatus(lead.id, wonStage.key, deal.tenantId);
+
+  const now = new Date().toISOString();
+  const updated = {
+    ...deal,
+    status: 'finalized',
+    finalizedVersion: versionNumber,
+    finalizedBy: by,
+    finalizedAt: now,
+    updatedAt: now
+  };
+  datasets.deals[index] = updated;
+  persist.deals(datasets.deals);
+
+  // Converted after the deal is saved, so a trade without a linked lead sees its deal as finalized.
+  let tradeInConversion;
+  if (version.tradeInId && payload.tradeInUnit) {
+    const tradeInUnit = { ...payload.tradeInUnit, dealId: deal.id };
+    const converted = tradeInService.convert(version.tradeInId, tradeInUnit, deal.tenantId, actor);
+    tradeInConversion = converted.error ? { error: converted.error } : { tradeIn: converted.tradeIn, unit: converted.unit };
+  }
+  return {
+    deal: escapeOutputPayload(updated),
+    unit: sold.unit,
+    previousUnitStatus: sold.previousStatus,
+    lead: won.lead,
+    tradeInConversion
+  };
+}
+
+function cancel(id, payload, tenantId, actor) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const deal = datasets.deals[index];
+  if (deal.status !== 'open') return { error: `Deal is ${deal.status}` };
+  const now = new Date().toISOString();
+  const updated = {
+    ...deal,
+    status: 'cancelled',
+    cancelledBy: actorName(actor),
+    cancelledAt: now,
+    cancelReason: payload.reason ? sanitizeString(payload.reason) : undefined,
+    updatedAt: now
+  };
+  datasets.deals[index] = updated;
+  persist.deals(datasets.deals);
+  return { deal: escapeOutputPayload(updated) };
+}
+
+module.exports = {
+  DEFAULT_DEAL_DESK_SETTINGS,
+  DEAL_APPROVER_ROLES,
+  getSettings,
+  priceDeal,
+  list,
+  findById,
+  create,
+  addVersion,
+  decide,
+  finalize,
+  cancel
+};
@@ -0,0 +1,234 @@
+const { createHash, randomUUID } = require('node:crypto');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload, sanitizeString, validateFields } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+const { toCsv } = require('../lib/csv');
+const {
+  constants: { FEED_FORMATS, FEED_PRICE_RULES }
+} = require('../validation/schemas');
+
+const FEED_FILTER_FIELDS = ['industry', 'category', 'subcategory', 'condition', 'location'];
+const HELD_TRANSFER_STATUSES = ['requested', 'in_transit'];
+const UNLISTED_STATUSES = ['on_hold', 'sold', 'archived'];
+const DEFAULT_PHOTO_LIMIT = 50;
+const DEFAULT_FIELD_MAP = {
+  id: 'id',
+  stock_number: 'stockNumber',
+  vin: 'vin',
+  title: 'name',
+  condition: 'condition',
+  year: 'year',
+  industry: 'industry',
+  category: 'category',
+  subcategory: 'subcategory',
+  length: 'length',
+  weight: 'weight',
+  chassis: 'chassis',
+  price: 'advertisedPrice',
+  msrp: 'msrp',
+  location: 'location',
+  slug: 'slug',
+  description: 'description',
+  photos: 'photos'
+};
+const ELEMENT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+const OUTPUT_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#96;': '`' };
+
+// inventoryService.list returns HTML-escaped strings; feeds decode them and re-encode for their own format.
+const decodeOutput = value => {
+  if (typeof value === 'string') return value.replace(/&(amp|lt|gt|quot|#39|#96);/g, entity => OUTPUT_ENTITIES[entity]);
+  if (Array.isArray(value)) return value.map(decodeOutput);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, decodeOutput(val)]));
+  }
+  return value;
+};
+
+const escapeXml = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+function safe(channel) {
+  return escapeOutputPayload(channel);
+}
+
+function normalizeFieldMap(fieldMap) {
+  if (fieldMap === undefined) return { fieldMap: { ...DEFAULT_FIELD_MAP } };
+  const entries = Object.entries(fieldMap || {}).map(([output, source]) => [sanitizeString(output), sanitizeString(source)]);
+  const invalid = entries.find(([output, source]) => !ELEMENT_NAME_PATTERN.test(output) || !source);
+  if (invalid) return { error: `Invalid feed field mapping "${invalid[0]}"` };
+  if (!entries.length) return { error: 'fieldMap must contain at least one field' };
+  return { fieldMap: Object.fromEntries(entries) };
+}
+
+function normalizeFilters(filters = {}) {
+  return FEED_FILTER_FIELDS.reduce((acc, field) => {
+    if (filters && filters[field]) acc[field] = sanitizeString(filters[field]);
+    return acc;
+  }, {});
+}
+
+function findChannel(key, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  return datasets.feedChannels.find(channel => channel.key === key && matchesTenant(channel.tenantId, tenant));
+}
+
+function list(tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  return datasets.feedChannels.filter(channel => matchesTenant(channel.tenantId, tenant)).map(safe);
+}
+
+function create(payload, tenantId) {
+  const requiredError = validateFields(payload, ['key', 'name']);
+  if (requiredError) return { error: requiredError };
+  const key = sanitizeString(payload.key).toLowerCase();
+  if (findChannel(key, tenantId)) return { error: 'Feed channel key already exists for this tenant' };
+  const mapped = normalizeFieldMap(payload.fieldMap);
+  if (mapped.error) return { error: mapped.error };
+
+  const now = new Date().toISOString();
+  const channel = attachTenant(
+    {
+      id: randomUUID(),
+      key,
+      name: sanitizeString(payload.name),
+      format: FEED_FORMATS.includes(payload.format) ? payload.format : 'xml',
+      fieldMap: mapped.fieldMap,
+      priceRule: FEED_PRICE_RULES.includes(payload.priceRule) ? payload.priceRule : 'sale_price_else_price',
+      photoLimit: Number.isInteger(payload.photoLimit) ? payload.photoLimit : DEFAULT_PHOTO_LIMIT,
+      filters: normalizeFilters(payload.filters),
+      active: payload.active !== false,
+      createdAt: now,
+      updatedAt: now
+    },
+    tenantId
+  );
+  datasets.feedChannels.push(channel);
+  persist.feedChannels(datasets.feedChannels);
+  return { channel: safe(channel) };
+}
+
+function update(id, payload, tenantId) {
+  const index = datasets.feedChannels.findIndex(channel => channel.id === id && matchesTenant(channel.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  const current = datasets.feedChannels[index];
+  const mapped = payload.fieldMap !== undefined ? normalizeFieldMap(payload.fieldMap) : { fieldMap: current.fieldMap };
+  if (mapped.error) return { error: mapped.error };
+
+  const updated = {
+    ...current,
+    name: payload.name ? sanitizeString(payload.name) : current.name,
+    format: FEED_FORMATS.includes(payload.format) ? payload.format : current.format,
+    fieldMap: mapped.fieldMap,
+    priceRule: FEED_PRICE_RULES.includes(payload.priceRule) ? payload.priceRule : current.priceRule,
+    photoLimit: Number.isInteger(payload.photoLimit) ? payload.photoLimit : current.photoLimit,
+    filters: payload.filters !== undefined ? normalizeFilters(payload.filters) : current.filters,
+    active: payload.active !== undefined ? payload.active !== false : current.active,
+    updatedAt: new Date().toISOString()
+  };
+  datasets.feedChannels[index] = updated;
+  persist.feedChannels(datasets.feedChannels);
+  return { channel: safe(updated) };
+}
+
+function remove(id, tenantId) {
+  const index = datasets.feedChannels.findIndex(channel => channel.id === id && matchesTenant(channel.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  datasets.feedChannels.splice(index, 1);
+  persist.feedChannels(datasets.feedChannels);
+  return { removed: true };
+}
+
+function advertisedPrice(unit, priceRule) {
+  const positive = value => (Number(value) > 0 ? Number(value) : undefined);
+  if (priceRule === 'price') return positive(unit.price);
+  if (priceRule === 'msrp_else_price') return positive(unit.msrp) ?? positive(unit.price);
+  if (priceRule === 'total_price') return positive(unit.totalPrice);
+  return positive(unit.salePrice) ?? positive(unit.price);
+}
+
+function orderedPhotos(unit, limit) {
+  const photos = unit.media?.photos || [];
+  const urls = photos.length
+    ? [...photos.filter(photo => photo.isHero), ...photos.filter(photo => !photo.isHero)].map(
+        photo => photo.optimizedUrl || photo.url
+      )
+    : unit.images || [];
+  return urls.filter(Boolean).slice(0, limit);
+}
+
+function isHeld(unit, now) {
+  if (unit.holdUntil && new Date(unit.holdUntil).getTime() > now) return true;
+  if (HELD_TRANSFER_STATUSES.includes(unit.transferStatus)) return true;
+  return UNLISTED_STATUSES.includes(unit.status);
+}
+
+function buildListings(channel, tenantId) {
+  const now = Date.now();
+  const { items } = inventoryService.list({ ...channel.filters, sortBy: 'createdAt', sortDir: 'asc' }, tenantId);
+  return items
+    .map(decodeOutput)
+    .filter(unit => !isHeld(unit, now))
+    .map(unit => ({
+      ...unit,
+      advertisedPrice: advertisedPrice(unit, channel.priceRule),
+      photos: orderedPhotos(unit, channel.photoLimit ?? DEFAULT_PHOTO_LIMIT),
+      heroPhoto: orderedPhotos(unit, 1)[0]
+    }))
+    .filter(unit => unit.advertisedPrice !== undefined)
+    .map(unit =>
+      Object.entries(channel.fieldMap).map(([output, source]) => [output, unit[source] === undefined ? null : unit[source]])
+    );
+}
+
+function renderXml(channel, listings, tenantId) {
+  const renderField = ([name, value]) => {
+    if (value === null || value === '') return `    <${name}/>`;
+    if (Array.isArray(value)) {
+      const items = value.map(item => `      <item>${escapeXml(item)}</item>`).join('\n');
+      return value.length ? `    <${name}>\n${items}\n    </${name}>` : `    <${name}/>`;
+    }
+    if (typeof value === 'object') return `    <${name}>${escapeXml(JSON.stringify(value))}</${name}>`;
+    return `    <${name}>${escapeXml(value)}</${name}>`;
+  };
+  const units = listings.map(fields => `  <listing>\n${fields.map(renderField).join('\n')}\n  </listing>`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<listings channel="${escapeXml(channel.key)}" tenant="${escapeXml(normalizeTenantId(tenantId))}" count="${listings.length}">`,
+    ...units,
+    '</listings>',
+    ''
+  ].join('\n');
+}
+
+function renderCsv(channel, listings) {
+  const header = Object.keys(channel.fieldMap);
+  return toCsv([header, ...listings.map(fields => fields.map(([, value]) => value))]);
+}
+
+function generate(key, tenantId) {
+  const channel = findChannel(String(key).toLowerCase(), tenantId);
+  if (!channel || channel.active === false) return { notFound: true };
+  const listings = buildListings(channel, tenantId);
+  const body = channel.format === 'csv' ? renderCsv(channel, listings) : renderXml(channel, listings, tenantId);
+  return {
+    body,
+    contentType: channel.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/xml; charset=utf-8',
+    etag: `"${createHash('sha256').update(body).digest('hex').slice(0, 32)}"`,
+    count: listings.length
+  };
+}
+
+module.exports = {
+  list,
+  create,
+  update,
+  remove,
+  generate
+};
@@ -1,7 +1,66 @@
 const { randomUUID } = require('node:crypto');
 const { datasets, persist } = require('./state');
 const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
-const { sanitizePayloadStrings, validateFields, escapeOutputPayload } = require('./shared');
+const { sanitizePayloadStrings, sanitizeString, validateFields, escapeOutputPayload } = require('./shared');
+const { calculateTotalPrice } = require('./inventoryService');
+
+const DEFAULT_PAYMENT_TERMS = { apr: 8.99, termMonths: 180, downPaymentRatio: 0.1 };
+const WINDOW_FIELDS = ['validFrom', 'validUntil'];
+const AMOUNT_FIELDS = ['minAmount', 'maxAmount'];
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+const hasLimit = value => value !== undefined && value !== null && value !== '';
+
+// Date-only bounds cover the whole day, so an offer valid until 2026-06-30 is still quoted that evening.
+function windowTime(value, edge) {
+  if (!value) return undefined;
+  const text = String(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return new Date(text).getTime();
+  return new Date(`${text}T${edge === 'end' ? '23:59:59.999' : '00:00:00.000'}Z`).getTime();
+}
+
+// Window bounds and amount limits from a payload; null (an empty value in the API) clears one.
+function pickTerms(payload, current = {}) {
+  return Object.fromEntries(
+    [...WINDOW_FIELDS, ...AMOUNT_FIELDS].map(field => {
+      const value = payload[field];
+      if (value === undefined) return [field, current[field]];
+      if (value === null || value === '') return [field, undefined];
+      return [field, WINDOW_FIELDS.includes(field) ? sanitizeString(value) : Number(value)];
+    })
+  );
+}
+
+function validateTerms(offer) {
+  const invalidDate = WINDOW_FIELDS.find(field => offer[field] && Number.isNaN(windowTime(offer[field])));
+  if (invalidDate) return `${invalidDate} must be a date`;
+  if (offer.validFrom && offer.validUntil && windowTime(offer.validFrom) > windowTime(offer.validUntil, 'end')) {
+    return 'validFrom must be on or before validUntil';
+  }
+  const invalidAmount = AMOUNT_FIELDS.find(field => hasLimit(offer[field]) && !(offer[field] >= 0));
+  if (invalidAmount) return `${invalidAmount} must be zero or more`;
+  if (hasLimit(offer.minAmount) && hasLimit(offer.maxAmount) && offer.minAmount > offer.maxAmount) {
+    return 'minAmount must not exceed maxAmount';
+  }
+  return null;
+}
+
+/**
+ * Why an offer cannot be quoted for an amount financed on a date, or null when it can. Offers without a
+ * window or limits apply at any time and amount.
+ */
+function offerRestriction(offer, amountFinanced, now = new Date()) {
+  const time = now.getTime();
+  if (offer.validFrom && time < windowTime(offer.validFrom)) return 'not_started';
+  if (offer.validUntil && time > windowTime(offer.validUntil, 'end')) return 'expired';
+  if (amountFinanced !== undefined && hasLimit(offer.minAmount) && amountFinanced < Number(offer.minAmount)) {
+    return 'below_min_amount';
+  }
+  if (amountFinanced !== undefined && hasLimit(offer.maxAmount) && amountFinanced > Number(offer.maxAmount)) {
+    return 'above_max_amount';
+  }
+  return null;
+}
 
 function safeOffer(offer) {
   return escapeOutputPayload(offer);
@@ -14,7 +73,8 @@ function list(query = {}, tenantId) {
   const tenant = normalizeTenantId(tenantId);
   const filtered = datasets.financeOffers
     .filter(offer => matchesTenant(offer.tenantId, tenant))
-    .filter(offer => (vehicleCategory ? offer.vehicleCategory === vehicleCategory : true));
+    .filter(offer => (vehicleCategory ? offer.vehicleCategory === vehicleCategory : true))
+    .filter(offer => (query.active ? !offerRestriction(offer) : true));
   const items = filtered.slice(offset, offset + limit).map(safeOffer);
   return { items, total: filtered.length, limit, offset };
 }
@@ -34,13 +94,16 @@ function create(payload, tenantId) {
     {
       id: randomUUID(),
       createdAt: new Date().toISOString(),
+      ...body,
       termMonths: Number(body.termMonths),
       apr: Number(body.apr),
       downPayment: Number(body.downPayment || 0),
-      ...body
+      ...pickTerms(body)
     },
     tenantId
   );
+  const termsError = validateTerms(offer);
+  if (termsError) return { error: termsError };
   datasets.financeOffers.push(offer);
   persist.financeOffers(datasets.financeOffers);
   return { offer: safeOffer(offer) };
@@ -51,15 +114,19 @@ function update(id, payload, tenantId) {
   if (index === -1) {
     return { notFound: true };
   }
+  const current = datasets.financeOffers[index];
   const body = sanitizePayloadStrings(payload, ['lender', 'restrictions', 'vehicleCategory']);
-  datasets.financeOffers[index] = {
-    ...datasets.financeOffers[index],
-    ...body,
-    termMonths: payload.termMonths !== undefined ? Number(payload.termMonths) : datasets.financeOffers[index].termMonths,
-    apr: payload.apr !== undefined ? Number(payload.apr) : datasets.financeOffers[index].apr,
-    downPayment:
-      payload.downPayment !== undefined ? Number(payload.downPayment) : datasets.financeOffers[index].downPayment
+  const next = {
+    ...current,
+    ...Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined)),
+    termMonths: payload.termMonths !== undefined ? Number(payload.termMonths) : current.termMonths,
+    apr: payload.apr !== undefined ? Number(payload.apr) : current.apr,
+    downPayment: payload.downPayment !== undefined ? Number(payload.downPayment) : current.downPayment,
+    ...pickTerms(payload, current)
   };
+  const termsError = validateTerms(next);
+  if (termsError) return { error: termsError };
+  datasets.financeOffers[index] = next;
   persist.financeOffers(datasets.financeOffers);
   return { offer: safeOffer(datasets.financeOffers[index]) };
 }
@@ -74,7 +141,144 @@ function remove(id, tenantId) {
   return { offer: safeOffer(removed) };
 }
 
+function monthlyPayment(principal, apr, termMonths) {
+  if (principal <= 0 || termMonths <= 0) return 0;
+  const rate = apr / 100 / 12;
+  if (!rate) return principal / termMonths;
+  return (principal * rate) / (1 - (1 + rate) ** -termMonths);
+}
+
+// Offers for the category (offers without one apply to everything) that carry a usable rate and term.
+function categoryOffers(category, tenantId) {
+  const wanted = category ? String(category).toLowerCase() : undefined;
+  const tenant = normalizeTenantId(tenantId);
+  return datasets.financeOffers
+    .filter(entry => matchesTenant(entry.tenantId, tenant))
+    .filter(entry => !entry.vehicleCategory || String(entry.vehicleCategory).toLowerCase() === wanted)
+    .filter(entry => Number(entry.termMonths) > 0 && Number.isFinite(Number(entry.apr)));
+}
+
+function offerDownPayment(offer, amount) {
+  return Math.min(
+    amount,
+    Number(offer?.downPayment) > 0 ? Number(offer.downPayment) : Math.round(amount * DEFAULT_PAYMENT_TERMS.downPaymentRatio)
+  );
+}
+
+/**
+ * Estimates a monthly payment for a price using the tenant's lowest-APR offer for the category that is
+ * currently valid for the amount financed, falling back to DEFAULT_PAYMENT_TERMS.
+ */
+function estimatePayment(price, tenantId, options = {}) {
+  const amount = Number(price);
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+  const now = options.now || new Date();
+  const [offer] = categoryOffers(options.category, tenantId)
+    .filter(entry => !offerRestriction(entry, amount - offerDownPayment(entry, amount), now))
+    .sort((a, b) => Number(a.apr) - Number(b.apr));
+  const apr = offer ? Number(offer.apr) : DEFAULT_PAYMENT_TERMS.apr;
+  const termMonths = offer ? Number(offer.termMonths) : DEFAULT_PAYMENT_TERMS.termMonths;
+  const downPayment = offerDownPayment(offer, amount);
+  return {
+    monthlyPayment: roundCurrency(monthlyPayment(amount - downPayment, apr, termMonths)),
+    apr,
+    termMonths,
+    downPayment,
+    offerId: offer?.id,
+    lender: offer?.lender
+  };
+}
+
+function amortize(amountFinanced, apr, termMonths) {
+  const payment = roundCurrency(monthlyPayment(amountFinanced, apr, termMonths));
+  return {
+    monthlyPayment: payment,
+    totalOfPayments: roundCurrency(payment * termMonths),
+    financeCharge: roundCurrency(Math.max(0, payment * termMonths - amountFinanced))
+  };
+}
+
+/**
+ * Monthly payments for a unit under every offer for its category. The cash price is the unit's total
+ * price (sale or list price plus fees and taxes, less rebates, as calculateTotalPrice does); the down
+ * payment and trade-in value come off it before financing. Offers outside their validity window or
+ * amount limits, whose term differs from a requested term, or that need more down than given are listed
+ * under `excluded` with a reason. Without any applicable offer the standard terms are quoted.
+ */
+function quotePayments(unit, options = {}, tenantId) {
+  const now = options.now || new Date();
+  const totalPrice = calculateTotalPrice(unit);
+  const tradeValue = Math.max(0, Number(options.tradeValue) || 0);
+  const requestedDown = options.downPayment === undefined ? undefined : Math.max(0, Number(options.downPayment));
+  const termMonths = options.termMonths === undefined ? undefined : Number(options.termMonths);
+
+  const financedWith = downPayment => roundCurrency(Math.max(0, totalPrice - tradeValue - downPayment));
+  const estimates = [];
+  const excluded = [];
+  categoryOffers(unit.category, tenantId).forEach(offer => {
+    const minimumDown = Number(offer.downPayment) > 0 ? Number(offer.downPayment) : 0;
+    const downPayment = requestedDown ?? offerDownPayment(offer, Math.max(0, totalPrice - tradeValue));
+    const amountFinanced = financedWith(downPayment);
+    let reason = offerRestriction(offer, amountFinanced, now);
+    if (!reason && termMonths !== undefined && Number(offer.termMonths) !== termMonths) reason = 'term_mismatch';
+    if (!reason && requestedDown !== undefined && requestedDown < minimumDown) reason = 'down_payment_below_minimum';
+    if (reason) {
+      excluded.push({ offerId: offer.id, lender: offer.lender, reason });
+      return;
+    }
+    estimates.push({
+      offerId: offer.id,
+      lender: offer.lender,
+      apr: Number(offer.apr),
+      termMonths: Number(offer.termMonths),
+      downPayment,
+      amountFinanced,
+      ...amortize(amountFinanced, Number(offer.apr), Number(offer.termMonths)),
+      restrictions: offer.restrictions,
+      validUntil: offer.validUntil
+    });
+  });
+
+  if (!estimates.length) {
+    const downPayment = requestedDown ?? offerDownPayment(null, Math.max(0, totalPrice - tradeValue));
+    const amountFinanced = financedWith(downPayment);
+    const term = termMonths ?? DEFAULT_PAYMENT_TERMS.termMonths;
+    estimates.push({
+      offerId: null,
+      lender: null,
+      standard: true,
+      apr: DEFAULT_PAYMENT_TERMS.apr,
+      termMonths: term,
+      downPayment,
+      amountFinanced,
+      ...amortize(amountFinanced, DEFAULT_PAYMENT_TERMS.apr, term)
+    });
+  }
+
+  return escapeOutputPayload({
+    inventoryId: unit.id,
+    price: {
+      price: unit.price,
+      salePrice: unit.salePrice,
+      fees: Number(unit.fees ?? 0),
+      taxes: Number(unit.taxes ?? 0),
+      rebates: Number(unit.rebates ?? 0),
+      totalPrice
+    },
+    tradeValue,
+    estimates: estimates.sort((a, b) => a.monthlyPayment - b.monthlyPayment),
+    excluded,
+    quotedAt: now.toISOString()
+  });
+}
+
 module.exports = {
+  DEFAULT_PAYMENT_TERMS,
+  estimatePayment,
+  quotePayments,
+  offerRestriction,
+  categoryOffers,
+  amortize,
   list,
   findById,
   create,
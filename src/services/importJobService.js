@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('node:crypto');
+const config = require('../config');
+const { DATA_DIR } = require('../persistence/store');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+const importProfileService = require('./importProfileService');
+
+const MAX_RUN_ERRORS = 200;
+const TENANT_FOLDER_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DEFAULT_IMPORT_OPTIONS = { mode: 'upsert', matchBy: 'vin', columnMap: {}, missingUnitAction: 'none' };
+let timer;
+let running = false;
+
+const importRoot = () => config.imports.dropDir || path.join(DATA_DIR, 'imports');
+const normalizeKey = value => String(value ?? '').trim().toUpperCase();
+
+function safe(run) {
+  return escapeOutputPayload(run);
+}
+
+function tenantFolders(tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  if (!TENANT_FOLDER_PATTERN.test(tenant)) return null;
+  const base = path.join(importRoot(), tenant);
+  return { inbox: path.join(base, 'inbox'), processed: path.join(base, 'processed'), failed: path.join(base, 'failed') };
+}
+
+function markMissingUnits(seenKeys, matchBy, action, tenantId, changedBy) {
+  const tenant = normalizeTenantId(tenantId);
+  const missing = datasets.inventory.filter(
+    unit =>
+      matchesTenant(unit.tenantId, tenant) &&
+      normalizeKey(unit[matchBy]) &&
+      !seenKeys.has(normalizeKey(unit[matchBy])) &&
+      inventoryService.VALID_INVENTORY_TRANSITIONS[unit.status || 'available'].includes(action)
+  );
+  return missing.reduce((ids, unit) => {
+    const result = inventoryService.setStatus(unit.id, action, tenant, { changedBy, note: 'Missing from import feed' });
+    if (result.unit) ids.push(unit.id);
+    return ids;
+  }, []);
+}
+
+function recordRun(result, tenantId, meta = {}) {
+  const summary = result.summary || { total: 0, created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const errors = result.errors || [];
+  const applied = summary.total - summary.failed;
+  const status = applied <= 0 ? 'failed' : errors.length ? 'completed_with_errors' : 'completed';
+  const run = attachTenant(
+    {
+      id: randomUUID(),
+      source: meta.source || 'api',
+      fileName: meta.fileName,
+      archivedAs: meta.archivedAs,
+      archiveFolder: meta.archiveFolder,
+      profileId: meta.profile?.id,
+      profileName: meta.profile?.name,
+      mode: result.mode,
+      matchBy: result.matchBy,
+      missingUnitAction: meta.missingUnitAction || 'none',
+      status,
+      startedAt: meta.startedAt || new Date().toISOString(),
+      finishedAt: new Date().toISOString(),
+      triggeredBy: meta.changedBy,
+      summary: { ...summary, markedMissing: (meta.markedUnitIds || []).length },
+      markedUnitIds: meta.markedUnitIds || [],
+      errorCount: errors.length,
+      errors: errors.slice(0, MAX_RUN_ERRORS),
+      warningCount: (result.warnings || []).length,
+      warnings: (result.warnings || []).slice(0, MAX_RUN_ERRORS)
+    },
+    tenantId
+  );
+  datasets.importRuns.push(run);
+  persist.importRuns(datasets.importRuns);
+  return safe(run);
+}
+
+function runImport(csv, tenantId, meta = {}) {
+  const startedAt = new Date().toISOString();
+  const options = { ...DEFAULT_IMPORT_OPTIONS, ...(meta.profile || {}) };
+  const result = inventoryService.importCsv(csv, tenantId, {
+    mode: options.mode,
+    matchBy: options.matchBy,
+    columnMap: options.columnMap,
+    changedBy: meta.changedBy
+  });
+
+  // Retiring units is skipped when nothing in the feed was usable so a broken export cannot empty the lot.
+  const applied = result.summary.total - result.summary.failed;
+  const markedUnitIds =
+    options.missingUnitAction !== 'none' && applied > 0
+      ? markMissingUnits(
+          new Set(result.rows.map(row => row.key).filter(Boolean)),
+          options.matchBy,
+          options.missingUnitAction,
+          tenantId,
+          meta.changedBy
+        )
+      : [];
+
+  return recordRun(result, tenantId, { ...meta, startedAt, missingUnitAction: options.missingUnitAction, markedUnitIds });
+}
+
+function processTenant(tenantId) {
+  const folders = tenantFolders(tenantId);
+  if (!folders) return { error: 'Tenant id cannot be used as an import folder name' };
+  Object.values(folders).forEach(folder => fs.mkdirSync(folder, { recursive: true }));
+
+  const runs = fs
+    .readdirSync(folders.inbox)
+    .filter(fileName => !fileName.startsWith('.') && fs.statSync(path.join(folders.inbox, fileName)).isFile())
+    .sort()
+    .reduce((acc, fileName) => {
+      const profile = importProfileService.matchFile(fileName, tenantId);
+      if (!profile && !fileName.toLowerCase().endsWith('.csv')) return acc;
+      const sourcePath = path.join(folders.inbox, fileName);
+      const archivedAs = `${new Date().toISOString().replace(/[:.]/g, '-')}-${fileName}`;
+      const meta = { profile, fileName, archivedAs, source: 'drop_folder', changedBy: 'import:drop-folder' };
+      // The file is archived only once its run is recorded; files that blow up the import land in failed/.
+      let run;
+      try {
+        run = runImport(fs.readFileSync(sourcePath, 'utf8'), tenantId, { ...meta, archiveFolder: 'processed' });
+      } catch (err) {
+        const errors = [{ row: null, line: null, column: null, code: 'IMPORT_FAILED', message: err.message }];
+        run = recordRun({ errors }, tenantId, { ...meta, archiveFolder: 'failed' });
+      }
+      fs.renameSync(sourcePath, path.join(folders[run.archiveFolder], archivedAs));
+      acc.push(run);
+      return acc;
+    }, []);
+  return { runs };
+}
+
+function processAll() {
+  if (running) return [];
+  running = true;
+  try {
+    const root = importRoot();
+    const folderTenants = fs.existsSync(root)
+      ? fs.readdirSync(root).filter(name => fs.statSync(path.join(root, name)).isDirectory())
+      : [];
+    const tenantIds = [...new Set([...datasets.tenants.map(tenant => tenant.id), ...folderTenants])];
+    return tenantIds.flatMap(tenantId => processTenant(tenantId).runs || []);
+  } catch (err) {
+    console.error('Drop folder import failed', err);
+    return [];
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  stop();
+  if (!config.imports.watchEnabled) return;
+  timer = setInterval(processAll, config.imports.pollIntervalMs);
+  timer.unref?.();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+}
+
+function list(query = {}, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const { status, profileId, source, limit = 25, offset = 0 } = query;
+  return datasets.importRuns
+    .filter(run => matchesTenant(run.tenantId, tenant))
+    .filter(run => (status ? run.status === status : true))
+    .filter(run => (profileId ? run.profileId === profileId : true))
+    .filter(run => (source ? run.source === source : true))
+    .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+    .slice(offset, offset + limit)
+    .map(safe);
+}
+
+function findById(id, tenantId) {
+  const run = datasets.importRuns.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  return run ? safe(run) : null;
+}
+
+module.exports = {
+  start,
+  stop,
+  processAll,
+  processTenant,
+  runImport,
+  recordRun,
+  list,
+  findById
+};
@@ -0,0 +1,113 @@
+const { randomUUID } = require('node:crypto');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload, sanitizeString, validateFields } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+const { IMPORT_FIELDS } = require('./inventoryService');
+const {
+  constants: { IMPORT_MODES, IMPORT_MATCH_FIELDS, MISSING_UNIT_ACTIONS }
+} = require('../validation/schemas');
+
+function safe(profile) {
+  return escapeOutputPayload(profile);
+}
+
+function normalizeColumnMap(columnMap = {}) {
+  const entries = Object.entries(columnMap || {}).map(([source, target]) => [sanitizeString(source), sanitizeString(target)]);
+  const unknown = entries.find(([, target]) => !IMPORT_FIELDS.includes(target));
+  if (unknown) return { error: `Unknown inventory field "${unknown[1]}" for column "${unknown[0]}"` };
+  return { columnMap: Object.fromEntries(entries.filter(([source]) => source)) };
+}
+
+function patternToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function list(tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  return datasets.importProfiles.filter(profile => matchesTenant(profile.tenantId, tenant)).map(safe);
+}
+
+function findById(id, tenantId) {
+  const profile = datasets.importProfiles.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  return profile ? safe(profile) : null;
+}
+
+function matchFile(fileName, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  return (
+    datasets.importProfiles.find(
+      profile =>
+        matchesTenant(profile.tenantId, tenant) && profile.active !== false && patternToRegex(profile.filePattern).test(fileName)
+    ) || null
+  );
+}
+
+function create(payload, tenantId) {
+  const requiredError = validateFields(payload, ['name']);
+  if (requiredError) return { error: requiredError };
+  const mapped = normalizeColumnMap(payload.columnMap);
+  if (mapped.error) return { error: mapped.error };
+
+  const now = new Date().toISOString();
+  const profile = attachTenant(
+    {
+      id: randomUUID(),
+      name: sanitizeString(payload.name),
+      filePattern: sanitizeString(payload.filePattern) || '*.csv',
+      columnMap: mapped.columnMap,
+      mode: IMPORT_MODES.includes(payload.mode) ? payload.mode : 'upsert',
+      matchBy: IMPORT_MATCH_FIELDS.includes(payload.matchBy) ? payload.matchBy : 'vin',
+      missingUnitAction: MISSING_UNIT_ACTIONS.includes(payload.missingUnitAction) ? payload.missingUnitAction : 'none',
+      active: payload.active !== false,
+      createdAt: now,
+      updatedAt: now
+    },
+    tenantId
+  );
+  datasets.importProfiles.push(profile);
+  persist.importProfiles(datasets.importProfiles);
+  return { profile: safe(profile) };
+}
+
+function update(id, payload, tenantId) {
+  const index = datasets.importProfiles.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  const current = datasets.importProfiles[index];
+  const mapped = payload.columnMap !== undefined ? normalizeColumnMap(payload.columnMap) : { columnMap: current.columnMap };
+  if (mapped.error) return { error: mapped.error };
+
+  const updated = {
+    ...current,
+    name: payload.name ? sanitizeString(payload.name) : current.name,
+    filePattern: payload.filePattern ? sanitizeString(payload.filePattern) : current.filePattern,
+    columnMap: mapped.columnMap,
+    mode: IMPORT_MODES.includes(payload.mode) ? payload.mode : current.mode,
+    matchBy: IMPORT_MATCH_FIELDS.includes(payload.matchBy) ? payload.matchBy : current.matchBy,
+    missingUnitAction: MISSING_UNIT_ACTIONS.includes(payload.missingUnitAction)
+      ? payload.missingUnitAction
+      : current.missingUnitAction,
+    active: payload.active !== undefined ? payload.active !== false : current.active,
+    updatedAt: new Date().toISOString()
+  };
+  datasets.importProfiles[index] = updated;
+  persist.importProfiles(datasets.importProfiles);
+  return { profile: safe(updated) };
+}
+
+function remove(id, tenantId) {
+  const index = datasets.importProfiles.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  datasets.importProfiles.splice(index, 1);
+  persist.importProfiles(datasets.importProfiles);
+  return { removed: true };
+}
+
+module.exports = {
+  list,
+  findById,
+  matchFile,
+  create,
+  update,
+  remove
+};
@@ -0,0 +1,165 @@
+const { datasets } = require('./state');
+const { escapeOutputPayload } = require('./shared');
+const { matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+const settingsService = require('./settingsService');
+const taskService = require('./taskService');
+
+const AGING_BUCKETS = [
+  { label: '0-30', max: 30 },
+  { label: '31-60', max: 60 },
+  { label: '61-90', max: 90 },
+  { label: '90+', max: Infinity }
+];
+const DEFAULT_AGING_SETTINGS = { floorplanRate: null, thresholds: [60, 90], taskAssignee: 'sales' };
+const IN_STOCK_STATUSES = ['available', 'on_hold', 'pending_sale'];
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+const bucketFor = days => AGING_BUCKETS.find(bucket => days <= bucket.max).label;
+const emptyCounts = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.label, 0]));
+
+function getSettings(tenantId) {
+  const configured = settingsService.getInventoryAging(tenantId);
+  const rate = Number(configured.floorplanRate);
+  return {
+    floorplanRate: configured.floorplanRate !== undefined && configured.floorplanRate !== null && Number.isFinite(rate) ? rate : null,
+    thresholds: Array.isArray(configured.thresholds) && configured.thresholds.length
+      ? [...configured.thresholds].map(Number).filter(value => value > 0).sort((a, b) => a - b)
+      : DEFAULT_AGING_SETTINGS.thresholds,
+    taskAssignee: configured.taskAssignee || DEFAULT_AGING_SETTINGS.taskAssignee
+  };
+}
+
+// Interest accrues on the floored amount (floorplanAmount, else the unit price) at the lender's simple annual rate.
+function floorplanCost(unit, days, rate) {
+  if (rate === null) return { principal: undefined, daily: null, total: null };
+  const principal = Number(unit.floorplanAmount) > 0 ? Number(unit.floorplanAmount) : Number(unit.price) || 0;
+  const daily = (principal * rate) / 100 / 365;
+  return { principal, daily: roundCurrency(daily), total: roundCurrency(daily * days) };
+}
+
+function inStockUnits(tenantId, query = {}) {
+  const tenant = normalizeTenantId(tenantId);
+  return datasets.inventory
+    .filter(unit => matchesTenant(unit.tenantId, tenant))
+    .filter(unit => IN_STOCK_STATUSES.includes(unit.status || 'available'))
+    .filter(unit => (query.location ? unit.location === query.location : true))
+    .filter(unit => (query.category ? unit.category === query.category : true));
+}
+
+function summarize(rows, key) {
+  const groups = rows.reduce((acc, row) => {
+    const name = row[key] || 'Unassigned';
+    const group = acc.get(name) || { [key]: name, units: 0, counts: emptyCounts(), floorplanCost: 0, totalDays: 0 };
+    group.units += 1;
+    group.counts[row.bucket] += 1;
+    group.floorplanCost += row.floorplanCost || 0;
+    group.totalDays += row.daysOnLot;
+    acc.set(name, group);
+    return acc;
+  }, new Map());
+  return Array.from(groups.values())
+    .map(({ totalDays, ...group }) => ({
+      ...group,
+      floorplanCost: roundCurrency(group.floorplanCost),
+      averageDaysOnLot: Math.round(totalDays / group.units)
+    }))
+    .sort((a, b) => b.units - a.units || String(a[key]).localeCompare(String(b[key])));
+}
+
+/**
+ * Aging report for in-stock units: per-unit days on lot and floorplan interest, bucketed by location and category.
+ */
+function agingReport(tenantId, query = {}, now = new Date()) {
+  const settings = getSettings(tenantId);
+  const rows = inStockUnits(tenantId, query)
+    .map(unit => {
+      const daysOnLot = inventoryService.calculateDaysOnLot(unit, now);
+      const cost = floorplanCost(unit, daysOnLot, settings.floorplanRate);
+      return {
+        id: unit.id,
+        stockNumber: unit.stockNumber,
+        name: unit.name,
+        location: unit.location,
+        category: unit.category,
+        status: unit.status || 'available',
+        daysOnLot,
+        bucket: bucketFor(daysOnLot),
+        floorplanAmount: cost.principal,
+        dailyFloorplanCost: cost.daily,
+        floorplanCost: cost.total
+      };
+    })
+    .sort((a, b) => b.daysOnLot - a.daysOnLot);
+
+  const counts = emptyCounts();
+  rows.forEach(row => {
+    counts[row.bucket] += 1;
+  });
+  return escapeOutputPayload({
+    asOf: new Date(now).toISOString(),
+    buckets: AGING_BUCKETS.map(bucket => bucket.label),
+    settings,
+    totals: {
+      units: rows.length,
+      counts,
+      floorplanCost: settings.floorplanRate === null ? null : roundCurrency(rows.reduce((sum, row) => sum + row.floorplanCost, 0)),
+      averageDaysOnLot: rows.length ? Math.round(rows.reduce((sum, row) => sum + row.daysOnLot, 0) / rows.length) : 0
+    },
+    byLocation: summarize(rows, 'location'),
+    byCategory: summarize(rows, 'category'),
+    units: rows
+  });
+}
+
+/**
+ * Opens one task per unit for the highest aging threshold it has crossed. Tasks carry a sourceKey so
+ * reruns do not duplicate them; a unit crossing the next threshold gets a new task.
+ */
+function flagAgedUnits(tenantId, now = new Date()) {
+  const tenant = normalizeTenantId(tenantId);
+  const settings = getSettings(tenant);
+  const existingKeys = new Set(
+    datasets.tasks.filter(task => matchesTenant(task.tenantId, tenant) && task.sourceKey).map(task => task.sourceKey)
+  );
+  return inStockUnits(tenant).reduce((created, unit) => {
+    const daysOnLot = inventoryService.calculateDaysOnLot(unit, now);
+    const threshold = settings.thresholds.filter(value => daysOnLot >= value).pop();
+    if (!threshold) return created;
+    const sourceKey = `inventory-aging:${unit.id}:${threshold}`;
+    if (existingKeys.has(sourceKey)) return created;
+    const cost = floorplanCost(unit, daysOnLot, settings.floorplanRate);
+    const { task } = taskService.create(
+      {
+        title: `${unit.stockNumber || unit.name} passed ${threshold} days on lot`,
+        notes: [
+          `${unit.name || 'Unit'} at ${unit.location || 'unknown location'} has been in stock ${daysOnLot} days.`,
+          cost.total !== null ? `Floorplan interest to date: $${cost.total.toFixed(2)} ($${cost.daily.toFixed(2)}/day).` : undefined
+        ]
+          .filter(Boolean)
+          .join(' '),
+        assignedTo: settings.taskAssignee,
+        inventoryId: unit.id,
+        sourceKey
+      },
+      tenant
+    );
+    existingKeys.add(sourceKey);
+    created.push(task);
+    return created;
+  }, []);
+}
+
+function flagAllTenants(now = new Date()) {
+  const tenantIds = new Set(datasets.inventory.map(unit => normalizeTenantId(unit.tenantId)));
+  return Array.from(tenantIds).flatMap(tenantId => flagAgedUnits(tenantId, now));
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  DEFAULT_AGING_SETTINGS,
+  getSettings,
+  agingReport,
+  flagAgedUnits,
+  flagAllTenants
+};
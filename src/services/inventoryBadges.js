@@ -1,6 +1,10 @@
 const { sanitizeString } = require('./shared');
 const settingsService = require('./settingsService');
 
+const PRICE_DROP_BADGE = 'Price Drop';
+const DEFAULT_PRICE_DROP_WINDOW_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 function normalizeStringArray(value) {
   if (!value) return [];
   if (Array.isArray(value)) return value.map(sanitizeString).filter(Boolean);
@@ -24,6 +28,29 @@ function hasCompactLength(unit, maxLength) {
   return Number.isFinite(parsed) && parsed < maxLength;
 }
 
+function resolvePriceDropWindowDays(badgeRules = {}) {
+  if (badgeRules.priceDropWindowDays === undefined || badgeRules.priceDropWindowDays === null) {
+    return DEFAULT_PRICE_DROP_WINDOW_DAYS;
+  }
+  const parsed = Number(badgeRules.priceDropWindowDays);
+  return Number.isFinite(parsed) ? Math.max(0, parsed) : DEFAULT_PRICE_DROP_WINDOW_DAYS;
+}
+
+function hasRecentPriceDrop(unit, windowDays) {
+  if (!unit.priceDroppedAt || !windowDays) return false;
+  const droppedAt = new Date(unit.priceDroppedAt).getTime();
+  if (Number.isNaN(droppedAt)) return false;
+  return Date.now() - droppedAt <= windowDays * DAY_MS;
+}
+
+// Custom rule condition: arrays must contain matchValue, scalars compare case-insensitively.
+function matchesRule(unit, rule) {
+  const value = unit[rule.matchField];
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return value.includes(rule.matchValue);
+  return String(value).toLowerCase() === String(rule.matchValue).toLowerCase();
+}
+
 function deriveBadges(unit, tenantSettings = {}) {
   const badges = new Set();
   const badgeRules = tenantSettings.badgeRules || {};
@@ -46,17 +73,15 @@ function deriveBadges(unit, tenantSettings = {}) {
     badges.add('Sleeps the Crew');
   }
 
+  if (hasRecentPriceDrop(unit, resolvePriceDropWindowDays(badgeRules))) {
+    badges.add(PRICE_DROP_BADGE);
+  }
+
   const configuredBadges = badgeRules.customRules || tenantSettings.badgeConfig || [];
   configuredBadges
     .filter(entry => entry && entry.matchField && entry.label)
     .forEach(entry => {
-      const value = unit[entry.matchField];
-      if (value === undefined || value === null) return;
-      if (Array.isArray(value) && value.includes(entry.matchValue)) {
-        badges.add(entry.label);
-      } else if (!Array.isArray(value) && String(value).toLowerCase() === String(entry.matchValue).toLowerCase()) {
-        badges.add(entry.label);
-      }
+      if (matchesRule(unit, entry)) badges.add(entry.label);
     });
 
   return Array.from(badges);
@@ -67,7 +92,15 @@ function computeInventoryBadges(unit, tenantId) {
   return deriveBadges(unit, tenantSettings);
 }
 
+function isPriceDropActive(unit, tenantId) {
+  const tenantSettings = settingsService.getForTenant(tenantId) || {};
+  return hasRecentPriceDrop(unit, resolvePriceDropWindowDays(tenantSettings.badgeRules));
+}
+
 module.exports = {
+  PRICE_DROP_BADGE,
   computeInventoryBadges,
-  deriveBadges
+  deriveBadges,
+  isPriceDropActive,
+  matchesRule
 };
@@ -0,0 +1,143 @@
+const { datasets, persist } = require('./state');
+const { matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+const {
+  constants: { INVENTORY_BULK_LOCKED_FIELDS }
+} = require('../validation/schemas');
+
+const MAX_BULK_UNITS = 500;
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function resolveTargets({ ids, filter }, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  if (ids) {
+    const unique = Array.from(new Set(ids));
+    return unique.map(id => {
+      const unit = datasets.inventory.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenant));
+      return unit ? { id, unit } : { id, error: 'Inventory not found' };
+    });
+  }
+  const { items } = inventoryService.list({ ...filter, facets: undefined, limit: undefined, offset: 0 }, tenant);
+  return items.map(item => ({ id: item.id, unit: datasets.inventory.find(entry => entry.id === item.id) }));
+}
+
+// An unset salePrice is adjusted from the list price, the same way repricing rules treat it.
+function adjustedPrice(unit, field, percent) {
+  const base = Number(unit[field] ?? (field === 'salePrice' ? unit.price : undefined));
+  if (!Number.isFinite(base) || base <= 0) return { error: `Unit has no ${field} to adjust` };
+  return { value: roundCurrency(base * (1 + percent / 100)) };
+}
+
+function buildPatch(unit, operation, template) {
+  if (operation.type === 'set') {
+    return {
+      patch: Object.fromEntries(
+        Object.entries(operation.fields).filter(
+          ([key, value]) => value !== undefined && !INVENTORY_BULK_LOCKED_FIELDS.includes(key)
+        )
+      )
+    };
+  }
+  if (operation.type === 'adjustPrice') {
+    const field = operation.field || 'price';
+    const adjusted = adjustedPrice(unit, field, operation.percent);
+    return adjusted.error ? adjusted : { patch: { [field]: adjusted.value } };
+  }
+  if (operation.type === 'applySpotlightTemplate') {
+    return { patch: { spotlights: template.spotlights } };
+  }
+  return { patch: { featured: operation.featured } };
+}
+
+function plan(target, operation, template) {
+  if (target.error) return { id: target.id, status: 'failed', error: target.error };
+  const { unit } = target;
+  const built = buildPatch(unit, operation, template);
+  const base = { id: unit.id, stockNumber: unit.stockNumber };
+  if (built.error) return { ...base, status: 'failed', error: built.error };
+  const changes = Object.entries(built.patch)
+    .filter(([field, value]) => !sameValue(unit[field], value))
+    .map(([field, value]) => ({ field, from: unit[field], to: value }));
+  return { ...base, status: changes.length ? 'updated' : 'unchanged', changes, patch: built.patch };
+}
+
+const publicResult = ({ patch, ...result }) => result;
+
+function summarize(results) {
+  return results.reduce(
+    (summary, result) => ({ ...summary, [result.status]: (summary[result.status] || 0) + 1 }),
+    { matched: results.length, updated: 0, unchanged: 0, failed: 0 }
+  );
+}
+
+/**
+ * Applies one operation to every unit picked by `ids` or a list `filter`. Writes go through
+ * inventoryService.update so revisions and price history are recorded as for single edits. The run is
+ * all-or-nothing: a unit that cannot be planned stops it before any write, and a failed write restores
+ * inventory and revisions to how they were before the first one.
+ */
+function run(body, tenantId, options = {}) {
+  const { operation, dryRun = false } = body;
+  let template;
+  if (operation.type === 'applySpotlightTemplate') {
+    template = datasets.spotlightTemplates.find(
+      entry => entry.id === operation.templateId && matchesTenant(entry.tenantId, tenantId)
+    );
+    if (!template) return { notFound: true };
+  }
+
+  const targets = resolveTargets(body, tenantId);
+  if (!targets.length) return { error: 'No inventory units matched' };
+  if (targets.length > MAX_BULK_UNITS) {
+    return { error: `Bulk edits are limited to ${MAX_BULK_UNITS} units; ${targets.length} matched` };
+  }
+
+  const planned = targets.map(target => plan(target, operation, template));
+  const failed = planned.some(result => result.status === 'failed');
+  if (dryRun || failed) {
+    const results = planned.map(publicResult);
+    const response = { dryRun, operation: operation.type, summary: summarize(results), results, updates: [] };
+    return failed && !dryRun ? { ...response, error: 'Some units cannot be updated; nothing was changed' } : response;
+  }
+
+  const snapshot = { inventory: [...datasets.inventory], inventoryRevisions: [...datasets.inventoryRevisions] };
+  const updates = [];
+  const results = [];
+  for (const entry of planned) {
+    if (entry.status === 'unchanged') {
+      results.push(publicResult(entry));
+      continue;
+    }
+    const result = inventoryService.update(entry.id, { ...entry.patch, updatedBy: options.changedBy }, tenantId, {
+      source: 'bulk'
+    });
+    const error = result.error || result.conflict || (result.notFound && 'Inventory not found');
+    if (error) {
+      datasets.inventory = snapshot.inventory;
+      datasets.inventoryRevisions = snapshot.inventoryRevisions;
+      persist.inventory(datasets.inventory);
+      persist.inventoryRevisions(datasets.inventoryRevisions);
+      results.push({ ...publicResult(entry), status: 'failed', error });
+      const rolledBack = results.map(prior => (prior.status === 'updated' ? { ...prior, status: 'rolled_back' } : prior));
+      return {
+        error: `Update failed for ${entry.stockNumber || entry.id}; all changes were rolled back`,
+        dryRun,
+        operation: operation.type,
+        rolledBack: true,
+        summary: summarize(rolledBack),
+        results: rolledBack,
+        updates: []
+      };
+    }
+    updates.push(result);
+    results.push(publicResult(entry));
+  }
+  return { dryRun, operation: operation.type, summary: summarize(results), results, updates };
+}
+
+module.exports = {
+  MAX_BULK_UNITS,
+  run
+};
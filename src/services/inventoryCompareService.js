@@ -0,0 +1,111 @@
+const { datasets } = require('./state');
+const { escapeOutputPayload } = require('./shared');
+const { matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+const inventorySchemaService = require('./inventorySchemaService');
+const inventoryDisplayConfigService = require('./inventoryDisplayConfigService');
+const financeOfferService = require('./financeOfferService');
+
+const MIN_COMPARE_UNITS = 2;
+const MAX_COMPARE_UNITS = 3;
+
+// Display-config field names map onto these rows; rows the config does not mention follow in this order.
+const SPEC_ROWS = [
+  { field: 'year', label: 'Year', value: ({ unit }) => unit.year },
+  { field: 'make', label: 'Make', value: ({ schema }) => schema.brand },
+  { field: 'model', label: 'Model', value: ({ unit }) => unit.name },
+  { field: 'price', label: 'Total price', value: ({ unit }) => unit.totalPrice },
+  { field: 'msrp', label: 'MSRP', value: ({ unit }) => unit.msrp },
+  { field: 'salePrice', label: 'Sale price', value: ({ unit }) => unit.salePrice },
+  { field: 'monthlyPayment', label: 'Est. monthly payment', value: ({ payment }) => payment?.monthlyPayment },
+  { field: 'condition', label: 'Condition', value: ({ unit }) => unit.condition },
+  { field: 'category', label: 'Category', value: ({ unit }) => unit.category },
+  { field: 'subcategory', label: 'Floorplan type', value: ({ schema }) => schema.vehicleConfiguration },
+  { field: 'length', label: 'Length (ft)', value: ({ unit }) => unit.length },
+  { field: 'weight', label: 'Weight (lbs)', value: ({ unit }) => unit.weight },
+  { field: 'slides', label: 'Slides', value: ({ unit }) => unit.slides },
+  { field: 'beds', label: 'Beds', value: ({ schema }) => schema.numberOfBeds },
+  { field: 'chassis', label: 'Chassis', value: ({ unit }) => unit.chassis },
+  { field: 'fuelType', label: 'Fuel', value: ({ schema }) => schema.fuelType },
+  { field: 'mileage', label: 'Mileage', value: ({ unit }) => unit.mileage },
+  { field: 'location', label: 'Location', value: ({ unit }) => unit.location },
+  { field: 'stockNumber', label: 'Stock #', value: ({ unit }) => unit.stockNumber }
+];
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+function orderedRows(tenantId) {
+  const configured = [...(inventoryDisplayConfigService.get(tenantId).listView?.fields || [])].sort(
+    (a, b) => Number(a.order) - Number(b.order)
+  );
+  const hidden = new Set(configured.filter(entry => entry.visible === false).map(entry => entry.field));
+  const leading = configured
+    .filter(entry => entry.visible !== false)
+    .map(entry => SPEC_ROWS.find(row => row.field === entry.field))
+    .filter(Boolean);
+  return [...leading, ...SPEC_ROWS.filter(row => !leading.includes(row))].filter(row => !hidden.has(row.field));
+}
+
+/**
+ * Builds a side-by-side spec matrix for two or three units. Rows follow the tenant's display config,
+ * drop fields no unit has, and flag `differs` when the values are not all the same.
+ */
+function compare(ids, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const uniqueIds = Array.from(
+    new Set((Array.isArray(ids) ? ids : String(ids || '').split(',')).map(id => String(id).trim()).filter(Boolean))
+  );
+  if (uniqueIds.length < MIN_COMPARE_UNITS || uniqueIds.length > MAX_COMPARE_UNITS) {
+    return { error: `Compare between ${MIN_COMPARE_UNITS} and ${MAX_COMPARE_UNITS} distinct units` };
+  }
+  const units = uniqueIds.map(id => datasets.inventory.find(unit => unit.id === id && matchesTenant(unit.tenantId, tenant)));
+  const missing = uniqueIds.filter((id, index) => !units[index]);
+  if (missing.length) return { notFound: true, missing };
+
+  const columns = units.map(raw => {
+    const unit = { ...raw, totalPrice: inventoryService.calculateTotalPrice(raw) };
+    return {
+      unit,
+      schema: inventorySchemaService.buildJsonLd(unit, tenant),
+      payment: financeOfferService.estimatePayment(unit.totalPrice, tenant, { category: unit.category })
+    };
+  });
+
+  const rows = orderedRows(tenant)
+    .map(row => {
+      const values = columns.map(column => {
+        const value = row.value(column);
+        return isBlank(value) ? null : value;
+      });
+      const comparable = values.map(value => (value === null ? null : String(value).trim().toLowerCase()));
+      return { field: row.field, label: row.label, values, differs: new Set(comparable).size > 1 };
+    })
+    .filter(row => row.values.some(value => value !== null));
+
+  return {
+    comparison: escapeOutputPayload({
+      units: columns.map(({ unit, schema, payment }) => ({
+        id: unit.id,
+        name: unit.name,
+        stockNumber: unit.stockNumber,
+        slug: unit.slug,
+        status: unit.status || 'available',
+        image: schema.image,
+        url: schema.url,
+        totalPrice: unit.totalPrice,
+        payment,
+        badges: inventoryService.resolveBadges(unit, tenant),
+        spotlights: (unit.spotlights || [])
+          .slice()
+          .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0))
+          .map(({ title, description, valueTag }) => ({ title, description, valueTag }))
+      })),
+      rows
+    })
+  };
+}
+
+module.exports = {
+  MAX_COMPARE_UNITS,
+  compare
+};
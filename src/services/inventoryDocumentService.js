@@ -0,0 +1,313 @@
+const { datasets } = require('./state');
+const { matchesTenant, normalizeTenantId } = require('./tenantService');
+const {
+  constants: { DOCUMENT_SECTIONS, DOCUMENT_SPEC_FIELDS }
+} = require('../validation/schemas');
+const { createPdfDocument } = require('../lib/pdfDocument');
+const qrCode = require('../lib/qrCode');
+const inventoryService = require('./inventoryService');
+const seoService = require('./seoService');
+const settingsService = require('./settingsService');
+
+const MARGIN = 40;
+const QR_SIZE = 112;
+const QR_QUIET_ZONE = 4;
+const MUTED = '#555555';
+const RULE = '#cccccc';
+
+const DEFAULT_DOCUMENT_TEMPLATES = {
+  sticker: {
+    title: 'Window Sticker',
+    pageSize: 'letter',
+    accentColor: '#1f4e79',
+    sections: ['header', 'pricing', 'badges', 'spotlights', 'specs', 'qr', 'footer'],
+    specFields: ['year', 'make', 'model', 'condition', 'length', 'slides', 'stockNumber', 'vin'],
+    disclaimer: 'Prices exclude title and registration unless listed. See dealer for complete details.'
+  },
+  specSheet: {
+    title: 'Specifications',
+    pageSize: 'letter',
+    accentColor: '#1f4e79',
+    sections: ['header', 'specs', 'spotlights', 'story', 'pricing', 'badges', 'qr', 'footer'],
+    specFields: DOCUMENT_SPEC_FIELDS,
+    disclaimer: 'Specifications are provided by the manufacturer and may vary. Verify with the dealer before purchase.'
+  }
+};
+const FILE_SUFFIXES = { sticker: 'window-sticker', specSheet: 'spec-sheet' };
+
+const SPEC_FIELDS = {
+  year: { label: 'Year', value: unit => unit.year },
+  make: { label: 'Make', value: unit => unit.brand || unit.manufacturer },
+  model: { label: 'Model', value: unit => unit.name },
+  condition: { label: 'Condition', value: unit => unit.condition },
+  category: { label: 'Category', value: unit => unit.category },
+  subcategory: { label: 'Floorplan type', value: unit => unit.subcategory || unit.subCategory },
+  length: { label: 'Length', value: unit => withUnit(unit.length, 'ft') },
+  weight: { label: 'Weight', value: unit => withUnit(unit.weight, 'lbs') },
+  slides: { label: 'Slides', value: unit => unit.slides },
+  beds: { label: 'Beds', value: unit => unit.beds },
+  sleeps: { label: 'Sleeps', value: unit => unit.sleeps },
+  chassis: { label: 'Chassis', value: unit => unit.chassis },
+  mileage: { label: 'Mileage', value: unit => withUnit(unit.mileage, 'mi') },
+  vin: { label: 'VIN', value: unit => unit.vin },
+  stockNumber: { label: 'Stock #', value: unit => unit.stockNumber },
+  location: { label: 'Location', value: unit => unit.location },
+  msrp: { label: 'MSRP', value: (unit, format) => (Number(unit.msrp) > 0 ? format(unit.msrp) : undefined) }
+};
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+function withUnit(value, suffix) {
+  if (isBlank(value)) return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? `${number.toLocaleString('en-US')} ${suffix}` : value;
+}
+
+function currencyFormatter(currency) {
+  let formatter;
+  try {
+    formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' });
+  } catch (error) {
+    formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+  }
+  return value => formatter.format(Number(value) || 0);
+}
+
+/**
+ * The tenant's template for a document type: stored overrides over DEFAULT_DOCUMENT_TEMPLATES.
+ */
+function resolveTemplate(type, tenantId) {
+  const overrides = settingsService.getDocumentTemplates(tenantId)[type] || {};
+  const template = { ...DEFAULT_DOCUMENT_TEMPLATES[type], ...overrides };
+  return {
+    ...template,
+    sections: template.sections.filter(section => DOCUMENT_SECTIONS.includes(section)),
+    specFields: template.specFields.filter(field => SPEC_FIELDS[field])
+  };
+}
+
+function getTemplates(tenantId) {
+  return Object.keys(DEFAULT_DOCUMENT_TEMPLATES).reduce(
+    (acc, type) => ({ ...acc, [type]: resolveTemplate(type, tenantId) }),
+    {}
+  );
+}
+
+// QR codes need an absolute URL to be useful off-site, so relative canonicals are joined to the dealership website.
+function unitUrl(unit, tenantId, settings) {
+  const canonical = seoService.resolveCanonical('inventory', unit.id, tenantId, () => unit);
+  if (!canonical || /^https?:\/\//.test(canonical) || !settings.website) return canonical;
+  return `${String(settings.website).replace(/\/+$/, '')}${canonical}`;
+}
+
+function pricingRows(unit, format) {
+  const rows = [];
+  if (Number(unit.msrp) > 0) rows.push({ label: 'MSRP', value: format(unit.msrp) });
+  rows.push({ label: 'Price', value: format(unit.price) });
+  if (!isBlank(unit.salePrice)) rows.push({ label: 'Sale price', value: format(unit.salePrice) });
+  if (Number(unit.fees)) rows.push({ label: 'Fees', value: format(unit.fees) });
+  if (Number(unit.taxes)) rows.push({ label: 'Taxes', value: format(unit.taxes) });
+  if (Number(unit.rebates)) rows.push({ label: 'Rebates', value: `-${format(unit.rebates)}` });
+  rows.push({ label: 'Total price', value: format(inventoryService.calculateTotalPrice(unit)), total: true });
+  return rows;
+}
+
+function createLayout(template) {
+  const doc = createPdfDocument({ size: template.pageSize, title: template.title });
+  const layout = {
+    doc,
+    accent: template.accentColor,
+    left: MARGIN,
+    width: doc.width - MARGIN * 2,
+    top: MARGIN,
+    ensure(height) {
+      if (layout.top + height <= doc.height - MARGIN) return;
+      doc.addPage();
+      layout.top = MARGIN;
+    },
+    heading(label) {
+      layout.ensure(40);
+      layout.top += 14;
+      doc.text(label, layout.left, layout.top, { size: 12, font: 'bold', color: layout.accent });
+      layout.top += 5;
+      doc.line(layout.left, layout.top, layout.left + layout.width, layout.top, { color: layout.accent, lineWidth: 0.75 });
+      layout.top += 14;
+    },
+    paragraph(text, { size = 10, font = 'regular', color, indent = 0, width } = {}) {
+      doc.wrap(text, (width ?? layout.width) - indent, size, font).forEach(line => {
+        layout.ensure(size + 4);
+        doc.text(line, layout.left + indent, layout.top, { size, font, color });
+        layout.top += size + 4;
+      });
+    }
+  };
+  doc.addPage();
+  return layout;
+}
+
+const SECTION_RENDERERS = {
+  header(layout, { unit, settings, template }) {
+    const { doc } = layout;
+    if (layout.top > MARGIN) doc.addPage();
+    doc.rect(0, 0, doc.width, 64, { fill: layout.accent });
+    doc.text(settings.dealershipName || '', layout.left, 38, { size: 18, font: 'bold', color: '#ffffff' });
+    doc.text(template.title, layout.left, 38, { size: 12, color: '#ffffff', align: 'right', width: layout.width });
+    layout.top = 96;
+    const heading = [unit.year, unit.brand || unit.manufacturer, unit.name].filter(Boolean).join(' ');
+    layout.paragraph(heading || unit.stockNumber || unit.id, { size: 20, font: 'bold' });
+    const identifiers = [unit.stockNumber && `Stock # ${unit.stockNumber}`, unit.vin && `VIN ${unit.vin}`, unit.condition]
+      .filter(Boolean)
+      .join('  |  ');
+    if (identifiers) layout.paragraph(identifiers, { color: MUTED });
+  },
+  pricing(layout, { unit, format }) {
+    layout.heading('Pricing');
+    pricingRows(unit, format).forEach(row => {
+      const size = row.total ? 13 : 10;
+      const font = row.total ? 'bold' : 'regular';
+      layout.ensure(size + 8);
+      if (row.total) {
+        layout.doc.line(layout.left, layout.top - 8, layout.left + layout.width, layout.top - 8, { color: RULE, lineWidth: 0.5 });
+        layout.top += 4;
+      }
+      layout.doc.text(row.label, layout.left, layout.top, { size, font });
+      layout.doc.text(row.value, layout.left, layout.top, {
+        size,
+        font,
+        align: 'right',
+        width: layout.width,
+        color: row.total ? layout.accent : undefined
+      });
+      layout.top += size + 6;
+    });
+  },
+  badges(layout, { badges }) {
+    if (!badges.length) return;
+    layout.heading('Highlights');
+    const { doc } = layout;
+    const size = 9;
+    let x = layout.left;
+    layout.ensure(22);
+    badges.forEach(badge => {
+      const pillWidth = doc.measure(badge, size, 'bold') + 16;
+      if (x + pillWidth > layout.left + layout.width && x > layout.left) {
+        x = layout.left;
+        layout.top += 22;
+        layout.ensure(22);
+      }
+      doc.rect(x, layout.top - 12, pillWidth, 17, { fill: layout.accent });
+      doc.text(badge, x + 8, layout.top, { size, font: 'bold', color: '#ffffff' });
+      x += pillWidth + 6;
+    });
+    layout.top += 16;
+  },
+  spotlights(layout, { unit }) {
+    const spotlights = (unit.spotlights || [])
+      .slice()
+      .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0))
+      .filter(entry => entry.title || entry.description);
+    if (!spotlights.length) return;
+    layout.heading('Spotlights');
+    spotlights.forEach(entry => {
+      layout.paragraph([entry.title, entry.valueTag && `(${entry.valueTag})`].filter(Boolean).join(' '), { font: 'bold' });
+      if (entry.description) layout.paragraph(entry.description, { color: MUTED, indent: 10 });
+      layout.top += 4;
+    });
+  },
+  specs(layout, { unit, template, format }) {
+    const rows = template.specFields
+      .map(field => ({ label: SPEC_FIELDS[field].label, value: SPEC_FIELDS[field].value(unit, format) }))
+      .filter(row => !isBlank(row.value));
+    if (!rows.length) return;
+    layout.heading('Specifications');
+    const columnWidth = layout.width / 2;
+    for (let i = 0; i < rows.length; i += 2) {
+      layout.ensure(18);
+      rows.slice(i, i + 2).forEach((row, column) => {
+        const x = layout.left + column * columnWidth;
+        layout.doc.text(row.label, x, layout.top, { size: 9, color: MUTED });
+        layout.doc.text(String(row.value), x + 90, layout.top, { size: 10, font: 'bold' });
+      });
+      layout.top += 18;
+    }
+  },
+  story(layout, { unit }) {
+    if (!unit.salesStory) return;
+    layout.heading('About this unit');
+    layout.paragraph(unit.salesStory);
+  },
+  qr(layout, { url }) {
+    if (!url) return;
+    let code;
+    try {
+      code = qrCode.encode(url);
+    } catch (err) {
+      // A URL too long for the largest QR version leaves the section out rather than failing the document.
+      return;
+    }
+    const totalModules = code.size + QR_QUIET_ZONE * 2;
+    const moduleSize = QR_SIZE / totalModules;
+    layout.ensure(QR_SIZE + 20);
+    layout.top += 10;
+    const { doc } = layout;
+    const originX = layout.left;
+    const originY = layout.top;
+    code.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (!dark) return;
+        doc.rect(originX + (x + QR_QUIET_ZONE) * moduleSize, originY + (y + QR_QUIET_ZONE) * moduleSize, moduleSize, moduleSize, {
+          fill: '#000000'
+        });
+      });
+    });
+    const captionX = originX + QR_SIZE + 12;
+    doc.text('Scan for photos, pricing and availability', captionX, originY + QR_SIZE / 2 - 4, { size: 11, font: 'bold' });
+    doc.wrap(url, layout.width - QR_SIZE - 12, 8).forEach((line, index) => {
+      doc.text(line, captionX, originY + QR_SIZE / 2 + 12 + index * 10, { size: 8, color: MUTED });
+    });
+    layout.top = originY + QR_SIZE + 6;
+  },
+  footer(layout, { settings, template }) {
+    layout.ensure(40);
+    layout.top += 12;
+    layout.doc.line(layout.left, layout.top, layout.left + layout.width, layout.top, { color: RULE, lineWidth: 0.5 });
+    layout.top += 14;
+    const address = [settings.address, settings.city, [settings.state, settings.zip].filter(Boolean).join(' ')]
+      .filter(Boolean)
+      .join(', ');
+    const contact = [settings.dealershipName, address, settings.phone, settings.email, settings.website].filter(Boolean);
+    if (contact.length) layout.paragraph(contact.join('  |  '), { size: 8, color: MUTED });
+    if (template.disclaimer) layout.paragraph(template.disclaimer, { size: 7, color: MUTED });
+  }
+};
+
+/**
+ * Renders a window sticker or spec sheet for a unit as a PDF: pricing breakdown, badges, spotlights,
+ * specs and a QR code to the unit's canonical page, laid out by the tenant's template.
+ */
+function render(id, type, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const unit = datasets.inventory.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenant));
+  if (!unit) return { notFound: true };
+  const settings = settingsService.getForTenant(tenant) || {};
+  const template = resolveTemplate(type, tenant);
+  const context = {
+    unit,
+    settings,
+    template,
+    badges: inventoryService.resolveBadges(unit, tenant),
+    format: currencyFormatter(settings.currency),
+    url: unitUrl(unit, tenant, settings)
+  };
+  const layout = createLayout(template);
+  template.sections.forEach(section => SECTION_RENDERERS[section](layout, context));
+  const baseName = String(unit.stockNumber || unit.id).replace(/[^A-Za-z0-9_-]+/g, '-');
+  return { buffer: layout.doc.toBuffer(), fileName: `${baseName}-${FILE_SUFFIXES[type]}.pdf`, url: context.url };
+}
+
+module.exports = {
+  DEFAULT_DOCUMENT_TEMPLATES,
+  getTemplates,
+  resolveTemplate,
+  render
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('node:crypto');
+const config = require('../config');
+const { DATA_DIR } = require('../persistence/store');
+const { probeImage } = require('../lib/imageProbe');
+const { datasets } = require('./state');
+const { sanitizeString } = require('./shared');
+const { matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+
+// Widths a resizing proxy or CDN should serve; only widths below the original are listed.
+const DERIVATIVE_WIDTHS = [320, 640, 1024, 1600];
+const OPTIMIZED_WIDTH = 1024;
+const PLACEHOLDER_WIDTH = 16;
+const PLACEHOLDER_FILL = '#d1d5db';
+
+const uploadRoot = () => config.media.uploadDir || path.join(DATA_DIR, 'uploads');
+
+function findUnit(id, tenantId) {
+  return datasets.inventory.find(unit => unit.id === id && matchesTenant(unit.tenantId, tenantId));
+}
+
+function photosOf(unit) {
+  return unit.media?.photos || [];
+}
+
+function derivativeSizes(url, width, height) {
+  return DERIVATIVE_WIDTHS.filter(size => size < width).map(size => ({
+    width: size,
+    height: Math.round((height * size) / width),
+    url: `${url}?w=${size}`
+  }));
+}
+
+// Aspect-correct SVG block shown while the photo loads; small enough to inline in list responses.
+function placeholderFor(width, height) {
+  const placeholderHeight = Math.max(1, Math.round((height * PLACEHOLDER_WIDTH) / width));
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${PLACEHOLDER_WIDTH}" height="${placeholderHeight}" viewBox="0 0 ${PLACEHOLDER_WIDTH} ${placeholderHeight}"><rect width="100%" height="100%" fill="${PLACEHOLDER_FILL}"/></svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+}
+
+/**
+ * Problems that hurt listing quality: no photos, no hero photo, or photos below the configured minimum resolution.
+ */
+function mediaIssues(unit) {
+  const photos = photosOf(unit);
+  if (!photos.length) return [{ code: 'no_photos', message: 'Unit has no photos' }];
+  const issues = [];
+  if (!photos.some(photo => photo.isHero)) issues.push({ code: 'missing_hero', message: 'No photo is marked as the hero' });
+  photos
+    .filter(photo => photo.width && photo.height)
+    .filter(photo => photo.width < config.media.minWidth || photo.height < config.media.minHeight)
+    .forEach(photo =>
+      issues.push({
+        code: 'under_resolution',
+        photoId: photo.id,
+        message: `Photo is ${photo.width}x${photo.height}; minimum is ${config.media.minWidth}x${config.media.minHeight}`
+      })
+    );
+  return issues;
+}
+
+function saveMedia(unit, photos, tenantId, changedBy) {
+  const result = inventoryService.updateMedia(unit.id, { ...unit.media, photos }, tenantId, changedBy);
+  return { unit: result.unit, issues: mediaIssues(findUnit(unit.id, tenantId)) };
+}
+
+/**
+ * Stores uploaded image files under <uploadDir>/<tenant>/<unit>/ and appends them to the unit's photos with
+ * dimensions, derivative sizes and a placeholder. Any unreadable file rejects the whole upload.
+ */
+function upload(id, files = [], options = {}, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const unit = findUnit(id, tenant);
+  if (!unit) return { notFound: true };
+  if (!files.length) return { error: 'Attach at least one image file' };
+  const probed = files.map(file => ({ file, image: probeImage(file.data) }));
+  const unreadable = probed.filter(entry => !entry.image).map(entry => entry.file.fileName || entry.file.fieldName);
+  if (unreadable.length) return { error: `Unsupported or unreadable image: ${unreadable.join(', ')}` };
+
+  const directory = path.join(uploadRoot(), tenant, unit.id);
+  fs.mkdirSync(directory, { recursive: true });
+  const uploadedAt = new Date().toISOString();
+  const added = probed.map(({ file, image }, index) => {
+    const photoId = randomUUID();
+    const fileName = `${photoId}.${image.extension}`;
+    fs.writeFileSync(path.join(directory, fileName), file.data);
+    const url = `${config.media.publicBaseUrl}/${encodeURIComponent(tenant)}/${encodeURIComponent(unit.id)}/${fileName}`;
+    const sizes = derivativeSizes(url, image.width, image.height);
+    return {
+      id: photoId,
+      url,
+      width: image.width,
+      height: image.height,
+      isHero: Boolean(options.isHero) && index === 0,
+      optimizedUrl: sizes.find(size => size.width === OPTIMIZED_WIDTH)?.url || url,
+      placeholderUrl: placeholderFor(image.width, image.height),
+      fileName,
+      originalName: sanitizeString(file.fileName) || undefined,
+      mimeType: image.mimeType,
+      bytes: file.data.length,
+      sizes,
+      uploadedAt
+    };
+  });
+
+  const existing = photosOf(unit).map(photo => (added.some(entry => entry.isHero) ? { ...photo, isHero: false } : photo));
+  const saved = saveMedia(unit, [...existing, ...added], tenant, options.changedBy);
+  const photos = saved.unit.media.photos.filter(photo => added.some(entry => entry.id === photo.id));
+  return { ...saved, photos };
+}
+
+function updatePhoto(id, photoId, changes, tenantId, changedBy) {
+  const unit = findUnit(id, tenantId);
+  if (!unit) return { notFound: true };
+  const photos = photosOf(unit);
+  if (!photos.some(photo => photo.id === photoId)) return { notFound: true };
+  const updated = photos.map(photo => {
+    if (photo.id !== photoId) return changes.isHero ? { ...photo, isHero: false } : photo;
+    return {
+      ...photo,
+      isHero: changes.isHero ?? photo.isHero,
+      priority: changes.priority ?? photo.priority,
+      fullWidthPreferred: changes.fullWidthPreferred ?? photo.fullWidthPreferred
+    };
+  });
+  return saveMedia(unit, updated, tenantId, changedBy);
+}
+
+// Listed photos move to the front in the given order; any left out keep their relative order after them.
+function reorder(id, photoIds, tenantId, changedBy) {
+  const unit = findUnit(id, tenantId);
+  if (!unit) return { notFound: true };
+  const photos = photosOf(unit);
+  const unknown = photoIds.filter(photoId => !photos.some(photo => photo.id === photoId));
+  if (unknown.length) return { error: `Unknown photo ids: ${unknown.join(', ')}` };
+  const ordered = Array.from(new Set(photoIds)).map(photoId => photos.find(photo => photo.id === photoId));
+  return saveMedia(unit, [...ordered, ...photos.filter(photo => !photoIds.includes(photo.id))], tenantId, changedBy);
+}
+
+function removePhoto(id, photoId, tenantId, changedBy) {
+  const tenant = normalizeTenantId(tenantId);
+  const unit = findUnit(id, tenant);
+  if (!unit) return { notFound: true };
+  const photo = photosOf(unit).find(entry => entry.id === photoId);
+  if (!photo) return { notFound: true };
+  if (photo.fileName) {
+    fs.rmSync(path.join(uploadRoot(), tenant, unit.id, path.basename(photo.fileName)), { force: true });
+  }
+  return saveMedia(unit, photosOf(unit).filter(entry => entry.id !== photoId), tenant, changedBy);
+}
+
+module.exports = {
+  DERIVATIVE_WIDTHS,
+  uploadRoot,
+  mediaIssues,
+  upload,
+  updatePhoto,
+  reorder,
+  removePhoto
+};
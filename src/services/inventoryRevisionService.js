@@ -3,7 +3,7 @@ const { datasets, persist } = require('./state');
 const { matchesTenant, normalizeTenantId } = require('./tenantService');
 const { computeInventoryBadges } = require('./inventoryBadges');
 
-const TRACKED_FIELDS = ['salesStory', 'spotlights', 'mediaHotspots'];
+const PRICING_FIELDS = ['price', 'msrp', 'salePrice', 'fees', 'taxes', 'rebates'];
 
 function snapshot(value) {
   if (value === undefined) return null;
@@ -14,31 +14,148 @@ function snapshot(value) {
   }
 }
 
-function addRevision(inventoryId, field, previousValue, tenantId, changedBy, nextValue) {
-  if (!TRACKED_FIELDS.includes(field)) return;
-  const normalizedTenant = normalizeTenantId(tenantId);
+// Bookkeeping and derived values that are recomputed on every write rather than edited.
+const UNTRACKED_FIELDS = [
+  'id',
+  'tenantId',
+  'createdAt',
+  'updatedAt',
+  'updatedBy',
+  'badges',
+  'totalPrice',
+  'priceDroppedAt',
+  'previousTotalPrice',
+  'vinDecode',
+  'revisions'
+];
+
+const isTracked = field => !UNTRACKED_FIELDS.includes(field);
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function buildRevision(inventoryId, field, previousValue, tenantId, changedBy, nextValue, extras = {}) {
   const revisionId = randomUUID();
-  const revision = {
+  return {
     id: revisionId,
     revisionId,
     inventoryId,
-    tenantId: normalizedTenant,
+    tenantId: normalizeTenantId(tenantId),
     field,
     previousValue: snapshot(previousValue),
     nextValue: snapshot(nextValue),
     changedBy: changedBy || 'system',
-    changedAt: new Date().toISOString()
+    changedAt: new Date().toISOString(),
+    ...extras
   };
+}
+
+function addRevision(inventoryId, field, previousValue, tenantId, changedBy, nextValue, extras = {}) {
+  if (!isTracked(field)) return;
+  const revision = buildRevision(inventoryId, field, previousValue, tenantId, changedBy, nextValue, extras);
   datasets.inventoryRevisions.push(revision);
   persist.inventoryRevisions(datasets.inventoryRevisions);
   return revision;
 }
 
-function listRevisions(inventoryId, tenantId) {
+function diffFields(previous = {}, next = {}, fields) {
+  return Array.from(new Set(fields || [...Object.keys(previous), ...Object.keys(next)]))
+    .filter(field => isTracked(field) && !sameValue(previous[field], next[field]))
+    .map(field => ({ field, previousValue: snapshot(previous[field]), nextValue: snapshot(next[field]) }));
+}
+
+/**
+ * Records every field that differs between two versions of a unit as one changeset: a revision row
+ * per field sharing `changesetId`, `changedAt`, `changedBy` and `source`. Pricing rows also carry
+ * the total price before and after. `options.fields` limits the diff to the fields a caller edited.
+ * Returns null when nothing changed.
+ */
+function recordChangeset(inventoryId, previous, next, tenantId, changedBy, options = {}) {
+  const changes = diffFields(previous, next, options.fields);
+  if (!changes.length) return null;
+  const changesetId = randomUUID();
+  const changedAt = new Date().toISOString();
+  const totals = options.totals || {};
+  const revisions = changes.map(change =>
+    buildRevision(inventoryId, change.field, change.previousValue, tenantId, changedBy, change.nextValue, {
+      changedAt,
+      changesetId,
+      source: options.source || 'update',
+      ...(options.restoredTo ? { restoredTo: options.restoredTo } : {}),
+      ...(PRICING_FIELDS.includes(change.field) && totals.previous !== undefined
+        ? { previousTotalPrice: totals.previous, nextTotalPrice: totals.next }
+        : {})
+    })
+  );
+  datasets.inventoryRevisions.push(...revisions);
+  persist.inventoryRevisions(datasets.inventoryRevisions);
+  return toChangesets(revisions)[0];
+}
+
+// Newest first; rows written in the same millisecond keep their reverse insertion order.
+function unitRevisions(inventoryId, tenantId) {
   const normalizedTenant = normalizeTenantId(tenantId);
   return datasets.inventoryRevisions
-    .filter(rev => rev.inventoryId === inventoryId && matchesTenant(rev.tenantId, normalizedTenant))
-    .sort((a, b) => new Date(b.changedAt).getTime() - new Date(a.changedAt).getTime());
+    .map((rev, index) => ({ rev, index }))
+    .filter(({ rev }) => rev.inventoryId === inventoryId && matchesTenant(rev.tenantId, normalizedTenant))
+    .sort((a, b) => new Date(b.rev.changedAt).getTime() - new Date(a.rev.changedAt).getTime() || b.index - a.index)
+    .map(({ rev }) => rev);
+}
+
+function listRevisions(inventoryId, tenantId, filters = {}) {
+  const actor = filters.actor && filters.actor.toLowerCase();
+  return unitRevisions(inventoryId, tenantId).filter(
+    rev =>
+      (!filters.field || rev.field === filters.field) &&
+      (!actor || String(rev.changedBy || '').toLowerCase() === actor) &&
+      (!filters.source || (rev.source || 'update') === filters.source)
+  );
+}
+
+// Groups revision rows into changesets in the order given. Rows written before changesets existed stand alone.
+function toChangesets(revisions) {
+  const groups = new Map();
+  revisions.forEach(rev => {
+    const key = rev.changesetId || rev.id;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        changesetId: key,
+        inventoryId: rev.inventoryId,
+        changedAt: rev.changedAt,
+        changedBy: rev.changedBy,
+        source: rev.source || 'update',
+        ...(rev.restoredTo ? { restoredTo: rev.restoredTo } : {}),
+        changes: []
+      });
+    }
+    groups.get(key).changes.push({ field: rev.field, previousValue: rev.previousValue, nextValue: rev.nextValue });
+  });
+  return Array.from(groups.values());
+}
+
+// Newest changeset first; changes inside one keep the order they were recorded in.
+function listChangesets(inventoryId, tenantId, filters = {}) {
+  return toChangesets(listRevisions(inventoryId, tenantId, filters)).map(changeset => ({
+    ...changeset,
+    changes: changeset.changes.reverse()
+  }));
+}
+
+function listPriceHistory(inventoryId, tenantId) {
+  return listRevisions(inventoryId, tenantId).filter(rev => PRICING_FIELDS.includes(rev.field));
+}
+
+/**
+ * The tracked fields of a unit as they stood at `at`, found by undoing every later revision newest
+ * first. Fields that did not exist then come back as undefined.
+ */
+function fieldsAt(unit, at, tenantId) {
+  const cutoff = new Date(at).getTime();
+  const fields = {};
+  unitRevisions(unit.id, tenantId)
+    .filter(rev => new Date(rev.changedAt).getTime() > cutoff)
+    .forEach(rev => {
+      fields[rev.field] = rev.previousValue === null ? undefined : snapshot(rev.previousValue);
+    });
+  return fields;
 }
 
 function restoreRevision(inventoryId, revisionId, tenantId, changedBy) {
@@ -55,9 +172,10 @@ function restoreRevision(inventoryId, revisionId, tenantId, changedBy) {
   if (index === -1) {
     return { notFound: true };
   }
-  addRevision(inventoryId, revision.field, datasets.inventory[index][revision.field], tenantId, changedBy, revision.previousValue);
-  const updated = { ...datasets.inventory[index], [revision.field]: revision.previousValue };
+  const previous = datasets.inventory[index];
+  const updated = { ...previous, [revision.field]: revision.previousValue };
   updated.badges = computeInventoryBadges(updated, normalizedTenant);
+  recordChangeset(inventoryId, previous, updated, tenantId, changedBy, { source: 'restore' });
   datasets.inventory[index] = updated;
   persist.inventory(datasets.inventory);
   return { unit: updated, revision };
@@ -65,7 +183,13 @@ function restoreRevision(inventoryId, revisionId, tenantId, changedBy) {
 
 module.exports = {
   addRevision,
+  recordChangeset,
+  diffFields,
   listRevisions,
+  listChangesets,
+  fieldsAt,
+  listPriceHistory,
   restoreRevision,
-  TRACKED_FIELDS
+  PRICING_FIELDS,
+  UNTRACKED_FIELDS
 };
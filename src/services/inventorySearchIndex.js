@@ -0,0 +1,256 @@
+const { escapeOutputPayload } = require('./shared');
+const { normalizeTenantId } = require('./tenantService');
+const { computeInventoryBadges } = require('./inventoryBadges');
+
+const FIELD_BOOSTS = {
+  name: 3,
+  stockNumber: 3,
+  badges: 2,
+  chassis: 2,
+  category: 1.5,
+  subcategory: 1.5,
+  spotlights: 1.5,
+  description: 1,
+  salesStory: 1,
+  location: 1
+};
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'or', 'with', 'for', 'in', 'on', 'to']);
+const RV_TERMS = {
+  '5th': 'fifth',
+  slideout: 'slide',
+  slideouts: 'slide',
+  motorcoach: 'motorhome',
+  motorcoaches: 'motorhome',
+  gen: 'generator',
+  genset: 'generator'
+};
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const PREFIX_WEIGHT = 0.7;
+const EDIT_PENALTY = 0.3;
+const SNIPPET_LEAD = 60;
+const SNIPPET_LENGTH = 180;
+const MAX_HIGHLIGHTS = 3;
+
+// tenantId -> { docs: Map<unitId, doc>, postings: Map<term, Map<unitId, Map<field, tf>>> }
+const indexes = new Map();
+
+const foldWord = word =>
+  word
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+function stem(word) {
+  if (RV_TERMS[word]) return RV_TERMS[word];
+  if (/\d/.test(word) || word.length <= 4) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('is') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+const termFor = word => stem(foldWord(word));
+
+function tokenize(text) {
+  return (String(text || '').match(WORD_PATTERN) || [])
+    .map(foldWord)
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+function editDistance(a, b, maxEdits) {
+  if (Math.abs(a.length - b.length) > maxEdits) return maxEdits + 1;
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const next = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previousRow[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, next[j]);
+    }
+    if (rowMin > maxEdits) return maxEdits + 1;
+    previousRow = row;
+    row = next;
+  }
+  return row[b.length];
+}
+
+const allowedEdits = token => (/\d/.test(token) ? 0 : token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+function documentFields(unit) {
+  const badges = unit.badges && Array.isArray(unit.badges) && unit.badges.length
+    ? unit.badges
+    : computeInventoryBadges(unit, unit.tenantId);
+  const spotlights = Array.isArray(unit.spotlights)
+    ? unit.spotlights.map(entry => [entry.title, entry.description].filter(Boolean).join(' – '))
+    : [];
+  return Object.fromEntries(
+    Object.entries({
+      name: unit.name,
+      stockNumber: unit.stockNumber,
+      badges: badges.join(', '),
+      chassis: unit.chassis,
+      category: unit.category,
+      subcategory: unit.subcategory,
+      spotlights: spotlights.join('. '),
+      description: unit.description,
+      salesStory: unit.salesStory,
+      location: unit.location
+    }).filter(([, value]) => value !== undefined && value !== null && String(value).trim())
+      .map(([field, value]) => [field, String(value)])
+  );
+}
+
+function tenantIndex(tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  if (!indexes.has(tenant)) indexes.set(tenant, { docs: new Map(), postings: new Map() });
+  return indexes.get(tenant);
+}
+
+function removeUnit(id, tenantId) {
+  const index = tenantIndex(tenantId);
+  const doc = index.docs.get(id);
+  if (!doc) return;
+  doc.terms.forEach(term => {
+    const postings = index.postings.get(term);
+    if (!postings) return;
+    postings.delete(id);
+    if (!postings.size) index.postings.delete(term);
+  });
+  index.docs.delete(id);
+}
+
+function indexUnit(unit, tenantId = unit.tenantId) {
+  removeUnit(unit.id, tenantId);
+  const index = tenantIndex(tenantId);
+  const fields = documentFields(unit);
+  const terms = new Set();
+  Object.entries(fields).forEach(([field, text]) => {
+    tokenize(text).forEach(term => {
+      terms.add(term);
+      if (!index.postings.has(term)) index.postings.set(term, new Map());
+      const postings = index.postings.get(term);
+      if (!postings.has(unit.id)) postings.set(unit.id, new Map());
+      const counts = postings.get(unit.id);
+      counts.set(field, (counts.get(field) || 0) + 1);
+    });
+  });
+  index.docs.set(unit.id, { source: unit, fields, terms });
+}
+
+// Units replaced outside inventoryService (revision restores, template updates) are re-indexed by identity check.
+function sync(units, tenantId) {
+  const index = tenantIndex(tenantId);
+  const seen = new Set();
+  units.forEach(unit => {
+    seen.add(unit.id);
+    if (index.docs.get(unit.id)?.source !== unit) indexUnit(unit, tenantId);
+  });
+  Array.from(index.docs.keys())
+    .filter(id => !seen.has(id))
+    .forEach(id => removeUnit(id, tenantId));
+  return index;
+}
+
+function expandToken(token, index) {
+  const candidates = [];
+  const maxEdits = allowedEdits(token);
+  index.postings.forEach((_, term) => {
+    if (term === token) {
+      candidates.push({ term, weight: 1 });
+    } else if (token.length >= 2 && term.startsWith(token)) {
+      candidates.push({ term, weight: PREFIX_WEIGHT });
+    } else if (maxEdits) {
+      const distance = editDistance(token, term, maxEdits);
+      if (distance <= maxEdits) candidates.push({ term, weight: 1 - EDIT_PENALTY * distance });
+    }
+  });
+  return candidates;
+}
+
+function buildSnippet(text, terms) {
+  const words = Array.from(text.matchAll(WORD_PATTERN)).filter(match => terms.has(termFor(match[0])));
+  if (!words.length) return null;
+  const first = words[0].index;
+  let start = Math.max(0, first - SNIPPET_LEAD);
+  if (start > 0) {
+    const boundary = text.indexOf(' ', start);
+    start = boundary === -1 || boundary > first ? start : boundary + 1;
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  let cursor = start;
+  let snippet = start > 0 ? '…' : '';
+  words
+    .filter(match => match.index >= start && match.index + match[0].length <= end)
+    .forEach(match => {
+      snippet += `${escapeOutputPayload(text.slice(cursor, match.index))}<mark>${escapeOutputPayload(match[0])}</mark>`;
+      cursor = match.index + match[0].length;
+    });
+  snippet += escapeOutputPayload(text.slice(cursor, end));
+  return end < text.length ? `${snippet}…` : snippet;
+}
+
+function highlight(doc, terms) {
+  return Object.keys(FIELD_BOOSTS)
+    .filter(field => doc.fields[field])
+    .map(field => ({ field, snippet: buildSnippet(doc.fields[field], terms) }))
+    .filter(entry => entry.snippet)
+    .slice(0, MAX_HIGHLIGHTS);
+}
+
+/**
+ * Scores the tenant's units against a free-text query. Every query token must match (exactly, by prefix or
+ * within its edit budget); results map unit id to { score, highlights } with HTML-escaped, <mark>-wrapped snippets.
+ */
+function search(query, units, tenantId) {
+  const index = sync(units, tenantId);
+  const tokens = Array.from(new Set(tokenize(query)));
+  const results = new Map();
+  if (!tokens.length) return results;
+
+  const totalDocs = index.docs.size;
+  const perToken = tokens.map(token => {
+    const scores = new Map();
+    expandToken(token, index).forEach(({ term, weight }) => {
+      const postings = index.postings.get(term);
+      const idf = Math.log(1 + totalDocs / postings.size);
+      postings.forEach((counts, id) => {
+        let termScore = 0;
+        counts.forEach((tf, field) => {
+          termScore += FIELD_BOOSTS[field] * (1 + Math.log(tf)) * idf * weight;
+        });
+        const match = scores.get(id) || { score: 0, terms: [] };
+        scores.set(id, { score: Math.max(match.score, termScore), terms: [...match.terms, term] });
+      });
+    });
+    return scores;
+  });
+
+  const [firstToken, ...restTokens] = perToken;
+  firstToken.forEach((_, id) => {
+    if (!restTokens.every(scores => scores.has(id))) return;
+    const matches = perToken.map(scores => scores.get(id));
+    const terms = new Set(matches.flatMap(match => match.terms));
+    results.set(id, {
+      score: Number(matches.reduce((sum, match) => sum + match.score, 0).toFixed(4)),
+      highlights: highlight(index.docs.get(id), terms)
+    });
+  });
+  return results;
+}
+
+module.exports = {
+  FIELD_BOOSTS,
+  tokenize,
+  editDistance,
+  indexUnit,
+  removeUnit,
+  search
+};
@@ -1,14 +1,32 @@
 const { randomUUID } = require('node:crypto');
+const { parseCsv } = require('../lib/csv');
 const { datasets, persist } = require('./state');
 const { clampNumber, escapeOutputPayload, sanitizeBoolean, sanitizeString, validateFields } = require('./shared');
 const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
 const {
-  constants: { INVENTORY_CONDITIONS, TRANSFER_STATUSES }
+  constants: { INVENTORY_CONDITIONS, INVENTORY_FACETS, INVENTORY_STATUSES, TRANSFER_STATUSES }
 } = require('../validation/schemas');
-const { computeInventoryBadges } = require('./inventoryBadges');
-const { addRevision, TRACKED_FIELDS } = require('./inventoryRevisionService');
+const redirectService = require('./redirectService');
+const { PRICE_DROP_BADGE, computeInventoryBadges, isPriceDropActive } = require('./inventoryBadges');
+const searchIndex = require('./inventorySearchIndex');
+const vinDecoderService = require('./vinDecoderService');
+const { recordChangeset, fieldsAt, PRICING_FIELDS } = require('./inventoryRevisionService');
 
-const PRICING_FIELDS = ['price', 'msrp', 'salePrice', 'fees', 'taxes', 'rebates'];
+const VALID_INVENTORY_TRANSITIONS = {
+  available: ['on_hold', 'pending_sale', 'sold', 'archived'],
+  on_hold: ['available', 'pending_sale', 'sold', 'archived'],
+  pending_sale: ['available', 'on_hold', 'sold', 'archived'],
+  sold: ['archived'],
+  archived: ['available']
+};
+const LIFECYCLE_FIELDS = ['status', 'statusHistory', 'statusChangedAt', 'soldAt', 'archivedAt', 'soldRedirectId'];
+const PUBLIC_HIDDEN_STATUSES = ['sold', 'archived'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const unitStatus = unit => unit.status || 'available';
+
+const withoutLifecycleFields = payload =>
+  Object.fromEntries(Object.entries(payload || {}).filter(([key]) => !LIFECYCLE_FIELDS.includes(key)));
 
 const parseList = value => {
   if (!value) return [];
@@ -51,11 +69,30 @@ function calculateTotalPrice(unit) {
   return Math.max(0, price + fees + taxes - rebates);
 }
 
+// Counted from receivedAt (or createdAt) until the unit left the lot; the stored value is only a fallback for undated units.
+function calculateDaysOnLot(unit, now = Date.now()) {
+  const start = new Date(unit.receivedAt || unit.createdAt || NaN).getTime();
+  if (Number.isNaN(start)) return Number(unit.daysOnLot) || 0;
+  const leftAt = new Date(unit.soldAt || unit.archivedAt || NaN).getTime();
+  const end = PUBLIC_HIDDEN_STATUSES.includes(unitStatus(unit)) && !Number.isNaN(leftAt) ? leftAt : new Date(now).getTime();
+  return Math.max(0, Math.floor((end - start) / DAY_MS));
+}
+
+// Prefills blank specs from the VIN and records the decode, including any warnings, on the unit.
+function applyVinDecode(unit) {
+  if (!unit.vin) return unit;
+  const { fields, vinDecode } = vinDecoderService.enrich(unit);
+  return Object.assign(unit, fields, { vinDecode });
+}
+
 function safeUnit(unit, tenantId) {
-  const badges = unit.badges && Array.isArray(unit.badges) && unit.badges.length
-    ? unit.badges
-    : computeInventoryBadges(unit, tenantId);
-  return escapeOutputPayload({ ...unit, badges, totalPrice: calculateTotalPrice(unit) });
+  return escapeOutputPayload({
+    ...unit,
+    status: unitStatus(unit),
+    badges: resolveBadges(unit, tenantId),
+    totalPrice: calculateTotalPrice(unit),
+    daysOnLot: calculateDaysOnLot(unit)
+  });
 }
 
 function normalizeSpotlights(spotlights = []) {
@@ -81,20 +118,35 @@ function normalizeMediaHotspots(hotspots = []) {
   }));
 }
 
-function normalizeMedia(media = {}) {
+// Set by the upload pipeline only; client media payloads never carry them, so they are kept from the stored photo.
+const UPLOADED_PHOTO_FIELDS = ['fileName', 'originalName', 'mimeType', 'bytes', 'sizes', 'uploadedAt'];
+
+function normalizeMedia(media = {}, previousPhotos = []) {
+  let heroSeen = false;
   const photos = Array.isArray(media.photos)
-    ? media.photos.map(photo => ({
-        id: photo.id || randomUUID(),
-        url: sanitizeString(photo.url),
-        width: photo.width ? Number(photo.width) : undefined,
-        height: photo.height ? Number(photo.height) : undefined,
-        isHero: sanitizeBoolean(photo.isHero, false),
-        optimizedUrl: sanitizeString(photo.optimizedUrl) || undefined,
-        placeholderUrl: sanitizeString(photo.placeholderUrl) || undefined,
-        priority: sanitizeBoolean(photo.priority, false),
-        fullWidthPreferred: sanitizeBoolean(photo.fullWidthPreferred, false)
-      }))
+    ? media.photos.map(photo => {
+        const stored = previousPhotos.find(entry => photo.id && entry.id === photo.id) || photo;
+        const uploaded = Object.fromEntries(
+          UPLOADED_PHOTO_FIELDS.filter(field => stored[field] !== undefined).map(field => [field, stored[field]])
+        );
+        const isHero = sanitizeBoolean(photo.isHero, false) && !heroSeen;
+        heroSeen = heroSeen || isHero;
+        return {
+          id: photo.id || randomUUID(),
+          url: sanitizeString(photo.url),
+          width: photo.width ? Number(photo.width) : undefined,
+          height: photo.height ? Number(photo.height) : undefined,
+          isHero,
+          optimizedUrl: sanitizeString(photo.optimizedUrl) || undefined,
+          placeholderUrl: sanitizeString(photo.placeholderUrl) || undefined,
+          priority: sanitizeBoolean(photo.priority, false),
+          fullWidthPreferred: sanitizeBoolean(photo.fullWidthPreferred, false),
+          ...uploaded
+        };
+      })
     : [];
+  // Exactly one photo is the hero; with none flagged, the first photo takes the role.
+  if (photos.length && !heroSeen) photos[0].isHero = true;
 
   const heroVideo = media.heroVideo
     ? {
@@ -116,58 +168,156 @@ function normalizeMedia(media = {}) {
   return { photos, heroVideo, virtualTour };
 }
 
+const LENGTH_BUCKETS = [
+  { max: 25 },
+  { min: 25, max: 30 },
+  { min: 30, max: 35 },
+  { min: 35, max: 40 },
+  { min: 40 }
+];
+const PRICE_BUCKETS = [
+  { max: 50000 },
+  { min: 50000, max: 100000 },
+  { min: 100000, max: 200000 },
+  { min: 200000, max: 300000 },
+  { min: 300000 }
+];
+const MINIMUM_COUNT_BUCKETS = [1, 2, 3, 4];
+
+const toValueList = value => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+};
+
+const toFiniteNumber = value => (value === undefined || value === null || value === '' ? NaN : Number(value));
+
+const inRange = (value, min, max) => {
+  const hasMin = Number.isFinite(min);
+  const hasMax = Number.isFinite(max);
+  if (!hasMin && !hasMax) return true;
+  if (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) return false;
+  return (!hasMin || Number(value) >= min) && (!hasMax || Number(value) <= max);
+};
+
+function resolveBadges(unit, tenantId) {
+  const badges = unit.badges && Array.isArray(unit.badges) && unit.badges.length
+    ? unit.badges
+    : computeInventoryBadges(unit, tenantId);
+  return badges.includes(PRICE_DROP_BADGE) && !isPriceDropActive(unit, tenantId)
+    ? badges.filter(badge => badge !== PRICE_DROP_BADGE)
+    : badges;
+}
+
+// Each filter is keyed by the facet it narrows so facet counts can skip their own filter.
+function buildListFilters(query, tenantId, searchMatches) {
+  const statuses = toValueList(query.status);
+  const industries = toValueList(query.industry);
+  const categories = toValueList(query.category);
+  const subcategories = toValueList(query.subcategory);
+  const conditions = toValueList(query.condition).map(value => value.toLowerCase());
+  const locations = toValueList(query.location);
+  const transferStatuses = toValueList(query.transferStatus);
+  const badges = toValueList(query.badge);
+  const minSlides = toFiniteNumber(query.minSlides);
+  const minBeds = toFiniteNumber(query.minBeds);
+
+  return {
+    status: unit =>
+      statuses.length ? statuses.includes(unitStatus(unit)) : !PUBLIC_HIDDEN_STATUSES.includes(unitStatus(unit)),
+    industry: unit => !industries.length || industries.includes(unit.industry),
+    category: unit => !categories.length || categories.includes(unit.category),
+    subcategory: unit => !subcategories.length || subcategories.includes(unit.subcategory),
+    condition: unit => !conditions.length || conditions.includes(sanitizeCondition(unit.condition)),
+    location: unit => !locations.length || locations.includes(unit.location),
+    transferStatus: unit => !transferStatuses.length || transferStatuses.includes(unit.transferStatus),
+    featured: unit =>
+      query.featured === undefined ? true : sanitizeBoolean(query.featured) === Boolean(unit.featured),
+    price: unit => inRange(calculateTotalPrice(unit), toFiniteNumber(query.minPrice), toFiniteNumber(query.maxPrice)),
+    year: unit => inRange(unit.year, toFiniteNumber(query.minYear), toFiniteNumber(query.maxYear)),
+    length: unit => inRange(unit.length, toFiniteNumber(query.minLength), toFiniteNumber(query.maxLength)),
+    weight: unit => inRange(unit.weight, toFiniteNumber(query.minWeight), toFiniteNumber(query.maxWeight)),
+    slides: unit => inRange(unit.slides, minSlides),
+    beds: unit => inRange(unit.beds, minBeds),
+    badges: unit => !badges.length || resolveBadges(unit, tenantId).some(badge => badges.includes(badge)),
+    search: unit => !searchMatches || searchMatches.has(unit.id)
+  };
+}
+
+function countValues(units, getValues) {
+  const counts = new Map();
+  units.forEach(unit => {
+    new Set(getValues(unit).filter(value => value !== undefined && value !== null && value !== '')).forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return Array.from(counts.entries()).map(([value, count]) => ({ value, count }));
+}
+
+const byCountThenValue = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+function countRanges(units, buckets, getValue) {
+  return buckets.map(({ min, max }) => ({
+    value: `${min ?? ''}-${max ?? ''}`,
+    min,
+    max,
+    count: units.filter(unit => {
+      const value = getValue(unit);
+      if (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) return false;
+      return (min === undefined || Number(value) >= min) && (max === undefined || Number(value) < max);
+    }).length
+  }));
+}
+
+function countMinimums(units, field) {
+  return MINIMUM_COUNT_BUCKETS.map(min => ({
+    value: `${min}+`,
+    min,
+    count: units.filter(unit => Number(unit[field]) >= min).length
+  }));
+}
+
+const FACET_BUILDERS = {
+  category: units => countValues(units, unit => [unit.category]).sort(byCountThenValue),
+  subcategory: units => countValues(units, unit => [unit.subcategory]).sort(byCountThenValue),
+  condition: units => countValues(units, unit => [sanitizeCondition(unit.condition)]).sort(byCountThenValue),
+  location: units => countValues(units, unit => [unit.location]).sort(byCountThenValue),
+  year: units => countValues(units, unit => [unit.year ? Number(unit.year) : undefined]).sort((a, b) => b.value - a.value),
+  length: units => countRanges(units, LENGTH_BUCKETS, unit => unit.length),
+  price: units => countRanges(units, PRICE_BUCKETS, calculateTotalPrice),
+  slides: units => countMinimums(units, 'slides'),
+  beds: units => countMinimums(units, 'beds'),
+  badges: (units, tenantId) => countValues(units, unit => resolveBadges(unit, tenantId)).sort(byCountThenValue)
+};
+
+function buildFacets(units, filters, facetNames, tenantId) {
+  const entries = Object.entries(filters);
+  return facetNames.reduce((facets, name) => {
+    const scoped = units.filter(unit => entries.every(([filterName, matches]) => filterName === name || matches(unit)));
+    facets[name] = FACET_BUILDERS[name](scoped, tenantId);
+    return facets;
+  }, {});
+}
+
 function list(query = {}, tenantId) {
-  const {
-    industry,
-    category,
-    subcategory,
-    condition,
-    location,
-    transferStatus,
-    featured,
-    minPrice,
-    maxPrice,
-    search,
-    sortBy = 'createdAt',
-    sortDir = 'desc',
-    limit,
-    offset
-  } = query;
-
-  const minPriceValue = Number(minPrice);
-  const maxPriceValue = Number(maxPrice);
+  const { sortBy = 'createdAt', sortDir = 'desc', limit, offset, facets } = query;
 
   const tenant = normalizeTenantId(tenantId);
-  const filtered = datasets.inventory
-    .filter(unit => matchesTenant(unit.tenantId, tenant))
-    .filter(unit => !industry || unit.industry === industry)
-    .filter(unit => !category || unit.category === category)
-    .filter(unit => !subcategory || unit.subcategory === subcategory)
-    .filter(unit => !condition || sanitizeCondition(unit.condition) === condition)
-    .filter(unit => !location || unit.location === location)
-    .filter(unit => !transferStatus || unit.transferStatus === transferStatus)
-    .filter(unit => (featured === undefined ? true : sanitizeBoolean(featured) === Boolean(unit.featured)))
-    .filter(unit => {
-      if (!Number.isFinite(minPriceValue)) return true;
-      return calculateTotalPrice(unit) >= minPriceValue;
-    })
-    .filter(unit => {
-      if (!Number.isFinite(maxPriceValue)) return true;
-      return calculateTotalPrice(unit) <= maxPriceValue;
-    })
-    .filter(unit => {
-      if (!search) return true;
-      const term = search.toLowerCase();
-      return [unit.stockNumber, unit.name, unit.category, unit.subcategory, unit.location]
-        .filter(Boolean)
-        .some(value => value.toLowerCase().includes(term));
-    });
+  const scoped = datasets.inventory.filter(unit => matchesTenant(unit.tenantId, tenant));
+  const searchMatches = query.search ? searchIndex.search(query.search, scoped, tenant) : null;
+  const filters = buildListFilters(query, tenant, searchMatches);
+  const filtered = scoped.filter(unit => Object.values(filters).every(matches => matches(unit)));
 
   const sorted = [...filtered].sort((a, b) => {
     const direction = sortDir === 'asc' ? 1 : -1;
+    if (sortBy === 'relevance' && searchMatches) {
+      const byScore = (searchMatches.get(a.id).score - searchMatches.get(b.id).score) * direction;
+      if (byScore) return byScore;
+    }
     if (sortBy === 'price') return (Number(a.price) - Number(b.price)) * direction;
     if (sortBy === 'msrp') return (Number(a.msrp) - Number(b.msrp)) * direction;
-    if (sortBy === 'daysOnLot') return (Number(a.daysOnLot) - Number(b.daysOnLot)) * direction;
+    if (sortBy === 'daysOnLot') return (calculateDaysOnLot(a) - calculateDaysOnLot(b)) * direction;
     const aDate = new Date(a.createdAt || 0).getTime();
     const bDate = new Date(b.createdAt || 0).getTime();
     return (aDate - bDate) * direction;
@@ -179,14 +329,22 @@ function list(query = {}, tenantId) {
 
   const appliedLimit = clampedLimit;
 
-  return {
-    items: sorted.slice(start, end).map(unit => safeUnit(unit, tenantId)),
+  const result = {
+    items: sorted
+      .slice(start, end)
+      .map(unit => (searchMatches ? { ...safeUnit(unit, tenantId), search: searchMatches.get(unit.id) } : safeUnit(unit, tenantId))),
     meta: {
       total: sorted.length,
       limit: appliedLimit,
       offset: start
     }
   };
+
+  const facetNames = facets === true || facets === 'true' ? INVENTORY_FACETS : toValueList(facets).filter(name => INVENTORY_FACETS.includes(name));
+  if (facetNames.length) {
+    result.facets = escapeOutputPayload(buildFacets(scoped, filters, facetNames, tenant));
+  }
+  return result;
 }
 
 function findById(id, tenantId) {
@@ -223,7 +381,8 @@ function hasSlugConflict(slug, tenantId, currentId) {
   );
 }
 
-function create(payload, tenantId) {
+function create(rawPayload, tenantId) {
+  const payload = withoutLifecycleFields(rawPayload);
   const requiredError = validateFields(payload, ['stockNumber', 'vin', 'name', 'condition', 'price']);
   if (requiredError) {
     return { error: requiredError };
@@ -267,20 +426,24 @@ function create(payload, tenantId) {
       transferStatus: normalizedTransfer,
       holdUntil,
       slug,
-      ...payload
+      ...payload,
+      status: 'available'
     },
     tenantId
   );
 
+  applyVinDecode(unit);
   unit.badges = computeInventoryBadges(unit, normalizedTenant);
   unit.totalPrice = calculateTotalPrice(unit);
 
   datasets.inventory.push(unit);
   persist.inventory(datasets.inventory);
+  searchIndex.indexUnit(unit, normalizedTenant);
   return { unit: safeUnit(unit, normalizedTenant) };
 }
 
-function update(id, payload, tenantId) {
+function update(id, rawPayload, tenantId, options = {}) {
+  const payload = withoutLifecycleFields(rawPayload);
   const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
   if (index === -1) {
     return { notFound: true };
@@ -313,18 +476,16 @@ function update(id, payload, tenantId) {
     mediaHotspots: payload.mediaHotspots
       ? normalizeMediaHotspots(payload.mediaHotspots)
       : previous.mediaHotspots || [],
-    media: payload.media ? normalizeMedia(payload.media) : previous.media,
-    holdUntil: sanitizeHoldUntil(payload.holdUntil) || previous.holdUntil
+    media: payload.media ? normalizeMedia(payload.media, previous.media?.photos) : previous.media,
+    holdUntil: payload.holdUntil === null ? undefined : sanitizeHoldUntil(payload.holdUntil) || previous.holdUntil
   };
 
-  TRACKED_FIELDS.forEach(field => {
-    if (payload[field] !== undefined && payload[field] !== previous[field]) {
-      addRevision(id, field, previous[field], tenantId, payload.updatedBy, updated[field]);
-    }
-  });
+  if (payload.vin !== undefined || payload.year !== undefined || !previous.vinDecode) {
+    applyVinDecode(updated);
+  }
 
   const normalizedTenant = normalizeTenantId(tenantId);
-  const vinExists = datasets.inventory.some(
+  const vinExists = Boolean(updated.vin) && datasets.inventory.some(
     unit => unit.vin === updated.vin && matchesTenant(unit.tenantId, normalizedTenant) && unit.id !== id
   );
   if (vinExists) {
@@ -339,9 +500,6 @@ function update(id, payload, tenantId) {
     }
   }
 
-  updated.badges = computeInventoryBadges(updated, tenantId);
-  updated.totalPrice = calculateTotalPrice(updated);
-
   const pricingChanges = PRICING_FIELDS.reduce((changes, field) => {
     const before = previous[field];
     const after = updated[field];
@@ -354,31 +512,169 @@ function update(id, payload, tenantId) {
     return changes;
   }, []);
 
+  const previousTotalPrice = calculateTotalPrice(previous);
+  const nextTotalPrice = calculateTotalPrice(updated);
+  let priceDrop;
+  if (pricingChanges.length && nextTotalPrice < previousTotalPrice) {
+    updated.priceDroppedAt = new Date().toISOString();
+    updated.previousTotalPrice = previousTotalPrice;
+    priceDrop = { previousTotalPrice, totalPrice: nextTotalPrice, amount: previousTotalPrice - nextTotalPrice };
+  } else if (pricingChanges.length && nextTotalPrice >= Number(previous.previousTotalPrice ?? Infinity)) {
+    updated.priceDroppedAt = undefined;
+    updated.previousTotalPrice = undefined;
+  }
+
+  updated.badges = computeInventoryBadges(updated, tenantId);
+  updated.totalPrice = nextTotalPrice;
+  // Only fields the payload set or cleared (plus the slug and VIN prefills they imply) count; defaults
+  // filled in by the normalization above are not changes.
+  const editedFields = Object.keys(payload).filter(key => payload[key] !== undefined || previous[key] !== undefined);
+  recordChangeset(id, previous, updated, tenantId, payload.updatedBy, {
+    fields: [...editedFields, 'slug', ...vinDecoderService.PREFILL_FIELDS],
+    source: options.source,
+    totals: { previous: previousTotalPrice, next: nextTotalPrice }
+  });
+
   datasets.inventory[index] = updated;
   persist.inventory(datasets.inventory);
-  return { unit: safeUnit(updated, tenantId), previous, pricingChanges };
+  searchIndex.indexUnit(updated, tenantId);
+  return { unit: safeUnit(updated, tenantId), previous, pricingChanges, priceDrop };
 }
 
-function setFeatured(id, featured, tenantId) {
+function setFeatured(id, featured, tenantId, changedBy) {
   const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
   if (index === -1) {
     return { notFound: true };
   }
 
   const updated = { ...datasets.inventory[index], featured: sanitizeBoolean(featured, true) };
+  recordChangeset(id, datasets.inventory[index], updated, tenantId, changedBy);
   datasets.inventory[index] = updated;
   persist.inventory(datasets.inventory);
   return { unit: safeUnit(updated, tenantId) };
 }
 
-function remove(id, tenantId) {
+/**
+ * Rolls every tracked field back to its value at `at` by undoing later revisions, and records the
+ * rollback as one `restore` changeset. Later history is kept, so a rollback can itself be undone.
+ */
+function restoreToPointInTime(id, at, tenantId, changedBy) {
+  const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  const previous = datasets.inventory[index];
+  const restoredTo = new Date(at);
+  if (previous.createdAt && restoredTo.getTime() < new Date(previous.createdAt).getTime()) {
+    return { error: 'Unit did not exist at that time' };
+  }
+
+  const updated = { ...previous, ...fieldsAt(previous, restoredTo, tenantId) };
+  if (hasVinConflict(updated.vin, tenantId, id)) return { conflict: 'VIN already exists for this tenant' };
+  if (hasSlugConflict(updated.slug, tenantId, id)) return { conflict: 'Slug already exists for this tenant' };
+  updated.totalPrice = calculateTotalPrice(updated);
+  updated.badges = computeInventoryBadges(updated, tenantId);
+  const changeset = recordChangeset(id, previous, updated, tenantId, changedBy, {
+    source: 'restore',
+    restoredTo: restoredTo.toISOString(),
+    totals: { previous: calculateTotalPrice(previous), next: updated.totalPrice }
+  });
+  if (!changeset) return { unit: safeUnit(previous, tenantId), changeset: null };
+
+  datasets.inventory[index] = updated;
+  persist.inventory(datasets.inventory);
+  searchIndex.indexUnit(updated, tenantId);
+  return { unit: safeUnit(updated, tenantId), changeset };
+}
+
+function redirectSoldUnit(unit, tenantId, createdBy) {
+  if (!unit.slug) return undefined;
+  const targetPath = unit.category ? `/inventory?category=${encodeURIComponent(unit.category)}` : '/inventory';
+  const result = redirectService.create(
+    { sourcePath: `/inventory/${unit.slug}`, targetPath, statusCode: 301, createdBy: createdBy || 'system' },
+    tenantId
+  );
+  return result.redirect;
+}
+
+function setStatus(id, status, tenantId, options = {}) {
   const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
   if (index === -1) {
     return { notFound: true };
   }
+  if (!INVENTORY_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${INVENTORY_STATUSES.join(', ')}` };
+  }
+
+  const previous = datasets.inventory[index];
+  const current = unitStatus(previous);
+  if (!VALID_INVENTORY_TRANSITIONS[current].includes(status)) {
+    return { error: `Invalid status transition from ${current} to ${status}` };
+  }
+
+  const now = new Date();
+  const changedAt = now.toISOString();
+  const changedBy = options.changedBy || 'system';
+  const updated = {
+    ...previous,
+    status,
+    statusChangedAt: changedAt,
+    statusHistory: [
+      ...(previous.statusHistory || []),
+      { from: current, to: status, changedAt, changedBy, note: options.note ? sanitizeString(options.note) : undefined }
+    ]
+  };
+
+  if (status === 'on_hold') {
+    const holdUntil = sanitizeHoldUntil(options.holdUntil) || previous.holdUntil;
+    if (!holdUntil || new Date(holdUntil) <= now) {
+      return { error: 'holdUntil must be a future date when placing a unit on hold' };
+    }
+    updated.holdUntil = holdUntil;
+  } else if (current === 'on_hold') {
+    updated.holdUntil = undefined;
+  }
+
+  if (status === 'sold') {
+    updated.soldAt = changedAt;
+    updated.soldRedirectId = redirectSoldUnit(updated, tenantId, changedBy)?.id;
+  }
+  if (status === 'archived') {
+    updated.archivedAt = changedAt;
+  }
+  if (status === 'available') {
+    if (previous.soldRedirectId) redirectService.remove(previous.soldRedirectId, tenantId);
+    updated.archivedAt = undefined;
+    updated.soldAt = undefined;
+    updated.soldRedirectId = undefined;
+  }
+
+  updated.badges = computeInventoryBadges(updated, tenantId);
+  datasets.inventory[index] = updated;
+  persist.inventory(datasets.inventory);
+  return { unit: safeUnit(updated, tenantId), previousStatus: current };
+}
+
+function releaseExpiredHolds(now = new Date()) {
+  return datasets.inventory
+    .filter(unit => unitStatus(unit) === 'on_hold' && unit.holdUntil && new Date(unit.holdUntil) <= now)
+    .map(unit => setStatus(unit.id, 'available', unit.tenantId, { note: 'Hold expired' }).unit)
+    .filter(Boolean);
+}
+
+function remove(id, tenantId, options = {}) {
+  const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
+  if (index === -1) {
+    return { notFound: true };
+  }
+  if (!options.permanent) {
+    if (unitStatus(datasets.inventory[index]) === 'archived') {
+      return { unit: safeUnit(datasets.inventory[index], tenantId) };
+    }
+    return setStatus(id, 'archived', tenantId, { changedBy: options.changedBy, note: 'Removed from inventory' });
+  }
   const [removed] = datasets.inventory.splice(index, 1);
   persist.inventory(datasets.inventory);
-  return { unit: safeUnit(removed, tenantId) };
+  searchIndex.removeUnit(removed.id, tenantId);
+  return { unit: safeUnit(removed, tenantId), permanent: true };
 }
 
 function stats(tenantId) {
@@ -404,9 +700,9 @@ function stats(tenantId) {
 function updateStory(id, salesStory, tenantId, changedBy) {
   const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
   if (index === -1) return { notFound: true };
-  addRevision(id, 'salesStory', datasets.inventory[index].salesStory, tenantId, changedBy, salesStory);
   const updated = { ...datasets.inventory[index], salesStory: sanitizeString(salesStory).slice(0, 4000) };
   updated.badges = computeInventoryBadges(updated, tenantId);
+  recordChangeset(id, datasets.inventory[index], updated, tenantId, changedBy);
   datasets.inventory[index] = updated;
   persist.inventory(datasets.inventory);
   return { unit: safeUnit(updated, tenantId) };
@@ -415,9 +711,9 @@ function updateStory(id, salesStory, tenantId, changedBy) {
 function updateSpotlights(id, spotlights, tenantId, changedBy) {
   const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
   if (index === -1) return { notFound: true };
-  addRevision(id, 'spotlights', datasets.inventory[index].spotlights, tenantId, changedBy, spotlights);
   const updated = { ...datasets.inventory[index], spotlights: normalizeSpotlights(spotlights) };
   updated.badges = computeInventoryBadges(updated, tenantId);
+  recordChangeset(id, datasets.inventory[index], updated, tenantId, changedBy);
   datasets.inventory[index] = updated;
   persist.inventory(datasets.inventory);
   return { unit: safeUnit(updated, tenantId) };
@@ -426,92 +722,344 @@ function updateSpotlights(id, spotlights, tenantId, changedBy) {
 function updateMediaHotspots(id, mediaHotspots, tenantId, changedBy) {
   const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
   if (index === -1) return { notFound: true };
-  addRevision(id, 'mediaHotspots', datasets.inventory[index].mediaHotspots, tenantId, changedBy, mediaHotspots);
   const updated = { ...datasets.inventory[index], mediaHotspots: normalizeMediaHotspots(mediaHotspots) };
   updated.badges = computeInventoryBadges(updated, tenantId);
+  recordChangeset(id, datasets.inventory[index], updated, tenantId, changedBy);
   datasets.inventory[index] = updated;
   persist.inventory(datasets.inventory);
   return { unit: safeUnit(updated, tenantId) };
 }
 
-function updateMedia(id, media, tenantId) {
+function updateMedia(id, media, tenantId, changedBy) {
   const index = datasets.inventory.findIndex(u => u.id === id && matchesTenant(u.tenantId, tenantId));
   if (index === -1) return { notFound: true };
-  const updated = { ...datasets.inventory[index], media: normalizeMedia(media) };
+  const updated = { ...datasets.inventory[index], media: normalizeMedia(media, datasets.inventory[index].media?.photos) };
   updated.badges = computeInventoryBadges(updated, tenantId);
+  recordChangeset(id, datasets.inventory[index], updated, tenantId, changedBy);
   datasets.inventory[index] = updated;
   persist.inventory(datasets.inventory);
   return { unit: safeUnit(updated, tenantId) };
 }
 
-function importCsv(csv, tenantId) {
-  const lines = csv
-    .split(/\r?\n/)
-    .map(line => line.trim())
-    .filter(Boolean);
-  if (lines.length === 0) {
-    return { created: [], errors: ['CSV payload is empty'] };
-  }
+const CSV_COLUMN_ALIASES = {
+  stock_number: 'stockNumber',
+  sale_price: 'salePrice',
+  lot_code: 'lotCode',
+  transfer_status: 'transferStatus',
+  hold_until: 'holdUntil',
+  meta_title: 'metaTitle',
+  meta_description: 'metaDescription',
+  virtual_tours: 'virtualTours',
+  video_links: 'videoLinks'
+};
+const CSV_NUMBER_FIELDS = [
+  'price',
+  'msrp',
+  'salePrice',
+  'rebates',
+  'fees',
+  'taxes',
+  'year',
+  'length',
+  'weight',
+  'slides',
+  'beds',
+  'sleeps',
+  'floorplanAmount'
+];
+const CSV_LIST_FIELDS = ['images', 'floorplans', 'virtualTours', 'videoLinks'];
+const CSV_TEXT_FIELDS = [
+  'stockNumber',
+  'vin',
+  'name',
+  'brand',
+  'condition',
+  'chassis',
+  'industry',
+  'category',
+  'subcategory',
+  'location',
+  'lotCode',
+  'transferStatus',
+  'holdUntil',
+  'slug',
+  'description',
+  'metaTitle',
+  'metaDescription'
+];
+const IMPORT_FIELDS = [...CSV_TEXT_FIELDS, ...CSV_NUMBER_FIELDS, ...CSV_LIST_FIELDS, 'featured'];
+const CSV_REQUIRED_FIELDS = ['stockNumber', 'vin', 'name', 'condition', 'price'];
+
+const importError = (row, line, column, code, message) => ({ row, line, column, code, message });
 
-  const headers = lines[0].split(',').map(h => h.trim());
+const normalizeImportKey = value => (value === undefined || value === null ? '' : String(value).trim().toUpperCase());
+
+function parseImportRow(record, clearBlanks) {
+  const payload = {};
+  const errors = [];
+  Object.entries(record).forEach(([column, raw]) => {
+    const field = CSV_COLUMN_ALIASES[column] || column;
+    if (!IMPORT_FIELDS.includes(field)) return;
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (value === undefined || value === null || value === '') {
+      if (!clearBlanks || CSV_REQUIRED_FIELDS.includes(field)) return;
+      payload[field] = CSV_LIST_FIELDS.includes(field) ? [] : null;
+      return;
+    }
+    if (CSV_NUMBER_FIELDS.includes(field)) {
+      const parsed = parseNumber(value);
+      if (parsed === undefined) {
+        errors.push({ column, code: 'INVALID_NUMBER', message: `${column} must be a number` });
+      } else {
+        payload[field] = parsed;
+      }
+    } else if (CSV_LIST_FIELDS.includes(field)) {
+      payload[field] = parseList(value);
+    } else if (field === 'vin') {
+      payload.vin = value.toUpperCase();
+    } else if (field === 'featured') {
+      payload.featured = sanitizeBoolean(value, false);
+    } else if (field === 'condition') {
+      const condition = sanitizeCondition(value);
+      if (!condition) {
+        errors.push({ column, code: 'INVALID_VALUE', message: `condition must be one of ${INVENTORY_CONDITIONS.join(', ')}` });
+      } else {
+        payload.condition = condition;
+      }
+    } else if (field === 'transferStatus') {
+      const transferStatus = sanitizeTransferStatus(value, null);
+      if (!transferStatus) {
+        errors.push({ column, code: 'INVALID_VALUE', message: `transferStatus must be one of ${TRANSFER_STATUSES.join(', ')}` });
+      } else {
+        payload.transferStatus = transferStatus;
+      }
+    } else if (field === 'holdUntil') {
+      const holdUntil = sanitizeHoldUntil(value);
+      if (!holdUntil) {
+        errors.push({ column, code: 'INVALID_DATE', message: 'holdUntil must be an ISO-8601 date' });
+      } else {
+        payload.holdUntil = holdUntil;
+      }
+    } else {
+      payload[field] = value;
+    }
+  });
+  return { payload, errors };
+}
+
+function diffImportPayload(existing, payload) {
+  return Object.entries(payload).reduce((changes, [field, next]) => {
+    const previous = existing ? existing[field] : undefined;
+    if (JSON.stringify(previous ?? null) !== JSON.stringify(next ?? null)) {
+      changes.push({ field, previous: previous ?? null, next: next ?? null });
+    }
+    return changes;
+  }, []);
+}
+
+function importRows(records, tenantId, options = {}) {
+  const mode = options.mode || 'create';
+  const matchBy = options.matchBy || 'vin';
+  const dryRun = Boolean(options.dryRun);
+  const normalizedTenant = normalizeTenantId(tenantId);
   const created = [];
+  const updated = [];
+  const rows = [];
   const errors = [];
+  const warnings = [];
+  const seenKeys = new Set();
+  const reservedVins = new Set();
+  const reservedSlugs = new Set();
 
-  for (let i = 1; i < lines.length; i += 1) {
-    const rawRow = lines[i];
-    const columns = rawRow.split(',');
-    if (columns.length !== headers.length) {
-      errors.push(`Row ${i} has ${columns.length} columns, expected ${headers.length}`);
-      continue;
+  records.forEach(({ row, line, values }) => {
+    const { payload, errors: fieldErrors } = parseImportRow(values, mode === 'replace');
+    const key = normalizeImportKey(payload[matchBy]);
+    const fail = (column, code, message) => {
+      errors.push(importError(row, line, column, code, message));
+      rows.push({ row, line, action: 'error', key: key || null });
+    };
+
+    if (fieldErrors.length) {
+      fieldErrors.forEach(error => errors.push(importError(row, line, error.column, error.code, error.message)));
+      rows.push({ row, line, action: 'error', key: key || null });
+      return;
     }
 
-    const row = headers.reduce((acc, header, index) => {
-      acc[header] = columns[index]?.trim();
-      return acc;
-    }, {});
+    if (!key) {
+      fail(matchBy, 'REQUIRED', `${matchBy} is required to match units`);
+      return;
+    }
+    if (seenKeys.has(key)) {
+      fail(matchBy, 'DUPLICATE_ROW', `${matchBy} ${key} appears more than once in this file`);
+      return;
+    }
+    seenKeys.add(key);
 
-    const payload = {
-      stockNumber: row.stockNumber || row.stock_number,
-      vin: row.vin,
-      name: row.name,
-      condition: row.condition,
-      price: parseNumber(row.price),
-      msrp: parseNumber(row.msrp),
-      salePrice: parseNumber(row.salePrice || row.sale_price),
-      rebates: parseNumber(row.rebates),
-      fees: parseNumber(row.fees),
-      taxes: parseNumber(row.taxes),
-      year: parseNumber(row.year),
-      length: parseNumber(row.length),
-      weight: parseNumber(row.weight),
-      chassis: row.chassis,
-      industry: row.industry,
-      category: row.category,
-      subcategory: row.subcategory,
-      location: row.location,
-      lotCode: row.lotCode || row.lot_code,
-      transferStatus: row.transferStatus || row.transfer_status,
-      holdUntil: row.holdUntil || row.hold_until,
-      featured: row.featured === 'true',
-      slug: row.slug,
-      description: row.description,
-      metaTitle: row.metaTitle || row.meta_title,
-      metaDescription: row.metaDescription || row.meta_description,
-      images: parseList(row.images),
-      floorplans: parseList(row.floorplans),
-      virtualTours: parseList(row.virtualTours || row.virtual_tours),
-      videoLinks: parseList(row.videoLinks || row.video_links)
+    const existing = datasets.inventory.find(
+      unit => matchesTenant(unit.tenantId, normalizedTenant) && normalizeImportKey(unit[matchBy]) === key
+    );
+    // VIN problems do not fail the row; they are reported once the row is accepted.
+    const warnVin = () => {
+      if (!payload.vin) return;
+      vinDecoderService
+        .enrich({ ...existing, ...payload })
+        .vinDecode.warnings.forEach(warning => warnings.push(importError(row, line, 'vin', warning.code, warning.message)));
     };
 
-    const result = create(payload, tenantId);
-    if (result.error || result.conflict) {
-      errors.push(`Row ${i}: ${result.error || result.conflict}`);
-    } else {
+    if (existing && mode === 'create') {
+      fail(matchBy, 'ALREADY_EXISTS', `A unit with ${matchBy} ${key} already exists`);
+      return;
+    }
+
+    if (!existing) {
+      const missing = CSV_REQUIRED_FIELDS.find(field => payload[field] === undefined || payload[field] === null);
+      if (missing) {
+        fail(missing, 'REQUIRED', `${missing} is required`);
+        return;
+      }
+      const vin = normalizeImportKey(payload.vin);
+      const vinTaken =
+        reservedVins.has(vin) ||
+        datasets.inventory.some(unit => matchesTenant(unit.tenantId, normalizedTenant) && normalizeImportKey(unit.vin) === vin);
+      if (vinTaken) {
+        fail('vin', 'CONFLICT', 'VIN must be unique per tenant');
+        return;
+      }
+      const slug = slugify(payload.slug || payload.name);
+      if (reservedSlugs.has(slug) || hasSlugConflict(slug, normalizedTenant)) {
+        fail('slug', 'CONFLICT', 'Slug must be unique per tenant');
+        return;
+      }
+      reservedVins.add(vin);
+      reservedSlugs.add(slug);
+      const changes = diffImportPayload(null, payload);
+      if (dryRun) {
+        rows.push({ row, line, action: 'create', key, changes });
+        warnVin();
+        return;
+      }
+      const result = create(payload, normalizedTenant);
+      if (result.error) {
+        fail(null, 'CONFLICT', result.error);
+        return;
+      }
+      warnVin();
       created.push(result.unit);
+      rows.push({ row, line, action: 'create', key, id: result.unit.id, changes });
+      return;
+    }
+
+    const changes = diffImportPayload(existing, payload);
+    if (!changes.length) {
+      rows.push({ row, line, action: 'unchanged', key, id: existing.id, changes });
+      return;
+    }
+    if (hasVinConflict(payload.vin, normalizedTenant, existing.id)) {
+      fail('vin', 'CONFLICT', 'VIN must be unique per tenant');
+      return;
+    }
+    const slug = payload.slug && slugify(payload.slug);
+    if (slug && (reservedSlugs.has(slug) || hasSlugConflict(slug, normalizedTenant, existing.id))) {
+      fail('slug', 'CONFLICT', 'Slug must be unique per tenant');
+      return;
+    }
+    if (slug) reservedSlugs.add(slug);
+    if (dryRun) {
+      rows.push({ row, line, action: 'update', key, id: existing.id, changes });
+      warnVin();
+      return;
     }
+    const result = update(
+      existing.id,
+      { ...payload, slug: payload.slug || existing.slug, updatedBy: options.changedBy },
+      normalizedTenant,
+      { source: 'import' }
+    );
+    if (result.error || result.conflict) {
+      fail(null, 'CONFLICT', result.error || result.conflict);
+      return;
+    }
+    warnVin();
+    updated.push(result.unit);
+    rows.push({ row, line, action: 'update', key, id: existing.id, changes });
+  });
+
+  const count = action => rows.filter(entry => entry.action === action).length;
+  return {
+    mode,
+    matchBy,
+    dryRun,
+    created,
+    updated,
+    rows,
+    errors,
+    warnings,
+    summary: {
+      total: rows.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      failed: count('error')
+    }
+  };
+}
+
+function importCsv(csv, tenantId, options = {}) {
+  const { records, error } = parseCsv(csv);
+  const emptyResult = issue => ({
+    mode: options.mode || 'create',
+    matchBy: options.matchBy || 'vin',
+    dryRun: Boolean(options.dryRun),
+    created: [],
+    updated: [],
+    rows: [],
+    errors: [issue],
+    warnings: [],
+    summary: { total: 0, created: 0, updated: 0, unchanged: 0, failed: 0 }
+  });
+  if (error) {
+    return emptyResult(importError(null, error.line, null, 'MALFORMED_CSV', error.message));
   }
+  if (records.length < 2) {
+    return emptyResult(importError(null, null, null, 'EMPTY_PAYLOAD', 'CSV payload must contain a header row and at least one data row'));
+  }
+
+  const [header, ...dataRecords] = records;
+  const columnMap = Object.entries(options.columnMap || {}).reduce((acc, [source, target]) => {
+    acc[source.trim().toLowerCase()] = target;
+    return acc;
+  }, {});
+  const headers = header.values.map(value => columnMap[value.trim().toLowerCase()] || value.trim());
+  const matchColumn = headers.findIndex(column => (CSV_COLUMN_ALIASES[column] || column) === (options.matchBy || 'vin'));
+  const shapeErrors = [];
+  const failedRows = [];
+  const parsedRecords = [];
+  dataRecords.forEach((record, index) => {
+    const row = index + 1;
+    if (record.values.length !== headers.length) {
+      shapeErrors.push(
+        importError(row, record.line, null, 'COLUMN_COUNT', `Row has ${record.values.length} columns, expected ${headers.length}`)
+      );
+      // The row still names its unit, so a feed that lists it does not count it as missing.
+      const key = matchColumn === -1 ? '' : normalizeImportKey(record.values[matchColumn]);
+      failedRows.push({ row, line: record.line, action: 'error', key: key || null });
+      return;
+    }
+    const values = headers.reduce((acc, column, columnIndex) => {
+      acc[column] = record.values[columnIndex];
+      return acc;
+    }, {});
+    parsedRecords.push({ row, line: record.line, values });
+  });
 
-  return { created, errors };
+  const result = importRows(parsedRecords, tenantId, options);
+  const rows = [...result.rows, ...failedRows].sort((a, b) => a.row - b.row);
+  return {
+    ...result,
+    rows,
+    errors: [...shapeErrors, ...result.errors].sort((a, b) => a.row - b.row),
+    summary: { ...result.summary, total: rows.length, failed: result.summary.failed + failedRows.length }
+  };
 }
 
 function recomputeBadges(body, tenantId) {
@@ -537,15 +1085,25 @@ function previewBadges(payload, tenantId) {
 }
 
 module.exports = {
+  VALID_INVENTORY_TRANSITIONS,
+  PUBLIC_HIDDEN_STATUSES,
+  calculateTotalPrice,
+  calculateDaysOnLot,
+  resolveBadges,
   list,
   findById,
   findBySlug,
   create,
   update,
   setFeatured,
+  restoreToPointInTime,
+  setStatus,
+  releaseExpiredHolds,
   remove,
   stats,
   importCsv,
+  importRows,
+  IMPORT_FIELDS,
   updateStory,
   updateSpotlights,
   updateMediaHotspots,
@@ -0,0 +1,121 @@
+const { datasets } = require('./state');
+const { matchesTenant, normalizeTenantId } = require('./tenantService');
+const { deriveBadges } = require('./inventoryBadges');
+const inventoryService = require('./inventoryService');
+const leadService = require('./leadService');
+const settingsService = require('./settingsService');
+
+const DEFAULT_SIMILARITY_WEIGHTS = {
+  category: 30,
+  subcategory: 20,
+  price: 20,
+  length: 10,
+  slides: 5,
+  beds: 5,
+  year: 5,
+  badges: 5
+};
+// How far apart two values can be before a criterion stops contributing.
+const TOLERANCES = { priceRatio: 0.25, length: 6, slides: 2, beds: 2, year: 5 };
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 24;
+
+const toNumber = value => (value === undefined || value === null || value === '' ? NaN : Number(value));
+
+function closeness(a, b, tolerance) {
+  const left = toNumber(a);
+  const right = toNumber(b);
+  if (!Number.isFinite(left) || !Number.isFinite(right) || !tolerance) return 0;
+  return Math.max(0, 1 - Math.abs(left - right) / tolerance);
+}
+
+function overlap(left, right) {
+  if (!left.length || !right.length) return 0;
+  const shared = left.filter(badge => right.includes(badge)).length;
+  return shared / new Set([...left, ...right]).size;
+}
+
+function resolveWeights(tenantId) {
+  const configured = settingsService.getSimilarityWeights(tenantId);
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SIMILARITY_WEIGHTS).map(([criterion, fallback]) => {
+      const value = Number(configured[criterion]);
+      return [criterion, Number.isFinite(value) && value >= 0 ? value : fallback];
+    })
+  );
+}
+
+function scoreCandidate(source, candidate, weights, badgesFor) {
+  const sourcePrice = inventoryService.calculateTotalPrice(source);
+  const criteria = {
+    category: source.category && source.category === candidate.category ? 1 : 0,
+    subcategory: source.subcategory && source.subcategory === candidate.subcategory ? 1 : 0,
+    price: closeness(sourcePrice, inventoryService.calculateTotalPrice(candidate), sourcePrice * TOLERANCES.priceRatio),
+    length: closeness(source.length, candidate.length, TOLERANCES.length),
+    slides: closeness(source.slides, candidate.slides, TOLERANCES.slides),
+    beds: closeness(source.beds, candidate.beds, TOLERANCES.beds),
+    year: closeness(source.year, candidate.year, TOLERANCES.year),
+    badges: overlap(badgesFor(source), badgesFor(candidate))
+  };
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const breakdown = Object.fromEntries(
+    Object.entries(criteria)
+      .map(([criterion, value]) => [criterion, Number((value * weights[criterion]).toFixed(2))])
+      .filter(([, points]) => points > 0)
+  );
+  const points = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  return {
+    score: totalWeight ? Number(((points / totalWeight) * 100).toFixed(1)) : 0,
+    breakdown,
+    sharedBadges: badgesFor(source).filter(badge => badgesFor(candidate).includes(badge))
+  };
+}
+
+/**
+ * Ranks the tenant's other available units by how closely they resemble the given unit. Works for sold
+ * and archived units too, so their pages can point shoppers at alternatives.
+ */
+function similar(id, tenantId, options = {}) {
+  const tenant = normalizeTenantId(tenantId);
+  const source = datasets.inventory.find(unit => unit.id === id && matchesTenant(unit.tenantId, tenant));
+  if (!source) return { notFound: true };
+
+  const weights = resolveWeights(tenant);
+  const tenantSettings = settingsService.getForTenant(tenant) || {};
+  const badgeCache = new Map();
+  const badgesFor = unit => {
+    if (!badgeCache.has(unit.id)) badgeCache.set(unit.id, deriveBadges(unit, tenantSettings));
+    return badgeCache.get(unit.id);
+  };
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(options.limit) || DEFAULT_LIMIT));
+  const minScore = Number(options.minScore) || 0;
+
+  const ranked = datasets.inventory
+    .filter(unit => unit.id !== source.id && matchesTenant(unit.tenantId, tenant) && (unit.status || 'available') === 'available')
+    .map(unit => ({ unit, similarity: scoreCandidate(source, unit, weights, badgesFor) }))
+    .filter(entry => entry.similarity.score > 0 && entry.similarity.score >= minScore)
+    .sort((a, b) => b.similarity.score - a.similarity.score || new Date(b.unit.createdAt || 0) - new Date(a.unit.createdAt || 0))
+    .slice(0, limit);
+
+  return {
+    items: ranked.map(({ unit, similarity }) => ({ ...inventoryService.findById(unit.id, tenant), similarity })),
+    meta: { sourceId: source.id, limit, weights }
+  };
+}
+
+function similarForLead(leadId, tenantId, options = {}) {
+  const lead = leadService.findById(leadId, tenantId);
+  if (!lead) return { notFound: true };
+  const tenant = normalizeTenantId(tenantId);
+  const unit = lead.interestedStockNumber
+    ? datasets.inventory.find(item => item.stockNumber === lead.interestedStockNumber && matchesTenant(item.tenantId, tenant))
+    : undefined;
+  if (!unit) return { error: 'Lead is not linked to an inventory unit' };
+  return similar(unit.id, tenant, options);
+}
+
+module.exports = {
+  DEFAULT_SIMILARITY_WEIGHTS,
+  similar,
+  similarForLead
+};
@@ -0,0 +1,237 @@
+const { randomUUID } = require('node:crypto');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload, sanitizeString, validateFields } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+
+const VALID_TRANSFER_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['in_transit', 'cancelled'],
+  in_transit: ['completed', 'cancelled'],
+  completed: [],
+  rejected: [],
+  cancelled: []
+};
+const OPEN_TRANSFER_STATUSES = ['requested', 'approved', 'in_transit'];
+const INCOMING_TRANSFER_STATUSES = ['approved', 'in_transit'];
+const TRANSFER_APPROVER_ROLES = ['admin'];
+// Mirrors the transfer onto the unit's existing transferStatus field.
+const UNIT_TRANSFER_STATUS = {
+  requested: 'requested',
+  approved: 'requested',
+  in_transit: 'in_transit',
+  completed: 'arrived',
+  rejected: 'none',
+  cancelled: 'none'
+};
+const STATUS_TIMESTAMPS = {
+  approved: 'approvedAt',
+  rejected: 'rejectedAt',
+  in_transit: 'departedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+const actorName = actor => actor?.email || actor?.id;
+
+function sanitizeEta(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function withUnit(transfer) {
+  const unit = inventoryService.findById(transfer.inventoryId, transfer.tenantId);
+  return {
+    ...escapeOutputPayload(transfer),
+    unit: unit ? { id: unit.id, stockNumber: unit.stockNumber, name: unit.name, location: unit.location, lotCode: unit.lotCode } : null
+  };
+}
+
+function findIndex(id, tenantId) {
+  return datasets.inventoryTransfers.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+}
+
+/**
+ * Mirrors the transfer status onto the unit. Returns an `{ error }` result when the unit could not be updated.
+ */
+function syncUnitTransferStatus(transfer, changedBy) {
+  const synced = inventoryService.update(
+    transfer.inventoryId,
+    { transferStatus: UNIT_TRANSFER_STATUS[transfer.status], updatedBy: changedBy },
+    transfer.tenantId
+  );
+  if (synced.notFound) return { error: 'Inventory unit not found' };
+  if (synced.error || synced.conflict) return { error: `Unit could not be updated: ${synced.error || synced.conflict}` };
+  return null;
+}
+
+function list(query = {}, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const { status, inventoryId, fromLocation, toLocation } = query;
+  return datasets.inventoryTransfers
+    .filter(transfer => matchesTenant(transfer.tenantId, tenant))
+    .filter(transfer => (status ? transfer.status === status : true))
+    .filter(transfer => (inventoryId ? transfer.inventoryId === inventoryId : true))
+    .filter(transfer => (fromLocation ? transfer.fromLocation === fromLocation : true))
+    .filter(transfer => (toLocation ? transfer.toLocation === toLocation : true))
+    .sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt))
+    .map(withUnit);
+}
+
+/**
+ * Approved and in-transit transfers headed to a lot, soonest ETA first (transfers without an ETA last).
+ */
+function incoming(location, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const etaTime = transfer => (transfer.eta ? new Date(transfer.eta).getTime() : Number.POSITIVE_INFINITY);
+  return datasets.inventoryTransfers
+    .filter(
+      transfer =>
+        matchesTenant(transfer.tenantId, tenant) &&
+        transfer.toLocation === location &&
+        INCOMING_TRANSFER_STATUSES.includes(transfer.status)
+    )
+    .sort((a, b) => etaTime(a) - etaTime(b))
+    .map(withUnit);
+}
+
+function findById(id, tenantId) {
+  const transfer = datasets.inventoryTransfers.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  return transfer ? withUnit(transfer) : undefined;
+}
+
+function create(payload, tenantId, actor) {
+  const requiredError = validateFields(payload, ['inventoryId', 'toLocation']);
+  if (requiredError) return { error: requiredError };
+  const tenant = normalizeTenantId(tenantId);
+  const unit = datasets.inventory.find(entry => entry.id === payload.inventoryId && matchesTenant(entry.tenantId, tenant));
+  if (!unit) return { notFound: true };
+  if (['sold', 'archived'].includes(unit.status)) return { error: `Cannot transfer a ${unit.status} unit` };
+
+  const toLocation = sanitizeString(payload.toLocation);
+  const toLotCode = payload.toLotCode ? sanitizeString(payload.toLotCode) : undefined;
+  if (toLocation === unit.location && (!toLotCode || toLotCode === unit.lotCode)) {
+    return { error: 'Unit is already at that location' };
+  }
+  const eta = sanitizeEta(payload.eta);
+  if (eta === null) return { error: 'eta must be a valid date' };
+  if (
+    datasets.inventoryTransfers.some(
+      transfer =>
+        transfer.inventoryId === unit.id && matchesTenant(transfer.tenantId, tenant) && OPEN_TRANSFER_STATUSES.includes(transfer.status)
+    )
+  ) {
+    return { conflict: 'Unit already has an open transfer' };
+  }
+
+  const now = new Date().toISOString();
+  const transfer = attachTenant(
+    {
+      id: randomUUID(),
+      inventoryId: unit.id,
+      fromLocation: unit.location,
+      fromLotCode: unit.lotCode,
+      toLocation,
+      toLotCode,
+      status: 'requested',
+      requestedBy: actorName(actor),
+      requestedAt: now,
+      eta,
+      driver: payload.driver ? sanitizeString(payload.driver) : undefined,
+      notes: payload.notes ? sanitizeString(payload.notes) : undefined,
+      history: [{ status: 'requested', at: now, by: actorName(actor) }],
+      updatedAt: now
+    },
+    tenant
+  );
+  const syncError = syncUnitTransferStatus(transfer, actorName(actor));
+  if (syncError) return syncError;
+  datasets.inventoryTransfers.push(transfer);
+  persist.inventoryTransfers(datasets.inventoryTransfers);
+  return { transfer: withUnit(transfer) };
+}
+
+function update(id, payload, tenantId) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const current = datasets.inventoryTransfers[index];
+  if (!OPEN_TRANSFER_STATUSES.includes(current.status)) return { error: `Cannot edit a ${current.status} transfer` };
+  const eta = payload.eta !== undefined ? sanitizeEta(payload.eta) : current.eta;
+  if (eta === null) return { error: 'eta must be a valid date' };
+
+  const updated = {
+    ...current,
+    eta,
+    driver: payload.driver !== undefined ? sanitizeString(payload.driver) || undefined : current.driver,
+    notes: payload.notes !== undefined ? sanitizeString(payload.notes) || undefined : current.notes,
+    updatedAt: new Date().toISOString()
+  };
+  datasets.inventoryTransfers[index] = updated;
+  persist.inventoryTransfers(datasets.inventoryTransfers);
+  return { transfer: withUnit(updated) };
+}
+
+/**
+ * Moves a transfer through its workflow. Approving or rejecting needs an approver role; completing
+ * moves the unit to the destination location and lot code.
+ */
+function setStatus(id, status, tenantId, options = {}) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const current = datasets.inventoryTransfers[index];
+  if (!VALID_TRANSFER_TRANSITIONS[current.status].includes(status)) {
+    return { error: `Cannot move a transfer from ${current.status} to ${status}` };
+  }
+  if (['approved', 'rejected'].includes(status) && !TRANSFER_APPROVER_ROLES.includes(options.actor?.role)) {
+    return { forbidden: `Only ${TRANSFER_APPROVER_ROLES.join(', ')} can ${status === 'approved' ? 'approve' : 'reject'} transfers` };
+  }
+  const eta = options.eta !== undefined ? sanitizeEta(options.eta) : current.eta;
+  if (eta === null) return { error: 'eta must be a valid date' };
+
+  const now = new Date().toISOString();
+  const by = actorName(options.actor);
+  const updated = {
+    ...current,
+    status,
+    eta,
+    driver: options.driver ? sanitizeString(options.driver) : current.driver,
+    [STATUS_TIMESTAMPS[status]]: now,
+    ...(status === 'approved' ? { approvedBy: by } : {}),
+    ...(status === 'rejected' ? { rejectedBy: by } : {}),
+    history: [...(current.history || []), { status, at: now, by, note: options.note ? sanitizeString(options.note) : undefined }],
+    updatedAt: now
+  };
+  // The unit is updated before the transfer is saved, so a unit that cannot be updated leaves the transfer where it was.
+  if (status === 'completed') {
+    const moved = inventoryService.update(
+      updated.inventoryId,
+      {
+        location: updated.toLocation,
+        lotCode: updated.toLotCode || null,
+        transferStatus: UNIT_TRANSFER_STATUS.completed,
+        updatedBy: by
+      },
+      updated.tenantId
+    );
+    if (moved.notFound) return { error: 'Inventory unit not found' };
+    if (moved.error || moved.conflict) return { error: `Unit could not be moved: ${moved.error || moved.conflict}` };
+  } else {
+    const syncError = syncUnitTransferStatus(updated, by);
+    if (syncError) return syncError;
+  }
+  datasets.inventoryTransfers[index] = updated;
+  persist.inventoryTransfers(datasets.inventoryTransfers);
+  return { transfer: withUnit(updated), previousStatus: current.status };
+}
+
+module.exports = {
+  VALID_TRANSFER_TRANSITIONS,
+  TRANSFER_APPROVER_ROLES,
+  list,
+  incoming,
+  findById,
+  create,
+  update,
+  setStatus
+};
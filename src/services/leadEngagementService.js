@@ -12,6 +12,29 @@ function timeline(leadId, tenantId) {
     payload: { score: entry.score, reasons: entry.reasons }
   }));
 
+  const inquiries = (lead.inquiries || []).map(inquiry => ({
+    type: 'inquiry',
+    occurredAt: inquiry.receivedAt,
+    payload: escapeOutputPayload(inquiry)
+  }));
+
+  const merges = (lead.mergedLeads || []).map(entry => ({
+    type: 'merge',
+    occurredAt: entry.mergedAt,
+    payload: escapeOutputPayload(entry)
+  }));
+
+  const assignments = (lead.assignments || []).map(entry => ({
+    type: 'assignment',
+    occurredAt: entry.assignedAt,
+    payload: escapeOutputPayload(entry)
+  }));
+
+  const activities = (datasets.activities || [])
+    .filter(activity => matchesTenant(activity.tenantId, tenantId))
+    .filter(activity => activity.leadId === leadId)
+    .map(activity => ({ type: 'activity', occurredAt: activity.occurredAt, payload: escapeOutputPayload(activity) }));
+
   const events = (datasets.events || [])
     .filter(event => matchesTenant(event.tenantId, tenantId))
     .filter(event => event.leadId === leadId)
@@ -31,7 +54,7 @@ function timeline(leadId, tenantId) {
       payload: escapeOutputPayload(notification)
     }));
 
-  const items = [...scoreChanges, ...events, ...tasks, ...notifications].sort((a, b) => {
+  const items = [...scoreChanges, ...inquiries, ...merges, ...assignments, ...activities, ...events, ...tasks, ...notifications].sort((a, b) => {
     const aTime = new Date(a.occurredAt || 0).getTime();
     const bTime = new Date(b.occurredAt || 0).getTime();
     return aTime - bTime;
@@ -0,0 +1,273 @@
+const { randomUUID } = require('node:crypto');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload, sanitizeString, validateFields } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+
+const STAGE_OUTCOMES = ['open', 'won', 'lost'];
+const DEFAULT_PIPELINE_ID = 'default';
+// Built-in sales funnel used by leads without a pipeline of their own and by tenants without a default.
+const DEFAULT_LEAD_PIPELINE = {
+  id: DEFAULT_PIPELINE_ID,
+  name: 'Sales',
+  builtIn: true,
+  stages: [
+    { key: 'new', name: 'New', probability: 10, outcome: 'open', next: ['contacted', 'qualified', 'lost'], requiredFields: [] },
+    { key: 'contacted', name: 'Contacted', probability: 25, outcome: 'open', next: ['qualified', 'lost', 'won'], requiredFields: [] },
+    { key: 'qualified', name: 'Qualified', probability: 50, outcome: 'open', next: ['won', 'lost'], requiredFields: [] },
+    { key: 'won', name: 'Won', probability: 100, outcome: 'won', next: [], requiredFields: [] },
+    { key: 'lost', name: 'Lost', probability: 0, outcome: 'lost', next: [], requiredFields: [] }
+  ]
+};
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+
+function findIndex(id, tenantId) {
+  return datasets.leadPipelines.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+}
+
+function tenantPipelines(tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  return datasets.leadPipelines.filter(pipeline => matchesTenant(pipeline.tenantId, tenant));
+}
+
+function list(tenantId) {
+  return [DEFAULT_LEAD_PIPELINE, ...tenantPipelines(tenantId)].map(escapeOutputPayload);
+}
+
+function resolve(id, tenantId) {
+  if (!id || id === DEFAULT_PIPELINE_ID) return DEFAULT_LEAD_PIPELINE;
+  return tenantPipelines(tenantId).find(pipeline => pipeline.id === id);
+}
+
+function findById(id, tenantId) {
+  const pipeline = resolve(id, tenantId);
+  return pipeline ? escapeOutputPayload(pipeline) : undefined;
+}
+
+/** The pipeline new leads start in: the tenant's pipeline marked `isDefault`, else the built-in one. */
+function defaultPipeline(tenantId) {
+  return tenantPipelines(tenantId).find(pipeline => pipeline.isDefault) || DEFAULT_LEAD_PIPELINE;
+}
+
+// Leads keep the pipeline they were created in; older leads without one use the built-in funnel.
+const pipelineFor = (lead, tenantId) => resolve(lead.pipelineId, tenantId) || DEFAULT_LEAD_PIPELINE;
+const stageFor = (lead, tenantId) => pipelineFor(lead, tenantId).stages.find(stage => stage.key === lead.status);
+const initialStage = pipeline => pipeline.stages[0];
+
+function isClosed(lead, tenantId) {
+  const stage = stageFor(lead, tenantId);
+  return Boolean(stage && stage.outcome !== 'open');
+}
+
+function isInitial(lead, tenantId) {
+  return lead.status === initialStage(pipelineFor(lead, tenantId)).key;
+}
+
+function outcomeStage(lead, outcome, tenantId) {
+  return pipelineFor(lead, tenantId).stages.find(stage => stage.outcome === outcome);
+}
+
+const isBlank = value => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+/**
+ * Checks moving `lead` into stage `next` of its pipeline: the stage has to exist and be reachable from
+ * the current one, and every required field of the stage has to be in the lead's `stageFields` or in `fields`.
+ */
+function checkTransition(lead, next, tenantId, fields = {}) {
+  const pipeline = pipelineFor(lead, tenantId);
+  const stage = pipeline.stages.find(entry => entry.key === next);
+  if (!stage) return { error: `Status must be one of: ${pipeline.stages.map(entry => entry.key).join(', ')}` };
+  const current = pipeline.stages.find(entry => entry.key === lead.status);
+  if (next !== lead.status && !(current?.next || []).includes(next)) {
+    return { error: `Invalid status transition from ${lead.status} to ${next}` };
+  }
+  const missing = stage.requiredFields.filter(field => isBlank(fields[field]) && isBlank(lead.stageFields?.[field]));
+  if (missing.length) return { error: `Moving to ${next} requires ${missing.join(', ')}`, missing };
+  return { stage };
+}
+
+function normalizeStages(stages = []) {
+  const keys = stages.map(stage => sanitizeString(stage.key));
+  if (!keys.length) return { error: 'A pipeline needs at least one stage' };
+  if (new Set(keys).size !== keys.length) return { error: 'Stage keys must be unique' };
+  const normalized = stages.map((stage, index) => ({
+    key: keys[index],
+    name: sanitizeString(stage.name || stage.key),
+    probability: Number(stage.probability ?? 0),
+    outcome: STAGE_OUTCOMES.includes(stage.outcome) ? stage.outcome : 'open',
+    next: Array.from(new Set((stage.next || []).map(sanitizeString))),
+    requiredFields: Array.from(new Set((stage.requiredFields || []).map(sanitizeString)))
+  }));
+  const unknown = normalized.flatMap(stage => stage.next.filter(key => !keys.includes(key)).map(key => `${stage.key} -> ${key}`));
+  if (unknown.length) return { error: `Transitions point at unknown stages: ${unknown.join(', ')}` };
+  if (normalized[0].outcome !== 'open') return { error: 'The first stage must be open' };
+  return { stages: normalized };
+}
+
+function leadsInPipeline(pipeline, tenantId) {
+  return datasets.leads.filter(lead => matchesTenant(lead.tenantId, tenantId) && lead.pipelineId === pipeline.id);
+}
+
+function clearOtherDefaults(id, tenant) {
+  datasets.leadPipelines = datasets.leadPipelines.map(pipeline =>
+    matchesTenant(pipeline.tenantId, tenant) && pipeline.id !== id && pipeline.isDefault ? { ...pipeline, isDefault: false } : pipeline
+  );
+}
+
+function create(payload, tenantId) {
+  const requiredError = validateFields(payload, ['name', 'stages']);
+  if (requiredError) return { error: requiredError };
+  const { stages, error } = normalizeStages(payload.stages);
+  if (error) return { error };
+  const tenant = normalizeTenantId(tenantId);
+  const now = new Date().toISOString();
+  const pipeline = attachTenant(
+    {
+      id: randomUUID(),
+      name: sanitizeString(payload.name),
+      isDefault: Boolean(payload.isDefault),
+      stages,
+      createdAt: now,
+      updatedAt: now
+    },
+    tenant
+  );
+  if (pipeline.isDefault) clearOtherDefaults(pipeline.id, tenant);
+  datasets.leadPipelines.push(pipeline);
+  persist.leadPipelines(datasets.leadPipelines);
+  return { pipeline: escapeOutputPayload(pipeline) };
+}
+
+/** Stages that still hold leads cannot be dropped; move those leads first. */
+function update(id, payload, tenantId) {
+  if (id === DEFAULT_PIPELINE_ID) return { error: 'The built-in pipeline cannot be changed' };
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const current = datasets.leadPipelines[index];
+  let { stages } = current;
+  if (payload.stages) {
+    const normalized = normalizeStages(payload.stages);
+    if (normalized.error) return { error: normalized.error };
+    const keys = normalized.stages.map(stage => stage.key);
+    const stranded = leadsInPipeline(current, current.tenantId).filter(lead => !keys.includes(lead.status));
+    if (stranded.length) {
+      const removed = Array.from(new Set(stranded.map(lead => lead.status)));
+      return { conflict: `Stages still hold leads: ${removed.join(', ')}` };
+    }
+    stages = normalized.stages;
+  }
+  const updated = {
+    ...current,
+    name: payload.name ? sanitizeString(payload.name) : current.name,
+    isDefault: payload.isDefault !== undefined ? Boolean(payload.isDefault) : current.isDefault,
+    stages,
+    updatedAt: new Date().toISOString()
+  };
+  if (updated.isDefault) clearOtherDefaults(id, current.tenantId);
+  datasets.leadPipelines[index] = updated;
+  persist.leadPipelines(datasets.leadPipelines);
+  return { pipeline: escapeOutputPayload(updated) };
+}
+
+function remove(id, tenantId) {
+  if (id === DEFAULT_PIPELINE_ID) return { error: 'The built-in pipeline cannot be removed' };
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const inUse = leadsInPipeline(datasets.leadPipelines[index], tenantId).length;
+  if (inUse) return { conflict: `Pipeline still has ${inUse} lead(s)` };
+  const [removed] = datasets.leadPipelines.splice(index, 1);
+  persist.leadPipelines(datasets.leadPipelines);
+  return { pipeline: escapeOutputPayload(removed) };
+}
+
+// A lead is worth its latest open or finalized deal's cash price, else the asking price of the unit it asked about.
+function leadValue(lead, tenantId) {
+  const deal = (datasets.deals || [])
+    .filter(entry => entry.leadId === lead.id && matchesTenant(entry.tenantId, tenantId) && entry.status !== 'cancelled')
+    .sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt))[0];
+  const version = deal?.versions?.find(entry => entry.version === (deal.finalizedVersion ?? deal.currentVersion));
+  if (version?.pricing?.cashPrice !== undefined) return { value: Number(version.pricing.cashPrice), valueSource: 'deal' };
+  const stock = lead.interestedStockNumber && String(lead.interestedStockNumber).toUpperCase();
+  const unit =
+    stock &&
+    datasets.inventory.find(entry => matchesTenant(entry.tenantId, tenantId) && String(entry.stockNumber || '').toUpperCase() === stock);
+  const price = Number(unit?.salePrice ?? unit?.price);
+  return Number.isFinite(price) ? { value: price, valueSource: 'unit' } : { value: 0, valueSource: null };
+}
+
+/**
+ * Groups the pipeline's leads by stage in stage order. Each lead carries its value and the value
+ * weighted by its stage's probability; stages and the board total sum both.
+ */
+function board(id, tenantId, query = {}) {
+  const tenant = normalizeTenantId(tenantId);
+  const pipeline = resolve(id, tenant);
+  if (!pipeline) return { notFound: true };
+  const leads = datasets.leads
+    .filter(lead => matchesTenant(lead.tenantId, tenant))
+    .filter(lead => pipelineFor(lead, tenant).id === pipeline.id)
+    .filter(lead => (query.assigneeId ? lead.assigneeId === query.assigneeId : true));
+
+  const stages = pipeline.stages.map(stage => {
+    const cards = leads
+      .filter(lead => lead.status === stage.key)
+      .map(lead => {
+        const { value, valueSource } = leadValue(lead, tenant);
+        return {
+          id: lead.id,
+          name: lead.name,
+          assigneeId: lead.assigneeId,
+          assigneeName: lead.assigneeName,
+          interestedStockNumber: lead.interestedStockNumber,
+          leadScore: lead.leadScore,
+          createdAt: lead.createdAt,
+          value,
+          valueSource,
+          weightedValue: roundCurrency((value * stage.probability) / 100)
+        };
+      })
+      .sort((a, b) => b.weightedValue - a.weightedValue);
+    return {
+      key: stage.key,
+      name: stage.name,
+      probability: stage.probability,
+      outcome: stage.outcome,
+      count: cards.length,
+      value: roundCurrency(cards.reduce((sum, card) => sum + card.value, 0)),
+      weightedValue: roundCurrency(cards.reduce((sum, card) => sum + card.weightedValue, 0)),
+      leads: cards.map(escapeOutputPayload)
+    };
+  });
+
+  const open = stages.filter(stage => stage.outcome === 'open');
+  return {
+    pipeline: { id: pipeline.id, name: pipeline.name },
+    stages,
+    totals: {
+      count: stages.reduce((sum, stage) => sum + stage.count, 0),
+      openValue: roundCurrency(open.reduce((sum, stage) => sum + stage.value, 0)),
+      weightedValue: roundCurrency(open.reduce((sum, stage) => sum + stage.weightedValue, 0))
+    }
+  };
+}
+
+module.exports = {
+  STAGE_OUTCOMES,
+  DEFAULT_PIPELINE_ID,
+  DEFAULT_LEAD_PIPELINE,
+  list,
+  findById,
+  resolve,
+  defaultPipeline,
+  pipelineFor,
+  stageFor,
+  initialStage,
+  isClosed,
+  isInitial,
+  outcomeStage,
+  checkTransition,
+  create,
+  update,
+  remove,
+  board
+};
@@ -0,0 +1,118 @@
+const { datasets, persist } = require('./state');
+const { matchesTenant, normalizeTenantId } = require('./tenantService');
+const { addBusinessMinutes, businessMinutesBetween } = require('../lib/businessHours');
+const settingsService = require('./settingsService');
+const leadRoutingService = require('./leadRoutingService');
+const notificationService = require('./notificationService');
+const taskService = require('./taskService');
+const leadPipelineService = require('./leadPipelineService');
+
+const DEFAULT_LEAD_RESPONSE_SETTINGS = { slaMinutes: 60, sources: [], escalationRole: 'admin' };
+
+const roundMinutes = value => Math.round(value * 10) / 10;
+
+function leadSource(lead) {
+  return lead.utmSource || lead.referrer || 'direct';
+}
+
+function getSettings(tenantId) {
+  const configured = settingsService.getLeadResponse(tenantId);
+  const slaMinutes = Number(configured.slaMinutes);
+  return {
+    slaMinutes: Number.isFinite(slaMinutes) && slaMinutes > 0 ? slaMinutes : DEFAULT_LEAD_RESPONSE_SETTINGS.slaMinutes,
+    sources: Array.isArray(configured.sources) ? configured.sources : DEFAULT_LEAD_RESPONSE_SETTINGS.sources,
+    escalationRole: configured.escalationRole || DEFAULT_LEAD_RESPONSE_SETTINGS.escalationRole
+  };
+}
+
+function slaMinutesFor(lead, settings) {
+  const source = leadSource(lead).toLowerCase();
+  const override = settings.sources.find(entry => String(entry.source).toLowerCase() === source);
+  return override && override.slaMinutes > 0 ? override.slaMinutes : settings.slaMinutes;
+}
+
+/** When the first touch is due: the source's SLA in working minutes from the lead's arrival. */
+function responseDueAt(lead, tenantId) {
+  const { schedule, timezone } = leadRoutingService.workingSchedule(tenantId);
+  return addBusinessMinutes(lead.createdAt, slaMinutesFor(lead, getSettings(tenantId)), schedule, timezone).toISOString();
+}
+
+/**
+ * Fields to store when a lead gets its first touch at `at`: who made it (the `responder` when known,
+ * else the owner), how many working minutes it waited and whether that beat its source's SLA. Empty
+ * once a first response is on record.
+ */
+function firstResponseFields(lead, at, tenantId, responder = {}) {
+  if (lead.firstResponseAt) return {};
+  const { schedule, timezone } = leadRoutingService.workingSchedule(tenantId);
+  const slaMinutes = slaMinutesFor(lead, getSettings(tenantId));
+  const responseMinutes = roundMinutes(businessMinutesBetween(lead.createdAt, at, schedule, timezone));
+  return {
+    firstResponseAt: new Date(at).toISOString(),
+    firstResponseBy: responder.id || lead.assigneeId,
+    firstResponseByName: responder.id ? responder.name : lead.assigneeName,
+    responseMinutes,
+    responseSlaMinutes: slaMinutes,
+    responseSlaMet: responseMinutes <= slaMinutes
+  };
+}
+
+/**
+ * Escalates open leads still waiting for a first touch after `responseDueAt`: managers in the
+ * escalation role get a notification and a follow-up task linked to the lead. Each lead escalates once.
+ */
+function escalateBreaches(tenantId, now = new Date()) {
+  const tenant = normalizeTenantId(tenantId);
+  const settings = getSettings(tenant);
+  const breaches = datasets.leads.filter(
+    lead =>
+      matchesTenant(lead.tenantId, tenant) &&
+      !leadPipelineService.isClosed(lead, tenant) &&
+      !lead.firstResponseAt &&
+      !lead.responseEscalatedAt &&
+      lead.responseDueAt &&
+      new Date(lead.responseDueAt) <= now
+  );
+
+  const escalated = breaches.map(lead => {
+    const source = leadSource(lead);
+    const owner = lead.assigneeName ? ` (owner: ${lead.assigneeName})` : ' (unassigned)';
+    const message = `${lead.name} from ${source} has had no first response within the ${slaMinutesFor(lead, settings)}-minute SLA${owner}.`;
+    const { notification } = notificationService.create(
+      { type: 'lead_response_sla', message, contactId: lead.id, recipientRole: settings.escalationRole },
+      tenant
+    );
+    const { task } = taskService.create(
+      {
+        title: `First response overdue: ${lead.name}`,
+        notes: message,
+        assignedTo: settings.escalationRole,
+        contactId: lead.id,
+        sourceKey: `lead-response:${lead.id}`,
+        dueAt: now.toISOString()
+      },
+      tenant
+    );
+    const index = datasets.leads.indexOf(lead);
+    datasets.leads[index] = { ...lead, responseEscalatedAt: now.toISOString() };
+    return { leadId: lead.id, notificationId: notification.id, taskId: task.id };
+  });
+  if (escalated.length) persist.leads(datasets.leads);
+  return escalated;
+}
+
+function escalateAllTenants(now = new Date()) {
+  const tenantIds = new Set(datasets.leads.filter(lead => lead.responseDueAt).map(lead => normalizeTenantId(lead.tenantId)));
+  return Array.from(tenantIds).flatMap(tenantId => escalateBreaches(tenantId, now));
+}
+
+module.exports = {
+  DEFAULT_LEAD_RESPONSE_SETTINGS,
+  leadSource,
+  getSettings,
+  slaMinutesFor,
+  responseDueAt,
+  firstResponseFields,
+  escalateBreaches,
+  escalateAllTenants
+};
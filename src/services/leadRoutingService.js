@@ -0,0 +1,206 @@
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload } = require('./shared');
+const { matchesTenant, normalizeTenantId } = require('./tenantService');
+const { addBusinessMinutes, buildSchedule } = require('../lib/businessHours');
+const settingsService = require('./settingsService');
+const teamService = require('./teamService');
+const leadPipelineService = require('./leadPipelineService');
+
+const DEFAULT_LEAD_ROUTING_SETTINGS = { enabled: true, defaultRole: 'sales', slaMinutes: 30, timezone: 'UTC', rules: [] };
+
+const actorName = actor => actor?.email || actor?.id;
+const lower = value => (value ? String(value).trim().toLowerCase() : '');
+
+/**
+ * Working hours come from `leadRouting.workingHours` when set, otherwise from the tenant's published
+ * `hours`; the SLA clock only runs while the store is open.
+ */
+function getSettings(tenantId) {
+  const configured = settingsService.getLeadRouting(tenantId);
+  const tenantSettings = settingsService.getForTenant(tenantId) || {};
+  const slaMinutes = Number(configured.slaMinutes);
+  return {
+    enabled: configured.enabled !== undefined ? configured.enabled : DEFAULT_LEAD_ROUTING_SETTINGS.enabled,
+    defaultRole: configured.defaultRole || DEFAULT_LEAD_ROUTING_SETTINGS.defaultRole,
+    slaMinutes: Number.isFinite(slaMinutes) && slaMinutes > 0 ? slaMinutes : DEFAULT_LEAD_ROUTING_SETTINGS.slaMinutes,
+    timezone: configured.timezone || tenantSettings.timezone || DEFAULT_LEAD_ROUTING_SETTINGS.timezone,
+    workingHours: configured.workingHours || tenantSettings.hours || {},
+    rules: Array.isArray(configured.rules) ? configured.rules : DEFAULT_LEAD_ROUTING_SETTINGS.rules
+  };
+}
+
+function workingSchedule(tenantId, settings = getSettings(tenantId)) {
+  return { schedule: buildSchedule(settings.workingHours), timezone: settings.timezone };
+}
+
+function slaDueAt(from, settings) {
+  const { schedule, timezone } = workingSchedule(undefined, settings);
+  return addBusinessMinutes(from, settings.slaMinutes, schedule, timezone).toISOString();
+}
+
+function unitLocation(lead, tenantId) {
+  if (!lead.interestedStockNumber) return undefined;
+  const stock = String(lead.interestedStockNumber).toUpperCase();
+  const unit = datasets.inventory.find(
+    entry => matchesTenant(entry.tenantId, tenantId) && String(entry.stockNumber || '').toUpperCase() === stock
+  );
+  return unit?.location;
+}
+
+function ruleMatches(rule, context) {
+  const anyOf = (values, actual) => !values?.length || values.some(value => lower(value) === lower(actual));
+  return (
+    anyOf(rule.locations, context.location) &&
+    anyOf(rule.languages, context.language) &&
+    (!rule.segments?.length || rule.segments.some(segment => context.segments.includes(segment)))
+  );
+}
+
+// Prefers members who fit the lead, but never narrows the pool to nobody.
+function prefer(pool, predicate) {
+  const preferred = pool.filter(predicate);
+  return preferred.length ? preferred : pool;
+}
+
+function lastAssignedAt(tenantId) {
+  return datasets.leads
+    .filter(lead => matchesTenant(lead.tenantId, tenantId))
+    .flatMap(lead => lead.assignments || [])
+    .reduce((acc, entry) => {
+      const at = new Date(entry.assignedAt).getTime();
+      return at > (acc[entry.memberId] || 0) ? { ...acc, [entry.memberId]: at } : acc;
+    }, {});
+}
+
+/**
+ * Picks the owner for a lead: the first rule whose conditions (unit location, language, score segment)
+ * match and that has an eligible member decides the pool, else the default role does. Within the pool,
+ * members covering the lead's language and location are preferred, and the one who has gone longest
+ * without a new lead gets it (round-robin).
+ */
+function pickAssignee(lead, tenantId, { exclude = [], settings = getSettings(tenantId) } = {}) {
+  const members = teamService
+    .listMembers({ acceptsLeads: true }, tenantId)
+    .filter(member => !exclude.includes(member.id));
+  const context = { location: unitLocation(lead, tenantId), language: lead.language, segments: lead.segments || [] };
+
+  const poolFor = rule =>
+    members.filter(
+      member =>
+        (rule.memberIds?.length ? rule.memberIds.includes(member.id) : member.role === (rule.role || settings.defaultRole)) &&
+        (!rule.role || member.role === rule.role)
+    );
+  const matched = settings.rules.filter(rule => ruleMatches(rule, context)).find(rule => poolFor(rule).length);
+  let pool = poolFor(matched || {});
+  if (!pool.length) return undefined;
+
+  if (context.language) pool = prefer(pool, member => (member.languages || []).includes(lower(context.language)));
+  if (context.location) pool = prefer(pool, member => (member.locations || []).some(location => lower(location) === lower(context.location)));
+
+  const lastAssigned = lastAssignedAt(tenantId);
+  const [member] = [...pool].sort((a, b) => (lastAssigned[a.id] || 0) - (lastAssigned[b.id] || 0));
+  return { member, ruleId: matched?.id };
+}
+
+function applyAssignment(index, member, { reason, ruleId, by, now, settings }) {
+  const current = datasets.leads[index];
+  const assignedAt = now.toISOString();
+  const dueAt = slaDueAt(now, settings);
+  datasets.leads[index] = {
+    ...current,
+    assigneeId: member.id,
+    assigneeName: member.name,
+    assignedTo: member.role || current.assignedTo,
+    assignedAt,
+    slaDueAt: dueAt,
+    slaBreachedAt: undefined,
+    assignments: [
+      ...(current.assignments || []),
+      { memberId: member.id, memberName: member.name, role: member.role, reason, ruleId, assignedAt, slaDueAt: dueAt, by }
+    ]
+  };
+  return datasets.leads[index];
+}
+
+/**
+ * Routes a lead to a team member, or assigns `memberId` directly when given. Returns `{ skipped }` when
+ * routing is disabled or nobody is eligible so lead intake never fails on routing.
+ */
+function assign(leadId, tenantId, options = {}) {
+  const index = datasets.leads.findIndex(lead => lead.id === leadId && matchesTenant(lead.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  const settings = getSettings(tenantId);
+  const now = options.now || new Date();
+  const by = actorName(options.actor) || 'routing';
+
+  if (options.memberId) {
+    const member = teamService.findMember(options.memberId, tenantId);
+    if (!member) return { error: 'Team member not found' };
+    const lead = applyAssignment(index, member, { reason: 'manual', by, now, settings });
+    persist.leads(datasets.leads);
+    return { lead: escapeOutputPayload(lead) };
+  }
+
+  if (!settings.enabled && !options.force) return { skipped: 'Lead routing is disabled' };
+  const picked = pickAssignee(datasets.leads[index], tenantId, { exclude: options.exclude, settings });
+  if (!picked) return { skipped: 'No eligible team member' };
+  const lead = applyAssignment(index, picked.member, { reason: options.reason || 'routed', ruleId: picked.ruleId, by, now, settings });
+  persist.leads(datasets.leads);
+  return { lead: escapeOutputPayload(lead) };
+}
+
+const contactedSinceAssignment = (lead, tenantId) =>
+  !leadPipelineService.isInitial(lead, tenantId) ||
+  (lead.lastContactedAt && new Date(lead.lastContactedAt) >= new Date(lead.assignedAt));
+
+/**
+ * Hands leads still in their pipeline's first stage that nobody contacted before `slaDueAt` to the next member, skipping everyone who
+ * already had the lead. When nobody is left the lead keeps its owner and is marked `slaBreachedAt`.
+ */
+function reassignOverdue(tenantId, now = new Date()) {
+  const tenant = normalizeTenantId(tenantId);
+  const settings = getSettings(tenant);
+  if (!settings.enabled) return { reassigned: [], breached: [] };
+  const overdue = datasets.leads.filter(
+    lead =>
+      matchesTenant(lead.tenantId, tenant) &&
+      lead.assigneeId &&
+      lead.slaDueAt &&
+      !lead.slaBreachedAt &&
+      new Date(lead.slaDueAt) <= now &&
+      !contactedSinceAssignment(lead, tenant)
+  );
+
+  const result = overdue.reduce(
+    (acc, lead) => {
+      const exclude = (lead.assignments || []).map(entry => entry.memberId);
+      const outcome = assign(lead.id, tenant, { reason: 'sla_reassigned', exclude, now });
+      if (outcome.lead) {
+        acc.reassigned.push(outcome.lead);
+      } else {
+        const index = datasets.leads.findIndex(entry => entry.id === lead.id);
+        datasets.leads[index] = { ...datasets.leads[index], slaBreachedAt: now.toISOString() };
+        acc.breached.push(escapeOutputPayload(datasets.leads[index]));
+      }
+      return acc;
+    },
+    { reassigned: [], breached: [] }
+  );
+  if (result.breached.length) persist.leads(datasets.leads);
+  return result;
+}
+
+function reassignAllTenants(now = new Date()) {
+  const tenantIds = new Set(datasets.leads.filter(lead => lead.assigneeId).map(lead => normalizeTenantId(lead.tenantId)));
+  return Array.from(tenantIds).map(tenantId => ({ tenantId, ...reassignOverdue(tenantId, now) }));
+}
+
+module.exports = {
+  DEFAULT_LEAD_ROUTING_SETTINGS,
+  getSettings,
+  workingSchedule,
+  pickAssignee,
+  assign,
+  reassignOverdue,
+  reassignAllTenants
+};
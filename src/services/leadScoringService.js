@@ -15,6 +15,10 @@ const defaultRules = {
   submissionScore: 20,
   alertEngagementScore: 8,
   alertCap: 16,
+  visitScore: 15,
+  visitCap: 30,
+  conversationScore: 6,
+  conversationCap: 24,
   segmentRules: [
     { id: 'hot', minScore: 50 },
     { id: 'warm', minScore: 25 },
@@ -50,10 +54,21 @@ function selectNotificationsForLead(leadId, tenantId) {
     .filter(notification => notification.contactId === leadId);
 }
 
+function selectActivitiesForLead(leadId, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  return (datasets.activities || [])
+    .filter(activity => matchesTenant(activity.tenantId, tenant))
+    .filter(activity => activity.leadId === leadId);
+}
+
+// Showroom visits, and calls or messages where the shopper reached out or answered.
+const CONVERSATION_OUTCOMES = ['connected', 'replied', 'appointment_set'];
+
 function computeScorePayload(lead, tenantId) {
   const rules = resolveRules(tenantId);
   const events = selectEventsForLead(lead.id, tenantId);
   const notifications = selectNotificationsForLead(lead.id, tenantId);
+  const activities = selectActivitiesForLead(lead.id, tenantId);
   let score = rules.baseScore;
   const reasons = [];
 
@@ -132,6 +147,25 @@ function computeScorePayload(lead, tenantId) {
     reasons.push(`Alert/email engagement (${totalEngagements}, +${alertScore})`);
   }
 
+  const visits = activities.filter(activity => activity.type === 'visit').length;
+  if (visits) {
+    const visitScore = Math.min(rules.visitCap, visits * rules.visitScore);
+    score += visitScore;
+    reasons.push(`Showroom visits (${visits}, +${visitScore})`);
+  }
+
+  const conversations = activities.filter(
+    activity =>
+      activity.type !== 'visit' &&
+      activity.outcome !== 'not_interested' &&
+      (activity.direction === 'inbound' || CONVERSATION_OUTCOMES.includes(activity.outcome))
+  ).length;
+  if (conversations) {
+    const conversationScore = Math.min(rules.conversationCap, conversations * rules.conversationScore);
+    score += conversationScore;
+    reasons.push(`Two-way conversations (${conversations}, +${conversationScore})`);
+  }
+
   const segments = rules.segmentRules
     .filter(rule => score >= rule.minScore)
     .map(rule => rule.id);
@@ -179,6 +213,7 @@ function recomputeBulk(body = {}, tenantId) {
 }
 
 module.exports = {
+  computeScorePayload,
   recomputeLead,
   recomputeBulk,
   resolveRules
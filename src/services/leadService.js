@@ -6,16 +6,18 @@ const { escapeOutputPayload, sanitizeBoolean, sanitizePayloadStrings, validateFi
 const { maskSensitiveFields } = require('./security');
 const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
 const campaignService = require('./campaignService');
+const leadScoringService = require('./leadScoringService');
+const leadRoutingService = require('./leadRoutingService');
+const leadResponseService = require('./leadResponseService');
+const leadPipelineService = require('./leadPipelineService');
 
-const VALID_LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
-const VALID_TRANSITIONS = {
-  new: ['contacted', 'qualified', 'lost'],
-  contacted: ['qualified', 'lost', 'won'],
-  qualified: ['won', 'lost'],
-  won: [],
-  lost: []
-};
+// Stages of the built-in pipeline; tenant pipelines define their own.
+const VALID_LEAD_STATUSES = leadPipelineService.DEFAULT_LEAD_PIPELINE.stages.map(stage => stage.key);
+const VALID_TRANSITIONS = Object.fromEntries(leadPipelineService.DEFAULT_LEAD_PIPELINE.stages.map(stage => [stage.key, stage.next]));
 const ASSIGNABLE_ROLES = ['admin', 'sales', 'marketing'];
+const INQUIRY_FIELDS = ['subject', 'message', 'interestedStockNumber', 'utmSource', 'utmMedium', 'utmCampaign', 'utmTerm', 'referrer'];
+const CONTACT_FIELDS = ['email', 'phone', 'interestedStockNumber', 'assignedTo', 'dueDate', 'lastContactedAt'];
+const RESPONSE_FIELDS = ['firstResponseAt', 'firstResponseBy', 'firstResponseByName', 'responseMinutes', 'responseSlaMinutes', 'responseSlaMet'];
 
 function auditLeadChange(tenantId, leadId, actor, before, after) {
   const record = {
@@ -45,6 +47,111 @@ function isValidTransition(previous, next) {
   return allowed.includes(next);
 }
 
+const normalizeEmail = value => (value ? String(value).trim().toLowerCase() : '');
+const normalizeStock = value => (value ? String(value).trim().toUpperCase() : '');
+
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  return national.length >= 10 ? national : '';
+}
+
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// "Jon Smith" ~ "John Smith" ~ "J. Smith": same last name and a first name that is an initial or a near spelling.
+function namesMatch(left, right) {
+  const a = normalizeName(left);
+  const b = normalizeName(right);
+  if (!a.length || !b.length) return false;
+  if (a.join(' ') === b.join(' ')) return true;
+  if (a.length < 2 || b.length < 2 || a[a.length - 1] !== b[b.length - 1]) return false;
+  const [firstA, firstB] = [a[0], b[0]];
+  if (firstA.length === 1 || firstB.length === 1) return firstA[0] === firstB[0];
+  return editDistance(firstA, firstB) <= 1;
+}
+
+/**
+ * Finds the open lead in pipeline `pipelineId` a new submission belongs to: same normalized email, same
+ * phone digits, or a fuzzy name match asking about the same stock number. Leads in a won or lost stage
+ * never absorb new inquiries.
+ */
+function findDuplicate(payload, tenantId, pipelineId = leadPipelineService.DEFAULT_PIPELINE_ID) {
+  const tenant = normalizeTenantId(tenantId);
+  const open = datasets.leads
+    .filter(
+      lead =>
+        matchesTenant(lead.tenantId, tenant) &&
+        leadPipelineService.pipelineFor(lead, tenant).id === pipelineId &&
+        !leadPipelineService.isClosed(lead, tenant)
+    )
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const email = normalizeEmail(payload.email);
+  const phone = normalizePhone(payload.phone);
+  const stock = normalizeStock(payload.interestedStockNumber);
+
+  const checks = [
+    ['email', lead => email && normalizeEmail(lead.email) === email],
+    ['phone', lead => phone && normalizePhone(lead.phone) === phone],
+    ['name_and_stock', lead => stock && normalizeStock(lead.interestedStockNumber) === stock && namesMatch(lead.name, payload.name)]
+  ];
+  for (const [matchedOn, matches] of checks) {
+    const lead = open.find(matches);
+    if (lead) return { lead, matchedOn };
+  }
+  return undefined;
+}
+
+function toInquiry(source, receivedAt, extra = {}) {
+  return {
+    id: randomUUID(),
+    receivedAt,
+    ...INQUIRY_FIELDS.reduce((acc, field) => (source[field] ? { ...acc, [field]: source[field] } : acc), {}),
+    ...extra
+  };
+}
+
+function attachInquiry(existing, body, matchedOn, tenantId) {
+  const index = datasets.leads.findIndex(lead => lead.id === existing.id);
+  const now = new Date().toISOString();
+  const matchedCampaign = body.utmCampaign ? campaignService.findBySlug(body.utmCampaign, tenantId) : null;
+  const current = datasets.leads[index];
+  const inquiry = toInquiry(body, now, { matchedOn });
+  datasets.leads[index] = {
+    ...current,
+    phone: current.phone || body.phone,
+    interestedStockNumber: body.interestedStockNumber || current.interestedStockNumber,
+    inquiries: [...(current.inquiries || []), inquiry],
+    lastInquiryAt: now,
+    firstTouchCampaignId: current.firstTouchCampaignId || matchedCampaign?.id,
+    lastTouchCampaignId: matchedCampaign?.id || current.lastTouchCampaignId
+  };
+  persist.leads(datasets.leads);
+  return { lead: safeLead(datasets.leads[index]), duplicate: true, matchedOn, inquiry };
+}
+
+// A repeat submission is acknowledged by its inquiry id, so the public form never learns the matched lead's id or details.
+function intakeReceipt(result) {
+  return { id: result.inquiry.id, receivedAt: result.inquiry.receivedAt, received: true };
+}
+
 function findById(id, tenantId) {
   const lead = datasets.leads.find(l => l.id === id && matchesTenant(l.tenantId, tenantId));
   return lead ? safeLead(lead) : undefined;
@@ -59,8 +166,11 @@ function create(payload, tenantId) {
   const body = sanitizePayloadStrings(payload, [
     'name',
     'email',
+    'phone',
+    'language',
     'message',
     'subject',
+    'interestedStockNumber',
     'utmSource',
     'utmMedium',
     'utmCampaign',
@@ -69,7 +179,20 @@ function create(payload, tenantId) {
     'assignedTo'
   ]);
 
-  const status = VALID_LEAD_STATUSES.includes(body.status) ? body.status : 'new';
+  const pipeline = payload.pipelineId
+    ? leadPipelineService.resolve(payload.pipelineId, tenantId)
+    : leadPipelineService.defaultPipeline(tenantId);
+  if (!pipeline) return { error: 'Pipeline not found' };
+
+  const duplicate = findDuplicate(body, tenantId, pipeline.id);
+  if (duplicate) return attachInquiry(duplicate.lead, body, duplicate.matchedOn, tenantId);
+
+  // Intake can only start a lead in an open stage that needs no extra fields; anything else starts in the first stage.
+  const status = pipeline.stages.some(
+    stage => stage.key === body.status && stage.outcome === 'open' && !stage.requiredFields.length
+  )
+    ? body.status
+    : leadPipelineService.initialStage(pipeline).key;
   const assignedTo = ASSIGNABLE_ROLES.includes(body.assignedTo) ? body.assignedTo : undefined;
 
   const matchedCampaign = body.utmCampaign ? campaignService.findBySlug(body.utmCampaign, tenantId) : null;
@@ -79,6 +202,7 @@ function create(payload, tenantId) {
       id: randomUUID(),
       createdAt: new Date().toISOString(),
       ...body,
+      pipelineId: pipeline.id,
       status,
       subject: body.subject || 'General inquiry',
       assignedTo,
@@ -93,9 +217,11 @@ function create(payload, tenantId) {
     },
     tenantId
   );
+  lead.responseDueAt = leadResponseService.responseDueAt(lead, tenantId);
   datasets.leads.push(lead);
   persist.leads(datasets.leads);
-  return { lead: safeLead(lead) };
+  const routed = leadRoutingService.assign(lead.id, tenantId);
+  return { lead: routed.lead || safeLead(lead) };
 }
 
 function update(id, payload, tenantId) {
@@ -107,6 +233,7 @@ function update(id, payload, tenantId) {
   const updates = sanitizePayloadStrings(payload, [
     'name',
     'email',
+    'phone',
     'message',
     'subject',
     'utmSource',
@@ -117,29 +244,32 @@ function update(id, payload, tenantId) {
     'assignedTo'
   ]);
 
-  const nextStatus =
-    updates.status && VALID_LEAD_STATUSES.includes(updates.status)
-      ? updates.status
-      : datasets.leads[index].status;
-
-  if (!isValidTransition(datasets.leads[index].status, nextStatus)) {
-    return { error: `Invalid status transition from ${datasets.leads[index].status} to ${nextStatus}` };
-  }
-
   const before = { ...datasets.leads[index] };
+  const nextStatus = updates.status || before.status;
+  const { error } = leadPipelineService.checkTransition(before, nextStatus, tenantId);
+  if (error) return { error };
+
   const assignedTo = ASSIGNABLE_ROLES.includes(updates.assignedTo)
     ? updates.assignedTo
     : datasets.leads[index].assignedTo;
 
   const matchedCampaign = updates.utmCampaign ? campaignService.findBySlug(updates.utmCampaign, tenantId) : null;
+  const contactedAt = sanitizeDate(updates.lastContactedAt);
+  const firstResponse =
+    contactedAt || (leadPipelineService.isInitial(before, tenantId) && nextStatus !== before.status)
+      ? leadResponseService.firstResponseFields(before, contactedAt || new Date(), tenantId)
+      : {};
 
   datasets.leads[index] = {
     ...datasets.leads[index],
     ...updates,
+    ...firstResponse,
+    // Leads stay in the pipeline they were created in.
+    pipelineId: datasets.leads[index].pipelineId,
     status: nextStatus,
     assignedTo,
     dueDate: sanitizeDate(updates.dueDate) || datasets.leads[index].dueDate,
-    lastContactedAt: sanitizeDate(updates.lastContactedAt) || datasets.leads[index].lastContactedAt,
+    lastContactedAt: contactedAt || datasets.leads[index].lastContactedAt,
     firstTouchCampaignId: datasets.leads[index].firstTouchCampaignId || matchedCampaign?.id,
     lastTouchCampaignId: matchedCampaign?.id || datasets.leads[index].lastTouchCampaignId
   };
@@ -148,27 +278,109 @@ function update(id, payload, tenantId) {
   return { lead: safeLead(datasets.leads[index]) };
 }
 
-function setStatus(id, status, tenantId) {
+/**
+ * Moves a lead to another stage of its pipeline. `fields` supplies the stage's required fields (such as
+ * a lost reason); only fields the stage requires are kept, under `stageFields` so they never touch the
+ * lead's own fields.
+ */
+function setStatus(id, status, tenantId, fields = {}) {
   const index = datasets.leads.findIndex(l => l.id === id && matchesTenant(l.tenantId, tenantId));
   if (index === -1) {
     return { notFound: true };
   }
 
-  if (!VALID_LEAD_STATUSES.includes(status)) {
-    return { error: `Status must be one of: ${VALID_LEAD_STATUSES.join(', ')}` };
-  }
-  const current = datasets.leads[index].status;
-  if (!VALID_TRANSITIONS[current].includes(status)) {
-    return { error: `Invalid status transition from ${current} to ${status}` };
-  }
-
   const before = { ...datasets.leads[index] };
-  datasets.leads[index] = { ...datasets.leads[index], status, lastContactedAt: new Date().toISOString() };
+  if (status === before.status) return { error: `Invalid status transition from ${before.status} to ${status}` };
+  const { stage, error } = leadPipelineService.checkTransition(before, status, tenantId, fields);
+  if (error) return { error };
+
+  const required = sanitizePayloadStrings(
+    stage.requiredFields.reduce((acc, field) => (fields[field] !== undefined ? { ...acc, [field]: fields[field] } : acc), {}),
+    stage.requiredFields
+  );
+  const now = new Date();
+  datasets.leads[index] = {
+    ...datasets.leads[index],
+    stageFields: { ...before.stageFields, ...required },
+    ...(leadPipelineService.isInitial(before, tenantId) ? leadResponseService.firstResponseFields(before, now, tenantId) : {}),
+    status,
+    lastContactedAt: now.toISOString()
+  };
   persist.leads(datasets.leads);
   auditLeadChange(tenantId, id, 'system', before, datasets.leads[index]);
   return { lead: safeLead(datasets.leads[index]) };
 }
 
+function relink(name, field, fromId, toId, tenantId) {
+  const moved = (datasets[name] || []).filter(entry => entry[field] === fromId && matchesTenant(entry.tenantId, tenantId));
+  if (!moved.length) return 0;
+  datasets[name] = datasets[name].map(entry => (moved.includes(entry) ? { ...entry, [field]: toId } : entry));
+  persist[name](datasets[name]);
+  return moved.length;
+}
+
+const byTime = field => (a, b) => new Date(a[field] || 0) - new Date(b[field] || 0);
+
+/**
+ * Folds `sourceId` into lead `id`: the source's submission and inquiries, score history, events,
+ * tasks, notifications, trade-ins, deals and activities move to the surviving lead, blank contact fields
+ * are filled from the source, and campaign attribution keeps the earliest first touch and the latest
+ * last touch.
+ * The source lead is removed and recorded under `mergedLeads`.
+ */
+function merge(id, sourceId, tenantId, actor) {
+  if (id === sourceId) return { error: 'A lead cannot be merged into itself' };
+  const index = datasets.leads.findIndex(l => l.id === id && matchesTenant(l.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  const source = datasets.leads.find(l => l.id === sourceId && matchesTenant(l.tenantId, tenantId));
+  if (!source) return { error: 'Source lead not found' };
+
+  const target = datasets.leads[index];
+  const before = { ...target };
+  const [earlier, later] = [target, source].sort(byTime('createdAt'));
+  const now = new Date().toISOString();
+  const by = actor?.email || actor?.id || 'system';
+
+  const moved = {
+    events: relink('events', 'leadId', sourceId, id, tenantId),
+    tasks: relink('tasks', 'contactId', sourceId, id, tenantId),
+    notifications: relink('notifications', 'contactId', sourceId, id, tenantId),
+    tradeIns: relink('tradeIns', 'leadId', sourceId, id, tenantId),
+    deals: relink('deals', 'leadId', sourceId, id, tenantId),
+    activities: relink('activities', 'leadId', sourceId, id, tenantId)
+  };
+
+  const merged = {
+    ...target,
+    ...CONTACT_FIELDS.reduce((acc, field) => (target[field] ? acc : { ...acc, [field]: source[field] }), {}),
+    ...(target.firstResponseAt || !source.firstResponseAt
+      ? {}
+      : RESPONSE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: source[field] }), {})),
+    createdAt: earlier.createdAt,
+    inquiries: [
+      ...(target.inquiries || []),
+      toInquiry(source, source.createdAt, { mergedFrom: sourceId }),
+      ...(source.inquiries || []).map(inquiry => ({ ...inquiry, mergedFrom: sourceId }))
+    ].sort(byTime('receivedAt')),
+    scoreHistory: [...(target.scoreHistory || []), ...(source.scoreHistory || [])].sort(byTime('computedAt')),
+    firstTouchCampaignId: earlier.firstTouchCampaignId || later.firstTouchCampaignId,
+    lastTouchCampaignId: later.lastTouchCampaignId || earlier.lastTouchCampaignId,
+    mergedLeads: [
+      ...(target.mergedLeads || []),
+      { id: sourceId, name: source.name, email: source.email, status: source.status, mergedAt: now, mergedBy: by },
+      ...(source.mergedLeads || [])
+    ]
+  };
+
+  datasets.leads[index] = merged;
+  datasets.leads = datasets.leads.filter(lead => lead !== source);
+  persist.leads(datasets.leads);
+  leadScoringService.recomputeLead(id, tenantId);
+  const after = datasets.leads.find(lead => lead.id === id);
+  auditLeadChange(tenantId, id, by, before, after);
+  return { lead: safeLead(after), mergedLead: safeLead(source), moved };
+}
+
 function remove(id, tenantId) {
   const index = datasets.leads.findIndex(l => l.id === id && matchesTenant(l.tenantId, tenantId));
   if (index === -1) {
@@ -180,12 +392,14 @@ function remove(id, tenantId) {
 }
 
 function list(query = {}, tenantId) {
-  const { status, sortBy = 'createdAt', sortDir = 'desc', maskPII, assignedTo } = query;
+  const { status, pipelineId, sortBy = 'createdAt', sortDir = 'desc', maskPII, assignedTo, assigneeId } = query;
   const tenant = normalizeTenantId(tenantId);
   const scoped = datasets.leads.filter(lead => matchesTenant(lead.tenantId, tenant));
   const filtered = scoped
+    .filter(lead => (pipelineId ? leadPipelineService.pipelineFor(lead, tenant).id === pipelineId : true))
     .filter(lead => (status ? lead.status === status : true))
-    .filter(lead => (assignedTo ? lead.assignedTo === assignedTo : true));
+    .filter(lead => (assignedTo ? lead.assignedTo === assignedTo : true))
+    .filter(lead => (assigneeId ? lead.assigneeId === assigneeId : true));
 
   const sorted = [...filtered].sort((a, b) => {
     const direction = sortDir === 'asc' ? 1 : -1;
@@ -205,10 +419,14 @@ function list(query = {}, tenantId) {
 
 module.exports = {
   VALID_LEAD_STATUSES,
+  isValidTransition,
   findById,
   create,
   update,
   setStatus,
+  findDuplicate,
+  intakeReceipt,
+  merge,
   remove,
   list
 };
@@ -14,7 +14,7 @@ function create(payload, tenantId) {
   if (requiredError) {
     return { error: requiredError };
   }
-  const sanitized = sanitizePayloadStrings(payload, ['type', 'message', 'contactId', 'unitId']);
+  const sanitized = sanitizePayloadStrings(payload, ['type', 'message', 'contactId', 'unitId', 'recipientRole']);
   const channels = Array.isArray(payload.channelPreferences)
     ? payload.channelPreferences.filter(Boolean)
     : [];
@@ -25,6 +25,7 @@ function create(payload, tenantId) {
       message: sanitized.message,
       contactId: sanitized.contactId,
       unitId: sanitized.unitId,
+      recipientRole: sanitized.recipientRole,
       channelPreferences: channels,
       status: VALID_NOTIFICATION_STATUSES.includes(payload.status) ? payload.status : 'pending',
       createdAt: new Date().toISOString(),
@@ -39,11 +40,12 @@ function create(payload, tenantId) {
 
 function list(query = {}, tenantId) {
   const tenant = normalizeTenantId(tenantId);
-  const { status, contactId } = query;
+  const { status, contactId, recipientRole } = query;
   return datasets.notifications
     .filter(entry => matchesTenant(entry.tenantId, tenant))
     .filter(entry => (status ? entry.status === status : true))
     .filter(entry => (contactId ? entry.contactId === contactId : true))
+    .filter(entry => (recipientRole ? entry.recipientRole === recipientRole : true))
     .map(safe);
 }
 
@@ -0,0 +1,312 @@
+const { randomUUID } = require('node:crypto');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload, sanitizeString, validateFields } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+const { matchesRule } = require('./inventoryBadges');
+const inventoryService = require('./inventoryService');
+const {
+  constants: { REPRICING_FIELDS, REPRICING_ADJUSTMENTS, REPRICING_FLOOR_FIELDS }
+} = require('../validation/schemas');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPRICEABLE_STATUSES = ['available'];
+
+const roundCurrency = value => Math.round(value * 100) / 100;
+const actorName = actor => actor?.email || actor?.id;
+
+function safe(entry) {
+  return escapeOutputPayload(entry);
+}
+
+function normalizeConditions(conditions = []) {
+  return (Array.isArray(conditions) ? conditions : [])
+    .filter(condition => condition && condition.matchField)
+    .map(condition => ({
+      matchField: sanitizeString(condition.matchField),
+      matchValue: typeof condition.matchValue === 'number' ? condition.matchValue : sanitizeString(condition.matchValue)
+    }));
+}
+
+function normalizeAdjustment(adjustment, current) {
+  if (!adjustment) return current;
+  const value = Number(adjustment.value);
+  if (!REPRICING_ADJUSTMENTS.includes(adjustment.type) || !Number.isFinite(value) || value <= 0) return null;
+  if (adjustment.type === 'percent' && value >= 100) return null;
+  return { type: adjustment.type, value };
+}
+
+function normalizeFloor(floor, current) {
+  if (floor === undefined) return current;
+  if (floor === null) return undefined;
+  const percent = Number(floor.percent);
+  if (!REPRICING_FLOOR_FIELDS.includes(floor.field) || !Number.isFinite(percent) || percent <= 0 || percent > 100) return null;
+  return { field: floor.field, percent };
+}
+
+// The value a rule adjusts; an unset salePrice starts from the list price.
+function currentValue(unit, field) {
+  const value = unit[field] ?? (field === 'salePrice' ? unit.price : undefined);
+  const parsed = Number(value);
+  return value === undefined || value === null || !Number.isFinite(parsed) ? null : parsed;
+}
+
+function floorValue(unit, floor) {
+  if (!floor) return null;
+  const base = Number(unit[floor.field]);
+  return Number.isFinite(base) && base > 0 ? roundCurrency((base * floor.percent) / 100) : null;
+}
+
+// Highest priority first; ties go to the older rule.
+function tenantRules(tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  return datasets.repricingRules
+    .filter(rule => matchesTenant(rule.tenantId, tenant))
+    .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0) || new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function listRules(tenantId) {
+  return tenantRules(tenantId).map(safe);
+}
+
+function findRule(id, tenantId) {
+  const rule = datasets.repricingRules.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  return rule ? safe(rule) : null;
+}
+
+function createRule(payload, tenantId) {
+  const requiredError = validateFields(payload, ['name', 'adjustment', 'everyDays']);
+  if (requiredError) return { error: requiredError };
+  const adjustment = normalizeAdjustment(payload.adjustment);
+  if (!adjustment) return { error: 'adjustment needs a type of percent or amount and a positive value (percent below 100)' };
+  const floor = normalizeFloor(payload.floor);
+  if (floor === null) return { error: 'floor needs a field of msrp or price and a percent between 0 and 100' };
+
+  const now = new Date().toISOString();
+  const rule = attachTenant(
+    {
+      id: randomUUID(),
+      name: sanitizeString(payload.name),
+      active: payload.active !== false,
+      priority: Number(payload.priority) || 0,
+      conditions: normalizeConditions(payload.conditions),
+      minDaysOnLot: Number(payload.minDaysOnLot) || 0,
+      field: REPRICING_FIELDS.includes(payload.field) ? payload.field : 'salePrice',
+      adjustment,
+      everyDays: Number(payload.everyDays),
+      floor,
+      createdAt: now,
+      updatedAt: now
+    },
+    tenantId
+  );
+  datasets.repricingRules.push(rule);
+  persist.repricingRules(datasets.repricingRules);
+  return { rule: safe(rule) };
+}
+
+function updateRule(id, payload, tenantId) {
+  const index = datasets.repricingRules.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  const current = datasets.repricingRules[index];
+  const adjustment = normalizeAdjustment(payload.adjustment, current.adjustment);
+  if (!adjustment) return { error: 'adjustment needs a type of percent or amount and a positive value (percent below 100)' };
+  const floor = normalizeFloor(payload.floor, current.floor);
+  if (floor === null) return { error: 'floor needs a field of msrp or price and a percent between 0 and 100' };
+
+  const updated = {
+    ...current,
+    name: payload.name ? sanitizeString(payload.name) : current.name,
+    active: payload.active !== undefined ? payload.active !== false : current.active,
+    priority: payload.priority !== undefined ? Number(payload.priority) || 0 : current.priority,
+    conditions: payload.conditions !== undefined ? normalizeConditions(payload.conditions) : current.conditions,
+    minDaysOnLot: payload.minDaysOnLot !== undefined ? Number(payload.minDaysOnLot) || 0 : current.minDaysOnLot,
+    field: REPRICING_FIELDS.includes(payload.field) ? payload.field : current.field,
+    adjustment,
+    everyDays: payload.everyDays !== undefined ? Number(payload.everyDays) : current.everyDays,
+    floor,
+    updatedAt: new Date().toISOString()
+  };
+  datasets.repricingRules[index] = updated;
+  persist.repricingRules(datasets.repricingRules);
+  return { rule: safe(updated) };
+}
+
+function removeRule(id, tenantId) {
+  const index = datasets.repricingRules.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  datasets.repricingRules.splice(index, 1);
+  persist.repricingRules(datasets.repricingRules);
+  return { removed: true };
+}
+
+function ruleApplies(rule, unit, daysOnLot) {
+  return daysOnLot >= (Number(rule.minDaysOnLot) || 0) && (rule.conditions || []).every(condition => matchesRule(unit, condition));
+}
+
+// A rule steps a unit again only once everyDays have passed since its last approved or rejected proposal.
+function isDue(rule, unit, proposals, now) {
+  const lastDecision = proposals
+    .filter(
+      proposal =>
+        proposal.ruleId === rule.id && proposal.inventoryId === unit.id && ['approved', 'rejected'].includes(proposal.status)
+    )
+    .map(proposal => new Date(proposal.decidedAt).getTime())
+    .sort((a, b) => b - a)[0];
+  return lastDecision === undefined || now.getTime() - lastDecision >= rule.everyDays * DAY_MS;
+}
+
+function proposeFor(rule, unit, daysOnLot) {
+  const value = currentValue(unit, rule.field);
+  if (value === null) return null;
+  const floor = floorValue(unit, rule.floor);
+  if (floor !== null && value <= floor) return null;
+  const stepped =
+    rule.adjustment.type === 'percent' ? value * (1 - rule.adjustment.value / 100) : value - rule.adjustment.value;
+  const proposedValue = roundCurrency(Math.max(stepped, floor ?? 0, 0));
+  if (proposedValue >= value) return null;
+  return {
+    ruleId: rule.id,
+    ruleName: rule.name,
+    inventoryId: unit.id,
+    stockNumber: unit.stockNumber,
+    name: unit.name,
+    field: rule.field,
+    currentValue: value,
+    proposedValue,
+    change: roundCurrency(proposedValue - value),
+    floorValue: floor,
+    floorApplied: floor !== null && proposedValue === floor,
+    daysOnLot
+  };
+}
+
+function isStale(proposal, unit) {
+  return !unit || !REPRICEABLE_STATUSES.includes(unit.status || 'available') || currentValue(unit, proposal.field) !== proposal.currentValue;
+}
+
+/**
+ * Works out the price change each active rule would make today. The highest-priority matching rule wins per unit,
+ * and units that already have a pending proposal are skipped.
+ */
+function evaluate(tenantId, now = new Date()) {
+  const tenant = normalizeTenantId(tenantId);
+  const rules = tenantRules(tenant).filter(rule => rule.active !== false);
+  if (!rules.length) return [];
+  const proposals = datasets.priceProposals.filter(proposal => matchesTenant(proposal.tenantId, tenant));
+  const pendingUnits = new Set(proposals.filter(proposal => proposal.status === 'pending').map(proposal => proposal.inventoryId));
+
+  return datasets.inventory
+    .filter(unit => matchesTenant(unit.tenantId, tenant) && REPRICEABLE_STATUSES.includes(unit.status || 'available'))
+    .filter(unit => !pendingUnits.has(unit.id))
+    .map(unit => {
+      const daysOnLot = inventoryService.calculateDaysOnLot(unit, now);
+      const rule = rules.find(entry => ruleApplies(entry, unit, daysOnLot));
+      if (!rule || !isDue(rule, unit, proposals, now)) return null;
+      return proposeFor(rule, unit, daysOnLot);
+    })
+    .filter(Boolean);
+}
+
+function preview(tenantId, now = new Date()) {
+  return evaluate(tenantId, now).map(safe);
+}
+
+function markStaleProposals(tenantId) {
+  let changed = false;
+  datasets.priceProposals.forEach((proposal, index) => {
+    if (proposal.status !== 'pending' || !matchesTenant(proposal.tenantId, tenantId)) return;
+    const unit = datasets.inventory.find(entry => entry.id === proposal.inventoryId && matchesTenant(entry.tenantId, tenantId));
+    if (!isStale(proposal, unit)) return;
+    datasets.priceProposals[index] = { ...proposal, status: 'stale', decidedAt: new Date().toISOString() };
+    changed = true;
+  });
+  return changed;
+}
+
+/**
+ * Stores today's evaluation as pending proposals. Pending proposals whose unit has since been repriced,
+ * sold or removed are marked stale first so the unit can be evaluated again.
+ */
+function run(tenantId, now = new Date()) {
+  const tenant = normalizeTenantId(tenantId);
+  const staleChanged = markStaleProposals(tenant);
+  const proposedAt = new Date(now).toISOString();
+  const created = evaluate(tenant, now).map(entry =>
+    attachTenant({ id: randomUUID(), ...entry, status: 'pending', proposedAt }, tenant)
+  );
+  if (created.length || staleChanged) {
+    datasets.priceProposals.push(...created);
+    persist.priceProposals(datasets.priceProposals);
+  }
+  return created.map(safe);
+}
+
+function runAllTenants(now = new Date()) {
+  const tenantIds = new Set(datasets.repricingRules.map(rule => normalizeTenantId(rule.tenantId)));
+  return Array.from(tenantIds).flatMap(tenantId => run(tenantId, now));
+}
+
+function listProposals(query = {}, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const { status, inventoryId, ruleId } = query;
+  return datasets.priceProposals
+    .filter(proposal => matchesTenant(proposal.tenantId, tenant))
+    .filter(proposal => (status ? proposal.status === status : true))
+    .filter(proposal => (inventoryId ? proposal.inventoryId === inventoryId : true))
+    .filter(proposal => (ruleId ? proposal.ruleId === ruleId : true))
+    .sort((a, b) => new Date(b.proposedAt) - new Date(a.proposedAt))
+    .map(safe);
+}
+
+/**
+ * Approves or rejects a pending proposal. Approval writes the price through inventoryService.update, so it lands
+ * in revision and price history; a proposal whose unit changed since evaluation is marked stale instead.
+ */
+function decide(id, status, tenantId, options = {}) {
+  const index = datasets.priceProposals.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  if (index === -1) return { notFound: true };
+  const current = datasets.priceProposals[index];
+  if (current.status !== 'pending') return { error: `Proposal is already ${current.status}` };
+
+  const now = new Date().toISOString();
+  const by = actorName(options.actor);
+  const decision = { decidedAt: now, decidedBy: by, note: options.note ? sanitizeString(options.note) : undefined };
+  if (status === 'rejected') {
+    datasets.priceProposals[index] = { ...current, ...decision, status: 'rejected' };
+    persist.priceProposals(datasets.priceProposals);
+    return { proposal: safe(datasets.priceProposals[index]) };
+  }
+
+  const unit = datasets.inventory.find(entry => entry.id === current.inventoryId && matchesTenant(entry.tenantId, tenantId));
+  if (isStale(current, unit)) {
+    datasets.priceProposals[index] = { ...current, status: 'stale', decidedAt: now };
+    persist.priceProposals(datasets.priceProposals);
+    return { conflict: 'Unit price or status changed since this proposal was made' };
+  }
+  const result = inventoryService.update(current.inventoryId, { [current.field]: current.proposedValue, updatedBy: by }, tenantId);
+  if (result.notFound) {
+    datasets.priceProposals[index] = { ...current, status: 'stale', decidedAt: now };
+    persist.priceProposals(datasets.priceProposals);
+    return { conflict: 'Unit no longer exists' };
+  }
+  // The proposal stays pending so it can be approved once the unit saves again.
+  if (result.conflict) return { conflict: `Unit could not be updated: ${result.conflict}` };
+  if (result.error) return { error: result.error };
+  datasets.priceProposals[index] = { ...current, ...decision, status: 'approved' };
+  persist.priceProposals(datasets.priceProposals);
+  return { proposal: safe(datasets.priceProposals[index]), update: result };
+}
+
+module.exports = {
+  listRules,
+  findRule,
+  createRule,
+  updateRule,
+  removeRule,
+  evaluate,
+  preview,
+  run,
+  runAllTenants,
+  listProposals,
+  decide
+};
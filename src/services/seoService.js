@@ -3,6 +3,7 @@ const { datasets, persist } = require('./state');
 const { escapeOutputPayload, sanitizePayloadStrings, validateFields } = require('./shared');
 const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
 const inventoryService = require('./inventoryService');
+const inventoryMediaService = require('./inventoryMediaService');
 const contentPageService = require('./contentPageService');
 
 function safe(profile) {
@@ -225,6 +226,13 @@ function seoHealth(tenantId) {
     return true;
   }).length;
 
+  const mediaIssues = inventoryItems
+    .map(item => ({ inventoryId: item.id, stockNumber: item.stockNumber, issues: inventoryMediaService.mediaIssues(item) }))
+    .filter(entry => entry.issues.length);
+  const countIssues = code => mediaIssues.reduce((sum, entry) => sum + entry.issues.filter(issue => issue.code === code).length, 0);
+  const unitsMissingHeroPhoto = countIssues('no_photos') + countIssues('missing_hero');
+  const underResolutionPhotos = countIssues('under_resolution');
+
   return {
     tenantId: tenant,
     generatedAt: new Date().toISOString(),
@@ -240,8 +248,11 @@ function seoHealth(tenantId) {
         value: pagesWithDuplicateDescriptions,
         severity: pagesWithDuplicateDescriptions ? 'warning' : 'ok'
       },
-      schemaValidationErrors: { value: schemaValidationErrors, severity: schemaValidationErrors ? 'error' : 'ok' }
-    }
+      schemaValidationErrors: { value: schemaValidationErrors, severity: schemaValidationErrors ? 'error' : 'ok' },
+      unitsMissingHeroPhoto: { value: unitsMissingHeroPhoto, severity: unitsMissingHeroPhoto ? 'warning' : 'ok' },
+      underResolutionPhotos: { value: underResolutionPhotos, severity: underResolutionPhotos ? 'warning' : 'ok' }
+    },
+    mediaIssues
   };
 }
 
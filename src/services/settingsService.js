@@ -1,5 +1,5 @@
 const { datasets, persist } = require('./state');
-const { sanitizePayloadStrings } = require('./shared');
+const { sanitizePayloadStrings, sanitizeString } = require('./shared');
 const { matchesTenant } = require('./tenantService');
 const { clampNumber } = require('./shared');
 
@@ -10,7 +10,19 @@ function getForTenant(tenantId) {
 function update(payload, tenantId) {
   const index = datasets.settings.findIndex(setting => matchesTenant(setting.tenantId, tenantId));
   const hours = payload.hours || datasets.settings[index]?.hours;
-  const sanitized = sanitizePayloadStrings(payload, ['dealershipName', 'address', 'city', 'state', 'zip', 'country', 'currency', 'phone', 'email']);
+  const sanitized = sanitizePayloadStrings(payload, [
+    'dealershipName',
+    'address',
+    'city',
+    'state',
+    'zip',
+    'country',
+    'currency',
+    'phone',
+    'email',
+    'website',
+    'timezone'
+  ]);
 
   const updated = {
     ...(datasets.settings[index] || {}),
@@ -43,6 +55,10 @@ function updateBadgeRules(payload, tenantId) {
         : current.badgeRules?.nationalParkMaxLength,
     offGridEnabled:
       payload.offGridEnabled === undefined ? current.badgeRules?.offGridEnabled : Boolean(payload.offGridEnabled),
+    priceDropWindowDays:
+      payload.priceDropWindowDays !== undefined
+        ? Number(payload.priceDropWindowDays)
+        : current.badgeRules?.priceDropWindowDays,
     customRules: payload.customRules !== undefined ? payload.customRules : current.badgeRules?.customRules || []
   };
   const updated = { ...current, badgeRules };
@@ -55,6 +71,201 @@ function updateBadgeRules(payload, tenantId) {
   return { badgeRules };
 }
 
+function getSimilarityWeights(tenantId) {
+  const settings = getForTenant(tenantId) || {};
+  return settings.similarityWeights || {};
+}
+
+function updateSimilarityWeights(payload, tenantId) {
+  const index = datasets.settings.findIndex(setting => matchesTenant(setting.tenantId, tenantId));
+  const current = index === -1 ? { tenantId } : datasets.settings[index];
+  const similarityWeights = Object.entries(payload).reduce(
+    (acc, [criterion, weight]) => (weight === undefined ? acc : { ...acc, [criterion]: clampNumber(weight, 0) }),
+    { ...current.similarityWeights }
+  );
+  const updated = { ...current, similarityWeights };
+  if (index === -1) {
+    datasets.settings.push(updated);
+  } else {
+    datasets.settings[index] = updated;
+  }
+  persist.settings(datasets.settings);
+  return { similarityWeights };
+}
+
+function getInventoryAging(tenantId) {
+  const settings = getForTenant(tenantId) || {};
+  return settings.inventoryAging || {};
+}
+
+function updateInventoryAging(payload, tenantId) {
+  const index = datasets.settings.findIndex(setting => matchesTenant(setting.tenantId, tenantId));
+  const current = index === -1 ? { tenantId } : datasets.settings[index];
+  const inventoryAging = {
+    ...current.inventoryAging,
+    // null clears the rate; clampNumber alone would read it as 0%.
+    floorplanRate:
+      payload.floorplanRate === null
+        ? null
+        : payload.floorplanRate !== undefined
+          ? clampNumber(payload.floorplanRate, null)
+          : current.inventoryAging?.floorplanRate,
+    thresholds: Array.isArray(payload.thresholds)
+      ? payload.thresholds.map(Number).filter(value => Number.isFinite(value) && value > 0)
+      : current.inventoryAging?.thresholds,
+    taskAssignee: payload.taskAssignee !== undefined ? sanitizeString(payload.taskAssignee) : current.inventoryAging?.taskAssignee
+  };
+  const updated = { ...current, inventoryAging };
+  if (index === -1) {
+    datasets.settings.push(updated);
+  } else {
+    datasets.settings[index] = updated;
+  }
+  persist.settings(datasets.settings);
+  return { inventoryAging };
+}
+
+function getDocumentTemplates(tenantId) {
+  const settings = getForTenant(tenantId) || {};
+  return settings.documentTemplates || {};
+}
+
+// Stores only the overrides per document type; unset keys fall back to the renderer's defaults.
+function updateDocumentTemplates(payload, tenantId) {
+  const index = datasets.settings.findIndex(setting => matchesTenant(setting.tenantId, tenantId));
+  const current = index === -1 ? { tenantId } : datasets.settings[index];
+  const documentTemplates = Object.entries(payload).reduce((acc, [type, template]) => {
+    if (!template) return acc;
+    const overrides = Object.fromEntries(Object.entries(template).filter(([, value]) => value !== undefined));
+    const sanitized = sanitizePayloadStrings(overrides, ['title', 'disclaimer']);
+    return { ...acc, [type]: { ...acc[type], ...sanitized } };
+  }, { ...current.documentTemplates });
+  const updated = { ...current, documentTemplates };
+  if (index === -1) {
+    datasets.settings.push(updated);
+  } else {
+    datasets.settings[index] = updated;
+  }
+  persist.settings(datasets.settings);
+  return { documentTemplates };
+}
+
+function getDealDesk(tenantId) {
+  const settings = getForTenant(tenantId) || {};
+  return settings.dealDesk || {};
+}
+
+// State rates and add-ons replace the stored lists when sent; add-on codes are the keys quotes refer to.
+function updateDealDesk(payload, tenantId) {
+  const index = datasets.settings.findIndex(setting => matchesTenant(setting.tenantId, tenantId));
+  const current = index === -1 ? { tenantId } : datasets.settings[index];
+  const dealDesk = {
+    ...current.dealDesk,
+    discountApprovalPercent:
+      payload.discountApprovalPercent !== undefined
+        ? clampNumber(payload.discountApprovalPercent, 0)
+        : current.dealDesk?.discountApprovalPercent,
+    stateRates: Array.isArray(payload.stateRates)
+      ? payload.stateRates.map(rate => ({
+          state: sanitizeString(rate.state).toUpperCase(),
+          taxRate: clampNumber(rate.taxRate, 0),
+          docFee: clampNumber(rate.docFee, 0),
+          titleFee: clampNumber(rate.titleFee, 0),
+          registrationFee: clampNumber(rate.registrationFee, 0),
+          tradeInTaxCredit: rate.tradeInTaxCredit !== false
+        }))
+      : current.dealDesk?.stateRates,
+    addOns: Array.isArray(payload.addOns)
+      ? payload.addOns.map(addOn => ({
+          code: sanitizeString(addOn.code),
+          name: sanitizeString(addOn.name),
+          price: clampNumber(addOn.price, 0),
+          taxable: Boolean(addOn.taxable)
+        }))
+      : current.dealDesk?.addOns
+  };
+  const updated = { ...current, dealDesk };
+  if (index === -1) {
+    datasets.settings.push(updated);
+  } else {
+    datasets.settings[index] = updated;
+  }
+  persist.settings(datasets.settings);
+  return { dealDesk };
+}
+
+function getLeadRouting(tenantId) {
+  const settings = getForTenant(tenantId) || {};
+  return settings.leadRouting || {};
+}
+
+const sanitizeList = (values, lowerCase) =>
+  Array.isArray(values) ? values.map(value => (lowerCase ? sanitizeString(value).toLowerCase() : sanitizeString(value))).filter(Boolean) : [];
+
+// Rules replace the stored list when sent and are evaluated in order; empty conditions match any lead.
+function updateLeadRouting(payload, tenantId) {
+  const index = datasets.settings.findIndex(setting => matchesTenant(setting.tenantId, tenantId));
+  const current = index === -1 ? { tenantId } : datasets.settings[index];
+  const leadRouting = {
+    ...current.leadRouting,
+    enabled: payload.enabled !== undefined ? Boolean(payload.enabled) : current.leadRouting?.enabled,
+    defaultRole: payload.defaultRole !== undefined ? sanitizeString(payload.defaultRole) : current.leadRouting?.defaultRole,
+    slaMinutes: payload.slaMinutes !== undefined ? clampNumber(payload.slaMinutes, null) : current.leadRouting?.slaMinutes,
+    timezone: payload.timezone !== undefined ? sanitizeString(payload.timezone) : current.leadRouting?.timezone,
+    workingHours:
+      payload.workingHours !== undefined
+        ? sanitizePayloadStrings(payload.workingHours || {}, Object.keys(payload.workingHours || {}))
+        : current.leadRouting?.workingHours,
+    rules: Array.isArray(payload.rules)
+      ? payload.rules.map((rule, position) => ({
+          id: sanitizeString(rule.id || `rule-${position + 1}`),
+          name: rule.name ? sanitizeString(rule.name) : undefined,
+          role: rule.role ? sanitizeString(rule.role) : undefined,
+          locations: sanitizeList(rule.locations),
+          languages: sanitizeList(rule.languages, true),
+          segments: sanitizeList(rule.segments),
+          memberIds: sanitizeList(rule.memberIds)
+        }))
+      : current.leadRouting?.rules
+  };
+  const updated = { ...current, leadRouting };
+  if (index === -1) {
+    datasets.settings.push(updated);
+  } else {
+    datasets.settings[index] = updated;
+  }
+  persist.settings(datasets.settings);
+  return { leadRouting };
+}
+
+function getLeadResponse(tenantId) {
+  const settings = getForTenant(tenantId) || {};
+  return settings.leadResponse || {};
+}
+
+// Per-source SLAs replace the stored list when sent; sources match the lead's utmSource, else referrer, else "direct".
+function updateLeadResponse(payload, tenantId) {
+  const index = datasets.settings.findIndex(setting => matchesTenant(setting.tenantId, tenantId));
+  const current = index === -1 ? { tenantId } : datasets.settings[index];
+  const leadResponse = {
+    ...current.leadResponse,
+    slaMinutes: payload.slaMinutes !== undefined ? clampNumber(payload.slaMinutes, null) : current.leadResponse?.slaMinutes,
+    sources: Array.isArray(payload.sources)
+      ? payload.sources.map(entry => ({ source: sanitizeString(entry.source), slaMinutes: clampNumber(entry.slaMinutes, null) }))
+      : current.leadResponse?.sources,
+    escalationRole:
+      payload.escalationRole !== undefined ? sanitizeString(payload.escalationRole) : current.leadResponse?.escalationRole
+  };
+  const updated = { ...current, leadResponse };
+  if (index === -1) {
+    datasets.settings.push(updated);
+  } else {
+    datasets.settings[index] = updated;
+  }
+  persist.settings(datasets.settings);
+  return { leadResponse };
+}
+
 function getLeadScoringRules(tenantId) {
   const settings = getForTenant(tenantId) || {};
   return settings.leadScoringRules || {};
@@ -96,6 +307,10 @@ function updateLeadScoringRules(payload, tenantId) {
       current.leadScoringRules?.alertEngagementScore || 0
     ),
     alertCap: clampNumber(payload.alertCap, current.leadScoringRules?.alertCap || 0),
+    visitScore: clampNumber(payload.visitScore, current.leadScoringRules?.visitScore || 0),
+    visitCap: clampNumber(payload.visitCap, current.leadScoringRules?.visitCap || 0),
+    conversationScore: clampNumber(payload.conversationScore, current.leadScoringRules?.conversationScore || 0),
+    conversationCap: clampNumber(payload.conversationCap, current.leadScoringRules?.conversationCap || 0),
     segmentRules: segmentRules || current.leadScoringRules?.segmentRules
   };
 
@@ -114,6 +329,18 @@ module.exports = {
   update,
   getBadgeRules,
   updateBadgeRules,
+  getSimilarityWeights,
+  updateSimilarityWeights,
+  getInventoryAging,
+  updateInventoryAging,
+  getDocumentTemplates,
+  updateDocumentTemplates,
+  getDealDesk,
+  updateDealDesk,
+  getLeadRouting,
+  updateLeadRouting,
+  getLeadResponse,
+  updateLeadResponse,
   getLeadScoringRules,
   updateLeadScoringRules
 };
@@ -19,9 +19,10 @@ function validateFields(payload, requiredFields = []) {
   return null;
 }
 
-function sanitizeString(value) {
+function sanitizeString(value, options = {}) {
   if (typeof value !== 'string') return value;
-  const withoutControls = value.replace(/[\u0000-\u001F\u007F]+/g, '');
+  const controls = options.preserveLineBreaks ? /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]+/g : /[\u0000-\u001F\u007F]+/g;
+  const withoutControls = value.replace(controls, '');
   const withoutTags = withoutControls.replace(/<\/?script[^>]*>/gi, '').replace(/[<>]/g, '');
   return withoutTags.trim();
 }
@@ -27,6 +27,18 @@ const normalizeSettings = settingsData => {
   return [attachTenant(settingsData || defaultSettings)];
 };
 
+// Members stored before members had ids get one derived from their team and position, so the id a lead is
+// assigned to survives restarts without the file being rewritten on load.
+const normalizeTeams = teamsData =>
+  normalizeTenantedCollection(teamsData).map(team =>
+    Array.isArray(team.members)
+      ? {
+          ...team,
+          members: team.members.map((member, index) => (member.id ? member : { ...member, id: `${team.id}-member-${index + 1}` }))
+        }
+      : team
+  );
+
 const normalizeTenants = tenantsData => {
   const base = Array.isArray(tenantsData) ? tenantsData : [];
   const ensured = base.length
@@ -55,7 +67,7 @@ const datasets = {
   tenants: normalizeTenants(loadData('tenants.json', [])),
   inventory: normalizeTenantedCollection(loadData('inventory.json', [])),
   inventoryRevisions: normalizeTenantedCollection(loadData('inventoryRevisions.json', [])),
-  teams: normalizeTenantedCollection(loadData('teams.json', [])),
+  teams: normalizeTeams(loadData('teams.json', [])),
   reviews: normalizeTenantedCollection(loadData('reviews.json', [])),
   leads: normalizeTenantedCollection(loadData('leads.json', [])),
   contentPages: normalizeTenantedCollection(loadData('contentPages.json', [])),
@@ -95,7 +107,17 @@ const datasets = {
   campaigns: normalizeTenantedCollection(loadData('campaigns.json', [])),
   evals: loadData('evals.json', []),
   aiLogs: normalizeTenantedCollection(loadData('aiLogs.json', [])),
-  inventoryDisplayConfigs: normalizeTenantedCollection(loadData('inventoryDisplayConfigs.json', []))
+  inventoryDisplayConfigs: normalizeTenantedCollection(loadData('inventoryDisplayConfigs.json', [])),
+  importProfiles: normalizeTenantedCollection(loadData('importProfiles.json', [])),
+  importRuns: normalizeTenantedCollection(loadData('importRuns.json', [])),
+  feedChannels: normalizeTenantedCollection(loadData('feedChannels.json', [])),
+  inventoryTransfers: normalizeTenantedCollection(loadData('inventoryTransfers.json', [])),
+  repricingRules: normalizeTenantedCollection(loadData('repricingRules.json', [])),
+  priceProposals: normalizeTenantedCollection(loadData('priceProposals.json', [])),
+  tradeIns: normalizeTenantedCollection(loadData('tradeIns.json', [])),
+  deals: normalizeTenantedCollection(loadData('deals.json', [])),
+  activities: normalizeTenantedCollection(loadData('activities.json', [])),
+  leadPipelines: normalizeTenantedCollection(loadData('leadPipelines.json', []))
 };
 
 const persist = {
@@ -130,10 +152,21 @@ const persist = {
   campaigns: data => saveData('campaigns.json', data),
   evals: data => saveData('evals.json', data),
   aiLogs: data => saveData('aiLogs.json', data),
-  inventoryDisplayConfigs: data => saveData('inventoryDisplayConfigs.json', data)
+  inventoryDisplayConfigs: data => saveData('inventoryDisplayConfigs.json', data),
+  importProfiles: data => saveData('importProfiles.json', data),
+  importRuns: data => saveData('importRuns.json', data),
+  feedChannels: data => saveData('feedChannels.json', data),
+  inventoryTransfers: data => saveData('inventoryTransfers.json', data),
+  repricingRules: data => saveData('repricingRules.json', data),
+  priceProposals: data => saveData('priceProposals.json', data),
+  tradeIns: data => saveData('tradeIns.json', data),
+  deals: data => saveData('deals.json', data),
+  activities: data => saveData('activities.json', data),
+  leadPipelines: data => saveData('leadPipelines.json', data)
 };
 
 module.exports = {
   datasets,
-  persist
+  persist,
+  normalizeTeams
 };
@@ -20,7 +20,7 @@ function create(payload, tenantId) {
   if (requiredError) {
     return { error: requiredError };
   }
-  const sanitized = sanitizePayloadStrings(payload, ['title', 'notes', 'assignedTo', 'contactId', 'status']);
+  const sanitized = sanitizePayloadStrings(payload, ['title', 'notes', 'assignedTo', 'contactId', 'inventoryId', 'sourceKey', 'status']);
   const status = VALID_TASK_STATUSES.includes(sanitized.status) ? sanitized.status : 'open';
   const task = attachTenant(
     {
@@ -28,6 +28,8 @@ function create(payload, tenantId) {
       title: sanitized.title,
       notes: sanitized.notes,
       contactId: sanitized.contactId,
+      inventoryId: sanitized.inventoryId,
+      sourceKey: sanitized.sourceKey,
       status,
       assignedTo: sanitized.assignedTo,
       dueAt: normalizeDate(payload.dueAt),
@@ -61,12 +63,13 @@ function update(id, payload, tenantId) {
 
 function list(query = {}, tenantId) {
   const tenant = normalizeTenantId(tenantId);
-  const { status, assignedTo, contactId, dueFrom, dueTo } = query;
+  const { status, assignedTo, contactId, inventoryId, dueFrom, dueTo } = query;
   return datasets.tasks
     .filter(task => matchesTenant(task.tenantId, tenant))
     .filter(task => (status ? task.status === status : true))
     .filter(task => (assignedTo ? task.assignedTo === assignedTo : true))
     .filter(task => (contactId ? task.contactId === contactId : true))
+    .filter(task => (inventoryId ? task.inventoryId === inventoryId : true))
     .filter(task => {
       if (!task.dueAt) return true;
       const due = new Date(task.dueAt).getTime();
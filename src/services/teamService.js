@@ -3,6 +3,43 @@ const { datasets, persist } = require('./state');
 const { sanitizePayloadStrings, validateFields } = require('./shared');
 const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
 
+// Members get a stable id so leads can be owned by a person; `role` (else the team's role), languages,
+// locations and acceptsLeads drive lead routing.
+function normalizeMembers(members) {
+  if (!Array.isArray(members)) return undefined;
+  return members.map(member => ({
+    ...member,
+    id: member.id || randomUUID(),
+    languages: Array.isArray(member.languages) ? member.languages.map(lang => String(lang).trim().toLowerCase()) : member.languages
+  }));
+}
+
+function memberName(member) {
+  return [member.firstName, member.lastName].filter(Boolean).join(' ') || member.name || member.email || member.id;
+}
+
+function listMembers(query = {}, tenantId) {
+  const { role, acceptsLeads } = query;
+  return list({}, tenantId)
+    .flatMap(team =>
+      (team.members || [])
+        .filter(member => member.id)
+        .map(member => ({
+          ...member,
+          name: memberName(member),
+          role: member.role || team.role,
+          teamId: team.id,
+          teamName: team.name
+        }))
+    )
+    .filter(member => (role ? member.role === role : true))
+    .filter(member => (acceptsLeads === undefined ? true : (member.acceptsLeads !== false) === acceptsLeads));
+}
+
+function findMember(id, tenantId) {
+  return listMembers({}, tenantId).find(member => member.id === id);
+}
+
 function list(query = {}, tenantId) {
   const { role } = query;
   const tenant = normalizeTenantId(tenantId);
@@ -22,7 +59,7 @@ function create(payload, tenantId) {
     return { error: requiredError };
   }
   const body = sanitizePayloadStrings(payload, ['name', 'role', 'bio']);
-  const team = attachTenant({ id: randomUUID(), ...body }, tenantId);
+  const team = attachTenant({ id: randomUUID(), ...body, members: normalizeMembers(body.members) || [] }, tenantId);
   datasets.teams.push(team);
   persist.teams(datasets.teams);
   return { team };
@@ -34,7 +71,11 @@ function update(id, payload, tenantId) {
     return { notFound: true };
   }
   const body = sanitizePayloadStrings(payload, ['name', 'role', 'bio']);
-  datasets.teams[index] = { ...datasets.teams[index], ...body };
+  datasets.teams[index] = {
+    ...datasets.teams[index],
+    ...body,
+    members: normalizeMembers(body.members) || datasets.teams[index].members
+  };
   persist.teams(datasets.teams);
   return { team: datasets.teams[index] };
 }
@@ -51,6 +92,8 @@ function remove(id, tenantId) {
 
 module.exports = {
   list,
+  listMembers,
+  findMember,
   findById,
   create,
   update,
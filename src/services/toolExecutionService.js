@@ -1,5 +1,7 @@
 const inventoryService = require('./inventoryService');
 const inventoryDisplayConfigService = require('./inventoryDisplayConfigService');
+const inventorySimilarityService = require('./inventorySimilarityService');
+const inventoryCompareService = require('./inventoryCompareService');
 const taskService = require('./taskService');
 const notificationService = require('./notificationService');
 const leadService = require('./leadService');
@@ -23,6 +25,11 @@ const { escapeOutputPayload } = require('./shared');
 const TOOL_HANDLERS = {
   get_inventory_unit: (args, tenantId) => inventoryService.getById(args.id, tenantId),
   search_inventory: (args, tenantId) => inventoryService.list(args || {}, tenantId),
+  find_similar_inventory: (args, tenantId) =>
+    args.leadId
+      ? inventorySimilarityService.similarForLead(args.leadId, tenantId, args)
+      : inventorySimilarityService.similar(args.id, tenantId, args),
+  compare_inventory: (args, tenantId) => inventoryCompareService.compare(args.ids, tenantId),
   update_inventory_specs: (args, tenantId) => inventoryService.update(args.id, args.patch || {}, tenantId),
   update_inventory_story: (args, tenantId, user) =>
     inventoryService.updateStory(args.id, args.story || '', tenantId, user?.email || user?.id),
@@ -0,0 +1,296 @@
+const { randomUUID } = require('node:crypto');
+const { datasets, persist } = require('./state');
+const { escapeOutputPayload, sanitizeString, validateFields } = require('./shared');
+const { attachTenant, matchesTenant, normalizeTenantId } = require('./tenantService');
+const inventoryService = require('./inventoryService');
+const vinDecoderService = require('./vinDecoderService');
+const leadPipelineService = require('./leadPipelineService');
+
+const VALID_TRADE_IN_TRANSITIONS = {
+  open: ['appraised', 'withdrawn'],
+  appraised: ['appraised', 'approved', 'rejected', 'withdrawn'],
+  rejected: ['appraised', 'withdrawn'],
+  approved: ['converted', 'withdrawn'],
+  converted: [],
+  withdrawn: []
+};
+// Vehicle details are frozen once a value is on the table; a rejected appraisal can be corrected and re-appraised.
+const EDITABLE_TRADE_IN_STATUSES = ['open', 'rejected'];
+const TRADE_IN_APPROVER_ROLES = ['admin'];
+const STATUS_TIMESTAMPS = {
+  appraised: 'appraisedAt',
+  approved: 'approvedAt',
+  rejected: 'rejectedAt',
+  converted: 'convertedAt',
+  withdrawn: 'withdrawnAt'
+};
+const DETAIL_FIELDS = ['vin', 'year', 'make', 'model', 'mileage', 'hours', 'payoff', 'notes'];
+
+const actorName = actor => actor?.email || actor?.id;
+const optionalString = value => (value ? sanitizeString(value) : undefined);
+
+function findIndex(id, tenantId) {
+  return datasets.tradeIns.findIndex(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+}
+
+function sanitizeCondition(items = []) {
+  return items.map(item => ({ item: sanitizeString(item.item), rating: item.rating, notes: optionalString(item.notes) }));
+}
+
+function sanitizePhotos(photos = []) {
+  return photos.map(photo => ({ id: photo.id || randomUUID(), url: sanitizeString(photo.url), caption: optionalString(photo.caption) }));
+}
+
+// Fills year/make/model the appraiser left blank from the VIN and keeps any decode warnings for review.
+function applyVinDecode(tradeIn) {
+  const decoded = vinDecoderService.decode(tradeIn.vin);
+  return {
+    ...tradeIn,
+    vin: decoded.vin,
+    year: tradeIn.year ?? decoded.modelYear,
+    make: tradeIn.make || decoded.specs.brand || decoded.manufacturer?.make,
+    model: tradeIn.model || decoded.model?.name,
+    vinDecode: { valid: decoded.valid, warnings: decoded.warnings }
+  };
+}
+
+function linkError({ leadId, customerId }, tenant) {
+  if (leadId && !datasets.leads.some(lead => lead.id === leadId && matchesTenant(lead.tenantId, tenant))) {
+    return 'Lead not found';
+  }
+  if (customerId && !datasets.customers.some(customer => customer.id === customerId && matchesTenant(customer.tenantId, tenant))) {
+    return 'Customer not found';
+  }
+  return undefined;
+}
+
+function pickDetails(payload) {
+  return DETAIL_FIELDS.filter(field => payload[field] !== undefined).reduce(
+    (acc, field) => ({ ...acc, [field]: typeof payload[field] === 'string' ? sanitizeString(payload[field]) : payload[field] }),
+    {}
+  );
+}
+
+function list(query = {}, tenantId) {
+  const tenant = normalizeTenantId(tenantId);
+  const { status, leadId, customerId } = query;
+  return datasets.tradeIns
+    .filter(tradeIn => matchesTenant(tradeIn.tenantId, tenant))
+    .filter(tradeIn => (status ? tradeIn.status === status : true))
+    .filter(tradeIn => (leadId ? tradeIn.leadId === leadId : true))
+    .filter(tradeIn => (customerId ? tradeIn.customerId === customerId : true))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(escapeOutputPayload);
+}
+
+function findById(id, tenantId) {
+  const tradeIn = datasets.tradeIns.find(entry => entry.id === id && matchesTenant(entry.tenantId, tenantId));
+  return tradeIn ? escapeOutputPayload(tradeIn) : undefined;
+}
+
+function create(payload, tenantId, actor) {
+  const requiredError = validateFields(payload, ['vin']);
+  if (requiredError) return { error: requiredError };
+  if (!payload.leadId && !payload.customerId) return { error: 'leadId or customerId is required' };
+  const tenant = normalizeTenantId(tenantId);
+  const missingLink = linkError(payload, tenant);
+  if (missingLink) return { error: missingLink };
+
+  const now = new Date().toISOString();
+  const tradeIn = attachTenant(
+    applyVinDecode({
+      id: randomUUID(),
+      leadId: payload.leadId,
+      customerId: payload.customerId,
+      ...pickDetails(payload),
+      condition: sanitizeCondition(payload.condition),
+      photos: sanitizePhotos(payload.photos),
+      status: 'open',
+      createdBy: actorName(actor),
+      createdAt: now,
+      history: [{ status: 'open', at: now, by: actorName(actor) }],
+      updatedAt: now
+    }),
+    tenant
+  );
+  datasets.tradeIns.push(tradeIn);
+  persist.tradeIns(datasets.tradeIns);
+  return { tradeIn: escapeOutputPayload(tradeIn) };
+}
+
+function update(id, payload, tenantId) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const current = datasets.tradeIns[index];
+  if (!EDITABLE_TRADE_IN_STATUSES.includes(current.status)) {
+    return { error: `Trade-in is ${current.status} and can no longer be edited` };
+  }
+  const links = {
+    leadId: payload.leadId !== undefined ? payload.leadId || undefined : current.leadId,
+    customerId: payload.customerId !== undefined ? payload.customerId || undefined : current.customerId
+  };
+  if (!links.leadId && !links.customerId) return { error: 'leadId or customerId is required' };
+  const missingLink = linkError(links, current.tenantId);
+  if (missingLink) return { error: missingLink };
+
+  const details = pickDetails(payload);
+  const edited = {
+    ...current,
+    ...links,
+    ...details,
+    condition: payload.condition ? sanitizeCondition(payload.condition) : current.condition,
+    photos: payload.photos ? sanitizePhotos(payload.photos) : current.photos,
+    updatedAt: new Date().toISOString()
+  };
+  const updated = details.vin !== undefined || details.year !== undefined ? applyVinDecode(edited) : edited;
+  datasets.tradeIns[index] = updated;
+  persist.tradeIns(datasets.tradeIns);
+  return { tradeIn: escapeOutputPayload(updated) };
+}
+
+function transition(current, status, by, fields = {}, note) {
+  const now = new Date().toISOString();
+  return {
+    ...current,
+    ...fields,
+    status,
+    [STATUS_TIMESTAMPS[status]]: now,
+    history: [...(current.history || []), { status, at: now, by, note: optionalString(note) }],
+    updatedAt: now
+  };
+}
+
+/**
+ * Records the appraiser's value. Re-appraising replaces the value and clears any earlier decision, so
+ * the new figure always goes back for manager approval.
+ */
+function appraise(id, payload, tenantId, actor) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const current = datasets.tradeIns[index];
+  if (!VALID_TRADE_IN_TRANSITIONS[current.status].includes('appraised')) {
+    return { error: `Trade-in is ${current.status} and cannot be appraised` };
+  }
+  const updated = transition(
+    current,
+    'appraised',
+    actorName(actor),
+    {
+      appraisedValue: Number(payload.appraisedValue),
+      appraisalNotes: optionalString(payload.notes),
+      appraisedBy: actorName(actor),
+      approvedValue: undefined,
+      approvedBy: undefined,
+      rejectedBy: undefined
+    },
+    payload.notes
+  );
+  datasets.tradeIns[index] = updated;
+  persist.tradeIns(datasets.tradeIns);
+  return { tradeIn: escapeOutputPayload(updated), previousStatus: current.status };
+}
+
+/**
+ * Approves, rejects or withdraws a trade-in. Only approver roles decide on an appraisal; approving
+ * takes the appraised value unless the manager sets a different `approvedValue`.
+ */
+function setStatus(id, status, tenantId, options = {}) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const current = datasets.tradeIns[index];
+  if (['appraised', 'converted'].includes(status)) {
+    return { error: `Use the ${status === 'appraised' ? 'appraisal' : 'convert'} action to mark a trade-in ${status}` };
+  }
+  if (!VALID_TRADE_IN_TRANSITIONS[current.status].includes(status)) {
+    return { error: `Cannot move a trade-in from ${current.status} to ${status}` };
+  }
+  if (['approved', 'rejected'].includes(status) && !TRADE_IN_APPROVER_ROLES.includes(options.actor?.role)) {
+    return { forbidden: `Only ${TRADE_IN_APPROVER_ROLES.join(', ')} can ${status === 'approved' ? 'approve' : 'reject'} appraisals` };
+  }
+
+  const by = actorName(options.actor);
+  const fields = {
+    ...(status === 'approved'
+      ? { approvedValue: options.approvedValue ?? current.appraisedValue, approvedBy: by }
+      : {}),
+    ...(status === 'rejected' ? { rejectedBy: by } : {})
+  };
+  const updated = transition(current, status, by, fields, options.note);
+  datasets.tradeIns[index] = updated;
+  persist.tradeIns(datasets.tradeIns);
+  return { tradeIn: escapeOutputPayload(updated), previousStatus: current.status };
+}
+
+// A trade is taken into stock only once its deal closes: the linked lead is won or, without one, `dealId` names a finalized deal.
+function unclosedDealError(tradeIn, dealId, tenantId) {
+  const deal = dealId && datasets.deals.find(entry => entry.id === dealId && matchesTenant(entry.tenantId, tenantId));
+  if (dealId && !deal) return 'Deal not found';
+  const lead = tradeIn.leadId && datasets.leads.find(entry => entry.id === tradeIn.leadId && matchesTenant(entry.tenantId, tenantId));
+  if (lead) {
+    return leadPipelineService.stageFor(lead, tenantId)?.outcome === 'won' ? undefined : 'The deal has not closed; the linked lead must be won first';
+  }
+  return deal?.status === 'finalized' ? undefined : 'The deal has not closed; pass the dealId of a finalized deal';
+}
+
+/**
+ * Turns an approved trade into a used inventory unit once its deal has closed (a linked lead must be
+ * `won`, otherwise `dealId` must name a finalized deal). The unit carries `tradeIn` pointing back to
+ * the trade, lead, customer and deal, and the trade keeps the new `inventoryId`.
+ */
+function convert(id, payload, tenantId, actor) {
+  const index = findIndex(id, tenantId);
+  if (index === -1) return { notFound: true };
+  const current = datasets.tradeIns[index];
+  if (current.status !== 'approved') return { error: `Only approved trade-ins can be converted; this one is ${current.status}` };
+  const dealId = optionalString(payload.dealId);
+  const closedError = unclosedDealError(current, dealId, tenantId);
+  if (closedError) return { error: closedError };
+
+  const by = actorName(actor);
+  const now = new Date().toISOString();
+  const created = inventoryService.create(
+    {
+      stockNumber: payload.stockNumber,
+      vin: current.vin,
+      name: payload.name || [current.year, current.make, current.model].filter(Boolean).join(' ') || payload.stockNumber,
+      condition: 'used',
+      price: payload.price,
+      salePrice: payload.salePrice,
+      brand: current.make,
+      year: current.year,
+      category: payload.category,
+      location: payload.location,
+      lotCode: payload.lotCode,
+      mileage: current.mileage,
+      hours: current.hours,
+      receivedAt: now,
+      media: { photos: current.photos.map((photo, position) => ({ url: photo.url, isHero: position === 0 })) },
+      tradeIn: {
+        id: current.id,
+        leadId: current.leadId,
+        customerId: current.customerId,
+        dealId,
+        allowance: current.approvedValue
+      }
+    },
+    current.tenantId
+  );
+  if (created.error) return { error: created.error };
+
+  const updated = transition(current, 'converted', by, { inventoryId: created.unit.id, dealId }, payload.note);
+  datasets.tradeIns[index] = updated;
+  persist.tradeIns(datasets.tradeIns);
+  return { tradeIn: escapeOutputPayload(updated), unit: created.unit, previousStatus: current.status };
+}
+
+module.exports = {
+  VALID_TRADE_IN_TRANSITIONS,
+  TRADE_IN_APPROVER_ROLES,
+  list,
+  findById,
+  create,
+  update,
+  appraise,
+  setStatus,
+  convert
+};
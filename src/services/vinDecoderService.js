@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { DATA_DIR } = require('../persistence/store');
+const { VIN_LENGTH, validateVin } = require('../lib/vin');
+
+// Unit fields a decode may fill in; values the unit already has are never replaced.
+const PREFILL_FIELDS = ['year', 'brand', 'category', 'subcategory', 'length', 'weight', 'sleeps', 'beds', 'slides', 'chassis'];
+
+let reference;
+
+const isBlank = value => value === undefined || value === null || value === '';
+const referencePath = () => path.resolve(DATA_DIR, config.vin.referenceFile);
+
+function normalizeReference(dataset = {}) {
+  const upper = value => String(value ?? '').trim().toUpperCase();
+  return {
+    manufacturers: (Array.isArray(dataset.manufacturers) ? dataset.manufacturers : [])
+      .filter(entry => entry && entry.code && entry.make)
+      .map(entry => ({ ...entry, code: upper(entry.code), role: entry.role === 'chassis' ? 'chassis' : 'coach' })),
+    models: (Array.isArray(dataset.models) ? dataset.models : [])
+      .filter(entry => entry && entry.code && entry.descriptor)
+      .map(entry => ({ ...entry, code: upper(entry.code), descriptor: upper(entry.descriptor) }))
+  };
+}
+
+/**
+ * The manufacturer/model reference used for decoding. Loaded once from config.vin.referenceFile
+ * (relative to DATA_DIR); a missing or unreadable file decodes structure only.
+ */
+function getReference() {
+  if (!reference) {
+    try {
+      reference = normalizeReference(JSON.parse(fs.readFileSync(referencePath(), 'utf8')));
+    } catch (err) {
+      reference = normalizeReference();
+    }
+  }
+  return reference;
+}
+
+// Swaps in another dataset (e.g. an OEM export); pass nothing to reload from the configured file.
+function setReference(dataset) {
+  reference = dataset ? normalizeReference(dataset) : undefined;
+  return getReference();
+}
+
+// Descriptor patterns cover VIN positions 4-8; `*` matches any remaining characters and `?` any single one.
+function descriptorMatches(pattern, descriptor) {
+  for (let i = 0; i < pattern.length; i += 1) {
+    if (pattern[i] === '*') return true;
+    if (pattern[i] !== '?' && pattern[i] !== descriptor[i]) return false;
+  }
+  return pattern.length === descriptor.length;
+}
+
+const specificity = pattern => pattern.replace(/[*?]/g, '').length;
+
+function findModel(codes, descriptor, modelYear) {
+  return getReference()
+    .models.filter(entry => codes.includes(entry.code) && descriptorMatches(entry.descriptor, descriptor))
+    .filter(entry => {
+      if (!Array.isArray(entry.years) || !modelYear) return true;
+      const [from, to] = entry.years;
+      return (!from || modelYear >= from) && (!to || modelYear <= to);
+    })
+    .sort((a, b) => specificity(b.descriptor) - specificity(a.descriptor))[0];
+}
+
+/**
+ * Validates a VIN and looks up its manufacturer (by WMI, or WMI plus positions 12-14 for small
+ * manufacturers) and model in the reference dataset. `specs` holds every field the decode can supply.
+ */
+function decode(value, now = new Date()) {
+  const result = validateVin(value, now);
+  if (result.vin.length !== VIN_LENGTH) return { ...result, manufacturer: null, model: null, specs: {} };
+
+  const codes = [result.manufacturerCode, result.wmi];
+  const { manufacturers } = getReference();
+  const manufacturer = codes.map(code => manufacturers.find(entry => entry.code === code)).find(Boolean);
+  const model = findModel(codes, result.descriptor, result.modelYear);
+  const specs = {
+    ...(manufacturer?.role === 'chassis' ? { chassis: manufacturer.make } : {}),
+    ...(manufacturer?.role === 'coach' ? { brand: manufacturer.make } : {}),
+    ...manufacturer?.specs,
+    ...model?.specs,
+    year: result.modelYear
+  };
+  return {
+    ...result,
+    manufacturer: manufacturer ? { make: manufacturer.make, role: manufacturer.role } : null,
+    model: model ? { name: model.model, descriptor: model.descriptor } : null,
+    specs: Object.fromEntries(Object.entries(specs).filter(([, specValue]) => !isBlank(specValue)))
+  };
+}
+
+/**
+ * Decodes a unit's VIN and returns the blank fields it can prefill plus a `vinDecode` summary whose
+ * `warnings` flag structural problems and a stated year that disagrees with the VIN.
+ */
+function enrich(unit, now = new Date()) {
+  const decoded = decode(unit.vin, now);
+  const fields = PREFILL_FIELDS.filter(field => isBlank(unit[field]) && !isBlank(decoded.specs[field])).reduce(
+    (acc, field) => ({ ...acc, [field]: decoded.specs[field] }),
+    {}
+  );
+  const warnings = [...decoded.warnings];
+  if (!isBlank(unit.year) && decoded.modelYearCandidates && !decoded.modelYearCandidates.includes(Number(unit.year))) {
+    warnings.push({
+      code: 'VIN_MODEL_YEAR_MISMATCH',
+      message: `Year ${unit.year} does not match the VIN model year (${decoded.modelYearCandidates.join(' or ')})`
+    });
+  }
+  return {
+    fields,
+    vinDecode: {
+      vin: decoded.vin,
+      valid: decoded.valid,
+      wmi: decoded.wmi,
+      make: decoded.manufacturer?.make,
+      model: decoded.model?.name,
+      modelYear: decoded.modelYear,
+      prefilled: Object.keys(fields),
+      warnings,
+      decodedAt: now.toISOString()
+    }
+  };
+}
+
+module.exports = {
+  PREFILL_FIELDS,
+  getReference,
+  setReference,
+  decode,
+  enrich
+};
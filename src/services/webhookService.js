@@ -5,11 +5,22 @@ const { attachTenant } = require('./tenancy');
 const ALLOWED_EVENTS = [
   'lead.created',
   'lead.updated',
+  'lead.merged',
+  'activity.logged',
   'inventory.created',
   'inventory.updated',
+  'inventory.price_dropped',
+  'inventory.status_changed',
+  'inventory.transfer_requested',
+  'inventory.transfer_status_changed',
+  'inventory.transfer_completed',
   'service-ticket.created',
   'finance-offer.updated',
-  'customer.created'
+  'customer.created',
+  'trade-in.created',
+  'trade-in.status_changed',
+  'deal.created',
+  'deal.finalized'
 ];
 
 function list(query = {}, tenantId) {
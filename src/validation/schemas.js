@@ -1,13 +1,71 @@
 const { z } = require('./zodLite');
-const { VALID_LEAD_STATUSES } = require('../services/leadService');
 const { VALID_TASK_STATUSES } = require('../services/taskService');
 const { VALID_NOTIFICATION_STATUSES } = require('../services/notificationService');
 const { CONTACT_METHODS } = require('../services/customerService');
 const { VALID_TICKET_STATUSES } = require('../services/serviceTicketService');
+const { ACTIVITY_TYPES, ACTIVITY_DIRECTIONS, ACTIVITY_OUTCOMES } = require('../services/activityService');
+const { STAGE_OUTCOMES } = require('../services/leadPipelineService');
 const { ALLOWED_EVENTS } = require('../services/webhookService');
+const { DAY_KEYS, parseRange } = require('../lib/businessHours');
 
 const INVENTORY_CONDITIONS = ['new', 'used', 'demo', 'pending_sale'];
 const TRANSFER_STATUSES = ['none', 'requested', 'in_transit', 'arrived'];
+const INVENTORY_STATUSES = ['available', 'on_hold', 'pending_sale', 'sold', 'archived'];
+const TRANSFER_REQUEST_STATUSES = ['requested', 'approved', 'in_transit', 'completed', 'rejected', 'cancelled'];
+const IMPORT_MODES = ['create', 'upsert', 'replace'];
+const IMPORT_MATCH_FIELDS = ['vin', 'stockNumber'];
+const MISSING_UNIT_ACTIONS = ['none', 'sold', 'archived'];
+const IMPORT_RUN_STATUSES = ['completed', 'completed_with_errors', 'failed'];
+const FEED_FORMATS = ['xml', 'csv'];
+const FEED_PRICE_RULES = ['sale_price_else_price', 'price', 'msrp_else_price', 'total_price'];
+const REPRICING_FIELDS = ['salePrice', 'price'];
+const REPRICING_ADJUSTMENTS = ['percent', 'amount'];
+const REPRICING_FLOOR_FIELDS = ['msrp', 'price'];
+const PRICE_PROPOSAL_STATUSES = ['pending', 'approved', 'rejected', 'stale'];
+const INVENTORY_BULK_OPERATIONS = ['set', 'adjustPrice', 'applySpotlightTemplate', 'setFeatured'];
+// Identity fields are unique per unit, so a bulk `set` never touches them.
+const INVENTORY_BULK_LOCKED_FIELDS = ['stockNumber', 'vin', 'name', 'slug', 'media'];
+const INVENTORY_BULK_PRICE_FIELDS = ['price', 'salePrice', 'msrp'];
+const REVISION_SOURCES = ['update', 'import', 'bulk', 'restore'];
+const TRADE_IN_STATUSES = ['open', 'appraised', 'approved', 'rejected', 'converted', 'withdrawn'];
+const TRADE_IN_DECISIONS = ['approved', 'rejected', 'withdrawn'];
+const TRADE_IN_CONDITION_RATINGS = ['excellent', 'good', 'fair', 'poor', 'not_applicable'];
+const DEAL_STATUSES = ['open', 'finalized', 'cancelled'];
+const DEAL_APPROVAL_DECISIONS = ['approved', 'rejected'];
+const DOCUMENT_TYPES = ['sticker', 'specSheet'];
+const DOCUMENT_PAGE_SIZES = ['letter', 'a4'];
+const DOCUMENT_SECTIONS = ['header', 'pricing', 'badges', 'spotlights', 'specs', 'story', 'qr', 'footer'];
+const DOCUMENT_SPEC_FIELDS = [
+  'year',
+  'make',
+  'model',
+  'condition',
+  'category',
+  'subcategory',
+  'length',
+  'weight',
+  'slides',
+  'beds',
+  'sleeps',
+  'chassis',
+  'mileage',
+  'vin',
+  'stockNumber',
+  'location',
+  'msrp'
+];
+const INVENTORY_FACETS = [
+  'category',
+  'subcategory',
+  'condition',
+  'location',
+  'year',
+  'length',
+  'price',
+  'slides',
+  'beds',
+  'badges'
+];
 
 const paginationSchema = z.object({
   limit: z
@@ -31,13 +89,34 @@ const capabilityListQuery = paginationSchema.extend({
   tenantId: z.string().trim().min(1).optional()
 });
 
+const optionalNumber = () =>
+  z
+    .union([z.string(), z.number()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val)));
+
+const valueList = (allowed, label) =>
+  z
+    .union([z.string(), z.array(z.string())])
+    .optional()
+    .transform(val => {
+      if (val === undefined) return undefined;
+      const values = (Array.isArray(val) ? val : val.split(',')).map(entry => entry.trim()).filter(Boolean);
+      return values.length ? values : undefined;
+    })
+    .refine(val => !allowed || val === undefined || val.every(entry => allowed.includes(entry)), {
+      message: `${label} must be a comma separated list of: ${(allowed || []).join(', ')}`
+    });
+
 const inventoryListQuery = paginationSchema.extend({
-  industry: z.string().trim().optional(),
-  category: z.string().trim().optional(),
-  subcategory: z.string().trim().optional(),
-  condition: z.enum(INVENTORY_CONDITIONS).optional(),
-  location: z.string().trim().optional(),
+  industry: valueList(),
+  category: valueList(),
+  subcategory: valueList(),
+  condition: valueList(INVENTORY_CONDITIONS, 'condition'),
+  location: valueList(),
   transferStatus: z.enum(TRANSFER_STATUSES).optional(),
+  status: valueList(INVENTORY_STATUSES, 'status'),
+  badge: valueList(),
   featured: z
     .union([z.boolean(), z.string()])
     .optional()
@@ -46,16 +125,30 @@ const inventoryListQuery = paginationSchema.extend({
       if (typeof val === 'boolean') return val;
       return val.toLowerCase() === 'true';
     }),
-  minPrice: z
-    .union([z.string(), z.number()])
-    .optional()
-    .transform(val => (val === undefined ? undefined : Number(val))),
-  maxPrice: z
-    .union([z.string(), z.number()])
+  minPrice: optionalNumber(),
+  maxPrice: optionalNumber(),
+  minYear: optionalNumber(),
+  maxYear: optionalNumber(),
+  minLength: optionalNumber(),
+  maxLength: optionalNumber(),
+  minWeight: optionalNumber(),
+  maxWeight: optionalNumber(),
+  minSlides: optionalNumber(),
+  minBeds: optionalNumber(),
+  facets: z
+    .union([z.boolean(), z.string()])
     .optional()
-    .transform(val => (val === undefined ? undefined : Number(val))),
+    .transform(val => {
+      if (val === undefined || val === false) return undefined;
+      if (val === true || val.toLowerCase() === 'true') return true;
+      if (val.toLowerCase() === 'false') return undefined;
+      return val.split(',').map(entry => entry.trim()).filter(Boolean);
+    })
+    .refine(val => val === undefined || val === true || val.every(entry => INVENTORY_FACETS.includes(entry)), {
+      message: `facets must be true or a comma separated list of: ${INVENTORY_FACETS.join(', ')}`
+    }),
   search: z.string().trim().min(1).optional(),
-  sortBy: z.enum(['createdAt', 'price', 'msrp', 'daysOnLot']).optional(),
+  sortBy: z.enum(['createdAt', 'price', 'msrp', 'daysOnLot', 'relevance']).optional(),
   sortDir: z.enum(['asc', 'desc']).optional(),
   tenantId: z.string().trim().min(1).optional()
 });
@@ -77,13 +170,18 @@ const mediaHotspot = z.object({
   description: z.string().trim().optional()
 });
 
+// Uploaded photos are served from MEDIA_PUBLIC_BASE_URL, which defaults to the root-relative /media path.
+const mediaUrl = z
+  .string()
+  .trim()
+  .refine(val => /^https?:\/\//i.test(val) || /^\/(?!\/)/.test(val), { message: 'Must be an http(s) URL or a root-relative path' });
 const mediaPhoto = z.object({
   id: z.string().trim().optional(),
-  url: z.string().url(),
+  url: mediaUrl,
   width: z.number().optional(),
   height: z.number().optional(),
   isHero: z.boolean().optional(),
-  optimizedUrl: z.string().url().optional(),
+  optimizedUrl: mediaUrl.optional(),
   placeholderUrl: z.string().optional(),
   priority: z.boolean().optional(),
   fullWidthPreferred: z.boolean().optional()
@@ -117,6 +215,7 @@ const inventoryBase = z.object({
     .max(17)
     .transform(val => val.toUpperCase()),
   name: z.string().trim(),
+  brand: z.string().trim().optional(),
   condition: z.enum(INVENTORY_CONDITIONS),
   price: z.union([z.number(), z.string()]).transform(val => Number(val)),
   msrp: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
@@ -127,6 +226,9 @@ const inventoryBase = z.object({
   year: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
   length: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
   weight: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
+  slides: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
+  beds: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
+  sleeps: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
   chassis: z.string().trim().optional(),
   industry: z.string().trim().optional(),
   category: z.string().trim().optional(),
@@ -136,6 +238,11 @@ const inventoryBase = z.object({
   transferStatus: z.enum(TRANSFER_STATUSES).optional(),
   holdUntil: z.string().trim().optional(),
   daysOnLot: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
+  receivedAt: z.string().trim().optional(),
+  floorplanAmount: z
+    .union([z.number(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val))),
   images: z.array(z.string().url()).optional(),
   floorplans: z.array(z.string().url()).optional(),
   virtualTours: z.array(z.string().url()).optional(),
@@ -155,14 +262,160 @@ const inventoryBase = z.object({
 const inventoryCreate = inventoryBase;
 const inventoryUpdate = inventoryBase.partial();
 const inventoryFeatureUpdate = z.object({ featured: z.boolean() });
+const inventoryBulkOperation = z
+  .object({
+    type: z.enum(INVENTORY_BULK_OPERATIONS),
+    fields: z
+      .object(
+        Object.fromEntries(
+          Object.entries(inventoryUpdate.shape).filter(([key]) => !INVENTORY_BULK_LOCKED_FIELDS.includes(key))
+        )
+      )
+      .optional(),
+    field: z.enum(INVENTORY_BULK_PRICE_FIELDS).optional(),
+    percent: z
+      .union([z.number(), z.string()])
+      .optional()
+      .transform(val => (val === undefined ? undefined : Number(val)))
+      .refine(val => val === undefined || (Number.isFinite(val) && val > -100 && val !== 0), {
+        message: 'percent must be a non-zero number greater than -100'
+      }),
+    templateId: z.string().trim().min(1).optional(),
+    featured: z.boolean().optional()
+  })
+  .refine(
+    op =>
+      (op.type === 'set' && op.fields !== undefined) ||
+      (op.type === 'adjustPrice' && op.percent !== undefined) ||
+      (op.type === 'applySpotlightTemplate' && op.templateId !== undefined) ||
+      (op.type === 'setFeatured' && op.featured !== undefined),
+    { message: 'set needs fields, adjustPrice needs percent, applySpotlightTemplate needs templateId and setFeatured needs featured' }
+  );
+const inventoryBulkUpdate = z
+  .object({
+    ids: z.array(z.string().trim().min(1)).optional(),
+    filter: inventoryListQuery.optional(),
+    operation: inventoryBulkOperation,
+    dryRun: z.boolean().optional()
+  })
+  .refine(body => (body.ids !== undefined) !== (body.filter !== undefined), {
+    message: 'Provide either ids or filter'
+  });
+const inventoryRevisionQuery = z.object({
+  field: z.string().trim().min(1).optional(),
+  actor: z.string().trim().min(1).optional(),
+  source: z.enum(REVISION_SOURCES).optional()
+});
+const inventoryPointInTimeRestore = z.object({
+  at: z
+    .string()
+    .trim()
+    .refine(val => !Number.isNaN(Date.parse(val)) && Date.parse(val) <= Date.now(), {
+      message: 'at must be an ISO timestamp that is not in the future'
+    })
+});
 const inventoryStoryUpdate = z.object({ salesStory: z.string().trim().max(4000) });
 const inventorySpotlightsUpdate = z.object({ spotlights: z.array(spotlight) });
 const inventoryHotspotsUpdate = z.object({ mediaHotspots: z.array(mediaHotspot) });
 const inventoryMediaUpdate = z.object({ media: mediaSchema });
+const vinParam = z.object({ vin: z.string().trim().min(1).max(32) });
+const inventoryMediaUpload = z.object({
+  isHero: z
+    .union([z.boolean(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : val === true || val === 'true'))
+});
+const inventoryPhotoUpdate = z.object({
+  isHero: z.boolean().optional(),
+  priority: z.boolean().optional(),
+  fullWidthPreferred: z.boolean().optional()
+});
+const inventoryPhotoOrder = z.object({
+  photoIds: z.array(z.string().trim().min(1))
+});
+const inventoryPhotoParams = z.object({
+  id: z.string().trim().min(1),
+  photoId: z.string().trim().min(1)
+});
 const inventoryBulkImport = z.object({
   csv: z.string().trim().min(1),
-  tenantId: z.string().trim().min(1).optional()
+  tenantId: z.string().trim().min(1).optional(),
+  mode: z.enum(IMPORT_MODES).optional(),
+  matchBy: z.enum(IMPORT_MATCH_FIELDS).optional(),
+  dryRun: z
+    .union([z.boolean(), z.string()])
+    .optional()
+    .transform(val => {
+      if (val === undefined) return undefined;
+      if (typeof val === 'boolean') return val;
+      return val.toLowerCase() === 'true';
+    })
 });
+const stringMap = message =>
+  z
+    .any()
+    .optional()
+    .refine(
+      val =>
+        val === undefined ||
+        (val && typeof val === 'object' && !Array.isArray(val) && Object.values(val).every(entry => typeof entry === 'string')),
+      { message }
+    );
+const inventoryStatusUpdate = z.object({
+  status: z.enum(INVENTORY_STATUSES),
+  holdUntil: z.string().trim().min(1).optional(),
+  note: z.string().trim().max(500).optional()
+});
+const inventoryRemoveQuery = z.object({
+  permanent: z
+    .union([z.boolean(), z.string()])
+    .optional()
+    .transform(val => val === true || val === 'true')
+});
+const importProfileCreate = z.object({
+  name: z.string().trim().min(1),
+  filePattern: z.string().trim().min(1).optional(),
+  columnMap: stringMap('columnMap must map source column names to inventory field names'),
+  mode: z.enum(IMPORT_MODES).optional(),
+  matchBy: z.enum(IMPORT_MATCH_FIELDS).optional(),
+  missingUnitAction: z.enum(MISSING_UNIT_ACTIONS).optional(),
+  active: z.boolean().optional()
+});
+const importProfileUpdate = importProfileCreate.partial();
+const importRunListQuery = paginationSchema.extend({
+  status: z.enum(IMPORT_RUN_STATUSES).optional(),
+  profileId: z.string().trim().min(1).optional(),
+  source: z.enum(['api', 'drop_folder']).optional()
+});
+const feedChannelCreate = z.object({
+  key: z
+    .string()
+    .trim()
+    .min(1)
+    .refine(val => /^[a-z0-9-]+$/i.test(val), { message: 'key may only contain letters, numbers and dashes' }),
+  name: z.string().trim().min(1),
+  format: z.enum(FEED_FORMATS).optional(),
+  fieldMap: stringMap('fieldMap must map feed field names to inventory fields'),
+  priceRule: z.enum(FEED_PRICE_RULES).optional(),
+  photoLimit: z
+    .union([z.number(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val)))
+    .refine(val => val === undefined || (Number.isInteger(val) && val >= 0), {
+      message: 'photoLimit must be a non-negative integer'
+    }),
+  filters: z
+    .object({
+      industry: z.string().trim().optional(),
+      category: z.string().trim().optional(),
+      subcategory: z.string().trim().optional(),
+      condition: z.enum(INVENTORY_CONDITIONS).optional(),
+      location: z.string().trim().optional()
+    })
+    .optional(),
+  active: z.boolean().optional()
+});
+const feedChannelUpdate = feedChannelCreate.partial();
 const badgeRule = z.object({
   label: z.string().trim(),
   matchField: z.string().trim(),
@@ -171,9 +424,168 @@ const badgeRule = z.object({
 const badgeRulesUpdate = z.object({
   nationalParkMaxLength: z.union([z.number(), z.string()]).optional(),
   offGridEnabled: z.boolean().optional(),
+  priceDropWindowDays: z
+    .union([z.number(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val)))
+    .refine(val => val === undefined || (Number.isFinite(val) && val >= 0), {
+      message: 'priceDropWindowDays must be a non-negative number'
+    }),
   customRules: z.array(badgeRule).optional()
 });
 const badgePreview = inventoryBase.partial();
+const inventoryTransferCreate = z.object({
+  inventoryId: z.string().trim().min(1),
+  toLocation: z.string().trim().min(1),
+  toLotCode: z.string().trim().optional(),
+  eta: z.string().trim().optional(),
+  driver: z.string().trim().optional(),
+  notes: z.string().trim().max(2000).optional()
+});
+const inventoryTransferUpdate = z.object({
+  eta: z.string().trim().optional(),
+  driver: z.string().trim().optional(),
+  notes: z.string().trim().max(2000).optional()
+});
+const inventoryTransferStatusUpdate = z.object({
+  status: z.enum(TRANSFER_REQUEST_STATUSES),
+  eta: z.string().trim().optional(),
+  driver: z.string().trim().optional(),
+  note: z.string().trim().max(2000).optional()
+});
+const inventoryTransferListQuery = z.object({
+  status: z.enum(TRANSFER_REQUEST_STATUSES).optional(),
+  inventoryId: z.string().trim().optional(),
+  fromLocation: z.string().trim().optional(),
+  toLocation: z.string().trim().optional()
+});
+const inventoryTransferIncomingQuery = z.object({
+  location: z.string().trim().min(1)
+});
+const inventoryAgingSettingsUpdate = z.object({
+  floorplanRate: z
+    .union([z.number(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val)))
+    .refine(val => val === undefined || (Number.isFinite(val) && val >= 0 && val <= 100), {
+      message: 'floorplanRate must be an annual percentage between 0 and 100'
+    }),
+  thresholds: z
+    .array(z.union([z.number(), z.string()]))
+    .optional()
+    .transform(val => (val === undefined ? undefined : val.map(Number)))
+    .refine(val => val === undefined || val.every(days => Number.isInteger(days) && days > 0), {
+      message: 'thresholds must be positive whole numbers of days'
+    }),
+  taskAssignee: z.string().trim().min(1).optional()
+});
+const inventoryAgingQuery = z.object({
+  location: z.string().trim().optional(),
+  category: z.string().trim().optional()
+});
+const positiveNumber = label =>
+  z
+    .union([z.number(), z.string()])
+    .transform(val => Number(val))
+    .refine(val => Number.isFinite(val) && val > 0, { message: `${label} must be a positive number` });
+const repricingRuleCreate = z.object({
+  name: z.string().trim().min(1),
+  active: z.boolean().optional(),
+  priority: z.number().optional(),
+  conditions: z.array(badgeRule.extend({ label: z.string().trim().optional() })).optional(),
+  minDaysOnLot: z
+    .union([z.number(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val)))
+    .refine(val => val === undefined || (Number.isInteger(val) && val >= 0), {
+      message: 'minDaysOnLot must be a non-negative whole number of days'
+    }),
+  field: z.enum(REPRICING_FIELDS).optional(),
+  adjustment: z.object({
+    type: z.enum(REPRICING_ADJUSTMENTS),
+    value: positiveNumber('adjustment.value')
+  }),
+  everyDays: z
+    .union([z.number(), z.string()])
+    .transform(val => Number(val))
+    .refine(val => Number.isInteger(val) && val > 0, { message: 'everyDays must be a positive whole number of days' }),
+  floor: z
+    .object({
+      field: z.enum(REPRICING_FLOOR_FIELDS),
+      percent: z
+        .union([z.number(), z.string()])
+        .transform(val => Number(val))
+        .refine(val => Number.isFinite(val) && val > 0 && val <= 100, {
+          message: 'floor.percent must be a percentage between 0 and 100'
+        })
+    })
+    .optional()
+});
+const repricingRuleUpdate = repricingRuleCreate.partial();
+const priceProposalListQuery = z.object({
+  status: z.enum(PRICE_PROPOSAL_STATUSES).optional(),
+  inventoryId: z.string().trim().optional(),
+  ruleId: z.string().trim().optional()
+});
+const priceProposalStatusUpdate = z.object({
+  status: z.enum(['approved', 'rejected']),
+  note: z.string().trim().max(2000).optional()
+});
+const documentTemplate = z.object({
+  title: z.string().trim().min(1).max(80).optional(),
+  pageSize: z.enum(DOCUMENT_PAGE_SIZES).optional(),
+  accentColor: z
+    .string()
+    .trim()
+    .optional()
+    .refine(val => val === undefined || /^#[0-9a-f]{6}$/i.test(val), { message: 'accentColor must be a hex color like #1f4e79' }),
+  sections: z.array(z.enum(DOCUMENT_SECTIONS)).optional(),
+  specFields: z.array(z.enum(DOCUMENT_SPEC_FIELDS)).optional(),
+  disclaimer: z.string().trim().max(1000).optional()
+});
+const documentTemplatesUpdate = z.object({
+  sticker: documentTemplate.optional(),
+  specSheet: documentTemplate.optional()
+});
+const inventoryCompareQuery = z.object({
+  ids: z
+    .union([z.string(), z.array(z.string())])
+    .transform(val => Array.from(new Set((Array.isArray(val) ? val : val.split(',')).map(id => id.trim()).filter(Boolean))))
+    .refine(val => val.length >= 2 && val.length <= 3, { message: 'ids must list 2 or 3 distinct inventory ids' })
+});
+const similarityWeight = z
+  .union([z.number(), z.string()])
+  .optional()
+  .transform(val => (val === undefined ? undefined : Number(val)))
+  .refine(val => val === undefined || (Number.isFinite(val) && val >= 0), {
+    message: 'weights must be non-negative numbers'
+  });
+const similarityWeightsUpdate = z.object({
+  category: similarityWeight,
+  subcategory: similarityWeight,
+  price: similarityWeight,
+  length: similarityWeight,
+  slides: similarityWeight,
+  beds: similarityWeight,
+  year: similarityWeight,
+  badges: similarityWeight
+});
+const inventorySimilarQuery = z.object({
+  limit: z
+    .union([z.string(), z.number()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val)))
+    .refine(val => val === undefined || (Number.isInteger(val) && val >= 1 && val <= 24), {
+      message: 'limit must be an integer between 1 and 24'
+    }),
+  minScore: z
+    .union([z.string(), z.number()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val)))
+    .refine(val => val === undefined || (Number.isFinite(val) && val >= 0 && val <= 100), {
+      message: 'minScore must be between 0 and 100'
+    })
+});
 
 const spotlightTemplateCreate = z.object({
   name: z.string().trim(),
@@ -223,9 +635,12 @@ const reviewVisibilityUpdate = z.object({ visible: z.boolean() });
 const leadCreate = z.object({
   name: z.string().trim(),
   email: z.string().trim().email(),
+  phone: z.string().trim().optional(),
+  language: z.string().trim().optional(),
   message: z.string().trim(),
   subject: z.string().trim().optional(),
-  status: z.enum(VALID_LEAD_STATUSES).optional(),
+  pipelineId: z.string().trim().min(1).optional(),
+  status: z.string().trim().min(1).optional(),
   interestedStockNumber: z.string().trim().optional(),
   assignedTo: z.string().trim().optional(),
   dueDate: z.string().trim().optional(),
@@ -236,11 +651,97 @@ const leadCreate = z.object({
   utmTerm: z.string().trim().optional(),
   referrer: z.string().trim().optional()
 });
-const leadUpdate = leadCreate.partial();
-const leadStatusUpdate = z.object({ status: z.enum(VALID_LEAD_STATUSES) });
+// A lead stays in the pipeline it was created in, so updates cannot name another one.
+const leadUpdate = z
+  .object(Object.fromEntries(Object.entries(leadCreate.shape).filter(([key]) => key !== 'pipelineId')))
+  .partial();
+const leadStatusUpdate = z.object({
+  status: z.string().trim().min(1),
+  fields: stringMap('fields must map field names to text')
+});
+const leadPipelineStage = z.object({
+  key: z.string().trim().min(1).max(40),
+  name: z.string().trim().optional(),
+  probability: optionalNumber().refine(val => val === undefined || (Number.isFinite(val) && val >= 0 && val <= 100), {
+    message: 'probability must be between 0 and 100'
+  }),
+  outcome: z.enum(STAGE_OUTCOMES).optional(),
+  next: z.array(z.string().trim().min(1)).optional(),
+  requiredFields: z.array(z.string().trim().min(1)).optional()
+});
+const leadPipelineCreate = z.object({
+  name: z.string().trim().min(1),
+  isDefault: z.boolean().optional(),
+  stages: z
+    .array(leadPipelineStage)
+    .refine(val => val.length > 0 && val.length <= 20, { message: 'A pipeline needs between 1 and 20 stages' })
+});
+const leadPipelineUpdate = leadPipelineCreate.partial();
+const leadPipelineBoardQuery = z.object({ assigneeId: z.string().trim().min(1).optional() });
+const leadMerge = z.object({ sourceLeadId: z.string().trim().min(1) });
+const isValidTimeZone = value => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+const leadAssign = z.object({ memberId: z.string().trim().min(1).optional() });
+const leadRoutingRule = z.object({
+  id: z.string().trim().min(1).optional(),
+  name: z.string().trim().optional(),
+  role: z.string().trim().min(1).optional(),
+  locations: z.array(z.string().trim().min(1)).optional(),
+  languages: z.array(z.string().trim().min(1)).optional(),
+  segments: z.array(z.string().trim().min(1)).optional(),
+  memberIds: z.array(z.string().trim().min(1)).optional()
+});
+const workingHoursRange = z
+  .string()
+  .trim()
+  .optional()
+  .refine(val => val === undefined || /^closed$/i.test(val) || parseRange(val) !== null, {
+    message: 'Working hours must look like "9:00 AM - 6:00 PM", "09:00-18:00" or "Closed"'
+  });
+const leadRoutingSettingsUpdate = z.object({
+  enabled: z.boolean().optional(),
+  defaultRole: z.string().trim().min(1).optional(),
+  slaMinutes: optionalNumber().refine(val => val === undefined || (Number.isFinite(val) && val > 0), {
+    message: 'slaMinutes must be greater than 0'
+  }),
+  timezone: z
+    .string()
+    .trim()
+    .optional()
+    .refine(val => val === undefined || isValidTimeZone(val), { message: 'timezone must be an IANA time zone' }),
+  workingHours: z
+    .object(Object.fromEntries(DAY_KEYS.map(day => [day, workingHoursRange])))
+    .optional(),
+  rules: z.array(leadRoutingRule).optional()
+});
+const slaMinutes = optionalNumber().refine(val => val === undefined || (Number.isFinite(val) && val > 0), {
+  message: 'slaMinutes must be greater than 0'
+});
+const leadResponseSettingsUpdate = z.object({
+  slaMinutes,
+  sources: z
+    .array(z.object({ source: z.string().trim().min(1), slaMinutes }))
+    .optional(),
+  escalationRole: z.string().trim().min(1).optional()
+});
+const reportDate = label =>
+  z
+    .string()
+    .trim()
+    .optional()
+    .refine(val => val === undefined || !Number.isNaN(Date.parse(val)), { message: `${label} must be a date` });
+const leadResponseReportQuery = z.object({ from: reportDate('from'), to: reportDate('to') });
 const leadListQuery = z.object({
-  status: z.enum(VALID_LEAD_STATUSES).optional(),
+  status: z.string().trim().min(1).optional(),
+  pipelineId: z.string().trim().min(1).optional(),
   assignedTo: z.enum(['admin', 'sales', 'marketing']).optional(),
+  assigneeId: z.string().trim().min(1).optional(),
   sortBy: z.enum(['createdAt', 'name', 'dueDate', 'lastContactedAt']).optional(),
   sortDir: z.enum(['asc', 'desc']).optional(),
   tenantId: z.string().trim().min(1).optional()
@@ -288,6 +789,16 @@ const leadScoringRulesUpdate = z.object({
     .optional()
     .transform(val => (val === undefined ? undefined : Number(val))),
   alertCap: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
+  visitScore: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
+  visitCap: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
+  conversationScore: z
+    .union([z.number(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val))),
+  conversationCap: z
+    .union([z.number(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val))),
   segmentRules: z
     .array(
       z.object({
@@ -339,20 +850,198 @@ const serviceTicketListQuery = paginationSchema.extend({
   tenantId: z.string().trim().min(1).optional()
 });
 
+// An empty string clears a window bound or amount limit on update.
+const offerDate = label =>
+  z
+    .string()
+    .trim()
+    .optional()
+    .transform(val => (val === '' ? null : val))
+    .refine(val => val === undefined || val === null || !Number.isNaN(Date.parse(val)), {
+      message: `${label} must be a date`
+    });
+const offerAmount = label =>
+  z
+    .union([z.string(), z.number()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : val === '' ? null : Number(val)))
+    .refine(val => val === undefined || val === null || (Number.isFinite(val) && val >= 0), {
+      message: `${label} must be zero or more`
+    });
 const financeOfferCreate = z.object({
   lender: z.string().trim(),
   termMonths: z.union([z.number(), z.string()]).transform(val => Number(val)),
   apr: z.union([z.number(), z.string()]).transform(val => Number(val)),
   downPayment: z.union([z.number(), z.string()]).optional().transform(val => (val === undefined ? undefined : Number(val))),
   restrictions: z.string().trim().optional(),
-  vehicleCategory: z.string().trim().optional()
+  vehicleCategory: z.string().trim().optional(),
+  validFrom: offerDate('validFrom'),
+  validUntil: offerDate('validUntil'),
+  minAmount: offerAmount('minAmount'),
+  maxAmount: offerAmount('maxAmount')
 });
 
 const financeOfferUpdate = financeOfferCreate.partial();
 const financeOfferListQuery = paginationSchema.extend({
   vehicleCategory: z.string().trim().optional(),
+  active: z
+    .union([z.boolean(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : val === true || String(val).toLowerCase() === 'true')),
   tenantId: z.string().trim().min(1).optional()
 });
+const nonNegativeNumber = label =>
+  optionalNumber().refine(val => val === undefined || (Number.isFinite(val) && val >= 0), {
+    message: `${label} must be zero or more`
+  });
+const paymentEstimateQuery = z.object({
+  downPayment: nonNegativeNumber('downPayment'),
+  tradeValue: nonNegativeNumber('tradeValue'),
+  termMonths: optionalNumber().refine(val => val === undefined || (Number.isInteger(val) && val > 0), {
+    message: 'termMonths must be a positive whole number of months'
+  })
+});
+
+const tradeInConditionItem = z.object({
+  item: z.string().trim().min(1).max(80),
+  rating: z.enum(TRADE_IN_CONDITION_RATINGS),
+  notes: z.string().trim().max(500).optional()
+});
+const tradeInPhoto = z.object({
+  id: z.string().trim().optional(),
+  url: mediaUrl,
+  caption: z.string().trim().max(200).optional()
+});
+const tradeInCreate = z
+  .object({
+    leadId: z.string().trim().optional(),
+    customerId: z.string().trim().optional(),
+    vin: z
+      .string()
+      .trim()
+      .min(11)
+      .max(17)
+      .transform(val => val.toUpperCase()),
+    year: optionalNumber().refine(val => val === undefined || (Number.isInteger(val) && val >= 1900), {
+      message: 'year must be a four-digit model year'
+    }),
+    make: z.string().trim().optional(),
+    model: z.string().trim().optional(),
+    mileage: nonNegativeNumber('mileage'),
+    hours: nonNegativeNumber('hours'),
+    payoff: nonNegativeNumber('payoff'),
+    condition: z
+      .array(tradeInConditionItem)
+      .refine(val => val.length <= 50, { message: 'condition can list at most 50 items' })
+      .optional(),
+    photos: z
+      .array(tradeInPhoto)
+      .refine(val => val.length <= 40, { message: 'photos can hold at most 40 images' })
+      .optional(),
+    notes: z.string().trim().max(2000).optional()
+  })
+  .refine(val => Boolean(val.leadId || val.customerId), { message: 'leadId or customerId is required' });
+const tradeInUpdate = tradeInCreate.partial();
+const tradeInAppraisal = z.object({
+  appraisedValue: z
+    .union([z.string(), z.number()])
+    .transform(val => Number(val))
+    .refine(val => Number.isFinite(val) && val >= 0, { message: 'appraisedValue must be zero or more' }),
+  notes: z.string().trim().max(2000).optional()
+});
+const tradeInStatusUpdate = z.object({
+  status: z.enum(TRADE_IN_DECISIONS),
+  approvedValue: nonNegativeNumber('approvedValue'),
+  note: z.string().trim().max(2000).optional()
+});
+const tradeInConvert = z.object({
+  stockNumber: z.string().trim().min(1),
+  price: z
+    .union([z.string(), z.number()])
+    .transform(val => Number(val))
+    .refine(val => Number.isFinite(val) && val > 0, { message: 'price must be greater than zero' }),
+  salePrice: nonNegativeNumber('salePrice'),
+  name: z.string().trim().optional(),
+  category: z.string().trim().optional(),
+  location: z.string().trim().optional(),
+  lotCode: z.string().trim().optional(),
+  dealId: z.string().trim().optional(),
+  note: z.string().trim().max(2000).optional()
+});
+const tradeInListQuery = z.object({
+  status: z.enum(TRADE_IN_STATUSES).optional(),
+  leadId: z.string().trim().optional(),
+  customerId: z.string().trim().optional()
+});
+
+// An empty string removes a trade-in or finance offer carried over from the previous version.
+const dealReference = z
+  .string()
+  .trim()
+  .optional()
+  .transform(val => (val === '' ? null : val));
+const dealAddOn = z.object({
+  code: z.string().trim().min(1),
+  price: nonNegativeNumber('price')
+});
+const dealTerms = z.object({
+  tradeInId: dealReference,
+  financeOfferId: dealReference,
+  discount: nonNegativeNumber('discount'),
+  downPayment: nonNegativeNumber('downPayment'),
+  addOns: z.array(dealAddOn).optional(),
+  notes: z.string().trim().max(2000).optional()
+});
+const dealCreate = dealTerms.extend({
+  leadId: z.string().trim().min(1),
+  inventoryId: z.string().trim().min(1)
+});
+const dealVersionParams = z.object({
+  id: z.string().trim().min(1),
+  version: z
+    .union([z.string(), z.number()])
+    .transform(val => Number(val))
+    .refine(val => Number.isInteger(val) && val > 0, { message: 'version must be a positive whole number' })
+});
+const dealApproval = z.object({
+  status: z.enum(DEAL_APPROVAL_DECISIONS),
+  note: z.string().trim().max(2000).optional()
+});
+const dealFinalize = z.object({
+  version: optionalNumber().refine(val => val === undefined || (Number.isInteger(val) && val > 0), {
+    message: 'version must be a positive whole number'
+  }),
+  tradeInUnit: tradeInConvert.optional()
+});
+const dealCancel = z.object({
+  reason: z.string().trim().max(2000).optional()
+});
+const dealListQuery = z.object({
+  status: z.enum(DEAL_STATUSES).optional(),
+  leadId: z.string().trim().optional(),
+  inventoryId: z.string().trim().optional()
+});
+const dealDeskStateRate = z.object({
+  state: z.string().trim().min(2).max(3),
+  taxRate: nonNegativeNumber('taxRate'),
+  docFee: nonNegativeNumber('docFee'),
+  titleFee: nonNegativeNumber('titleFee'),
+  registrationFee: nonNegativeNumber('registrationFee'),
+  tradeInTaxCredit: z.boolean().optional()
+});
+const dealDeskAddOn = z.object({
+  code: z.string().trim().min(1).max(60),
+  name: z.string().trim().min(1),
+  price: nonNegativeNumber('price'),
+  taxable: z.boolean().optional()
+});
+const dealDeskSettingsUpdate = z.object({
+  discountApprovalPercent: optionalNumber().refine(val => val === undefined || (Number.isFinite(val) && val >= 0 && val <= 100), {
+    message: 'discountApprovalPercent must be between 0 and 100'
+  }),
+  stateRates: z.array(dealDeskStateRate).optional(),
+  addOns: z.array(dealDeskAddOn).optional()
+});
 
 const contentPageCreate = z.object({
   title: z.string().trim(),
@@ -395,6 +1084,12 @@ const settingsUpdate = z.object({
   phone: z.string().trim(),
   email: z.string().trim().email().optional(),
   address: z.string().trim().optional(),
+  website: z.string().trim().url().optional(),
+  timezone: z
+    .string()
+    .trim()
+    .optional()
+    .refine(val => val === undefined || isValidTimeZone(val), { message: 'timezone must be an IANA time zone' }),
   hours: z
     .object({
       sales: z.string().trim().optional(),
@@ -628,6 +1323,7 @@ const taskCreate = z.object({
   title: z.string().trim(),
   notes: z.string().trim().optional(),
   contactId: z.string().trim().optional(),
+  inventoryId: z.string().trim().optional(),
   assignedTo: z.string().trim().optional(),
   status: z.enum(VALID_TASK_STATUSES).optional(),
   dueAt: z.string().trim().optional(),
@@ -640,15 +1336,51 @@ const taskListQuery = z.object({
   status: z.enum(VALID_TASK_STATUSES).optional(),
   assignedTo: z.string().trim().optional(),
   contactId: z.string().trim().optional(),
+  inventoryId: z.string().trim().optional(),
   dueFrom: z.string().trim().optional(),
   dueTo: z.string().trim().optional()
 });
 
+const activityCreate = z
+  .object({
+    leadId: z.string().trim().optional(),
+    customerId: z.string().trim().optional(),
+    type: z.enum(ACTIVITY_TYPES),
+    direction: z.enum(ACTIVITY_DIRECTIONS).optional(),
+    outcome: z.enum(ACTIVITY_OUTCOMES).optional(),
+    durationMinutes: nonNegativeNumber('durationMinutes'),
+    notes: z.string().trim().max(4000).optional(),
+    performedBy: z.string().trim().min(1).optional(),
+    occurredAt: reportDate('occurredAt')
+  })
+  .refine(val => Boolean(val.leadId || val.customerId), { message: 'leadId or customerId is required' });
+const activityUpdate = z.object({
+  outcome: z.enum(ACTIVITY_OUTCOMES).optional(),
+  durationMinutes: nonNegativeNumber('durationMinutes'),
+  notes: z.string().trim().max(4000).optional()
+});
+const activityListQuery = z.object({
+  leadId: z.string().trim().optional(),
+  customerId: z.string().trim().optional(),
+  type: z.enum(ACTIVITY_TYPES).optional(),
+  direction: z.enum(ACTIVITY_DIRECTIONS).optional(),
+  outcome: z.enum(ACTIVITY_OUTCOMES).optional(),
+  performedBy: z.string().trim().optional(),
+  from: reportDate('from'),
+  to: reportDate('to')
+});
+const activityReportQuery = z.object({
+  performedBy: z.string().trim().optional(),
+  from: reportDate('from'),
+  to: reportDate('to')
+});
+
 const notificationStatusUpdate = z.object({ status: z.enum(VALID_NOTIFICATION_STATUSES) });
 
 const notificationListQuery = z.object({
   status: z.enum(VALID_NOTIFICATION_STATUSES).optional(),
-  contactId: z.string().trim().optional()
+  contactId: z.string().trim().optional(),
+  recipientRole: z.string().trim().optional()
 });
 
 const webhookListQuery = z.object({
@@ -704,12 +1436,42 @@ module.exports = {
     inventoryCreate,
     inventoryUpdate,
     inventoryFeatureUpdate,
+    inventoryBulkUpdate,
+    inventoryRevisionQuery,
+    inventoryPointInTimeRestore,
     inventoryBulkImport,
+    inventoryStatusUpdate,
+    inventoryRemoveQuery,
+    importProfileCreate,
+    importProfileUpdate,
+    importRunListQuery,
+    feedChannelCreate,
+    feedChannelUpdate,
     inventoryStoryUpdate,
     inventorySpotlightsUpdate,
     inventoryHotspotsUpdate,
     inventoryMediaUpdate,
+    inventoryMediaUpload,
+    inventoryPhotoUpdate,
+    inventoryPhotoOrder,
+    inventoryPhotoParams,
     badgeRulesUpdate,
+    similarityWeightsUpdate,
+    inventorySimilarQuery,
+    inventoryCompareQuery,
+    inventoryAgingSettingsUpdate,
+    repricingRuleCreate,
+    repricingRuleUpdate,
+    priceProposalListQuery,
+    priceProposalStatusUpdate,
+    documentTemplatesUpdate,
+    vinParam,
+    inventoryAgingQuery,
+    inventoryTransferCreate,
+    inventoryTransferUpdate,
+    inventoryTransferStatusUpdate,
+    inventoryTransferListQuery,
+    inventoryTransferIncomingQuery,
     badgePreview,
     spotlightTemplateCreate,
     spotlightTemplateUpdate,
@@ -724,6 +1486,14 @@ module.exports = {
     leadUpdate,
     leadListQuery,
     leadStatusUpdate,
+    leadPipelineCreate,
+    leadPipelineUpdate,
+    leadPipelineBoardQuery,
+    leadMerge,
+    leadAssign,
+    leadRoutingSettingsUpdate,
+    leadResponseSettingsUpdate,
+    leadResponseReportQuery,
     leadScoreRecompute,
     leadScoringRulesUpdate,
     customerCreate,
@@ -732,9 +1502,24 @@ module.exports = {
     serviceTicketCreate,
     serviceTicketUpdate,
     serviceTicketListQuery,
+    tradeInCreate,
+    tradeInUpdate,
+    tradeInAppraisal,
+    tradeInStatusUpdate,
+    tradeInConvert,
+    tradeInListQuery,
+    dealCreate,
+    dealTerms,
+    dealVersionParams,
+    dealApproval,
+    dealFinalize,
+    dealCancel,
+    dealListQuery,
+    dealDeskSettingsUpdate,
     financeOfferCreate,
     financeOfferUpdate,
     financeOfferListQuery,
+    paymentEstimateQuery,
     settingsUpdate,
     contentPageCreate,
     contentPageUpdate,
@@ -770,6 +1555,10 @@ module.exports = {
     taskCreate,
     taskUpdate,
     taskListQuery,
+    activityCreate,
+    activityUpdate,
+    activityListQuery,
+    activityReportQuery,
     notificationStatusUpdate,
     notificationListQuery,
     aiVoiceSettingsUpdate,
@@ -779,6 +1568,32 @@ module.exports = {
   },
   constants: {
     INVENTORY_CONDITIONS,
-    TRANSFER_STATUSES
+    INVENTORY_FACETS,
+    INVENTORY_STATUSES,
+    TRANSFER_STATUSES,
+    TRANSFER_REQUEST_STATUSES,
+    IMPORT_MODES,
+    IMPORT_MATCH_FIELDS,
+    MISSING_UNIT_ACTIONS,
+    IMPORT_RUN_STATUSES,
+    FEED_FORMATS,
+    FEED_PRICE_RULES,
+    REPRICING_FIELDS,
+    REPRICING_ADJUSTMENTS,
+    REPRICING_FLOOR_FIELDS,
+    PRICE_PROPOSAL_STATUSES,
+    INVENTORY_BULK_OPERATIONS,
+    INVENTORY_BULK_LOCKED_FIELDS,
+    INVENTORY_BULK_PRICE_FIELDS,
+    REVISION_SOURCES,
+    TRADE_IN_STATUSES,
+    TRADE_IN_DECISIONS,
+    TRADE_IN_CONDITION_RATINGS,
+    DEAL_STATUSES,
+    DEAL_APPROVAL_DECISIONS,
+    DOCUMENT_TYPES,
+    DOCUMENT_PAGE_SIZES,
+    DOCUMENT_SECTIONS,
+    DOCUMENT_SPEC_FIELDS
   }
 };
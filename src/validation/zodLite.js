@@ -237,14 +237,22 @@ class UnionSchema extends BaseSchema {
     if (optionalCheck.success !== null) {
       return optionalCheck.success ? optionalCheck.value : this._error(optionalCheck.message, path);
     }
+    let matched = false;
+    let value;
     for (const schema of this.schemas) {
       try {
-        return schema.parse(input, path);
+        value = schema.parse(input, path);
+        matched = true;
+        break;
       } catch (err) {
         // continue
       }
     }
-    return this._error('No union variant matched', path);
+    if (!matched) return this._error('No union variant matched', path);
+    value = this._applyTransform(value);
+    const refined = this._applyRefine(value);
+    if (!refined.success) return this._error(refined.message, path);
+    return value;
   }
 
   _error(message, path) {
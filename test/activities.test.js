@@ -0,0 +1,114 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const activityService = require('../src/services/activityService');
+const leadScoringService = require('../src/services/leadScoringService');
+const leadEngagementService = require('../src/services/leadEngagementService');
+const analyticsService = require('../src/services/analyticsService');
+
+const tenantId = 'main';
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe('lead activities', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = ['activities', 'leads', 'customers'].map(name => mock.method(persist, name, () => {}));
+    datasets.activities = [];
+    datasets.events = [];
+    datasets.tasks = [];
+    datasets.notifications = [];
+    datasets.settings = [{ tenantId }];
+    datasets.teams = [
+      {
+        id: 'sales',
+        role: 'sales',
+        members: [
+          { id: 'ana', firstName: 'Ana', lastName: 'Diaz', email: 'ana@dealer.test' },
+          { id: 'ben', firstName: 'Ben', lastName: 'Cole' }
+        ],
+        tenantId
+      }
+    ];
+    datasets.customers = [{ id: 'cust-1', firstName: 'Pat', lastName: 'Lee', phone: '555-0100', tenantId }];
+    datasets.leads = [
+      { id: 'lead-1', name: 'Pat Lee', status: 'new', createdAt: minutesAgo(30), assigneeId: 'ben', assigneeName: 'Ben Cole', tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('moves lastContactedAt forward and records the first response from outbound touches', () => {
+    const missed = activityService.create({ leadId: 'lead-1', type: 'call', direction: 'inbound', outcome: 'no_answer' }, tenantId).activity;
+    assert.equal(missed.performedBy, undefined);
+    assert.equal(datasets.leads[0].lastContactedAt, undefined);
+
+    const calledAt = minutesAgo(10);
+    const call = activityService.create(
+      { leadId: 'lead-1', customerId: 'cust-1', type: 'call', outcome: 'voicemail', durationMinutes: 2, occurredAt: calledAt },
+      tenantId,
+      { id: 'user-1', email: 'ANA@dealer.test' }
+    ).activity;
+    assert.deepEqual([call.direction, call.performedBy, call.performedByName, call.createdBy], ['outbound', 'ana', 'Ana Diaz', 'ANA@dealer.test']);
+    assert.equal(datasets.leads[0].lastContactedAt, calledAt);
+    assert.equal(datasets.customers[0].lastContactedAt, calledAt);
+    assert.deepEqual([datasets.leads[0].firstResponseAt, datasets.leads[0].firstResponseBy], [calledAt, 'ana']);
+
+    activityService.create({ leadId: 'lead-1', type: 'text', performedBy: 'ben', occurredAt: minutesAgo(20) }, tenantId);
+    assert.equal(datasets.leads[0].lastContactedAt, calledAt);
+    assert.equal(datasets.leads[0].firstResponseBy, 'ana');
+
+    assert.equal(activityService.create({ leadId: 'lead-1', type: 'email', performedBy: 'zed' }, tenantId).error, 'Team member not found');
+    assert.equal(activityService.create({ leadId: 'nope', type: 'email' }, tenantId).error, 'Lead not found');
+
+    const { timeline } = leadEngagementService.timeline('lead-1', tenantId);
+    assert.deepEqual(
+      timeline.filter(item => item.type === 'activity').map(item => item.payload.type),
+      ['text', 'call', 'call']
+    );
+  });
+
+  it('scores showroom visits and two-way conversations', () => {
+    activityService.create({ leadId: 'lead-1', type: 'visit', durationMinutes: 45 }, tenantId);
+    activityService.create({ leadId: 'lead-1', type: 'text', direction: 'inbound' }, tenantId);
+    activityService.create({ leadId: 'lead-1', type: 'call', outcome: 'appointment_set' }, tenantId);
+    const unanswered = activityService.create({ leadId: 'lead-1', type: 'email', outcome: 'sent' }, tenantId).activity;
+
+    const payload = leadScoringService.computeScorePayload(datasets.leads[0], tenantId);
+    assert.deepEqual(payload.scoreReasons, ['Showroom visits (1, +15)', 'Two-way conversations (2, +12)']);
+    assert.equal(datasets.leads[0].leadScore, 27);
+    assert.deepEqual(datasets.leads[0].segments, ['warm', 'engaged']);
+
+    activityService.update(unanswered.id, { outcome: 'replied' }, tenantId);
+    assert.equal(datasets.leads[0].leadScore, 33);
+    activityService.remove(unanswered.id, tenantId);
+    assert.equal(datasets.leads[0].leadScore, 27);
+  });
+
+  it('filters activities per rep and reports them by rep', () => {
+    const log = (performedBy, type, extra = {}) =>
+      activityService.create({ leadId: 'lead-1', type, performedBy, occurredAt: '2026-10-05T15:00:00.000Z', ...extra }, tenantId);
+    log('ana', 'call', { outcome: 'connected', durationMinutes: 12 });
+    log('ana', 'call', { outcome: 'appointment_set', durationMinutes: 8 });
+    log('ana', 'email', { outcome: 'sent' });
+    log('ben', 'visit', { durationMinutes: 40 });
+    log('ben', 'call', { occurredAt: '2026-09-01T15:00:00.000Z' });
+
+    assert.equal(activityService.list({ performedBy: 'ana' }, tenantId).length, 3);
+    assert.equal(activityService.list({ performedBy: 'ben', from: '2026-10-01' }, tenantId).length, 1);
+
+    const report = analyticsService.activityReport(tenantId, { from: '2026-10-01' });
+    assert.deepEqual(
+      report.reps.map(rep => [rep.performedBy, rep.name, rep.total, rep.talkMinutes, rep.appointmentsSet]),
+      [
+        ['ana', 'Ana Diaz', 3, 20, 1],
+        ['ben', 'Ben Cole', 1, 40, 0]
+      ]
+    );
+    assert.deepEqual(report.reps[0].byType, { call: 2, email: 1 });
+    assert.deepEqual([report.overall.total, report.overall.leadsTouched], [4, 1]);
+  });
+});
@@ -0,0 +1,186 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const { calculateTotalPrice } = require('../src/services/inventoryService');
+const dealService = require('../src/services/dealService');
+
+const tenantId = 'main';
+const admin = { id: 'u-admin', email: 'manager@dealer.test', role: 'admin' };
+const sales = { id: 'u-sales', email: 'rep@dealer.test', role: 'sales' };
+
+describe('deal desk', () => {
+  let mocks;
+
+  beforeEach(() => {
+    mocks = [
+      ...['inventory', 'inventoryRevisions', 'leads', 'deals', 'tradeIns', 'settings', 'redirects'].map(name =>
+        mock.method(persist, name, () => {})
+      ),
+      mock.method(fs, 'appendFile', () => {})
+    ];
+    datasets.deals = [];
+    datasets.redirects = [];
+    datasets.inventoryRevisions = [];
+    datasets.settings = [
+      {
+        tenantId,
+        state: 'KY',
+        dealDesk: {
+          discountApprovalPercent: 5,
+          stateRates: [{ state: 'KY', taxRate: 6, docFee: 399, titleFee: 30, registrationFee: 21, tradeInTaxCredit: true }],
+          addOns: [
+            { code: 'extended_warranty', name: 'Extended service contract', price: 3000, taxable: false },
+            { code: 'paint_protection', name: 'Paint protection', price: 900, taxable: true }
+          ]
+        }
+      },
+      { tenantId: 'lexington', state: 'OH' }
+    ];
+    datasets.inventory = [
+      { id: 'mh-1', stockNumber: 'MH-1', slug: 'mh-1', name: 'Coach', category: 'Motorhome', price: 110000, salePrice: 100000, fees: 500, taxes: 6000, rebates: 1000, status: 'available', tenantId },
+      { id: 'mh-2', stockNumber: 'MH-2', slug: 'mh-2', name: 'Sold coach', category: 'Motorhome', price: 90000, status: 'sold', tenantId },
+      { id: 'oh-1', stockNumber: 'OH-1', slug: 'oh-1', name: 'Trailer', price: 40000, fees: 200, taxes: 2400, tenantId: 'lexington' }
+    ];
+    datasets.leads = [
+      { id: 'lead-1', name: 'Pat Buyer', email: 'pat@test.dev', status: 'qualified', tenantId },
+      { id: 'lead-new', name: 'New Lead', email: 'new@test.dev', status: 'new', tenantId },
+      { id: 'lead-oh', name: 'Ohio Buyer', email: 'oh@test.dev', status: 'contacted', tenantId: 'lexington' }
+    ];
+    datasets.tradeIns = [
+      { id: 'trade-1', leadId: 'lead-1', vin: '1UJBJ0BP5G1TB1234', year: 2016, make: 'Jayco', status: 'approved', approvedValue: 20000, payoff: 5000, photos: [], tenantId },
+      { id: 'trade-cust', customerId: 'cust-1', vin: '1UJBJ0BP5G1TB5555', year: 2018, make: 'Jayco', status: 'approved', approvedValue: 15000, photos: [], tenantId },
+      { id: 'trade-open', leadId: 'lead-1', vin: '1UJBJ0BP5G1TB9999', status: 'appraised', appraisedValue: 8000, photos: [], tenantId }
+    ];
+    datasets.financeOffers = [
+      { id: 'promo', lender: 'Summit', termMonths: 180, apr: 6, vehicleCategory: 'Motorhome', tenantId },
+      { id: 'expired', lender: 'Old', termMonths: 120, apr: 3, validUntil: '2020-01-31', tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    mocks.forEach(m => m.mock.restore());
+  });
+
+  it('prices the out-the-door total with state tax, fees, add-ons, trade equity and payment', () => {
+    const { deal } = dealService.create(
+      {
+        leadId: 'lead-1',
+        inventoryId: 'mh-1',
+        tradeInId: 'trade-1',
+        financeOfferId: 'promo',
+        discount: 2000,
+        downPayment: 10000,
+        addOns: [{ code: 'extended_warranty' }, { code: 'paint_protection', price: 750 }]
+      },
+      tenantId,
+      sales
+    );
+
+    const [version] = deal.versions;
+    assert.equal(deal.status, 'open');
+    assert.equal(version.approval.status, 'not_required');
+    assert.deepEqual(
+      {
+        cashPrice: version.pricing.cashPrice,
+        addOnsTotal: version.pricing.addOnsTotal,
+        taxableAmount: version.pricing.taxableAmount,
+        salesTax: version.pricing.salesTax,
+        outTheDoorPrice: version.pricing.outTheDoorPrice,
+        tradeEquity: version.pricing.tradeEquity,
+        amountFinanced: version.pricing.amountFinanced
+      },
+      {
+        cashPrice: 98000,
+        addOnsTotal: 3750,
+        // 98,000 cash price + 750 taxable add-on - 20,000 trade credit
+        taxableAmount: 78750,
+        salesTax: 4725,
+        // 98,000 + 3,750 + 500 dealer fees + 450 state fees + 4,725 tax - 1,000 rebates
+        outTheDoorPrice: 106425,
+        tradeEquity: 15000,
+        amountFinanced: 81425
+      }
+    );
+    assert.equal(version.payment.lender, 'Summit');
+    assert.equal(version.payment.monthlyPayment, 687.11);
+    assert.deepEqual([version.pricing.addOnDiscount, version.pricing.discountPercent], [150, 2.15]);
+
+    // A free service contract is 3,000 off on top of the 2,500 discount: 5.5% needs a manager.
+    const { deal: giveaway } = dealService.create(
+      { leadId: 'lead-1', inventoryId: 'mh-1', discount: 2500, addOns: [{ code: 'extended_warranty', price: 0 }] },
+      tenantId,
+      sales
+    );
+    assert.deepEqual([giveaway.versions[0].pricing.discountPercent, giveaway.versions[0].approval.status], [5.5, 'pending']);
+
+    const { deal: ohio } = dealService.create({ leadId: 'lead-oh', inventoryId: 'oh-1' }, 'lexington', sales);
+    assert.equal(ohio.versions[0].pricing.taxRate, null);
+    assert.equal(ohio.versions[0].pricing.outTheDoorPrice, calculateTotalPrice(datasets.inventory[2]));
+  });
+
+  it('refuses quotes that cannot be honoured', () => {
+    const quote = terms => dealService.create({ leadId: 'lead-1', inventoryId: 'mh-1', ...terms }, tenantId, sales).error;
+
+    assert.match(quote({ financeOfferId: 'expired' }), /expired/);
+    assert.match(quote({ addOns: [{ code: 'tire_and_wheel' }] }), /Unknown add-on tire_and_wheel/);
+    assert.match(quote({ tradeInId: 'trade-open' }), /must be approved/);
+    assert.match(quote({ discount: 200000 }), /cannot exceed/);
+    assert.match(dealService.create({ leadId: 'lead-1', inventoryId: 'mh-2' }, tenantId, sales).error, /sold/);
+    assert.equal(datasets.deals.length, 0);
+  });
+
+  it('versions quotes, holds large discounts for approval and closes the sale', () => {
+    const { deal } = dealService.create({ leadId: 'lead-1', inventoryId: 'mh-1', discount: 1000, financeOfferId: 'promo' }, tenantId, sales);
+
+    const revised = dealService.addVersion(deal.id, { discount: 8000, tradeInId: 'trade-1' }, tenantId, sales);
+    assert.equal(revised.version.version, 2);
+    assert.equal(revised.version.financeOfferId, 'promo');
+    assert.equal(revised.version.approval.status, 'pending');
+    assert.equal(revised.version.pricing.discountPercent, 8);
+    assert.match(dealService.finalize(deal.id, {}, tenantId, sales).error, /awaiting manager approval/);
+    assert.match(dealService.decide(deal.id, 2, 'approved', tenantId, { actor: sales }).forbidden, /Only admin/);
+    assert.match(dealService.decide(deal.id, 1, 'approved', tenantId, { actor: admin }).error, /not awaiting approval/);
+
+    const approved = dealService.decide(deal.id, 2, 'approved', tenantId, { actor: admin, note: 'Aged unit' });
+    assert.equal(approved.version.approval.decidedBy, 'manager@dealer.test');
+
+    const closed = dealService.finalize(
+      deal.id,
+      { tradeInUnit: { stockNumber: 'T-1', price: 26900, location: 'Harrodsburg' } },
+      tenantId,
+      sales
+    );
+    assert.equal(closed.deal.status, 'finalized');
+    assert.equal(closed.deal.finalizedVersion, 2);
+    assert.equal(closed.unit.status, 'sold');
+    assert.equal(closed.lead.status, 'won');
+    assert.equal(closed.tradeInConversion.unit.condition, 'used');
+    assert.equal(closed.tradeInConversion.unit.tradeIn.dealId, deal.id);
+    assert.equal(datasets.tradeIns[0].status, 'converted');
+    assert.match(dealService.addVersion(deal.id, { discount: 0 }, tenantId, sales).error, /finalized/);
+  });
+
+  it('converts a trade without a linked lead when its deal closes', () => {
+    const { deal } = dealService.create({ leadId: 'lead-1', inventoryId: 'mh-1', tradeInId: 'trade-cust' }, tenantId, sales);
+
+    const closed = dealService.finalize(deal.id, { tradeInUnit: { stockNumber: 'T-2', price: 19900 } }, tenantId, sales);
+
+    assert.equal(closed.deal.status, 'finalized');
+    assert.equal(closed.tradeInConversion.error, undefined);
+    assert.deepEqual(closed.tradeInConversion.unit.tradeIn, { id: 'trade-cust', leadId: undefined, customerId: 'cust-1', dealId: deal.id, allowance: 15000 });
+    assert.equal(datasets.tradeIns.find(entry => entry.id === 'trade-cust').status, 'converted');
+  });
+
+  it('checks the lead and unit before closing so nothing changes on failure', () => {
+    const { deal } = dealService.create({ leadId: 'lead-new', inventoryId: 'mh-1' }, tenantId, sales);
+
+    assert.match(dealService.finalize(deal.id, {}, tenantId, sales).error, /Lead cannot be won from new/);
+    assert.equal(datasets.inventory[0].status, 'available');
+    assert.equal(dealService.findById(deal.id, tenantId).status, 'open');
+
+    assert.equal(dealService.cancel(deal.id, { reason: 'Bought elsewhere' }, tenantId, sales).deal.status, 'cancelled');
+    assert.match(dealService.finalize(deal.id, {}, tenantId, sales).error, /cancelled/);
+  });
+});
@@ -0,0 +1,101 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const feedService = require('../src/services/feedService');
+const { parseCsv } = require('../src/lib/csv');
+
+const tenantId = 'main';
+const future = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+
+describe('syndication feeds', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'feedChannels', () => {})];
+    datasets.feedChannels = [];
+    datasets.inventory = [
+      {
+        id: 'u1',
+        stockNumber: 'S-1',
+        vin: 'VIN-1',
+        name: 'Bay & Beach <Edition>',
+        condition: 'new',
+        price: 100000,
+        salePrice: 95000,
+        tenantId,
+        createdAt: '2024-01-01T00:00:00.000Z',
+        media: {
+          photos: [
+            { id: 'p1', url: 'https://cdn/1.jpg' },
+            { id: 'p2', url: 'https://cdn/2.jpg', isHero: true }
+          ]
+        }
+      },
+      { id: 'u2', stockNumber: 'S-2', vin: 'VIN-2', name: 'Held', condition: 'used', price: 50000, holdUntil: future, tenantId },
+      { id: 'u3', stockNumber: 'S-3', vin: 'VIN-3', name: 'Moving', condition: 'used', price: 60000, transferStatus: 'in_transit', tenantId },
+      { id: 'u4', stockNumber: 'S-4', vin: 'VIN-4', name: 'Plain', condition: 'used', price: 40000, images: ['https://cdn/legacy.jpg'], tenantId, createdAt: '2024-02-01T00:00:00.000Z' },
+      { id: 'u5', stockNumber: 'S-5', vin: 'VIN-5', name: 'Other tenant', condition: 'new', price: 1, tenantId: 'lexington' }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('renders XML with advertised prices, hero-first photos and held units excluded', () => {
+    feedService.create({ key: 'rvt', name: 'RV Trader' }, tenantId);
+
+    const feed = feedService.generate('rvt', tenantId);
+
+    assert.equal(feed.count, 2);
+    assert.match(feed.contentType, /application\/xml/);
+    assert.match(feed.body, /<listings channel="rvt" tenant="main" count="2">/);
+    assert.match(feed.body, /<title>Bay &amp; Beach &lt;Edition&gt;<\/title>/);
+    assert.match(feed.body, /<price>95000<\/price>/);
+    assert.match(feed.body, /<item>https:\/\/cdn\/2.jpg<\/item>\s*<item>https:\/\/cdn\/1.jpg<\/item>/);
+    assert.match(feed.body, /<item>https:\/\/cdn\/legacy.jpg<\/item>/);
+    assert.doesNotMatch(feed.body, /S-2|S-3|S-5/);
+  });
+
+  it('renders CSV with the channel field mapping and price rule', () => {
+    feedService.create(
+      {
+        key: 'market',
+        name: 'Marketplace',
+        format: 'csv',
+        priceRule: 'price',
+        photoLimit: 1,
+        fieldMap: { Stock: 'stockNumber', Title: 'name', Price: 'advertisedPrice', Photos: 'photos' }
+      },
+      tenantId
+    );
+
+    const feed = feedService.generate('market', tenantId);
+    const { records } = parseCsv(feed.body);
+
+    assert.deepEqual(records.map(record => record.values), [
+      ['Stock', 'Title', 'Price', 'Photos'],
+      ['S-1', 'Bay & Beach <Edition>', '100000', 'https://cdn/2.jpg'],
+      ['S-4', 'Plain', '40000', 'https://cdn/legacy.jpg']
+    ]);
+  });
+
+  it('keeps the ETag stable until the feed content changes', () => {
+    feedService.create({ key: 'rvt', name: 'RV Trader' }, tenantId);
+
+    const first = feedService.generate('rvt', tenantId);
+    assert.equal(feedService.generate('rvt', tenantId).etag, first.etag);
+
+    datasets.inventory[0].salePrice = 90000;
+    assert.notEqual(feedService.generate('rvt', tenantId).etag, first.etag);
+  });
+
+  it('returns notFound for unknown or inactive channels', () => {
+    const { channel } = feedService.create({ key: 'paused', name: 'Paused', active: false }, tenantId);
+
+    assert.deepEqual(feedService.generate('missing', tenantId), { notFound: true });
+    assert.deepEqual(feedService.generate(channel.key, tenantId), { notFound: true });
+    assert.deepEqual(feedService.generate('paused', 'lexington'), { notFound: true });
+  });
+});
@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const financeOfferService = require('../src/services/financeOfferService');
+
+const tenantId = 'main';
+const now = new Date('2026-06-15T12:00:00.000Z');
+
+const unit = {
+  id: 'mh-1',
+  category: 'Motorhome',
+  price: 110000,
+  salePrice: 100000,
+  fees: 500,
+  taxes: 6000,
+  rebates: 1500,
+  tenantId
+};
+
+describe('finance offer payment estimates', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'financeOffers', () => {})];
+    datasets.financeOffers = [
+      { id: 'promo', lender: 'Summit', termMonths: 180, apr: 6, vehicleCategory: 'Motorhome', validUntil: '2026-06-15', tenantId },
+      { id: 'any', lender: 'Credit Union', termMonths: 120, apr: 7.5, tenantId },
+      { id: 'expired', lender: 'Old Promo', termMonths: 180, apr: 2.9, vehicleCategory: 'Motorhome', validUntil: '2026-05-31', tenantId },
+      { id: 'upcoming', lender: 'Summer', termMonths: 180, apr: 3.9, vehicleCategory: 'Motorhome', validFrom: '2026-07-01', tenantId },
+      { id: 'small', lender: 'Small Loans', termMonths: 84, apr: 4, maxAmount: 50000, tenantId },
+      { id: 'big-down', lender: 'Premier', termMonths: 240, apr: 5, downPayment: 20000, vehicleCategory: 'Motorhome', tenantId },
+      { id: 'trailer', lender: 'Towables', termMonths: 144, apr: 5.5, vehicleCategory: 'Travel Trailer', tenantId },
+      { id: 'other-tenant', lender: 'Elsewhere', termMonths: 180, apr: 1, tenantId: 'lexington' }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('amortizes the total price less down payment and trade for every applicable offer', () => {
+    const quote = financeOfferService.quotePayments(unit, { downPayment: 5000, tradeValue: 10000, now }, tenantId);
+
+    assert.deepEqual(quote.price, { price: 110000, salePrice: 100000, fees: 500, taxes: 6000, rebates: 1500, totalPrice: 105000 });
+    assert.deepEqual(
+      quote.estimates.map(estimate => [estimate.offerId, estimate.amountFinanced, estimate.monthlyPayment]),
+      [
+        ['promo', 90000, 759.47],
+        ['any', 90000, 1068.32]
+      ]
+    );
+    assert.equal(quote.estimates[0].totalOfPayments, 136704.6);
+    assert.equal(quote.estimates[0].financeCharge, 46704.6);
+    assert.deepEqual(
+      quote.excluded.map(entry => [entry.offerId, entry.reason]),
+      [
+        ['expired', 'expired'],
+        ['upcoming', 'not_started'],
+        ['small', 'above_max_amount'],
+        ['big-down', 'down_payment_below_minimum']
+      ]
+    );
+  });
+
+  it('filters by requested term and falls back to standard terms when no offer applies', () => {
+    const byTerm = financeOfferService.quotePayments(unit, { downPayment: 25000, termMonths: 240, now }, tenantId);
+    assert.deepEqual(byTerm.estimates.map(estimate => estimate.offerId), ['big-down']);
+    assert.equal(byTerm.excluded.find(entry => entry.offerId === 'promo').reason, 'term_mismatch');
+
+    const later = financeOfferService.quotePayments(unit, { termMonths: 60, now }, tenantId);
+    assert.equal(later.estimates.length, 1);
+    assert.equal(later.estimates[0].standard, true);
+    assert.equal(later.estimates[0].apr, financeOfferService.DEFAULT_PAYMENT_TERMS.apr);
+    assert.equal(later.estimates[0].downPayment, 10500);
+    assert.equal(later.estimates[0].termMonths, 60);
+  });
+
+  it('stops quoting offers outside their window in comparison estimates', () => {
+    assert.equal(financeOfferService.estimatePayment(105000, tenantId, { category: 'motorhome', now }).offerId, 'big-down');
+    const summer = new Date('2026-07-02T00:00:00.000Z');
+    assert.equal(financeOfferService.estimatePayment(105000, tenantId, { category: 'motorhome', now: summer }).offerId, 'upcoming');
+
+    const active = financeOfferService.list({ active: true }, tenantId).items.map(offer => offer.id);
+    assert.ok(active.includes('any'));
+    assert.ok(!active.includes('expired'));
+  });
+
+  it('validates windows and amount limits and clears them with null', () => {
+    assert.match(
+      financeOfferService.create({ lender: 'X', termMonths: 60, apr: 5, validFrom: '2026-08-01', validUntil: '2026-07-01' }, tenantId)
+        .error,
+      /validFrom must be on or before validUntil/
+    );
+    assert.match(
+      financeOfferService.create({ lender: 'X', termMonths: 60, apr: 5, minAmount: 90000, maxAmount: 10000 }, tenantId).error,
+      /minAmount must not exceed maxAmount/
+    );
+
+    const created = financeOfferService.create(
+      { lender: 'Window', termMonths: 60, apr: 5, validUntil: '2026-12-31', maxAmount: 75000 },
+      tenantId
+    );
+    assert.equal(created.offer.maxAmount, 75000);
+    const updated = financeOfferService.update(created.offer.id, { validUntil: null, minAmount: 80000 }, tenantId);
+    assert.match(updated.error, /minAmount must not exceed maxAmount/);
+    const cleared = financeOfferService.update(created.offer.id, { validUntil: null, maxAmount: null }, tenantId);
+    assert.equal(cleared.offer.validUntil, undefined);
+    assert.equal(cleared.offer.maxAmount, undefined);
+    assert.equal(cleared.offer.lender, 'Window');
+  });
+});
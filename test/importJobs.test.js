@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const config = require('../src/config');
+const { datasets, persist } = require('../src/services/state');
+const importJobService = require('../src/services/importJobService');
+const importProfileService = require('../src/services/importProfileService');
+const inventoryService = require('../src/services/inventoryService');
+
+const tenantId = 'main';
+
+describe('drop folder import jobs', () => {
+  let persistMocks;
+  let dropDir;
+
+  beforeEach(() => {
+    persistMocks = [
+      mock.method(persist, 'inventory', () => {}),
+      mock.method(persist, 'inventoryRevisions', () => {}),
+      mock.method(persist, 'importProfiles', () => {}),
+      mock.method(persist, 'importRuns', () => {})
+    ];
+    dropDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imports-'));
+    config.imports.dropDir = dropDir;
+    datasets.inventoryRevisions = [];
+    datasets.importProfiles = [];
+    datasets.importRuns = [];
+    datasets.inventory = [
+      { id: 'keep', stockNumber: 'A-1', vin: 'VIN-A1', name: 'Keeper', condition: 'new', price: 100000, tenantId },
+      { id: 'gone', stockNumber: 'A-2', vin: 'VIN-A2', name: 'Gone', condition: 'new', price: 90000, tenantId },
+      { id: 'manual', stockNumber: 'M-1', vin: null, name: 'No VIN', condition: 'used', price: 10000, tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+    config.imports.dropDir = null;
+    fs.rmSync(dropDir, { recursive: true, force: true });
+  });
+
+  const dropFile = (name, contents) => {
+    const inbox = path.join(dropDir, tenantId, 'inbox');
+    fs.mkdirSync(inbox, { recursive: true });
+    fs.writeFileSync(path.join(inbox, name), contents);
+  };
+
+  it('maps vendor columns, archives the file and retires units missing from the feed', () => {
+    const { profile } = importProfileService.create(
+      {
+        name: 'Nightly DMS',
+        filePattern: 'dms-*.csv',
+        columnMap: { 'Stock#': 'stockNumber', VIN: 'vin', Model: 'name', Cond: 'condition', Retail: 'price' },
+        missingUnitAction: 'sold'
+      },
+      tenantId
+    );
+    dropFile('dms-2024-06-01.csv', 'Stock#,VIN,Model,Cond,Retail\nA-1,VIN-A1,Keeper,new,95000\nB-1,VIN-B1,Newcomer,used,40000\n');
+
+    const { runs } = importJobService.processTenant(tenantId);
+
+    assert.equal(runs.length, 1);
+    const [run] = runs;
+    assert.equal(run.profileId, profile.id);
+    assert.equal(run.status, 'completed');
+    assert.deepEqual(run.summary, { total: 2, created: 1, updated: 1, unchanged: 0, failed: 0, markedMissing: 1 });
+    assert.deepEqual(run.markedUnitIds, ['gone']);
+    assert.equal(datasets.inventory.find(unit => unit.id === 'keep').price, 95000);
+    assert.equal(datasets.inventory.find(unit => unit.id === 'gone').status, 'sold');
+    assert.equal(datasets.inventory.find(unit => unit.id === 'manual').status, undefined);
+    assert.ok(datasets.inventory.some(unit => unit.vin === 'VIN-B1'));
+
+    assert.deepEqual(fs.readdirSync(path.join(dropDir, tenantId, 'inbox')), []);
+    assert.deepEqual(fs.readdirSync(path.join(dropDir, tenantId, 'processed')), [run.archivedAs]);
+    assert.equal(importJobService.list({}, tenantId)[0].id, run.id);
+  });
+
+  it('does not retire units when no row in the feed is usable', () => {
+    importProfileService.create({ name: 'Archive', missingUnitAction: 'archived' }, tenantId);
+    dropFile('broken.csv', 'stockNumber,vin,name,condition,price\nA-9,VIN-A9,Bad,new,not-a-price\n');
+
+    const { runs } = importJobService.processTenant(tenantId);
+
+    assert.equal(runs[0].status, 'failed');
+    assert.equal(runs[0].errors[0].code, 'INVALID_NUMBER');
+    assert.deepEqual(runs[0].markedUnitIds, []);
+    assert.ok(datasets.inventory.every(unit => unit.status === undefined));
+  });
+
+  it('keeps units whose feed row has the wrong column count', () => {
+    importProfileService.create({ name: 'Sold sweep', missingUnitAction: 'sold' }, tenantId);
+    dropFile('short-row.csv', 'stockNumber,vin,name,condition,price\nA-1,VIN-A1,Keeper,new,95000\nA-2,vin-a2,Gone\n');
+
+    const { runs } = importJobService.processTenant(tenantId);
+
+    assert.deepEqual([runs[0].status, runs[0].errors[0].code], ['completed_with_errors', 'COLUMN_COUNT']);
+    assert.deepEqual(runs[0].markedUnitIds, []);
+    assert.equal(datasets.inventory.find(unit => unit.id === 'gone').status, undefined);
+  });
+
+  it('records a failed run and moves the file to failed/ when the import throws', () => {
+    dropFile('crash.csv', 'stockNumber,vin,name,condition,price\nA-9,VIN-A9,Crash,new,100\n');
+    const importMock = mock.method(inventoryService, 'importCsv', () => {
+      throw new Error('Disk full');
+    });
+
+    const { runs } = importJobService.processTenant(tenantId);
+    importMock.mock.restore();
+
+    assert.deepEqual([runs[0].status, runs[0].archiveFolder, runs[0].errors[0].code], ['failed', 'failed', 'IMPORT_FAILED']);
+    assert.equal(datasets.importRuns.length, 1);
+    assert.deepEqual(fs.readdirSync(path.join(dropDir, tenantId, 'inbox')), []);
+    assert.deepEqual(fs.readdirSync(path.join(dropDir, tenantId, 'processed')), []);
+    assert.deepEqual(fs.readdirSync(path.join(dropDir, tenantId, 'failed')), [runs[0].archivedAs]);
+  });
+
+  it('rejects profiles that map onto unknown inventory fields', () => {
+    const result = importProfileService.create({ name: 'Bad', columnMap: { Retail: 'retailPrice' } }, tenantId);
+
+    assert.match(result.error, /Unknown inventory field "retailPrice"/);
+  });
+});
@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const inventoryService = require('../src/services/inventoryService');
+const inventoryAgingService = require('../src/services/inventoryAgingService');
+const settingsService = require('../src/services/settingsService');
+
+const tenantId = 'main';
+const now = new Date('2024-07-01T12:00:00.000Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('inventory aging', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'tasks', () => {}), mock.method(persist, 'settings', () => {})];
+    datasets.tasks = [];
+    datasets.settings = [{ tenantId }];
+    datasets.inventory = [
+      { id: 'fresh', stockNumber: 'F-1', name: 'Fresh', location: 'Lexington', category: 'Fifth Wheel', price: 50000, createdAt: daysAgo(10), tenantId },
+      { id: 'stale', stockNumber: 'S-1', name: 'Stale', location: 'Lexington', category: 'Motorhome', price: 200000, floorplanAmount: 146000, receivedAt: daysAgo(75), createdAt: daysAgo(400), tenantId },
+      { id: 'ancient', stockNumber: 'A-1', name: 'Ancient', location: 'Harrodsburg', category: 'Motorhome', price: 90000, createdAt: daysAgo(120), tenantId },
+      { id: 'sold', stockNumber: 'X-1', name: 'Sold', location: 'Lexington', category: 'Motorhome', price: 1, createdAt: daysAgo(300), status: 'sold', soldAt: daysAgo(200), tenantId },
+      { id: 'legacy', stockNumber: 'L-1', name: 'Legacy', daysOnLot: 42, price: 1000, tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('derives daysOnLot from receivedAt or createdAt and stops counting once sold', () => {
+    assert.equal(inventoryService.calculateDaysOnLot(datasets.inventory[1], now), 75);
+    assert.equal(inventoryService.calculateDaysOnLot(datasets.inventory[2], now), 120);
+    assert.equal(inventoryService.calculateDaysOnLot(datasets.inventory[3], now), 100);
+    assert.equal(inventoryService.calculateDaysOnLot(datasets.inventory[4], now), 42);
+  });
+
+  it('buckets in-stock units by location and category with floorplan interest', () => {
+    settingsService.updateInventoryAging({ floorplanRate: 7.3 }, tenantId);
+
+    const report = inventoryAgingService.agingReport(tenantId, {}, now);
+
+    assert.deepEqual(report.totals.counts, { '0-30': 1, '31-60': 1, '61-90': 1, '90+': 1 });
+    assert.deepEqual(report.units.map(unit => unit.id), ['ancient', 'stale', 'legacy', 'fresh']);
+    const stale = report.units.find(unit => unit.id === 'stale');
+    assert.equal(stale.dailyFloorplanCost, 29.2);
+    assert.equal(stale.floorplanCost, 2190);
+    assert.deepEqual(report.byLocation[0], {
+      location: 'Lexington',
+      units: 2,
+      counts: { '0-30': 1, '31-60': 0, '61-90': 1, '90+': 0 },
+      floorplanCost: 2290,
+      averageDaysOnLot: 43
+    });
+    assert.deepEqual(report.byCategory.map(group => [group.category, group.units]), [
+      ['Motorhome', 2],
+      ['Fifth Wheel', 1],
+      ['Unassigned', 1]
+    ]);
+    assert.deepEqual(
+      inventoryAgingService.agingReport(tenantId, { location: 'Harrodsburg' }, now).units.map(unit => unit.id),
+      ['ancient']
+    );
+
+    settingsService.updateInventoryAging({ floorplanRate: null }, tenantId);
+    const cleared = inventoryAgingService.agingReport(tenantId, {}, now);
+    assert.equal(settingsService.getInventoryAging(tenantId).floorplanRate, null);
+    assert.equal(cleared.totals.floorplanCost, null);
+  });
+
+  it('opens one sales task per crossed threshold without duplicating on rerun', () => {
+    const created = inventoryAgingService.flagAgedUnits(tenantId, now);
+
+    assert.deepEqual(created.map(task => [task.inventoryId, task.sourceKey]), [
+      ['stale', 'inventory-aging:stale:60'],
+      ['ancient', 'inventory-aging:ancient:90']
+    ]);
+    assert.equal(created[0].assignedTo, 'sales');
+    assert.match(created[0].title, /S-1 passed 60 days on lot/);
+    assert.deepEqual(inventoryAgingService.flagAgedUnits(tenantId, now), []);
+
+    const later = inventoryAgingService.flagAgedUnits(tenantId, new Date(now.getTime() + 20 * 24 * 60 * 60 * 1000));
+    assert.deepEqual(later.map(task => task.sourceKey), ['inventory-aging:stale:90']);
+  });
+});
@@ -0,0 +1,128 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const inventoryService = require('../src/services/inventoryService');
+const inventoryBulkService = require('../src/services/inventoryBulkService');
+
+const unit = (id, overrides = {}) => ({
+  id,
+  stockNumber: id.toUpperCase(),
+  vin: `1ABCD23EFGH45000${id.slice(-1)}`,
+  slug: `unit-${id}`,
+  name: `Unit ${id}`,
+  condition: 'new',
+  status: 'available',
+  location: 'Lot A',
+  price: 40000,
+  vinDecode: { warnings: [] },
+  tenantId: 'main',
+  ...overrides
+});
+
+describe('inventory bulk edits', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'inventory', () => {}), mock.method(persist, 'inventoryRevisions', () => {})];
+    datasets.inventoryRevisions = [];
+    datasets.spotlightTemplates = [
+      { id: 'tpl-1', name: 'Solar', spotlights: [{ title: 'Solar', description: '400W roof solar', priority: 1 }], tenantId: 'main' }
+    ];
+    datasets.inventory = [
+      unit('u-1', { condition: 'used', salePrice: 38000 }),
+      unit('u-2', { condition: 'used' }),
+      unit('u-3'),
+      unit('u-4', { condition: 'used', tenantId: 'other' })
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('previews a filtered price adjustment without writing anything', () => {
+    const result = inventoryBulkService.run(
+      { filter: { condition: ['used'] }, operation: { type: 'adjustPrice', field: 'salePrice', percent: -5 }, dryRun: true },
+      'main'
+    );
+
+    assert.deepEqual(result.summary, { matched: 2, updated: 2, unchanged: 0, failed: 0 });
+    const changes = Object.fromEntries(result.results.map(entry => [entry.id, entry.changes]));
+    assert.deepEqual(changes['u-1'], [{ field: 'salePrice', from: 38000, to: 36100 }]);
+    assert.deepEqual(changes['u-2'], [{ field: 'salePrice', from: undefined, to: 38000 }]);
+    assert.equal(datasets.inventory[0].salePrice, 38000);
+    assert.equal(datasets.inventoryRevisions.length, 0);
+  });
+
+  it('applies operations by id through the regular update path', () => {
+    const priced = inventoryBulkService.run(
+      { ids: ['u-1', 'u-3'], operation: { type: 'adjustPrice', percent: 10 } },
+      'main',
+      { changedBy: 'manager@example.com' }
+    );
+    assert.deepEqual(
+      priced.updates.map(update => [update.unit.id, update.unit.price]),
+      [['u-1', 44000], ['u-3', 44000]]
+    );
+    assert.deepEqual(
+      datasets.inventoryRevisions.map(rev => [rev.inventoryId, rev.field, rev.previousValue, rev.nextValue, rev.changedBy]),
+      [
+        ['u-1', 'price', 40000, 44000, 'manager@example.com'],
+        ['u-3', 'price', 40000, 44000, 'manager@example.com']
+      ]
+    );
+
+    const templated = inventoryBulkService.run({ ids: ['u-2'], operation: { type: 'applySpotlightTemplate', templateId: 'tpl-1' } }, 'main');
+    assert.equal(templated.summary.updated, 1);
+    assert.equal(datasets.inventory[1].spotlights[0].title, 'Solar');
+    assert.equal(datasets.inventoryRevisions.at(-1).field, 'spotlights');
+
+    const located = inventoryBulkService.run(
+      { ids: ['u-1', 'u-2'], operation: { type: 'set', fields: { location: 'Lot B', stockNumber: 'SAME' } } },
+      'main'
+    );
+    assert.deepEqual(located.results.map(entry => entry.changes), [
+      [{ field: 'location', from: 'Lot A', to: 'Lot B' }],
+      [{ field: 'location', from: 'Lot A', to: 'Lot B' }]
+    ]);
+    assert.deepEqual(datasets.inventory.map(entry => entry.stockNumber), ['U-1', 'U-2', 'U-3', 'U-4']);
+
+    const featured = inventoryBulkService.run({ ids: ['u-1', 'u-3'], operation: { type: 'setFeatured', featured: false } }, 'main');
+    assert.equal(featured.summary.unchanged, 2);
+  });
+
+  it('refuses the whole run when any unit cannot be planned', () => {
+    const result = inventoryBulkService.run({ ids: ['u-1', 'u-4'], operation: { type: 'setFeatured', featured: true } }, 'main');
+
+    assert.match(result.error, /nothing was changed/);
+    assert.deepEqual(
+      result.results.map(entry => [entry.id, entry.status]),
+      [['u-1', 'updated'], ['u-4', 'failed']]
+    );
+    assert.equal(datasets.inventory[0].featured, undefined);
+  });
+
+  it('rolls back units and revisions already written when a later write fails', () => {
+    const realUpdate = inventoryService.update;
+    const updateMock = mock.method(inventoryService, 'update', (id, payload, tenantId) =>
+      id === 'u-3' ? { error: 'Disk full' } : realUpdate(id, payload, tenantId)
+    );
+    const before = [...datasets.inventory];
+
+    try {
+      const result = inventoryBulkService.run({ ids: ['u-1', 'u-2', 'u-3'], operation: { type: 'adjustPrice', percent: -10 } }, 'main');
+
+      assert.equal(result.rolledBack, true);
+      assert.deepEqual(
+        result.results.map(entry => [entry.id, entry.status]),
+        [['u-1', 'rolled_back'], ['u-2', 'rolled_back'], ['u-3', 'failed']]
+      );
+      assert.deepEqual(datasets.inventory.map(entry => entry.price), [40000, 40000, 40000, 40000]);
+      assert.deepEqual(datasets.inventory, before);
+      assert.equal(datasets.inventoryRevisions.length, 0);
+    } finally {
+      updateMock.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,111 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const inventoryCompareService = require('../src/services/inventoryCompareService');
+const financeOfferService = require('../src/services/financeOfferService');
+
+const tenantId = 'main';
+
+describe('inventory comparison', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'seoProfiles', () => {})];
+    datasets.seoProfiles = [];
+    datasets.settings = [{ tenantId, badgeRules: {} }];
+    datasets.inventoryDisplayConfigs = [
+      {
+        tenantId,
+        listView: {
+          fields: [
+            { field: 'price', visible: true, order: 1 },
+            { field: 'year', visible: true, order: 2 },
+            { field: 'mileage', visible: false, order: 3 }
+          ]
+        }
+      }
+    ];
+    datasets.financeOffers = [
+      { id: 'fin-motorhome', lender: 'Summit', termMonths: 180, apr: 5.25, downPayment: 10000, vehicleCategory: 'Motorhome', tenantId },
+      { id: 'fin-other', lender: 'Elsewhere', termMonths: 60, apr: 1, vehicleCategory: 'Motorhome', tenantId: 'lexington' }
+    ];
+    datasets.inventory = [
+      {
+        id: 'a',
+        stockNumber: 'A-1',
+        name: 'View 24D',
+        brand: 'Winnebago',
+        category: 'Motorhome',
+        subcategory: 'Class C',
+        condition: 'new',
+        year: 2024,
+        price: 180000,
+        length: 25,
+        mileage: 12,
+        badges: ['National Park Friendly'],
+        spotlights: [
+          { title: 'Murphy bed', description: 'Sleeps two', priority: 1 },
+          { title: 'Mercedes chassis', description: 'Diesel', priority: 5 }
+        ],
+        tenantId
+      },
+      {
+        id: 'b',
+        stockNumber: 'B-1',
+        name: 'Solitude 390RK',
+        brand: 'Grand Design',
+        category: 'Fifth Wheel',
+        subcategory: 'Rear Living',
+        condition: 'new',
+        year: 2024,
+        price: 90000,
+        fees: 1500,
+        length: 42,
+        tenantId
+      },
+      { id: 'z', stockNumber: 'Z-1', name: 'Other tenant', price: 1, tenantId: 'lexington' }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('builds a spec matrix in display-config order and flags differing rows', () => {
+    const { comparison } = inventoryCompareService.compare('a,b', tenantId);
+
+    assert.deepEqual(comparison.rows.slice(0, 3).map(row => row.field), ['price', 'year', 'make']);
+    assert.ok(!comparison.rows.some(row => row.field === 'mileage'));
+    assert.ok(!comparison.rows.some(row => row.field === 'chassis'));
+
+    const byField = Object.fromEntries(comparison.rows.map(row => [row.field, row]));
+    assert.deepEqual(byField.price.values, [180000, 91500]);
+    assert.equal(byField.price.differs, true);
+    assert.equal(byField.year.differs, false);
+    assert.equal(byField.condition.differs, false);
+    assert.deepEqual(byField.subcategory.values, ['Class C', 'Rear Living']);
+
+    const [first, second] = comparison.units;
+    assert.deepEqual(first.spotlights.map(spotlight => spotlight.title), ['Mercedes chassis', 'Murphy bed']);
+    assert.deepEqual(first.badges, ['National Park Friendly']);
+    assert.equal(first.payment.offerId, 'fin-motorhome');
+    assert.equal(second.payment.offerId, undefined);
+    assert.equal(second.payment.downPayment, 9150);
+  });
+
+  it('rejects too few or too many units and reports units outside the tenant', () => {
+    assert.match(inventoryCompareService.compare(['a'], tenantId).error, /between 2 and 3/);
+    assert.match(inventoryCompareService.compare(['a', 'b', 'c', 'd'], tenantId).error, /between 2 and 3/);
+    assert.deepEqual(inventoryCompareService.compare(['a', 'z'], tenantId), { notFound: true, missing: ['z'] });
+  });
+
+  it('amortizes the financed amount at the offer APR', () => {
+    const estimate = financeOfferService.estimatePayment(180000, tenantId, { category: 'motorhome' });
+
+    assert.equal(estimate.apr, 5.25);
+    assert.equal(estimate.termMonths, 180);
+    assert.equal(estimate.monthlyPayment, 1366.59);
+    assert.equal(financeOfferService.estimatePayment(0, tenantId), null);
+  });
+});
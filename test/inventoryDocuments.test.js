@@ -0,0 +1,173 @@
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const qrCode = require('../src/lib/qrCode');
+const { datasets, persist } = require('../src/services/state');
+const settingsService = require('../src/services/settingsService');
+const inventoryDocumentService = require('../src/services/inventoryDocumentService');
+
+const pageStreams = buffer =>
+  Array.from(buffer.toString('latin1').matchAll(/stream\n([\s\S]*?)\nendstream/g)).map(match =>
+    zlib.inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1')
+  );
+
+const textRuns = buffer =>
+  pageStreams(buffer)
+    .join('\n')
+    .split('\n')
+    .map(line => /\((.*)\) Tj/.exec(line)?.[1])
+    .filter(value => value !== undefined);
+
+// Format information next to the top-left finder, least significant bit first.
+function readFormatBits(modules) {
+  const cells = [0, 1, 2, 3, 4, 5, 7, 8].map(y => modules[y][8]);
+  cells.push(modules[8][7], ...[5, 4, 3, 2, 1, 0].map(x => modules[8][x]));
+  return cells.reduce((bits, dark, index) => bits | (dark ? 1 << index : 0), 0);
+}
+
+function bchRemainder(data, generator, degree) {
+  let remainder = data;
+  for (let i = 0; i < degree; i += 1) remainder = (remainder << 1) ^ ((remainder >>> (degree - 1)) * generator);
+  return remainder;
+}
+
+describe('qr code encoder', () => {
+  it('computes Reed-Solomon error correction for the reference HELLO WORLD block', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    assert.deepEqual(
+      qrCode.reedSolomonRemainder(data, qrCode.reedSolomonDivisor(10)),
+      [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]
+    );
+  });
+
+  it('picks the smallest version and writes level M format bits and finder patterns', () => {
+    const code = qrCode.encode('https://rv.example.com/inventory/d3342');
+    assert.equal(code.version, 3);
+    assert.equal(code.size, 29);
+    const format = readFormatBits(code.modules) ^ 0x5412;
+    assert.equal(format >> 10, code.mask, 'level M is 00, so the data bits are just the mask');
+    assert.equal(bchRemainder(format >> 10, 0x537, 10), format & 0x3ff);
+    [[0, 0], [code.size - 7, 0], [0, code.size - 7]].forEach(([x, y]) => {
+      assert.deepEqual(code.modules[y].slice(x, x + 7), [true, true, true, true, true, true, true]);
+      assert.deepEqual(code.modules[y + 1].slice(x, x + 7), [true, false, false, false, false, false, true]);
+    });
+  });
+
+  it('adds version information for longer payloads and rejects ones that do not fit', () => {
+    const code = qrCode.encode(`https://rv.example.com/inventory/${'a'.repeat(100)}`);
+    assert.equal(code.version, 8);
+    // Version 8 information is 001000010110111100; the top-right block holds it least significant bit first.
+    const block = [0, 1, 2, 3, 4, 5].flatMap(y => [0, 1, 2].map(i => code.modules[y][code.size - 11 + i]));
+    assert.equal(block.reduce((bits, dark, index) => bits | (dark ? 1 << index : 0), 0), 0b001000010110111100);
+    assert.throws(() => qrCode.encode('x'.repeat(300)), /too long/);
+  });
+});
+
+describe('inventory documents', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'settings', () => {})];
+    datasets.seoProfiles = [];
+    datasets.settings = [
+      {
+        tenantId: 'main',
+        dealershipName: 'Lakeside RV',
+        city: 'Bend',
+        state: 'OR',
+        phone: '555-0100',
+        currency: 'USD',
+        website: 'https://lakeside.example.com/'
+      }
+    ];
+    datasets.inventory = [
+      {
+        id: 'unit-1',
+        slug: '2024-summit-27bh',
+        stockNumber: 'S-27',
+        vin: '1ABCD23EFGH456789',
+        name: 'Summit 27BH',
+        year: 2024,
+        condition: 'new',
+        length: 31,
+        slides: 2,
+        msrp: 62000,
+        price: 54000,
+        salePrice: 51000,
+        fees: 499,
+        taxes: 3100,
+        rebates: 1500,
+        badges: ['Bunkhouse', 'Off-Grid Ready'],
+        spotlights: [
+          { title: 'Solar package', description: '400W roof solar', priority: 1 },
+          { title: 'Outdoor kitchen', description: 'Two-burner cooktop (propane)', priority: 5 }
+        ],
+        salesStory: 'Family-ready bunkhouse. '.repeat(200),
+        tenantId: 'main'
+      }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('renders a window sticker with the price breakdown, badges, spotlights and canonical QR link', () => {
+    const result = inventoryDocumentService.render('unit-1', 'sticker', 'main');
+
+    assert.equal(result.fileName, 'S-27-window-sticker.pdf');
+    assert.equal(result.url, 'https://lakeside.example.com/inventory/2024-summit-27bh');
+    const pdf = result.buffer.toString('latin1');
+    assert.match(pdf, /^%PDF-1\.4/);
+    assert.match(pdf, /%%EOF\n$/);
+    const startxref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+    assert.equal(pdf.slice(startxref, startxref + 4), 'xref');
+
+    const text = textRuns(result.buffer);
+    ['Lakeside RV', 'Window Sticker', '2024 Summit 27BH', '$62,000.00', '$51,000.00', '$499.00', '$3,100.00', '-$1,500.00'].forEach(
+      value => assert.ok(text.includes(value), `missing ${value}`)
+    );
+    assert.equal(text[text.indexOf('Total price') + 1], '$53,099.00');
+    assert.ok(text.includes('Bunkhouse'));
+    assert.ok(text.indexOf('Outdoor kitchen') < text.indexOf('Solar package'));
+    assert.ok(text.includes('Two-burner cooktop \\(propane\\)'));
+    assert.ok(text.includes(result.url));
+  });
+
+  it('applies per-tenant template overrides and flows long content onto extra pages', () => {
+    settingsService.updateDocumentTemplates(
+      { specSheet: { title: 'Spec Sheet', pageSize: 'a4', sections: ['header', 'story', 'footer'], disclaimer: 'Call us.' } },
+      'main'
+    );
+
+    const templates = inventoryDocumentService.getTemplates('main');
+    assert.equal(templates.specSheet.title, 'Spec Sheet');
+    assert.equal(templates.specSheet.accentColor, inventoryDocumentService.DEFAULT_DOCUMENT_TEMPLATES.specSheet.accentColor);
+    assert.equal(templates.sticker.title, 'Window Sticker');
+
+    const result = inventoryDocumentService.render('unit-1', 'specSheet', 'main');
+    const pdf = result.buffer.toString('latin1');
+    assert.match(pdf, /\/MediaBox \[0 0 595\.28 841\.89\]/);
+    assert.ok(Number(/\/Count (\d+)/.exec(pdf)[1]) > 1);
+    const text = textRuns(result.buffer);
+    assert.ok(text.includes('Spec Sheet'));
+    assert.ok(text.includes('Call us.'));
+    assert.ok(!text.includes('Pricing'));
+    assert.ok(!text.includes(result.url));
+  });
+
+  it('leaves out the QR section when the unit URL is too long to encode', () => {
+    datasets.settings[0].website = `https://lakeside.example.com/${'rv-'.repeat(100)}`;
+
+    const result = inventoryDocumentService.render('unit-1', 'sticker', 'main');
+
+    const text = textRuns(result.buffer);
+    assert.ok(text.includes('Window Sticker'));
+    assert.ok(!text.includes('Scan for photos, pricing and availability'));
+  });
+
+  it('returns notFound for units outside the tenant', () => {
+    assert.deepEqual(inventoryDocumentService.render('unit-1', 'sticker', 'other'), { notFound: true });
+  });
+});
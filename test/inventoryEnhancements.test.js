@@ -139,4 +139,25 @@ describe('inventory storytelling enhancements', () => {
     assert.equal(recompute.updated, 1);
     assert.ok(datasets.inventory[0].badges.includes('Diesel Intent'));
   });
+
+  it('records price history and flags recent price drops', () => {
+    const result = inventoryService.update('inv-1', { price: 95000, updatedBy: 'manager@test.dev' }, tenantId);
+    assert.deepEqual(result.pricingChanges, [{ field: 'price', previous: 100000, next: 95000 }]);
+    assert.equal(result.priceDrop.amount, 5000);
+    assert.ok(result.unit.badges.includes('Price Drop'));
+
+    const history = inventoryRevisionService.listPriceHistory('inv-1', tenantId);
+    assert.equal(history.length, 1);
+    assert.equal(history[0].changedBy, 'manager@test.dev');
+    assert.equal(history[0].previousTotalPrice, 100000);
+    assert.equal(history[0].nextTotalPrice, 95000);
+
+    datasets.inventory[0].priceDroppedAt = '2020-01-01T00:00:00.000Z';
+    assert.ok(!inventoryService.findById('inv-1', tenantId).badges.includes('Price Drop'));
+
+    settingsService.updateBadgeRules({ priceDropWindowDays: 0 }, tenantId);
+    const dropped = inventoryService.update('inv-1', { price: 90000 }, tenantId);
+    assert.ok(dropped.priceDrop);
+    assert.ok(!dropped.unit.badges.includes('Price Drop'));
+  });
 });
@@ -0,0 +1,202 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const config = require('../src/config');
+const { probeImage } = require('../src/lib/imageProbe');
+const { parseMultipart } = require('../src/lib/multipart');
+const { datasets, persist } = require('../src/services/state');
+const inventoryMediaService = require('../src/services/inventoryMediaService');
+const seoService = require('../src/services/seoService');
+
+function png(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function jpeg(width, height) {
+  const app0 = Buffer.concat([Buffer.from([0xff, 0xe0, 0x00, 0x10]), Buffer.from('JFIF\0'), Buffer.alloc(9)]);
+  const sof = Buffer.from([0xff, 0xc0, 0x00, 0x11, 0x08, height >> 8, height & 0xff, width >> 8, width & 0xff, 0x03]);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof, Buffer.alloc(12)]);
+}
+
+describe('image probing and multipart parsing', () => {
+  it('reads dimensions from PNG, JPEG, GIF and WebP headers', () => {
+    assert.deepEqual(probeImage(png(1600, 1067)), { format: 'png', width: 1600, height: 1067, mimeType: 'image/png', extension: 'png' });
+    assert.equal(probeImage(jpeg(2048, 1365)).width, 2048);
+    assert.equal(probeImage(jpeg(2048, 1365)).height, 1365);
+
+    const gif = Buffer.alloc(13);
+    gif.write('GIF89a', 0, 'ascii');
+    gif.writeUInt16LE(320, 6);
+    gif.writeUInt16LE(200, 8);
+    assert.deepEqual([probeImage(gif).width, probeImage(gif).height], [320, 200]);
+
+    const webp = Buffer.alloc(30);
+    webp.write('RIFF', 0, 'ascii');
+    webp.write('WEBPVP8X', 8, 'ascii');
+    webp.writeUIntLE(1279, 24, 3);
+    webp.writeUIntLE(719, 27, 3);
+    assert.deepEqual([probeImage(webp).width, probeImage(webp).height], [1280, 720]);
+
+    assert.equal(probeImage(Buffer.from('not an image')), null);
+  });
+
+  it('splits multipart bodies into fields and binary files', () => {
+    const image = png(10, 10);
+    const body = Buffer.concat([
+      Buffer.from('--b0und\r\nContent-Disposition: form-data; name="photos"; filename="front.png"\r\nContent-Type: image/png\r\n\r\n'),
+      image,
+      Buffer.from('\r\n--b0und\r\nContent-Disposition: form-data; name="isHero"\r\n\r\ntrue\r\n--b0und--\r\n')
+    ]);
+
+    const { fields, files } = parseMultipart(body, 'multipart/form-data; boundary=b0und');
+
+    assert.deepEqual(fields, { isHero: 'true' });
+    assert.equal(files.length, 1);
+    assert.equal(files[0].fileName, 'front.png');
+    assert.ok(files[0].data.equals(image));
+  });
+});
+
+describe('inventory media uploads', () => {
+  let persistMocks;
+  let uploadDir;
+  const originalUploadDir = config.media.uploadDir;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'inventory', () => {}), mock.method(persist, 'inventoryRevisions', () => {})];
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+    config.media.uploadDir = uploadDir;
+    datasets.inventory = [
+      {
+        id: 'unit-1',
+        stockNumber: 'M-1',
+        name: 'Media Unit',
+        price: 1000,
+        media: { photos: [{ id: 'legacy', url: 'https://cdn.example.com/a.jpg', width: 800, height: 600, isHero: true }] },
+        tenantId: 'main'
+      }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+    config.media.uploadDir = originalUploadDir;
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  it('stores files per tenant with dimensions, derivative sizes, a placeholder and a single hero', () => {
+    const result = inventoryMediaService.upload(
+      'unit-1',
+      [
+        { fieldName: 'photos', fileName: 'front.jpg', data: jpeg(2000, 1333) },
+        { fieldName: 'photos', fileName: 'side.png', data: png(1600, 900) }
+      ],
+      { isHero: true },
+      'main'
+    );
+
+    const [front, side] = result.photos;
+    assert.equal(front.width, 2000);
+    assert.equal(front.mimeType, 'image/jpeg');
+    assert.match(front.url, /^\/media\/main\/unit-1\/[\w-]+\.jpg$/);
+    assert.deepEqual(front.sizes.map(size => [size.width, size.height]), [[320, 213], [640, 427], [1024, 682], [1600, 1066]]);
+    assert.equal(front.optimizedUrl, `${front.url}?w=1024`);
+    assert.match(front.placeholderUrl, /^data:image\/svg\+xml;base64,/);
+    assert.ok(fs.existsSync(path.join(uploadDir, 'main', 'unit-1', front.fileName)));
+    assert.deepEqual(datasets.inventory[0].media.photos.map(photo => [photo.id, photo.isHero]), [
+      ['legacy', false],
+      [front.id, true],
+      [side.id, false]
+    ]);
+    assert.deepEqual(result.issues.map(issue => [issue.code, issue.photoId]), [['under_resolution', 'legacy']]);
+  });
+
+  it('rejects uploads containing unreadable files without writing any of them', () => {
+    const result = inventoryMediaService.upload(
+      'unit-1',
+      [
+        { fieldName: 'photos', fileName: 'ok.png', data: png(1600, 900) },
+        { fieldName: 'photos', fileName: 'notes.txt', data: Buffer.from('hello') }
+      ],
+      {},
+      'main'
+    );
+
+    assert.match(result.error, /notes\.txt/);
+    assert.equal(fs.existsSync(path.join(uploadDir, 'main')), false);
+  });
+
+  it('reorders, moves the hero and deletes photos along with their files', () => {
+    const { photos } = inventoryMediaService.upload(
+      'unit-1',
+      [{ fieldName: 'photo', fileName: 'rear.png', data: png(1600, 900) }],
+      {},
+      'main'
+    );
+    const uploaded = photos[0];
+
+    inventoryMediaService.reorder('unit-1', [uploaded.id], 'main');
+    assert.deepEqual(datasets.inventory[0].media.photos.map(photo => photo.id), [uploaded.id, 'legacy']);
+    assert.match(inventoryMediaService.reorder('unit-1', ['missing'], 'main').error, /missing/);
+
+    inventoryMediaService.updatePhoto('unit-1', uploaded.id, { isHero: true }, 'main');
+    assert.deepEqual(datasets.inventory[0].media.photos.map(photo => photo.isHero), [true, false]);
+    assert.equal(datasets.inventory[0].media.photos[0].sizes.length, 3);
+
+    const removed = inventoryMediaService.removePhoto('unit-1', uploaded.id, 'main');
+    assert.equal(fs.existsSync(path.join(uploadDir, 'main', 'unit-1', uploaded.fileName)), false);
+    assert.deepEqual(removed.issues.map(issue => issue.code), ['under_resolution']);
+    assert.equal(datasets.inventory[0].media.photos[0].isHero, true);
+  });
+
+  it('makes the first photo the hero whenever no photo is flagged', () => {
+    datasets.inventory[0].media = { photos: [] };
+    const { photos } = inventoryMediaService.upload(
+      'unit-1',
+      [
+        { fieldName: 'photos', fileName: 'front.png', data: png(1600, 900) },
+        { fieldName: 'photos', fileName: 'rear.png', data: png(1600, 900) }
+      ],
+      {},
+      'main'
+    );
+    assert.deepEqual(photos.map(photo => photo.isHero), [true, false]);
+    assert.deepEqual(datasets.inventory[0].media.photos.map(photo => photo.isHero), [true, false]);
+
+    inventoryMediaService.updatePhoto('unit-1', photos[1].id, { isHero: true }, 'main');
+    const { issues } = inventoryMediaService.updatePhoto('unit-1', photos[1].id, { isHero: false }, 'main');
+    assert.deepEqual(datasets.inventory[0].media.photos.map(photo => photo.isHero), [true, false]);
+    assert.deepEqual(issues, []);
+  });
+
+  it('surfaces missing heroes and under-resolution photos in seoHealth', () => {
+    persistMocks.push(mock.method(persist, 'seoProfiles', () => {}));
+    datasets.seoProfiles = [];
+    datasets.inventory.push(
+      { id: 'unit-2', stockNumber: 'M-2', name: 'No Photos', price: 1000, tenantId: 'main' },
+      {
+        id: 'unit-3',
+        stockNumber: 'M-3',
+        name: 'Good Photos',
+        price: 1000,
+        media: { photos: [{ id: 'p', url: 'https://cdn.example.com/p.jpg', width: 2400, height: 1600, isHero: true }] },
+        tenantId: 'main'
+      }
+    );
+
+    const result = seoService.seoHealth('main');
+
+    assert.deepEqual(result.metrics.unitsMissingHeroPhoto, { value: 1, severity: 'warning' });
+    assert.deepEqual(result.metrics.underResolutionPhotos, { value: 1, severity: 'warning' });
+    assert.deepEqual(result.mediaIssues.map(entry => entry.inventoryId).sort(), ['unit-1', 'unit-2']);
+  });
+});
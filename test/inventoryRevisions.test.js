@@ -0,0 +1,125 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const inventoryService = require('../src/services/inventoryService');
+const inventoryRevisionService = require('../src/services/inventoryRevisionService');
+
+const tenantId = 'main';
+
+// Revisions are stamped with the current time; tests move a changeset into the past to build a timeline.
+function backdate(changesetId, changedAt) {
+  datasets.inventoryRevisions
+    .filter(rev => rev.changesetId === changesetId)
+    .forEach(rev => {
+      rev.changedAt = changedAt;
+    });
+}
+
+describe('inventory changesets', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'inventory', () => {}), mock.method(persist, 'inventoryRevisions', () => {})];
+    datasets.inventoryRevisions = [];
+    datasets.inventory = [
+      {
+        id: 'inv-1',
+        stockNumber: 'R-1',
+        vin: 'VIN-R1',
+        name: 'Ridge 30',
+        slug: 'ridge-30',
+        condition: 'new',
+        location: 'Lot A',
+        price: 60000,
+        vinDecode: { warnings: [] },
+        createdAt: '2025-12-01T00:00:00.000Z',
+        tenantId
+      },
+      { id: 'inv-2', stockNumber: 'R-2', vin: 'VIN-R2', name: 'Ridge 32', slug: 'ridge-32', price: 70000, tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('records each edit as one changeset with a field-level diff', () => {
+    inventoryService.update('inv-1', { location: 'Lot B', price: 58000, description: 'Clean', updatedBy: 'sam@test.dev' }, tenantId);
+    inventoryService.setFeatured('inv-1', true, tenantId, 'lee@test.dev');
+    inventoryService.updateMedia('inv-1', { photos: [{ url: 'https://cdn.test/1.jpg' }] }, tenantId, 'lee@test.dev');
+
+    const [media, featured, edit] = inventoryRevisionService.listChangesets('inv-1', tenantId);
+    assert.equal(edit.changedBy, 'sam@test.dev');
+    assert.equal(edit.source, 'update');
+    assert.deepEqual(
+      edit.changes.map(change => [change.field, change.previousValue, change.nextValue]),
+      [
+        ['location', 'Lot A', 'Lot B'],
+        ['price', 60000, 58000],
+        ['description', null, 'Clean']
+      ]
+    );
+    assert.deepEqual(featured.changes, [{ field: 'featured', previousValue: false, nextValue: true }]);
+    assert.deepEqual(media.changes.map(change => change.field), ['media']);
+
+    const price = inventoryRevisionService.listPriceHistory('inv-1', tenantId)[0];
+    assert.deepEqual([price.previousTotalPrice, price.nextTotalPrice], [60000, 58000]);
+  });
+
+  it('tags import updates and filters revisions by field, actor and source', () => {
+    inventoryService.update('inv-1', { location: 'Lot B', updatedBy: 'sam@test.dev' }, tenantId);
+    inventoryService.importCsv('stockNumber,location,price\nR-1,Lot C,59000', tenantId, {
+      mode: 'upsert',
+      matchBy: 'stockNumber',
+      changedBy: 'feed@test.dev'
+    });
+
+    const locations = inventoryRevisionService.listRevisions('inv-1', tenantId, { field: 'location' });
+    assert.deepEqual(locations.map(rev => [rev.nextValue, rev.source]), [['Lot C', 'import'], ['Lot B', 'update']]);
+    assert.deepEqual(
+      inventoryRevisionService.listRevisions('inv-1', tenantId, { actor: 'SAM@test.dev' }).map(rev => rev.field),
+      ['location']
+    );
+    const [imported] = inventoryRevisionService.listChangesets('inv-1', tenantId, { source: 'import' });
+    assert.deepEqual(imported.changes.map(change => change.field).sort(), ['location', 'price']);
+  });
+
+  it('restores every field to a point in time with one new changeset', () => {
+    const first = inventoryService.update('inv-1', { location: 'Lot B', updatedBy: 'sam@test.dev' }, tenantId);
+    const [january] = inventoryRevisionService.listChangesets('inv-1', tenantId);
+    backdate(january.changesetId, '2026-01-10T00:00:00.000Z');
+    inventoryService.update('inv-1', { location: 'Lot C', price: 55000, salesStory: 'Price cut', updatedBy: 'sam@test.dev' }, tenantId);
+    const [march] = inventoryRevisionService.listChangesets('inv-1', tenantId);
+    backdate(march.changesetId, '2026-03-10T00:00:00.000Z');
+    assert.equal(first.unit.location, 'Lot B');
+
+    const result = inventoryService.restoreToPointInTime('inv-1', '2026-02-01T00:00:00.000Z', tenantId, 'admin@test.dev');
+
+    assert.equal(result.unit.location, 'Lot B');
+    assert.equal(result.unit.price, 60000);
+    assert.equal(result.unit.totalPrice, 60000);
+    assert.equal(result.unit.salesStory, undefined);
+    assert.equal(result.changeset.source, 'restore');
+    assert.equal(result.changeset.restoredTo, '2026-02-01T00:00:00.000Z');
+    assert.equal(result.changeset.changedBy, 'admin@test.dev');
+    assert.deepEqual(result.changeset.changes.map(change => change.field).sort(), ['location', 'price', 'salesStory']);
+    assert.equal(inventoryRevisionService.listChangesets('inv-1', tenantId).length, 3);
+
+    const again = inventoryService.restoreToPointInTime('inv-1', '2026-02-01T00:00:00.000Z', tenantId, 'admin@test.dev');
+    assert.equal(again.changeset, null);
+  });
+
+  it('refuses restores to before the unit existed or that would reuse another unit slug', () => {
+    assert.match(inventoryService.restoreToPointInTime('inv-1', '2025-01-01T00:00:00.000Z', tenantId).error, /did not exist/);
+
+    inventoryService.update('inv-2', { slug: 'ridge-32-rear-bath' }, tenantId);
+    const [renamed] = inventoryRevisionService.listChangesets('inv-2', tenantId);
+    backdate(renamed.changesetId, '2026-03-01T00:00:00.000Z');
+    inventoryService.update('inv-1', { slug: 'ridge-32' }, tenantId);
+
+    const result = inventoryService.restoreToPointInTime('inv-2', '2026-02-01T00:00:00.000Z', tenantId);
+    assert.match(result.conflict, /Slug/);
+    assert.equal(datasets.inventory[1].slug, 'ridge-32-rear-bath');
+  });
+});
@@ -0,0 +1,103 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const inventoryService = require('../src/services/inventoryService');
+const { editDistance, tokenize } = require('../src/services/inventorySearchIndex');
+
+const tenantId = 'main';
+
+describe('inventory full-text search', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [
+      mock.method(persist, 'inventory', () => {}),
+      mock.method(persist, 'inventoryRevisions', () => {})
+    ];
+    datasets.inventoryRevisions = [];
+    datasets.inventory = [
+      {
+        id: 'view',
+        stockNumber: 'W-1',
+        name: '2024 Winnebago View 24D',
+        chassis: 'Mercedes Sprinter',
+        description: 'Compact class C with a rear slide-out & murphy bed',
+        condition: 'new',
+        price: 180000,
+        tenantId,
+        createdAt: '2024-01-01T00:00:00.000Z'
+      },
+      {
+        id: 'solitude',
+        stockNumber: 'G-2',
+        name: 'Grand Design Solitude 390RK',
+        description: 'Fifth wheel with 4 slideouts. Pairs well with a Winnebago tow vehicle? Not quite.',
+        spotlights: [{ title: 'Bunks for the kids', description: 'Two full-size bunks' }],
+        condition: 'new',
+        price: 120000,
+        tenantId,
+        createdAt: '2024-02-01T00:00:00.000Z'
+      },
+      {
+        id: 'other-tenant',
+        stockNumber: 'W-9',
+        name: 'Winnebago View 24J',
+        condition: 'new',
+        price: 1,
+        tenantId: 'lexington'
+      }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('tokenizes, stems RV terms and measures edit distance with transpositions', () => {
+    assert.deepEqual(tokenize('The 5th-wheel has 4 Slideouts & bunks'), ['fifth', 'wheel', 'has', '4', 'slide', 'bunk']);
+    assert.equal(editDistance('winnebgo', 'winnebago', 2), 1);
+    assert.equal(editDistance('veiw', 'view', 1), 1);
+    assert.equal(editDistance('solitude', 'sprinter', 2), 3);
+  });
+
+  it('tolerates typos, ranks by field boosts and highlights the matches', () => {
+    const { items } = inventoryService.list({ search: 'winnebgo view 24', sortBy: 'relevance' }, tenantId);
+
+    assert.deepEqual(items.map(unit => unit.id), ['view']);
+    assert.deepEqual(items[0].search.highlights, [
+      { field: 'name', snippet: '2024 <mark>Winnebago</mark> <mark>View</mark> <mark>24D</mark>' }
+    ]);
+
+    const ranked = inventoryService.list({ search: 'winnebago', sortBy: 'relevance' }, tenantId).items;
+    assert.deepEqual(ranked.map(unit => unit.id), ['view', 'solitude']);
+    assert.ok(ranked[0].search.score > ranked[1].search.score);
+  });
+
+  it('matches stemmed spotlight text and escapes snippets around the marks', () => {
+    const { items } = inventoryService.list({ search: 'bunk' }, tenantId);
+
+    assert.deepEqual(items.map(unit => unit.id), ['solitude']);
+    assert.deepEqual(items[0].search.highlights, [
+      { field: 'spotlights', snippet: '<mark>Bunks</mark> for the kids – Two full-size <mark>bunks</mark>' }
+    ]);
+
+    const slides = inventoryService.list({ search: 'slides' }, tenantId).items;
+    assert.match(slides.find(unit => unit.id === 'view').search.highlights[0].snippet, /rear <mark>slide<\/mark>-out &amp; murphy/);
+  });
+
+  it('keeps the index current across create, update and remove', () => {
+    const { unit } = inventoryService.create(
+      { stockNumber: 'A-7', vin: '1FDXE4FS8HDC12345', name: 'Airstream Basecamp', condition: 'new', price: 50000 },
+      tenantId
+    );
+    assert.deepEqual(inventoryService.list({ search: 'airstrem' }, tenantId).items.map(entry => entry.id), [unit.id]);
+
+    inventoryService.update(unit.id, { name: 'Airstream Bambi' }, tenantId);
+    assert.equal(inventoryService.list({ search: 'basecamp' }, tenantId).items.length, 0);
+    assert.equal(inventoryService.list({ search: 'bambi' }, tenantId).items.length, 1);
+
+    inventoryService.remove(unit.id, tenantId, { permanent: true });
+    assert.equal(inventoryService.list({ search: 'bambi' }, tenantId).items.length, 0);
+  });
+});
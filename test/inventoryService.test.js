@@ -81,15 +81,19 @@ describe('inventoryService VIN uniqueness', () => {
 });
 
 describe('inventoryService importCsv', () => {
-  let persistMock;
+  let persistMocks = [];
 
   beforeEach(() => {
-    persistMock = mock.method(persist, 'inventory', () => {});
+    persistMocks = [
+      mock.method(persist, 'inventory', () => {}),
+      mock.method(persist, 'inventoryRevisions', () => {})
+    ];
     datasets.inventory = [];
+    datasets.inventoryRevisions = [];
   });
 
   afterEach(() => {
-    persistMock?.mock.restore();
+    persistMocks.forEach(m => m.mock.restore());
   });
 
   it('parses extended fields and media lists', () => {
@@ -119,4 +123,245 @@ describe('inventoryService importCsv', () => {
     assert.equal(unit.metaDescription, 'Meta description');
     assert.ok(unit.holdUntil.includes('2024-01-01'));
   });
+
+  it('handles quoted fields, escaped quotes, multi-line cells and a BOM', () => {
+    const csv = [
+      '﻿stockNumber,vin,name,condition,price,description',
+      'STK-1,VIN-1,"Coach, 40ft",new,"100000","Line one',
+      'says ""hello"""',
+      'STK-2,VIN-2,Second,used,90000,Plain'
+    ].join('\r\n');
+
+    const result = inventoryService.importCsv(csv, 'main');
+
+    assert.equal(result.errors.length, 0);
+    assert.equal(result.created.length, 2);
+    assert.equal(result.created[0].name, 'Coach, 40ft');
+    assert.equal(result.created[0].description, 'Line one\r\nsays &quot;hello&quot;');
+    assert.equal(result.created[0].stockNumber, 'STK-1');
+    assert.deepEqual(result.rows.map(row => row.line), [2, 4]);
+  });
+
+  it('upserts by VIN and previews changes without persisting on dry run', () => {
+    datasets.inventory = [buildUnit({ id: 'existing', vin: 'VIN-BASE', price: 50000, slug: 'coach' })];
+    const csv = ['vin,stockNumber,name,condition,price', 'vin-base,STK-1,Coach,new,45000', 'VIN-NEW,STK-2,Fresh,new,70000'].join('\n');
+
+    const preview = inventoryService.importCsv(csv, 'main', { mode: 'upsert', dryRun: true });
+
+    assert.equal(preview.dryRun, true);
+    assert.deepEqual(preview.summary, { total: 2, created: 1, updated: 1, unchanged: 0, failed: 0 });
+    assert.deepEqual(preview.rows[0].changes, [{ field: 'price', previous: 50000, next: 45000 }]);
+    assert.equal(preview.rows[1].action, 'create');
+    assert.equal(datasets.inventory.length, 1);
+    assert.equal(datasets.inventory[0].price, 50000);
+
+    const applied = inventoryService.importCsv(csv, 'main', { mode: 'upsert', changedBy: 'importer' });
+
+    assert.equal(applied.updated.length, 1);
+    assert.equal(applied.created.length, 1);
+    assert.equal(datasets.inventory.find(unit => unit.id === 'existing').price, 45000);
+    assert.equal(datasets.inventory.find(unit => unit.id === 'existing').slug, 'coach');
+
+    const rerun = inventoryService.importCsv(csv, 'main', { mode: 'upsert' });
+    assert.equal(rerun.summary.unchanged, 2);
+  });
+
+  it('previews a repeated slug as the same conflict the real run reports', () => {
+    datasets.inventory = [];
+    const csv = ['vin,stockNumber,name,condition,price', 'VIN-1,STK-1,Coach,new,45000', 'VIN-2,STK-2,Coach,new,70000'].join('\n');
+
+    const preview = inventoryService.importCsv(csv, 'main', { dryRun: true });
+    const applied = inventoryService.importCsv(csv, 'main');
+
+    for (const result of [preview, applied]) {
+      assert.deepEqual(result.rows.map(row => row.action), ['create', 'error']);
+      assert.deepEqual(result.errors.map(error => [error.row, error.column, error.code]), [[2, 'slug', 'CONFLICT']]);
+    }
+    assert.equal(datasets.inventory.length, 1);
+  });
+
+  it('clears blank cells in replace mode but keeps required fields', () => {
+    datasets.inventory = [buildUnit({ id: 'existing', stockNumber: 'STK-1', msrp: 60000, chassis: 'Ford' })];
+    const csv = ['stockNumber,name,msrp,chassis', 'stk-1,,,Freightliner'].join('\n');
+
+    const result = inventoryService.importCsv(csv, 'main', { mode: 'replace', matchBy: 'stockNumber' });
+
+    assert.equal(result.errors.length, 0);
+    const unit = datasets.inventory[0];
+    assert.equal(unit.msrp, null);
+    assert.equal(unit.chassis, 'Freightliner');
+    assert.equal(unit.name, 'Coach');
+  });
+
+  it('reports structured errors per row and column', () => {
+    datasets.inventory = [buildUnit({ vin: 'VIN-TAKEN' })];
+    const csv = [
+      'stockNumber,vin,name,condition,price',
+      'STK-1,VIN-TAKEN,Dup,new,100',
+      'STK-2,VIN-2,Bad price,new,$12k',
+      'STK-3,VIN-3,Short row',
+      'STK-4,VIN-4,Bad condition,mint,100',
+      ',VIN-5,No stock,new,100'
+    ].join('\n');
+
+    const result = inventoryService.importCsv(csv, 'main');
+
+    assert.equal(result.created.length, 0);
+    assert.deepEqual(
+      result.errors.map(error => [error.row, error.column, error.code]),
+      [
+        [1, 'vin', 'ALREADY_EXISTS'],
+        [2, 'price', 'INVALID_NUMBER'],
+        [3, null, 'COLUMN_COUNT'],
+        [4, 'condition', 'INVALID_VALUE'],
+        [5, 'stockNumber', 'REQUIRED']
+      ]
+    );
+    assert.equal(result.summary.failed, 5);
+  });
+
+  it('rejects unterminated quoted fields', () => {
+    const result = inventoryService.importCsv('stockNumber,name\nSTK-1,"Open', 'main');
+
+    assert.equal(result.errors[0].code, 'MALFORMED_CSV');
+    assert.equal(result.errors[0].line, 2);
+  });
+});
+
+describe('inventoryService lifecycle status', () => {
+  let persistMocks = [];
+
+  beforeEach(() => {
+    persistMocks = [
+      mock.method(persist, 'inventory', () => {}),
+      mock.method(persist, 'inventoryRevisions', () => {}),
+      mock.method(persist, 'redirects', () => {})
+    ];
+    datasets.redirects = [];
+    datasets.inventory = [buildUnit({ id: 'unit-1', slug: 'grand-tour', category: 'Motorhome' })];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('guards transitions and keeps a status history', () => {
+    const pending = inventoryService.setStatus('unit-1', 'pending_sale', 'main', { changedBy: 'rep@example.com' });
+    assert.equal(pending.unit.status, 'pending_sale');
+    assert.equal(pending.previousStatus, 'available');
+
+    const sold = inventoryService.setStatus('unit-1', 'sold', 'main');
+    assert.ok(sold.unit.soldAt);
+
+    const invalid = inventoryService.setStatus('unit-1', 'available', 'main');
+    assert.equal(invalid.error, 'Invalid status transition from sold to available');
+    assert.deepEqual(
+      datasets.inventory[0].statusHistory.map(entry => [entry.from, entry.to, entry.changedBy]),
+      [
+        ['available', 'pending_sale', 'rep@example.com'],
+        ['pending_sale', 'sold', 'system']
+      ]
+    );
+  });
+
+  it('redirects a sold unit slug to its category page and removes it when restored', () => {
+    inventoryService.setStatus('unit-1', 'sold', 'main');
+
+    assert.equal(datasets.redirects.length, 1);
+    assert.equal(datasets.redirects[0].sourcePath, '/inventory/grand-tour');
+    assert.equal(datasets.redirects[0].targetPath, '/inventory?category=Motorhome');
+
+    inventoryService.setStatus('unit-1', 'archived', 'main');
+    inventoryService.setStatus('unit-1', 'available', 'main');
+    assert.equal(datasets.redirects.length, 0);
+    assert.equal(datasets.inventory[0].soldRedirectId, undefined);
+  });
+
+  it('requires a future holdUntil and releases expired holds', () => {
+    assert.match(inventoryService.setStatus('unit-1', 'on_hold', 'main').error, /holdUntil/);
+
+    const holdUntil = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const held = inventoryService.setStatus('unit-1', 'on_hold', 'main', { holdUntil });
+    assert.equal(held.unit.holdUntil, holdUntil);
+
+    assert.equal(inventoryService.releaseExpiredHolds(new Date()).length, 0);
+    const released = inventoryService.releaseExpiredHolds(new Date(Date.now() + 2 * 60 * 60 * 1000));
+    assert.equal(released.length, 1);
+    assert.equal(datasets.inventory[0].status, 'available');
+    assert.equal(datasets.inventory[0].holdUntil, undefined);
+    assert.equal(datasets.inventory[0].statusHistory.at(-1).note, 'Hold expired');
+  });
+
+  it('hides sold and archived units from the default list and archives on remove', () => {
+    datasets.inventory.push(buildUnit({ id: 'unit-2', vin: 'VIN-2', slug: 'second' }));
+    inventoryService.setStatus('unit-2', 'sold', 'main');
+
+    assert.deepEqual(inventoryService.list({}, 'main').items.map(unit => unit.id), ['unit-1']);
+    assert.deepEqual(inventoryService.list({ status: 'sold' }, 'main').items.map(unit => unit.id), ['unit-2']);
+
+    const archived = inventoryService.remove('unit-1', 'main');
+    assert.equal(archived.unit.status, 'archived');
+    assert.equal(datasets.inventory.length, 2);
+
+    inventoryService.remove('unit-1', 'main', { permanent: true });
+    assert.equal(datasets.inventory.length, 1);
+  });
+
+  it('ignores lifecycle fields on regular updates', () => {
+    const result = inventoryService.update('unit-1', { status: 'sold', name: 'Renamed', slug: 'grand-tour' }, 'main');
+
+    assert.equal(result.unit.status, 'available');
+    assert.equal(result.unit.name, 'Renamed');
+  });
+});
+
+describe('inventoryService faceted search', () => {
+  beforeEach(() => {
+    datasets.inventory = [
+      buildUnit({ id: 'a', category: 'Fifth Wheel', location: 'Lexington', year: 2024, length: 38, slides: 4, beds: 2, price: 90000 }),
+      buildUnit({ id: 'b', category: 'Fifth Wheel', location: 'Louisville', year: 2023, length: 32, slides: 3, beds: 1, price: 70000, condition: 'used' }),
+      buildUnit({ id: 'c', category: 'Travel Trailer', location: 'Lexington', year: 2024, length: 24, slides: 1, beds: 2, price: 35000 }),
+      buildUnit({ id: 'd', category: 'Motorhome', location: 'Lexington', year: 2022, length: 41, slides: 2, beds: 3, price: 250000 }),
+      buildUnit({ id: 'e', category: 'Fifth Wheel', location: 'Lexington', year: 2024, length: 36, price: 80000, status: 'sold' })
+    ];
+  });
+
+  it('applies multi-value and range filters', () => {
+    const byCategory = inventoryService.list({ category: 'Fifth Wheel,Travel Trailer' }, 'main');
+    assert.deepEqual(byCategory.items.map(unit => unit.id).sort(), ['a', 'b', 'c']);
+
+    const ranged = inventoryService.list({ minYear: 2023, minLength: 30, maxLength: 40, minSlides: 4 }, 'main');
+    assert.deepEqual(ranged.items.map(unit => unit.id), ['a']);
+  });
+
+  it('counts each facet against the other filters but not its own', () => {
+    const { items, facets } = inventoryService.list(
+      { category: ['Fifth Wheel'], location: 'Lexington', facets: true },
+      'main'
+    );
+
+    assert.deepEqual(items.map(unit => unit.id), ['a']);
+    assert.deepEqual(facets.category, [
+      { value: 'Fifth Wheel', count: 1 },
+      { value: 'Motorhome', count: 1 },
+      { value: 'Travel Trailer', count: 1 }
+    ]);
+    assert.deepEqual(facets.location, [
+      { value: 'Lexington', count: 1 },
+      { value: 'Louisville', count: 1 }
+    ]);
+    assert.deepEqual(facets.year, [{ value: 2024, count: 1 }]);
+    assert.deepEqual(
+      facets.length.map(bucket => [bucket.value, bucket.count]),
+      [['-25', 0], ['25-30', 0], ['30-35', 0], ['35-40', 1], ['40-', 0]]
+    );
+    assert.deepEqual(facets.slides.map(bucket => bucket.count), [1, 1, 1, 1]);
+  });
+
+  it('returns only the requested facets', () => {
+    const { facets } = inventoryService.list({ facets: ['price'] }, 'main');
+
+    assert.deepEqual(Object.keys(facets), ['price']);
+    assert.deepEqual(facets.price.map(bucket => bucket.count), [1, 2, 0, 1, 0]);
+  });
 });
@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const inventorySimilarityService = require('../src/services/inventorySimilarityService');
+const settingsService = require('../src/services/settingsService');
+const { TOOL_HANDLERS } = require('../src/services/toolExecutionService');
+
+const tenantId = 'main';
+
+const unit = overrides => ({
+  condition: 'used',
+  industry: 'RV',
+  tenantId,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('similar unit recommendations', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [mock.method(persist, 'settings', () => {})];
+    datasets.settings = [{ tenantId, badgeRules: {} }];
+    datasets.leads = [{ id: 'lead-1', name: 'Pat', email: 'pat@example.com', interestedStockNumber: 'S-1', tenantId }];
+    datasets.inventory = [
+      unit({ id: 'sold', stockNumber: 'S-1', category: 'Fifth Wheel', subcategory: 'Rear Living', price: 80000, length: 36, slides: 3, beds: 1, year: 2022, status: 'sold' }),
+      unit({ id: 'twin', stockNumber: 'S-2', category: 'Fifth Wheel', subcategory: 'Rear Living', price: 82000, length: 37, slides: 3, beds: 1, year: 2022 }),
+      unit({ id: 'cousin', stockNumber: 'S-3', category: 'Fifth Wheel', subcategory: 'Bunkhouse', price: 95000, length: 41, slides: 4, beds: 3, year: 2024 }),
+      unit({ id: 'stranger', stockNumber: 'S-4', category: 'Motorhome', subcategory: 'Class A', price: 400000, length: 24, year: 2015 }),
+      unit({ id: 'archived', stockNumber: 'S-5', category: 'Fifth Wheel', subcategory: 'Rear Living', price: 80000, length: 36, status: 'archived' }),
+      unit({ id: 'elsewhere', stockNumber: 'S-6', category: 'Fifth Wheel', subcategory: 'Rear Living', price: 80000, tenantId: 'lexington' })
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('ranks available units in the tenant with a score breakdown and drops units with nothing in common', () => {
+    const result = inventorySimilarityService.similar('sold', tenantId);
+
+    assert.deepEqual(result.items.map(item => item.id), ['twin', 'cousin']);
+    assert.ok(result.items[0].similarity.score > 90);
+    assert.equal(result.items[0].similarity.breakdown.category, 30);
+    assert.equal(result.items[1].similarity.breakdown.subcategory, undefined);
+    assert.equal(result.meta.sourceId, 'sold');
+
+    assert.deepEqual(
+      inventorySimilarityService.similar('sold', tenantId, { minScore: 50, limit: 1 }).items.map(item => item.id),
+      ['twin']
+    );
+    assert.deepEqual(inventorySimilarityService.similar('missing', tenantId), { notFound: true });
+  });
+
+  it('applies tenant weights and resolves a lead for the AI tool', () => {
+    settingsService.updateSimilarityWeights({ category: 0, subcategory: 0, price: 0, length: 0, slides: 0, beds: 0, badges: 0, year: 10 }, tenantId);
+
+    const weighted = inventorySimilarityService.similar('sold', tenantId);
+    assert.equal(weighted.meta.weights.year, 10);
+    assert.deepEqual(weighted.items.map(item => item.id), ['twin', 'cousin']);
+
+    const viaTool = TOOL_HANDLERS.find_similar_inventory({ leadId: 'lead-1' }, tenantId);
+    assert.deepEqual(viaTool.items.map(item => item.id), ['twin', 'cousin']);
+  });
+});
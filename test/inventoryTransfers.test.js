@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const inventoryTransferService = require('../src/services/inventoryTransferService');
+
+const tenantId = 'main';
+const admin = { id: 'u-admin', email: 'admin@dealer.test', role: 'admin' };
+const sales = { id: 'u-sales', email: 'sales@dealer.test', role: 'sales' };
+
+describe('inventory transfers', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = [
+      mock.method(persist, 'inventory', () => {}),
+      mock.method(persist, 'inventoryRevisions', () => {}),
+      mock.method(persist, 'inventoryTransfers', () => {})
+    ];
+    datasets.inventoryRevisions = [];
+    datasets.inventoryTransfers = [];
+    datasets.inventory = [
+      { id: 'u1', stockNumber: 'S-1', name: 'Coach', condition: 'new', price: 90000, location: 'Harrodsburg', lotCode: 'H1', transferStatus: 'none', tenantId },
+      { id: 'u2', stockNumber: 'S-2', name: 'Trailer', condition: 'used', price: 30000, location: 'Lexington', lotCode: 'L1', transferStatus: 'none', tenantId },
+      { id: 'u3', stockNumber: 'S-3', name: 'Sold', condition: 'used', price: 30000, location: 'Lexington', status: 'sold', tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('runs a transfer through approval and moves the unit on completion', () => {
+    const { transfer } = inventoryTransferService.create(
+      { inventoryId: 'u1', toLocation: 'Lexington', toLotCode: 'L2', eta: '2030-05-01T15:00:00Z', driver: 'Sam' },
+      tenantId,
+      sales
+    );
+    assert.equal(transfer.status, 'requested');
+    assert.equal(transfer.fromLocation, 'Harrodsburg');
+    assert.equal(transfer.requestedBy, 'sales@dealer.test');
+    assert.equal(datasets.inventory[0].transferStatus, 'requested');
+
+    assert.match(inventoryTransferService.setStatus(transfer.id, 'approved', tenantId, { actor: sales }).forbidden, /Only admin/);
+    assert.match(inventoryTransferService.setStatus(transfer.id, 'completed', tenantId, { actor: admin }).error, /requested to completed/);
+
+    const approved = inventoryTransferService.setStatus(transfer.id, 'approved', tenantId, { actor: admin });
+    assert.equal(approved.transfer.approvedBy, 'admin@dealer.test');
+    inventoryTransferService.setStatus(transfer.id, 'in_transit', tenantId, { actor: sales });
+    assert.equal(datasets.inventory[0].transferStatus, 'in_transit');
+
+    const done = inventoryTransferService.setStatus(transfer.id, 'completed', tenantId, { actor: sales, note: 'Dropped at L2' });
+    assert.equal(done.previousStatus, 'in_transit');
+    assert.deepEqual(done.transfer.history.map(entry => entry.status), ['requested', 'approved', 'in_transit', 'completed']);
+    assert.deepEqual(done.transfer.unit, { id: 'u1', stockNumber: 'S-1', name: 'Coach', location: 'Lexington', lotCode: 'L2' });
+    assert.equal(datasets.inventory[0].transferStatus, 'arrived');
+  });
+
+  it('stays in transit when the unit cannot move and clears the old lot code on arrival', () => {
+    const { transfer } = inventoryTransferService.create({ inventoryId: 'u2', toLocation: 'Harrodsburg' }, tenantId, sales);
+    inventoryTransferService.setStatus(transfer.id, 'approved', tenantId, { actor: admin });
+    inventoryTransferService.setStatus(transfer.id, 'in_transit', tenantId, { actor: admin });
+
+    datasets.inventory[0].slug = 'trailer';
+    assert.match(inventoryTransferService.setStatus(transfer.id, 'completed', tenantId, { actor: admin }).error, /Unit could not be moved: Slug/);
+    assert.equal(datasets.inventoryTransfers[0].status, 'in_transit');
+    assert.equal(datasets.inventory[1].location, 'Lexington');
+
+    datasets.inventory[0].slug = 'coach';
+    const done = inventoryTransferService.setStatus(transfer.id, 'completed', tenantId, { actor: admin });
+    assert.deepEqual([done.transfer.status, done.transfer.unit.location, done.transfer.unit.lotCode], ['completed', 'Harrodsburg', null]);
+  });
+
+  it('leaves the transfer where it was when the unit cannot take the new transfer status', () => {
+    const { transfer } = inventoryTransferService.create({ inventoryId: 'u2', toLocation: 'Harrodsburg' }, tenantId, sales);
+
+    datasets.inventory[0].slug = 'trailer';
+    datasets.inventory[1].slug = 'trailer';
+    assert.match(inventoryTransferService.setStatus(transfer.id, 'approved', tenantId, { actor: admin }).error, /Unit could not be updated: Slug/);
+    assert.equal(datasets.inventoryTransfers[0].status, 'requested');
+    assert.equal(datasets.inventory[1].transferStatus, 'requested');
+
+    datasets.inventoryTransfers = [];
+    assert.match(inventoryTransferService.create({ inventoryId: 'u2', toLocation: 'Harrodsburg' }, tenantId, sales).error, /Slug/);
+    assert.equal(datasets.inventoryTransfers.length, 0);
+  });
+
+  it('lists what is on its way to a lot, soonest first', () => {
+    const late = inventoryTransferService.create({ inventoryId: 'u1', toLocation: 'Louisville', eta: '2030-06-01' }, tenantId, sales);
+    const soon = inventoryTransferService.create({ inventoryId: 'u2', toLocation: 'Louisville', eta: '2030-05-01' }, tenantId, sales);
+    assert.deepEqual(inventoryTransferService.incoming('Louisville', tenantId), []);
+
+    inventoryTransferService.setStatus(late.transfer.id, 'approved', tenantId, { actor: admin });
+    inventoryTransferService.setStatus(soon.transfer.id, 'approved', tenantId, { actor: admin });
+    inventoryTransferService.setStatus(soon.transfer.id, 'in_transit', tenantId, { actor: admin });
+
+    assert.deepEqual(
+      inventoryTransferService.incoming('Louisville', tenantId).map(transfer => transfer.inventoryId),
+      ['u2', 'u1']
+    );
+    assert.equal(inventoryTransferService.incoming('Louisville', 'lexington').length, 0);
+  });
+
+  it('rejects duplicate, pointless and sold-unit transfers', () => {
+    inventoryTransferService.create({ inventoryId: 'u1', toLocation: 'Lexington' }, tenantId, sales);
+
+    assert.match(inventoryTransferService.create({ inventoryId: 'u1', toLocation: 'Louisville' }, tenantId, sales).conflict, /open transfer/);
+    assert.match(inventoryTransferService.create({ inventoryId: 'u2', toLocation: 'Lexington' }, tenantId, sales).error, /already at/);
+    assert.match(inventoryTransferService.create({ inventoryId: 'u3', toLocation: 'Harrodsburg' }, tenantId, sales).error, /sold unit/);
+    assert.deepEqual(inventoryTransferService.create({ inventoryId: 'nope', toLocation: 'X' }, tenantId, sales), { notFound: true });
+  });
+});
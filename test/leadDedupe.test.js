@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const leadService = require('../src/services/leadService');
+const leadEngagementService = require('../src/services/leadEngagementService');
+
+const tenantId = 'main';
+
+describe('lead deduplication and merge', () => {
+  let mocks;
+
+  beforeEach(() => {
+    mocks = [
+      ...['leads', 'events', 'tasks', 'notifications', 'tradeIns', 'deals'].map(name => mock.method(persist, name, () => {})),
+      mock.method(fs, 'appendFile', () => {})
+    ];
+    datasets.campaigns = [
+      { id: 'camp-spring', slug: 'spring', tenantId },
+      { id: 'camp-fall', slug: 'fall', tenantId }
+    ];
+    datasets.events = [];
+    datasets.tasks = [];
+    datasets.notifications = [];
+    datasets.tradeIns = [];
+    datasets.deals = [];
+    datasets.activities = [];
+    datasets.leads = [
+      {
+        id: 'lead-old',
+        name: 'Jon Smith',
+        email: 'Jon.Smith@Example.com',
+        phone: '(859) 555-0100',
+        interestedStockNumber: 'mh-1',
+        status: 'contacted',
+        createdAt: '2026-10-01T10:00:00.000Z',
+        scoreHistory: [],
+        tenantId
+      },
+      { id: 'lead-lost', name: 'Ann Lee', email: 'ann@example.com', status: 'lost', createdAt: '2026-09-01T10:00:00.000Z', tenantId },
+      { id: 'lead-other', name: 'Jon Smith', email: 'jon.smith@example.com', status: 'new', createdAt: '2026-10-02T10:00:00.000Z', tenantId: 'lexington' }
+    ];
+  });
+
+  afterEach(() => {
+    mocks.forEach(m => m.mock.restore());
+  });
+
+  const submit = overrides =>
+    leadService.create({ name: 'Someone New', email: 'new@example.com', message: 'Is it available?', ...overrides }, tenantId);
+
+  it('attaches repeat submissions to the open lead by email, phone or name and stock number', () => {
+    const byEmail = submit({ email: ' jon.smith@example.COM ', message: 'Still interested', utmCampaign: 'fall' });
+    assert.equal(byEmail.duplicate, true);
+    assert.equal(byEmail.matchedOn, 'email');
+    assert.equal(byEmail.lead.id, 'lead-old');
+    assert.equal(byEmail.lead.inquiries[0].message, 'Still interested');
+    assert.equal(byEmail.lead.lastTouchCampaignId, 'camp-fall');
+
+    assert.equal(submit({ phone: '+1 859.555.0100' }).matchedOn, 'phone');
+    assert.equal(submit({ name: 'John Smith', interestedStockNumber: 'MH-1' }).matchedOn, 'name_and_stock');
+    assert.equal(datasets.leads.find(lead => lead.id === 'lead-old').inquiries.length, 3);
+    assert.equal(datasets.leads.length, 3);
+
+    assert.equal(submit({ name: 'John Smith', interestedStockNumber: 'TT-9' }).duplicate, undefined);
+    assert.equal(submit({ name: 'Ann Lee', email: 'ann@example.com' }).duplicate, undefined);
+    assert.equal(datasets.leads.length, 5);
+
+    // A repeat is acknowledged by its inquiry, never by the matched lead.
+    const receipt = leadService.intakeReceipt(byEmail);
+    assert.deepEqual(receipt, { id: byEmail.lead.inquiries[0].id, receivedAt: byEmail.lead.inquiries[0].receivedAt, received: true });
+    assert.notEqual(receipt.id, 'lead-old');
+  });
+
+  it('merges timelines, score history, tasks, notifications and attribution into one lead', () => {
+    const newer = submit({ name: 'Jonathan Smith', email: 'jsmith@work.test', phone: '859-555-0199', utmCampaign: 'fall' }).lead;
+    datasets.leads.find(lead => lead.id === 'lead-old').firstTouchCampaignId = 'camp-spring';
+    datasets.leads.find(lead => lead.id === newer.id).scoreHistory = [{ score: 20, reasons: [], computedAt: '2026-10-05T00:00:00.000Z' }];
+    datasets.events = [{ id: 'ev-1', type: 'lead_submit', leadId: newer.id, createdAt: '2026-10-05T00:00:00.000Z', tenantId }];
+    datasets.tasks = [{ id: 'task-1', title: 'Call back', contactId: newer.id, tenantId }];
+    datasets.notifications = [{ id: 'note-1', status: 'sent', contactId: newer.id, tenantId }];
+
+    const result = leadService.merge('lead-old', newer.id, tenantId, { id: 'u-1', email: 'rep@dealer.test' });
+
+    assert.deepEqual(result.moved, { events: 1, tasks: 1, notifications: 1, tradeIns: 0, deals: 0, activities: 0 });
+    assert.equal(result.lead.phone, '(859) 555-0100');
+    assert.equal(result.lead.createdAt, '2026-10-01T10:00:00.000Z');
+    assert.equal(result.lead.firstTouchCampaignId, 'camp-spring');
+    assert.equal(result.lead.lastTouchCampaignId, 'camp-fall');
+    assert.equal(result.lead.inquiries[0].mergedFrom, newer.id);
+    assert.equal(result.lead.mergedLeads[0].mergedBy, 'rep@dealer.test');
+    assert.equal(result.lead.scoreHistory[0].score, 20);
+    assert.ok(result.lead.leadScore > 0);
+    assert.equal(datasets.tasks[0].contactId, 'lead-old');
+    assert.equal(leadService.findById(newer.id, tenantId), undefined);
+
+    const { timeline } = leadEngagementService.timeline('lead-old', tenantId);
+    assert.deepEqual(
+      ['inquiry', 'merge', 'event', 'task', 'notification'].map(type => timeline.some(item => item.type === type)),
+      [true, true, true, true, true]
+    );
+    assert.ok(fs.appendFile.mock.calls.some(call => call.arguments[1].includes('"id":"lead-old"')));
+  });
+
+  it('rejects merging a lead into itself or across tenants', () => {
+    assert.match(leadService.merge('lead-old', 'lead-old', tenantId).error, /itself/);
+    assert.equal(leadService.merge('lead-old', 'lead-other', tenantId).error, 'Source lead not found');
+    assert.equal(leadService.merge('missing', 'lead-lost', tenantId).notFound, true);
+    assert.equal(datasets.leads.length, 3);
+  });
+});
@@ -0,0 +1,146 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const leadService = require('../src/services/leadService');
+const leadPipelineService = require('../src/services/leadPipelineService');
+const { schemas } = require('../src/validation/schemas');
+
+const tenantId = 'main';
+
+const rentalStages = [
+  { key: 'inquiry', name: 'Inquiry', probability: 10, next: ['quoted', 'lost'] },
+  { key: 'quoted', name: 'Quote sent', probability: 40, next: ['booked', 'lost'] },
+  { key: 'booked', name: 'Booked', probability: 100, outcome: 'won', requiredFields: ['depositReference'] },
+  { key: 'lost', name: 'Lost', probability: 0, outcome: 'lost', requiredFields: ['lostReason'] }
+];
+
+describe('lead pipelines', () => {
+  let mocks;
+
+  beforeEach(() => {
+    mocks = [
+      ...['leads', 'leadPipelines', 'settings'].map(name => mock.method(persist, name, () => {})),
+      mock.method(fs, 'appendFile', () => {})
+    ];
+    datasets.leadPipelines = [];
+    datasets.leads = [];
+    datasets.teams = [];
+    datasets.deals = [];
+    datasets.events = [];
+    datasets.settings = [{ tenantId }];
+    datasets.inventory = [
+      { id: 'u-1', stockNumber: 'CL-1', price: 90000, salePrice: 80000, tenantId },
+      { id: 'u-2', stockNumber: 'TT-2', price: 40000, tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    mocks.forEach(m => m.mock.restore());
+  });
+
+  const intake = overrides =>
+    leadService.create({ name: 'Shopper', email: `${Math.random()}@example.com`, message: 'Hi', ...overrides }, tenantId).lead;
+
+  it('starts leads in the tenant default pipeline and enforces its transitions and required fields', () => {
+    const legacy = intake();
+    const rental = leadPipelineService.create({ name: 'Rental desk', isDefault: true, stages: rentalStages }, tenantId).pipeline;
+
+    const lead = intake();
+    assert.deepEqual([lead.pipelineId, lead.status], [rental.id, 'inquiry']);
+    assert.equal(leadService.setStatus(lead.id, 'booked', tenantId).error, 'Invalid status transition from inquiry to booked');
+    assert.equal(leadService.setStatus(lead.id, 'won', tenantId).error, 'Status must be one of: inquiry, quoted, booked, lost');
+
+    assert.equal(leadService.setStatus(lead.id, 'lost', tenantId).error, 'Moving to lost requires lostReason');
+    const lost = leadService.setStatus(lead.id, 'lost', tenantId, { lostReason: 'Dates unavailable', leadScore: '99' }).lead;
+    assert.deepEqual([lost.status, lost.stageFields, lost.leadScore], ['lost', { lostReason: 'Dates unavailable' }, 0]);
+    assert.ok(lost.firstResponseAt);
+
+    // A closed lead no longer absorbs repeat submissions.
+    const again = leadService.create({ name: 'Shopper', email: lead.email, message: 'Still looking' }, tenantId);
+    assert.equal(again.duplicate, undefined);
+
+    assert.equal(legacy.pipelineId, 'default');
+    assert.equal(leadService.setStatus(legacy.id, 'contacted', tenantId).lead.status, 'contacted');
+    assert.equal(leadService.list({ pipelineId: rental.id }, tenantId).length, 2);
+    assert.equal(leadService.create({ name: 'X', email: 'x@example.com', message: 'Hi', pipelineId: 'nope' }, tenantId).error, 'Pipeline not found');
+
+    // Stage fields named like the lead's own fields cannot overwrite them.
+    const guarded = leadPipelineService.create(
+      { name: 'Guarded', stages: [{ key: 'open', next: ['done'] }, { key: 'done', outcome: 'won', requiredFields: ['tenantId', 'leadScore'] }] },
+      tenantId
+    ).pipeline;
+    const target = intake({ pipelineId: guarded.id });
+    const done = leadService.setStatus(target.id, 'done', tenantId, { tenantId: 'other', leadScore: '99' }).lead;
+    assert.deepEqual([done.tenantId, done.leadScore, done.stageFields], [tenantId, target.leadScore, { tenantId: 'other', leadScore: '99' }]);
+  });
+
+  it('keeps intake and updates inside the pipeline a lead belongs to', () => {
+    const legacy = intake({ email: 'pat@example.com' });
+    const rental = leadPipelineService.create({ name: 'Rental desk', isDefault: true, stages: rentalStages }, tenantId).pipeline;
+
+    assert.equal(intake({ status: 'booked' }).status, 'inquiry');
+    assert.equal(intake({ status: 'quoted' }).status, 'quoted');
+
+    // Repeat submissions only join an open lead in the same pipeline.
+    const first = leadService.create({ name: 'Pat', email: 'pat@example.com', message: 'Renting?' }, tenantId);
+    assert.equal(first.duplicate, undefined);
+    assert.equal(first.lead.pipelineId, rental.id);
+    const repeat = leadService.create({ name: 'Pat', email: 'pat@example.com', message: 'Still renting?' }, tenantId);
+    assert.equal(repeat.lead.id, first.lead.id);
+    const sales = leadService.create({ name: 'Pat', email: 'pat@example.com', message: 'Buying', pipelineId: 'default' }, tenantId);
+    assert.equal(sales.lead.id, legacy.id);
+
+    assert.equal(schemas.leadUpdate.parse({ name: 'Pat', pipelineId: rental.id }).pipelineId, undefined);
+    const updated = leadService.update(legacy.id, { name: 'Pat Lee', pipelineId: rental.id }, tenantId).lead;
+    assert.deepEqual([updated.name, updated.pipelineId], ['Pat Lee', 'default']);
+  });
+
+  it('builds a board grouped by stage with values weighted by stage probability', () => {
+    const rental = leadPipelineService.create({ name: 'Rental desk', stages: rentalStages }, tenantId).pipeline;
+    const quoted = intake({ pipelineId: rental.id, interestedStockNumber: 'cl-1' });
+    leadService.setStatus(quoted.id, 'quoted', tenantId);
+    const fresh = intake({ pipelineId: rental.id, interestedStockNumber: 'TT-2' });
+    datasets.leads.find(lead => lead.id === fresh.id).assigneeId = 'ana';
+    intake({ pipelineId: rental.id });
+    datasets.deals = [
+      { id: 'd-1', leadId: fresh.id, status: 'open', currentVersion: 2, versions: [{ version: 1 }, { version: 2, pricing: { cashPrice: 38000 } }], tenantId }
+    ];
+    intake();
+
+    const board = leadPipelineService.board(rental.id, tenantId);
+    assert.deepEqual(
+      board.stages.map(stage => [stage.key, stage.count, stage.value, stage.weightedValue]),
+      [
+        ['inquiry', 2, 38000, 3800],
+        ['quoted', 1, 80000, 32000],
+        ['booked', 0, 0, 0],
+        ['lost', 0, 0, 0]
+      ]
+    );
+    assert.deepEqual(board.stages[0].leads.map(card => card.valueSource), ['deal', null]);
+    assert.deepEqual(board.totals, { count: 3, openValue: 118000, weightedValue: 35800 });
+    assert.equal(leadPipelineService.board(rental.id, tenantId, { assigneeId: 'ana' }).totals.count, 1);
+    assert.equal(leadPipelineService.board('default', tenantId).totals.count, 1);
+    assert.ok(leadPipelineService.board('missing', tenantId).notFound);
+  });
+
+  it('keeps stages that hold leads and pipelines in use', () => {
+    assert.equal(
+      leadPipelineService.create({ name: 'Bad', stages: [{ key: 'a', next: ['b'] }] }, tenantId).error,
+      'Transitions point at unknown stages: a -> b'
+    );
+    assert.equal(leadPipelineService.update('default', { name: 'Mine' }, tenantId).error, 'The built-in pipeline cannot be changed');
+
+    const service = leadPipelineService.create({ name: 'Service', stages: rentalStages }, tenantId).pipeline;
+    const other = leadPipelineService.create({ name: 'Other', isDefault: true, stages: rentalStages }, tenantId).pipeline;
+    assert.equal(leadPipelineService.update(service.id, { isDefault: true }, tenantId).pipeline.isDefault, true);
+    assert.equal(datasets.leadPipelines.find(pipeline => pipeline.id === other.id).isDefault, false);
+
+    intake();
+    assert.equal(leadPipelineService.update(service.id, { stages: rentalStages.slice(1) }, tenantId).conflict, 'Stages still hold leads: inquiry');
+    assert.equal(leadPipelineService.remove(service.id, tenantId).conflict, 'Pipeline still has 1 lead(s)');
+    assert.ok(leadPipelineService.remove(other.id, tenantId).pipeline);
+  });
+});
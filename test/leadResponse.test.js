@@ -0,0 +1,125 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const { buildSchedule, businessMinutesBetween } = require('../src/lib/businessHours');
+const leadService = require('../src/services/leadService');
+const leadResponseService = require('../src/services/leadResponseService');
+const analyticsService = require('../src/services/analyticsService');
+
+const tenantId = 'main';
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+describe('lead response SLAs', () => {
+  let mocks;
+
+  beforeEach(() => {
+    mocks = [
+      ...['leads', 'settings', 'tasks', 'notifications'].map(name => mock.method(persist, name, () => {})),
+      mock.method(fs, 'appendFile', () => {})
+    ];
+    datasets.teams = [];
+    datasets.tasks = [];
+    datasets.notifications = [];
+    datasets.events = [];
+    datasets.settings = [
+      { tenantId, leadResponse: { slaMinutes: 60, sources: [{ source: 'google', slaMinutes: 5 }], escalationRole: 'admin' } }
+    ];
+    datasets.leads = [
+      { id: 'google', name: 'Search Lead', utmSource: 'google', status: 'new', createdAt: minutesAgo(10), assigneeId: 'ana', assigneeName: 'Ana Diaz', tenantId },
+      { id: 'direct', name: 'Walk-in Web', status: 'new', createdAt: minutesAgo(10), tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    mocks.forEach(m => m.mock.restore());
+  });
+
+  it('records the first touch once, in working minutes, against the source SLA', () => {
+    const schedule = buildSchedule({ weekday: '9:00 AM - 6:00 PM', saturday: '10:00 AM - 4:00 PM', sunday: 'Closed' });
+    // Friday 5:30 PM to Saturday 10:30 AM Eastern is an hour of open time.
+    assert.equal(businessMinutesBetween('2026-10-16T21:30:00.000Z', '2026-10-17T14:30:00.000Z', schedule, 'America/New_York'), 60);
+
+    const searched = leadService.setStatus('google', 'contacted', tenantId).lead;
+    assert.equal(searched.firstResponseBy, 'ana');
+    assert.equal(searched.responseSlaMinutes, 5);
+    assert.equal(searched.responseSlaMet, false);
+    assert.ok(Math.abs(searched.responseMinutes - 10) < 0.2);
+
+    const contactedAt = minutesAgo(4);
+    const logged = leadService.update('direct', { lastContactedAt: contactedAt }, tenantId).lead;
+    assert.equal(logged.status, 'new');
+    assert.equal(logged.name, 'Walk-in Web');
+    assert.equal(logged.firstResponseAt, contactedAt);
+    assert.equal(logged.responseSlaMinutes, 60);
+    assert.equal(logged.responseSlaMet, true);
+    assert.equal(leadService.setStatus('direct', 'contacted', tenantId).lead.firstResponseAt, contactedAt);
+
+    const created = leadService.create({ name: 'Fresh', email: 'fresh@example.com', message: 'Hi', utmSource: 'Google' }, tenantId).lead;
+    assert.equal(new Date(created.responseDueAt) - new Date(created.createdAt), 5 * 60 * 1000);
+  });
+
+  it('escalates leads still waiting past their SLA to managers once', () => {
+    datasets.leads[0].responseDueAt = minutesAgo(5);
+    datasets.leads[1].responseDueAt = minutesAgo(-50);
+    datasets.leads.push(
+      { id: 'lost', name: 'Gone', status: 'lost', createdAt: minutesAgo(120), responseDueAt: minutesAgo(60), tenantId },
+      { id: 'done', name: 'Answered', status: 'contacted', createdAt: minutesAgo(120), responseDueAt: minutesAgo(60), firstResponseAt: minutesAgo(100), tenantId }
+    );
+
+    const escalated = leadResponseService.escalateBreaches(tenantId);
+    assert.deepEqual(escalated.map(entry => entry.leadId), ['google']);
+    assert.equal(datasets.notifications[0].recipientRole, 'admin');
+    assert.match(datasets.notifications[0].message, /Search Lead from google .* 5-minute SLA \(owner: Ana Diaz\)/);
+    assert.deepEqual([datasets.tasks[0].assignedTo, datasets.tasks[0].contactId, datasets.tasks[0].sourceKey], ['admin', 'google', 'lead-response:google']);
+    assert.ok(datasets.leads[0].responseEscalatedAt);
+
+    assert.deepEqual(leadResponseService.escalateBreaches(tenantId), []);
+    assert.equal(leadResponseService.escalateBreaches(tenantId, new Date(Date.now() + 60 * 60 * 1000))[0].leadId, 'direct');
+  });
+
+  it('reports median and p90 first response per rep and per source', () => {
+    const responded = (id, assigneeId, utmSource, responseMinutes, slaMinutes, status = 'contacted') => ({
+      id,
+      name: id,
+      utmSource,
+      status,
+      createdAt: '2026-10-01T12:00:00.000Z',
+      firstResponseAt: '2026-10-01T13:00:00.000Z',
+      firstResponseBy: assigneeId,
+      firstResponseByName: assigneeId.toUpperCase(),
+      responseMinutes,
+      responseSlaMinutes: slaMinutes,
+      responseSlaMet: responseMinutes <= slaMinutes,
+      tenantId
+    });
+    datasets.leads = [
+      responded('a1', 'ana', 'google', 4, 5, 'won'),
+      responded('a2', 'ana', 'google', 10, 5),
+      responded('a3', 'ana', undefined, 20, 60),
+      responded('b1', 'ben', undefined, 30, 60),
+      { id: 'open', name: 'open', status: 'new', createdAt: '2026-10-02T12:00:00.000Z', responseDueAt: '2026-10-02T13:00:00.000Z', tenantId },
+      responded('old', 'ben', 'google', 500, 5)
+    ];
+    datasets.leads[5].createdAt = '2026-09-01T12:00:00.000Z';
+
+    const report = analyticsService.leadResponseReport(tenantId, { from: '2026-10-01' }, new Date('2026-10-18T00:00:00.000Z'));
+
+    assert.deepEqual(
+      report.reps.map(rep => [rep.assigneeId, rep.name, rep.responded, rep.medianMinutes, rep.p90Minutes, rep.slaMetRate]),
+      [
+        ['ana', 'ANA', 3, 10, 18, 67],
+        ['ben', 'BEN', 1, 30, 30, 100],
+        [null, 'Unassigned', 0, null, null, 0]
+      ]
+    );
+    const google = report.sources.find(source => source.source === 'google');
+    assert.deepEqual(
+      [google.total, google.won, google.conversionRate, google.slaMinutes, google.medianMinutes, google.breached],
+      [2, 1, 50, 5, 7, 1]
+    );
+    assert.equal(report.sources.find(source => source.source === 'direct').pending, 1);
+    assert.deepEqual([report.overall.leads, report.overall.medianMinutes, report.overall.breached], [5, 15, 2]);
+  });
+});
@@ -0,0 +1,135 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist, normalizeTeams } = require('../src/services/state');
+const { addBusinessMinutes, buildSchedule } = require('../src/lib/businessHours');
+const leadService = require('../src/services/leadService');
+const leadRoutingService = require('../src/services/leadRoutingService');
+const leadEngagementService = require('../src/services/leadEngagementService');
+
+const tenantId = 'main';
+const hours = { weekday: '9:00 AM - 6:00 PM', saturday: '10:00 AM - 4:00 PM', sunday: 'Closed' };
+
+describe('lead routing', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    persistMocks = ['leads', 'settings', 'teams'].map(name => mock.method(persist, name, () => {}));
+    datasets.leads = [];
+    datasets.events = [];
+    datasets.tasks = [];
+    datasets.notifications = [];
+    datasets.inventory = [
+      { id: 'u-1', stockNumber: 'MH-1', location: 'Harrodsburg', tenantId },
+      { id: 'u-2', stockNumber: 'TT-7', location: 'Lexington', tenantId }
+    ];
+    datasets.teams = [
+      {
+        id: 'sales',
+        name: 'Sales Team',
+        role: 'sales',
+        members: [
+          { id: 'ana', firstName: 'Ana', lastName: 'Diaz', languages: ['en', 'es'], locations: ['Harrodsburg'] },
+          { id: 'ben', firstName: 'Ben', lastName: 'Cole', languages: ['en'], locations: ['Harrodsburg'] },
+          { id: 'cal', firstName: 'Cal', lastName: 'Ray', locations: ['Lexington'] },
+          { id: 'dee', firstName: 'Dee', lastName: 'Off', acceptsLeads: false }
+        ],
+        tenantId
+      },
+      { id: 'vip', name: 'Closers', role: 'closer', members: [{ id: 'vic', firstName: 'Vic', lastName: 'Top' }], tenantId }
+    ];
+    datasets.settings = [
+      {
+        tenantId,
+        timezone: 'America/New_York',
+        hours,
+        leadRouting: { slaMinutes: 30, rules: [{ id: 'hot', role: 'closer', segments: ['hot'] }] }
+      }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  const intake = overrides =>
+    leadService.create({ name: 'Shopper', email: `${Math.random()}@example.com`, message: 'Hi', ...overrides }, tenantId).lead;
+
+  it('counts SLA time only while the store is open', () => {
+    const schedule = buildSchedule(hours);
+    // Friday 5:50 PM Eastern: 10 minutes before close, the rest after Saturday's 10 AM opening.
+    assert.equal(
+      addBusinessMinutes('2026-10-16T21:50:00.000Z', 30, schedule, 'America/New_York').toISOString(),
+      '2026-10-17T14:20:00.000Z'
+    );
+    // Saturday after close skips the closed Sunday.
+    assert.equal(
+      addBusinessMinutes('2026-10-17T21:00:00.000Z', 30, schedule, 'America/New_York').toISOString(),
+      '2026-10-19T13:30:00.000Z'
+    );
+    assert.equal(addBusinessMinutes('2026-10-18T00:00:00.000Z', 30, buildSchedule({})).toISOString(), '2026-10-18T00:30:00.000Z');
+  });
+
+  it('rotates leads through the sales team, preferring language and unit location, and escalates hot leads', () => {
+    const first = intake();
+    const second = intake();
+    const third = intake();
+    assert.deepEqual([first, second, third].map(lead => lead.assigneeId), ['ana', 'ben', 'cal']);
+    assert.equal(first.assigneeName, 'Ana Diaz');
+    assert.equal(first.assignedTo, 'sales');
+    assert.ok(first.slaDueAt > first.assignedAt);
+
+    assert.equal(intake({ language: 'ES' }).assigneeId, 'ana');
+    assert.equal(intake({ interestedStockNumber: 'tt-7' }).assigneeId, 'cal');
+    assert.ok(!datasets.leads.some(lead => lead.assigneeId === 'dee'));
+
+    datasets.leads[0].segments = ['hot'];
+    const rerouted = leadRoutingService.assign(first.id, tenantId, { force: true });
+    assert.equal(rerouted.lead.assigneeId, 'vic');
+    assert.equal(rerouted.lead.assignments[1].ruleId, 'hot');
+
+    const manual = leadRoutingService.assign(first.id, tenantId, { memberId: 'ben', actor: { email: 'gm@dealer.test' } });
+    assert.deepEqual([manual.lead.assigneeId, manual.lead.assignments[2].reason, manual.lead.assignments[2].by], ['ben', 'manual', 'gm@dealer.test']);
+    assert.equal(leadRoutingService.assign(first.id, tenantId, { memberId: 'nobody' }).error, 'Team member not found');
+    assert.equal(leadService.list({ assigneeId: 'cal' }, tenantId).length, 2);
+
+    const { timeline } = leadEngagementService.timeline(first.id, tenantId);
+    assert.deepEqual(
+      timeline.filter(item => item.type === 'assignment').map(item => item.payload.memberId),
+      ['ana', 'vic', 'ben']
+    );
+  });
+
+  it('reassigns uncontacted leads after the SLA and stops when nobody is left', () => {
+    datasets.teams[0].members = datasets.teams[0].members.slice(0, 2);
+    const assignedAt = new Date('2026-10-19T14:00:00.000Z');
+    const stale = leadService.create({ name: 'Stale', email: 'stale@example.com', message: 'Hi' }, tenantId).lead;
+    const contacted = leadService.create({ name: 'Called', email: 'called@example.com', message: 'Hi' }, tenantId).lead;
+    [stale, contacted].forEach(lead => leadRoutingService.assign(lead.id, tenantId, { memberId: 'ana', now: assignedAt }));
+    datasets.leads[1].lastContactedAt = '2026-10-19T14:10:00.000Z';
+
+    assert.deepEqual(leadRoutingService.reassignOverdue(tenantId, new Date('2026-10-19T14:20:00.000Z')).reassigned, []);
+
+    const late = new Date('2026-10-19T14:31:00.000Z');
+    const { reassigned } = leadRoutingService.reassignOverdue(tenantId, late);
+    assert.deepEqual(reassigned.map(lead => [lead.id, lead.assigneeId]), [[stale.id, 'ben']]);
+    assert.equal(reassigned[0].assignments.at(-1).reason, 'sla_reassigned');
+    assert.equal(reassigned[0].slaDueAt, '2026-10-19T15:01:00.000Z');
+
+    const { breached } = leadRoutingService.reassignOverdue(tenantId, new Date('2026-10-19T16:00:00.000Z'));
+    assert.deepEqual(breached.map(lead => [lead.id, lead.assigneeId]), [[stale.id, 'ben']]);
+    assert.equal(leadRoutingService.reassignOverdue(tenantId, new Date('2026-10-19T17:00:00.000Z')).breached.length, 0);
+  });
+
+  it('gives members stored without ids a stable id at load and routes to them', () => {
+    const stored = [{ id: 'legacy', name: 'Sales Team', role: 'sales', members: [{ firstName: 'Ricardo', lastName: 'Diaz' }] }];
+    datasets.teams = normalizeTeams(stored);
+    const [member] = datasets.teams[0].members;
+    assert.equal(member.id, 'legacy-member-1');
+    assert.equal(normalizeTeams(stored)[0].members[0].id, member.id);
+
+    const lead = intake();
+    assert.deepEqual([lead.assigneeId, lead.assigneeName], [member.id, 'Ricardo Diaz']);
+    assert.equal(persistMocks[2].mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,121 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const repricingService = require('../src/services/repricingService');
+const inventoryRevisionService = require('../src/services/inventoryRevisionService');
+
+const tenantId = 'main';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date();
+const daysAgo = (days, from = start) => new Date(from.getTime() - days * DAY_MS).toISOString();
+
+describe('repricing rules', () => {
+  let persistMocks;
+  let rule;
+
+  beforeEach(() => {
+    persistMocks = ['inventory', 'inventoryRevisions', 'repricingRules', 'priceProposals'].map(name =>
+      mock.method(persist, name, () => {})
+    );
+    datasets.repricingRules = [];
+    datasets.priceProposals = [];
+    datasets.inventoryRevisions = [];
+    datasets.inventory = [
+      { id: 'c1', stockNumber: 'C-1', subcategory: 'Class C', msrp: 100000, price: 95000, salePrice: 90000, createdAt: daysAgo(120), tenantId },
+      { id: 'c2', stockNumber: 'C-2', subcategory: 'class c', msrp: 100000, price: 86000, createdAt: daysAgo(95), tenantId },
+      { id: 'c3', stockNumber: 'C-3', subcategory: 'Class C', msrp: 100000, price: 99000, createdAt: daysAgo(20), tenantId },
+      { id: 'a1', stockNumber: 'A-1', subcategory: 'Class A', msrp: 200000, price: 180000, createdAt: daysAgo(200), tenantId },
+      { id: 'c4', stockNumber: 'C-4', subcategory: 'Class C', msrp: 100000, price: 90000, createdAt: daysAgo(300), status: 'sold', tenantId }
+    ];
+    ({ rule } = repricingService.createRule(
+      {
+        name: 'Aged Class C',
+        conditions: [{ matchField: 'subcategory', matchValue: 'Class C' }],
+        minDaysOnLot: 90,
+        adjustment: { type: 'percent', value: 3 },
+        everyDays: 30,
+        floor: { field: 'msrp', percent: 85 }
+      },
+      tenantId
+    ));
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('previews reductions for matching aged units using the badge rule condition language', () => {
+    const proposals = repricingService.preview(tenantId, start);
+
+    assert.deepEqual(
+      proposals.map(p => [p.inventoryId, p.field, p.currentValue, p.proposedValue, p.floorApplied]),
+      [
+        ['c1', 'salePrice', 90000, 87300, false],
+        ['c2', 'salePrice', 86000, 85000, true]
+      ]
+    );
+    assert.equal(datasets.priceProposals.length, 0);
+  });
+
+  it('applies approved proposals through inventory updates and waits everyDays before the next step', () => {
+    const created = repricingService.run(tenantId, start);
+    assert.equal(created.length, 2);
+    assert.deepEqual(repricingService.run(tenantId, start), []);
+
+    const approved = repricingService.decide(created[0].id, 'approved', tenantId, { actor: { email: 'gm@example.com' } });
+    assert.equal(approved.proposal.status, 'approved');
+    assert.equal(datasets.inventory.find(unit => unit.id === 'c1').salePrice, 87300);
+    assert.ok(approved.update.priceDrop);
+    const history = inventoryRevisionService.listPriceHistory('c1', tenantId);
+    assert.equal(history[0].field, 'salePrice');
+    assert.equal(history[0].changedBy, 'gm@example.com');
+
+    repricingService.decide(created[1].id, 'rejected', tenantId, { note: 'Hold the line' });
+    assert.deepEqual(repricingService.evaluate(tenantId, new Date(start.getTime() + 10 * DAY_MS)), []);
+    const next = repricingService.evaluate(tenantId, new Date(start.getTime() + 31 * DAY_MS));
+    assert.deepEqual(next.map(p => [p.inventoryId, p.proposedValue]), [
+      ['c1', 85000],
+      ['c2', 85000]
+    ]);
+  });
+
+  it('marks proposals stale when the unit was repriced before approval', () => {
+    const [proposal] = repricingService.run(tenantId, start);
+    datasets.inventory.find(unit => unit.id === proposal.inventoryId).salePrice = 88000;
+
+    const result = repricingService.decide(proposal.id, 'approved', tenantId, {});
+
+    assert.match(result.conflict, /changed/);
+    assert.equal(datasets.priceProposals.find(entry => entry.id === proposal.id).status, 'stale');
+    assert.equal(datasets.inventory.find(unit => unit.id === proposal.inventoryId).salePrice, 88000);
+  });
+
+  it('keeps the proposal pending when the unit update conflicts', () => {
+    const [proposal] = repricingService.run(tenantId, start);
+    const unit = datasets.inventory.find(entry => entry.id === proposal.inventoryId);
+    unit.slug = 'class-c';
+    datasets.inventory.find(entry => entry.id !== unit.id).slug = 'class-c';
+
+    const result = repricingService.decide(proposal.id, 'approved', tenantId, {});
+
+    assert.match(result.conflict, /Unit could not be updated: Slug/);
+    assert.equal(datasets.priceProposals.find(entry => entry.id === proposal.id).status, 'pending');
+    assert.equal(unit.salePrice, 90000);
+  });
+
+  it('lets a higher-priority rule win and skips inactive rules', () => {
+    repricingService.createRule(
+      { name: 'Anything over 100 days', priority: 10, minDaysOnLot: 100, adjustment: { type: 'amount', value: 500 }, everyDays: 7 },
+      tenantId
+    );
+    repricingService.updateRule(rule.id, { active: false }, tenantId);
+
+    const proposals = repricingService.preview(tenantId, start);
+
+    assert.deepEqual(proposals.map(p => [p.inventoryId, p.ruleName, p.proposedValue]), [
+      ['c1', 'Anything over 100 days', 89500],
+      ['a1', 'Anything over 100 days', 179500]
+    ]);
+  });
+});
@@ -0,0 +1,157 @@
+const assert = require('node:assert/strict');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+
+const { datasets, persist } = require('../src/services/state');
+const { computeCheckDigit } = require('../src/lib/vin');
+const vinDecoderService = require('../src/services/vinDecoderService');
+const tradeInService = require('../src/services/tradeInService');
+
+const tenantId = 'main';
+const admin = { id: 'u-admin', email: 'manager@dealer.test', role: 'admin' };
+const sales = { id: 'u-sales', email: 'appraiser@dealer.test', role: 'sales' };
+
+const VIN = (base => `${base.slice(0, 8)}${computeCheckDigit(base)}${base.slice(9)}`)('573TE25B0RA123456');
+
+describe('trade-in appraisals', () => {
+  let persistMocks;
+
+  before(() => {
+    vinDecoderService.setReference({
+      manufacturers: [{ code: '573', make: 'Grand Design RV', role: 'coach' }],
+      models: [{ code: '573', descriptor: 'TE25*', model: 'Imagine 2500RL', specs: { category: 'Travel Trailer' } }]
+    });
+  });
+
+  after(() => {
+    vinDecoderService.setReference();
+  });
+
+  beforeEach(() => {
+    persistMocks = [
+      mock.method(persist, 'inventory', () => {}),
+      mock.method(persist, 'inventoryRevisions', () => {}),
+      mock.method(persist, 'tradeIns', () => {})
+    ];
+    datasets.tradeIns = [];
+    datasets.inventory = [];
+    datasets.inventoryRevisions = [];
+    datasets.leads = [
+      { id: 'lead-1', name: 'Pat Buyer', status: 'qualified', tenantId },
+      { id: 'lead-other', name: 'Elsewhere', status: 'won', tenantId: 'lexington' }
+    ];
+    datasets.customers = [{ id: 'cust-1', firstName: 'Pat', lastName: 'Buyer', tenantId }];
+    datasets.deals = [
+      { id: 'deal-open', status: 'open', tenantId },
+      { id: 'deal-done', status: 'finalized', tenantId }
+    ];
+  });
+
+  afterEach(() => {
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  const intake = (overrides = {}) =>
+    tradeInService.create(
+      {
+        leadId: 'lead-1',
+        vin: VIN.toLowerCase(),
+        mileage: 12000,
+        condition: [
+          { item: 'Roof', rating: 'good' },
+          { item: 'Slides', rating: 'fair', notes: 'Rear slide seal worn' }
+        ],
+        photos: [{ url: 'https://cdn.test/trade-front.jpg', caption: 'Front' }, { url: '/media/trade-rear.jpg' }],
+        ...overrides
+      },
+      tenantId,
+      sales
+    );
+
+  it('takes in a trade linked to a lead or customer and fills blanks from the VIN', () => {
+    const { tradeIn } = intake();
+    assert.equal(tradeIn.status, 'open');
+    assert.equal(tradeIn.vin, VIN);
+    assert.deepEqual([tradeIn.year, tradeIn.make, tradeIn.model], [2024, 'Grand Design RV', 'Imagine 2500RL']);
+    assert.equal(tradeIn.vinDecode.valid, true);
+    assert.equal(tradeIn.createdBy, 'appraiser@dealer.test');
+    assert.equal(tradeIn.condition[1].notes, 'Rear slide seal worn');
+
+    assert.equal(intake({ make: 'Keystone', year: 2023 }).tradeIn.make, 'Keystone');
+    assert.match(intake({ leadId: undefined }).error, /leadId or customerId/);
+    assert.equal(intake({ leadId: 'lead-other' }).error, 'Lead not found');
+    assert.equal(intake({ leadId: undefined, customerId: 'cust-1' }).tradeIn.customerId, 'cust-1');
+
+    const edited = tradeInService.update(tradeIn.id, { mileage: 12500 }, tenantId);
+    assert.equal(edited.tradeIn.mileage, 12500);
+    assert.equal(edited.tradeIn.leadId, 'lead-1');
+  });
+
+  it('needs a manager to approve the appraised value and re-approval after a new appraisal', () => {
+    const { tradeIn } = intake();
+    assert.match(tradeInService.setStatus(tradeIn.id, 'approved', tenantId, { actor: admin }).error, /open to approved/);
+
+    const appraised = tradeInService.appraise(tradeIn.id, { appraisedValue: 31000, notes: 'Clean unit' }, tenantId, sales);
+    assert.equal(appraised.tradeIn.appraisedBy, 'appraiser@dealer.test');
+    assert.match(tradeInService.update(tradeIn.id, { mileage: 1 }, tenantId).error, /appraised and can no longer be edited/);
+    assert.match(tradeInService.setStatus(tradeIn.id, 'approved', tenantId, { actor: sales }).forbidden, /Only admin/);
+
+    const approved = tradeInService.setStatus(tradeIn.id, 'approved', tenantId, { actor: admin, approvedValue: 29500 });
+    assert.deepEqual([approved.tradeIn.approvedValue, approved.tradeIn.approvedBy], [29500, 'manager@dealer.test']);
+
+    const withdrawn = tradeInService.setStatus(tradeIn.id, 'withdrawn', tenantId, { actor: sales, note: 'Customer kept it' });
+    assert.deepEqual(withdrawn.tradeIn.history.map(entry => entry.status), ['open', 'appraised', 'approved', 'withdrawn']);
+    assert.match(tradeInService.appraise(tradeIn.id, { appraisedValue: 1 }, tenantId, sales).error, /withdrawn/);
+
+    const second = intake();
+    tradeInService.appraise(second.tradeIn.id, { appraisedValue: 30000 }, tenantId, sales);
+    tradeInService.setStatus(second.tradeIn.id, 'rejected', tenantId, { actor: admin });
+    const again = tradeInService.appraise(second.tradeIn.id, { appraisedValue: 28000 }, tenantId, sales);
+    assert.equal(again.previousStatus, 'rejected');
+    assert.equal(again.tradeIn.rejectedBy, undefined);
+    assert.equal(tradeInService.setStatus(second.tradeIn.id, 'approved', tenantId, { actor: admin }).tradeIn.approvedValue, 28000);
+  });
+
+  it('converts an approved trade into a used unit once the deal has closed', () => {
+    const { tradeIn } = intake();
+    tradeInService.appraise(tradeIn.id, { appraisedValue: 31000 }, tenantId, sales);
+    const convertPayload = { stockNumber: 'T-100', price: 36900, location: 'Harrodsburg', dealId: 'deal-done' };
+    assert.match(tradeInService.convert(tradeIn.id, convertPayload, tenantId, sales).error, /approved/);
+    tradeInService.setStatus(tradeIn.id, 'approved', tenantId, { actor: admin });
+    assert.match(tradeInService.convert(tradeIn.id, convertPayload, tenantId, sales).error, /must be won/);
+
+    datasets.leads[0].status = 'won';
+    assert.match(tradeInService.convert(tradeIn.id, { ...convertPayload, dealId: 'deal-9' }, tenantId, sales).error, /Deal not found/);
+    const { unit, tradeIn: converted } = tradeInService.convert(tradeIn.id, convertPayload, tenantId, sales);
+
+    assert.equal(unit.condition, 'used');
+    assert.equal(unit.name, '2024 Grand Design RV Imagine 2500RL');
+    assert.deepEqual([unit.vin, unit.mileage, unit.price, unit.status], [VIN, 12000, 36900, 'available']);
+    assert.deepEqual(unit.tradeIn, { id: tradeIn.id, leadId: 'lead-1', customerId: undefined, dealId: 'deal-done', allowance: 31000 });
+    assert.deepEqual(unit.media.photos.map(photo => [photo.url, photo.isHero]), [
+      ['https://cdn.test/trade-front.jpg', true],
+      ['/media/trade-rear.jpg', false]
+    ]);
+    assert.equal(converted.status, 'converted');
+    assert.equal(converted.inventoryId, unit.id);
+    assert.equal(datasets.inventory.length, 1);
+
+    const duplicate = intake();
+    tradeInService.appraise(duplicate.tradeIn.id, { appraisedValue: 30000 }, tenantId, sales);
+    tradeInService.setStatus(duplicate.tradeIn.id, 'approved', tenantId, { actor: admin });
+    assert.match(tradeInService.convert(duplicate.tradeIn.id, { stockNumber: 'T-101', price: 1 }, tenantId, sales).error, /VIN/);
+    assert.equal(tradeInService.findById(duplicate.tradeIn.id, tenantId).status, 'approved');
+  });
+
+  it('needs a finalized deal to convert a trade without a linked lead', () => {
+    const { tradeIn } = intake({ leadId: undefined, customerId: 'cust-1' });
+    tradeInService.appraise(tradeIn.id, { appraisedValue: 31000 }, tenantId, sales);
+    tradeInService.setStatus(tradeIn.id, 'approved', tenantId, { actor: admin });
+
+    const convertPayload = { stockNumber: 'T-200', price: 36900 };
+    assert.match(tradeInService.convert(tradeIn.id, convertPayload, tenantId, sales).error, /finalized deal/);
+    assert.match(tradeInService.convert(tradeIn.id, { ...convertPayload, dealId: 'deal-open' }, tenantId, sales).error, /finalized deal/);
+
+    const { unit } = tradeInService.convert(tradeIn.id, { ...convertPayload, dealId: 'deal-done' }, tenantId, sales);
+    assert.equal(unit.tradeIn.dealId, 'deal-done');
+  });
+});
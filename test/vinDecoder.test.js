@@ -0,0 +1,138 @@
+const assert = require('node:assert/strict');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+
+const { computeCheckDigit, decodeModelYear, validateVin } = require('../src/lib/vin');
+const { datasets, persist } = require('../src/services/state');
+const inventoryService = require('../src/services/inventoryService');
+const vinDecoderService = require('../src/services/vinDecoderService');
+
+// Fills position 9 so test VINs carry a correct check digit.
+function withCheckDigit(vin) {
+  return `${vin.slice(0, 8)}${computeCheckDigit(`${vin.slice(0, 8)}0${vin.slice(9)}`)}${vin.slice(9)}`;
+}
+
+const REFERENCE = {
+  manufacturers: [
+    { code: '573', make: 'Grand Design RV', role: 'coach' },
+    { code: '1F6', make: 'Ford', role: 'chassis', specs: { chassis: 'Ford F-53', category: 'Motorhome' } },
+    { code: '1A9', make: 'Other Small Builder', role: 'coach' },
+    { code: '1A9ZZ1', make: 'Tiny Trailers Co', role: 'coach' }
+  ],
+  models: [
+    { code: '573', descriptor: 'TE*', model: 'Imagine', specs: { category: 'Travel Trailer', length: 28 } },
+    {
+      code: '573',
+      descriptor: 'TE25*',
+      years: [2021, 2026],
+      model: 'Imagine 2500RL',
+      specs: { category: 'Travel Trailer', subcategory: 'Rear Living', length: 30, weight: 6295, sleeps: 4 }
+    }
+  ]
+};
+
+const now = new Date('2026-10-18T00:00:00.000Z');
+const IMAGINE_VIN = withCheckDigit('573TE25B0RA123456');
+
+describe('vin validation', () => {
+  it('computes check digits and reports structural problems as warnings', () => {
+    assert.equal(computeCheckDigit('1M8GDM9AXKP042788'), 'X');
+    assert.deepEqual(validateVin('1M8GDM9AXKP042788', now).warnings, []);
+
+    const wrongDigit = validateVin('1M8GDM9A1KP042788', now);
+    assert.equal(wrongDigit.valid, false);
+    assert.deepEqual(wrongDigit.warnings.map(warning => warning.code), ['VIN_CHECK_DIGIT']);
+
+    assert.deepEqual(
+      validateVin('1M8GDM9AXKP04278O', now).warnings.map(warning => warning.code),
+      ['VIN_INVALID_CHARACTERS']
+    );
+    assert.deepEqual(validateVin('ABC123', now).warnings.map(warning => warning.code), ['VIN_LENGTH']);
+  });
+
+  it('picks the latest model year the position-10 code can mean', () => {
+    assert.deepEqual(decodeModelYear(IMAGINE_VIN, now), { year: 2024, candidates: [1994, 2024] });
+    assert.deepEqual(decodeModelYear(withCheckDigit('573TE25B0TA123456'), now), { year: 2026, candidates: [1996, 2026] });
+    assert.equal(decodeModelYear(withCheckDigit('573TE25B0UA123456'), now), null);
+  });
+});
+
+describe('vin decoding with a reference dataset', () => {
+  let persistMocks;
+
+  beforeEach(() => {
+    vinDecoderService.setReference(REFERENCE);
+    persistMocks = [mock.method(persist, 'inventory', () => {}), mock.method(persist, 'inventoryRevisions', () => {})];
+    datasets.inventory = [];
+  });
+
+  afterEach(() => {
+    vinDecoderService.setReference();
+    persistMocks.forEach(m => m.mock.restore());
+  });
+
+  it('matches the most specific model in its year range and identifies small manufacturers', () => {
+    const decoded = vinDecoderService.decode(IMAGINE_VIN, now);
+    assert.equal(decoded.manufacturer.make, 'Grand Design RV');
+    assert.equal(decoded.model.name, 'Imagine 2500RL');
+    assert.deepEqual(decoded.specs, {
+      brand: 'Grand Design RV',
+      category: 'Travel Trailer',
+      subcategory: 'Rear Living',
+      length: 30,
+      weight: 6295,
+      sleeps: 4,
+      year: 2024
+    });
+
+    const older = vinDecoderService.decode(withCheckDigit('573TE25B0KA123456'), now);
+    assert.equal(older.model.name, 'Imagine');
+
+    const chassis = vinDecoderService.decode(withCheckDigit('1F65F5D00P0A01234'), now);
+    assert.deepEqual([chassis.specs.chassis, chassis.specs.brand], ['Ford F-53', undefined]);
+
+    const small = vinDecoderService.decode(withCheckDigit('1A9TT1200RAZZ1001'), now);
+    assert.equal(small.manufacturerCode, '1A9ZZ1');
+    assert.equal(small.manufacturer.make, 'Tiny Trailers Co');
+  });
+
+  it('prefills blank specs on create without overwriting what staff entered', () => {
+    const result = inventoryService.create(
+      { stockNumber: 'GD-1', vin: IMAGINE_VIN, name: 'Imagine 2500RL', condition: 'new', price: 42000, length: 31 },
+      'main'
+    );
+
+    const unit = datasets.inventory[0];
+    assert.equal(unit.year, 2024);
+    assert.equal(unit.brand, 'Grand Design RV');
+    assert.equal(unit.sleeps, 4);
+    assert.equal(unit.length, 31);
+    assert.deepEqual(unit.vinDecode.prefilled, ['year', 'brand', 'category', 'subcategory', 'weight', 'sleeps']);
+    assert.deepEqual(result.unit.vinDecode.warnings, []);
+  });
+
+  it('keeps invalid VINs but surfaces warnings, including a year that disagrees with the VIN', () => {
+    const badVin = `${IMAGINE_VIN.slice(0, 8)}${IMAGINE_VIN[8] === '1' ? '2' : '1'}${IMAGINE_VIN.slice(9)}`;
+    const created = inventoryService.create(
+      { stockNumber: 'GD-2', vin: badVin, name: 'Typo', condition: 'used', price: 30000 },
+      'main'
+    );
+    assert.equal(created.unit.vin, badVin);
+    assert.equal(created.unit.vinDecode.valid, false);
+    assert.deepEqual(created.unit.vinDecode.warnings.map(warning => warning.code), ['VIN_CHECK_DIGIT']);
+
+    const updated = inventoryService.update(created.unit.id, { vin: IMAGINE_VIN, year: 2019 }, 'main');
+    assert.deepEqual(updated.unit.vinDecode.warnings.map(warning => warning.code), ['VIN_MODEL_YEAR_MISMATCH']);
+    assert.equal(updated.unit.year, 2019);
+  });
+
+  it('reports VIN warnings from CSV imports without failing the row', () => {
+    const csv = ['stockNumber,vin,name,condition,price', `GD-3,${IMAGINE_VIN},Good,new,42000`, 'GD-4,SHRTVN12345,Short,used,9000'].join('\n');
+
+    const result = inventoryService.importCsv(csv, 'main');
+
+    assert.equal(result.created.length, 2);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings.map(warning => [warning.row, warning.column, warning.code]), [[2, 'vin', 'VIN_LENGTH']]);
+    assert.equal(datasets.inventory.find(unit => unit.stockNumber === 'GD-3').subcategory, 'Rear Living');
+  });
+});
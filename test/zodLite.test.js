@@ -0,0 +1,38 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { z, ZodError } = require('../src/validation/zodLite');
+
+describe('zodLite unions', () => {
+  const count = z
+    .union([z.number(), z.string()])
+    .optional()
+    .transform(val => (val === undefined ? undefined : Number(val)))
+    .refine(val => val === undefined || (Number.isInteger(val) && val >= 0), {
+      message: 'count must be a non-negative integer'
+    });
+
+  it('applies the transform to whichever variant matched', () => {
+    assert.equal(count.parse('12'), 12);
+    assert.equal(count.parse(3), 3);
+    assert.equal(count.parse(undefined), undefined);
+
+    const flag = z
+      .union([z.boolean(), z.string()])
+      .transform(val => (typeof val === 'boolean' ? val : val.toLowerCase() === 'true'));
+    assert.equal(flag.parse('false'), false);
+    assert.equal(flag.parse('TRUE'), true);
+  });
+
+  it('rejects values that fail the refine after transforming', () => {
+    assert.throws(
+      () => count.parse('-2'),
+      err => err instanceof ZodError && err.issues[0].message === 'count must be a non-negative integer'
+    );
+    assert.throws(() => z.object({ count }).parse({ count: '1.5' }), err => err.issues[0].path[0] === 'count');
+  });
+
+  it('still reports unmatched input before transforming', () => {
+    assert.throws(() => count.parse({}), err => err.issues[0].message === 'No union variant matched');
+  });
+});